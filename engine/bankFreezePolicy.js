@@ -11,13 +11,12 @@
 const fs = require('fs');
 const path = require('path');
 
-const FREEZE_DIR = path.join(__dirname, '..', 'freeze');
-const BANK_DIR = path.join(__dirname, '..', 'bank');
-const PACKAGED_DIR = path.join(BANK_DIR, 'packaged');
-
-// Ensure freeze directory exists
-if (!fs.existsSync(FREEZE_DIR)) {
-  fs.mkdirSync(FREEZE_DIR, { recursive: true });
+/**
+ * Path of the freeze state file. BANK_FREEZE_DIR lets every instance of a
+ * deployment share one state, which running engines watch for activations.
+ */
+function getFreezeStatePath() {
+  return path.join(process.env.BANK_FREEZE_DIR || path.join(__dirname, '..', 'freeze'), 'freeze_state.json');
 }
 
 /**
@@ -31,22 +30,20 @@ const FREEZE_POLICY = {
 };
 
 /**
- * Bank freeze state
+ * Bank freeze state (read from disk on first use)
  */
-let freezeState = {
-  active_bank: null,
-  legacy_banks: [],
-  frozen: false,
-  freeze_reason: null,
-  frozen_at: null
-};
+let freezeState = null;
 
 /**
  * Load freeze state from disk
  */
 function loadFreezeState() {
-  const statePath = path.join(FREEZE_DIR, 'freeze_state.json');
+  const statePath = getFreezeStatePath();
   
+  if (!freezeState) {
+    freezeState = emptyFreezeState();
+  }
+
   if (fs.existsSync(statePath)) {
     try {
       const content = fs.readFileSync(statePath, 'utf8');
@@ -63,40 +60,58 @@ function loadFreezeState() {
  * Save freeze state to disk
  */
 function saveFreezeState() {
-  const statePath = path.join(FREEZE_DIR, 'freeze_state.json');
-  fs.writeFileSync(statePath, JSON.stringify(freezeState, null, 2));
+  const statePath = getFreezeStatePath();
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  // Write then rename so engines watching the file never read half a state
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(getState(), null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
 }
 
 /**
- * Initialize freeze state
+ * Current freeze state, loading it from disk on first use
  */
-function initializeFreezeState() {
-  freezeState = {
+function getState() {
+  return freezeState || loadFreezeState();
+}
+
+/**
+ * Freeze state with no active bank
+ */
+function emptyFreezeState() {
+  return {
     active_bank: null,
     legacy_banks: [],
     frozen: false,
     freeze_reason: null,
     frozen_at: null
   };
+}
+
+/**
+ * Initialize freeze state
+ */
+function initializeFreezeState() {
+  freezeState = emptyFreezeState();
   saveFreezeState();
 }
 
 /**
  * Set active bank
  */
-function setActiveBank(bankId, bankPath) {
-  if (freezeState.frozen) {
-    throw new Error(`Cannot set active bank: system is frozen (${freezeState.freeze_reason})`);
+function setActiveBank(bankId, bankPath, bankHash = null) {
+  if (getState().frozen) {
+    throw new Error(`Cannot set active bank: system is frozen (${getState().freeze_reason})`);
   }
   
   // Move previous active bank to legacy if it exists
-  if (freezeState.active_bank) {
-    moveToLegacy(freezeState.active_bank);
+  if (getState().active_bank) {
+    moveToLegacy(getState().active_bank);
   }
   
   // Set new active bank
-  freezeState.active_bank = {
+  getState().active_bank = {
     bank_id: bankId,
+    bank_hash: bankHash,
     bank_path: bankPath,
     activated_at: new Date().toISOString()
   };
@@ -110,14 +125,14 @@ function setActiveBank(bankId, bankPath) {
  */
 function moveToLegacy(bank) {
   // Add to legacy banks
-  freezeState.legacy_banks.push({
+  getState().legacy_banks.push({
     ...bank,
     moved_to_legacy_at: new Date().toISOString()
   });
   
   // Enforce legacy bank limit
-  if (freezeState.legacy_banks.length > FREEZE_POLICY.MAX_LEGACY_BANKS) {
-    const oldest = freezeState.legacy_banks.shift();
+  if (getState().legacy_banks.length > FREEZE_POLICY.MAX_LEGACY_BANKS) {
+    const oldest = getState().legacy_banks.shift();
     console.log(`Removed oldest legacy bank: ${oldest.bank_id}`);
   }
   
@@ -128,23 +143,23 @@ function moveToLegacy(bank) {
  * Get active bank
  */
 function getActiveBank() {
-  return freezeState.active_bank;
+  return getState().active_bank;
 }
 
 /**
  * Get legacy banks
  */
 function getLegacyBanks() {
-  return freezeState.legacy_banks;
+  return getState().legacy_banks;
 }
 
 /**
  * Freeze bank system
  */
 function freezeBankSystem(reason) {
-  freezeState.frozen = true;
-  freezeState.freeze_reason = reason;
-  freezeState.frozen_at = new Date().toISOString();
+  getState().frozen = true;
+  getState().freeze_reason = reason;
+  getState().frozen_at = new Date().toISOString();
   
   saveFreezeState();
   console.log(`Bank system frozen: ${reason}`);
@@ -154,9 +169,9 @@ function freezeBankSystem(reason) {
  * Unfreeze bank system
  */
 function unfreezeBankSystem() {
-  freezeState.frozen = false;
-  freezeState.freeze_reason = null;
-  freezeState.frozen_at = null;
+  getState().frozen = false;
+  getState().freeze_reason = null;
+  getState().frozen_at = null;
   
   saveFreezeState();
   console.log('Bank system unfrozen');
@@ -166,7 +181,7 @@ function unfreezeBankSystem() {
  * Check if system is frozen
  */
 function isSystemFrozen() {
-  return freezeState.frozen;
+  return getState().frozen;
 }
 
 /**
@@ -174,11 +189,11 @@ function isSystemFrozen() {
  */
 function getFreezeStatus() {
   return {
-    frozen: freezeState.frozen,
-    reason: freezeState.freeze_reason,
-    frozen_at: freezeState.frozen_at,
-    active_bank: freezeState.active_bank,
-    legacy_count: freezeState.legacy_banks.length
+    frozen: getState().frozen,
+    reason: getState().freeze_reason,
+    frozen_at: getState().frozen_at,
+    active_bank: getState().active_bank,
+    legacy_count: getState().legacy_banks.length
   };
 }
 
@@ -196,7 +211,7 @@ function validateBankForActivation(bankPath) {
   
   // Check if system is frozen
   if (isSystemFrozen()) {
-    errors.push(`System is frozen: ${freezeState.freeze_reason}`);
+    errors.push(`System is frozen: ${getState().freeze_reason}`);
     return { valid: false, errors };
   }
   
@@ -217,8 +232,11 @@ function validateBankForActivation(bankPath) {
       errors.push('Bank package missing signature');
     }
     
-    // Check if bank is already active
-    if (freezeState.active_bank && freezeState.active_bank.bank_id === bankPackage.meta.bank_id) {
+    // Check if bank is already active (versions of one bank share its bank_id)
+    const activeBank = getState().active_bank;
+    if (activeBank && (activeBank.bank_hash
+      ? activeBank.bank_hash === bankPackage.meta.bank_hash_sha256
+      : activeBank.bank_id === bankPackage.meta.bank_id)) {
       errors.push('Bank is already active');
     }
     
@@ -243,12 +261,13 @@ function activateBank(bankPath) {
   }
   
   const bankPackage = JSON.parse(fs.readFileSync(bankPath, 'utf8'));
-  setActiveBank(bankPackage.meta.bank_id, bankPath);
+  setActiveBank(bankPackage.meta.bank_id, bankPath, bankPackage.meta.bank_hash_sha256);
   
   return {
     success: true,
     bank_id: bankPackage.meta.bank_id,
-    activated_at: freezeState.active_bank.activated_at
+    bank_hash: bankPackage.meta.bank_hash_sha256,
+    activated_at: getState().active_bank.activated_at
   };
 }
 
@@ -256,15 +275,16 @@ function activateBank(bankPath) {
  * Rollback to previous bank
  */
 function rollbackToPreviousBank() {
-  if (freezeState.legacy_banks.length === 0) {
+  if (getState().legacy_banks.length === 0) {
     throw new Error('No previous bank available for rollback');
   }
   
-  const previousBank = freezeState.legacy_banks.pop();
+  const previousBank = getState().legacy_banks.pop();
   
   // Set as active
-  freezeState.active_bank = {
+  getState().active_bank = {
     bank_id: previousBank.bank_id,
+    bank_hash: previousBank.bank_hash || null,
     bank_path: previousBank.bank_path,
     activated_at: new Date().toISOString(),
     rolled_back_from: previousBank.moved_to_legacy_at
@@ -276,7 +296,8 @@ function rollbackToPreviousBank() {
   return {
     success: true,
     bank_id: previousBank.bank_id,
-    rolled_back_at: freezeState.active_bank.activated_at
+    bank_hash: previousBank.bank_hash || null,
+    rolled_back_at: getState().active_bank.activated_at
   };
 }
 
@@ -287,17 +308,17 @@ function listAvailableBanks() {
   const banks = [];
   
   // Add active bank
-  if (freezeState.active_bank) {
+  if (getState().active_bank) {
     banks.push({
-      bank_id: freezeState.active_bank.bank_id,
+      bank_id: getState().active_bank.bank_id,
       status: 'active',
-      activated_at: freezeState.active_bank.activated_at,
-      path: freezeState.active_bank.bank_path
+      activated_at: getState().active_bank.activated_at,
+      path: getState().active_bank.bank_path
     });
   }
   
   // Add legacy banks
-  for (const legacy of freezeState.legacy_banks) {
+  for (const legacy of getState().legacy_banks) {
     banks.push({
       bank_id: legacy.bank_id,
       status: 'legacy',
@@ -316,14 +337,14 @@ function cleanupExpiredLegacyBanks() {
   const now = new Date();
   const retentionMs = FREEZE_POLICY.LEGACY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
   
-  const beforeCount = freezeState.legacy_banks.length;
+  const beforeCount = getState().legacy_banks.length;
   
-  freezeState.legacy_banks = freezeState.legacy_banks.filter(bank => {
+  getState().legacy_banks = getState().legacy_banks.filter(bank => {
     const movedAt = new Date(bank.moved_to_legacy_at);
     return (now - movedAt) < retentionMs;
   });
   
-  const afterCount = freezeState.legacy_banks.length;
+  const afterCount = getState().legacy_banks.length;
   const cleanedCount = beforeCount - afterCount;
   
   if (cleanedCount > 0) {
@@ -351,7 +372,7 @@ function getBankFreezePolicy() {
 function exportBankFreezeData() {
   return {
     policy: FREEZE_POLICY,
-    state: freezeState,
+    state: getState(),
     available_banks: listAvailableBanks(),
     exported_at: new Date().toISOString()
   };
@@ -367,16 +388,14 @@ function initializeFreezeSystem() {
   cleanupExpiredLegacyBanks();
   
   console.log('Bank freeze system initialized');
-  console.log(`Active bank: ${freezeState.active_bank ? freezeState.active_bank.bank_id : 'None'}`);
-  console.log(`Legacy banks: ${freezeState.legacy_banks.length}`);
-  console.log(`Frozen: ${freezeState.frozen}`);
+  console.log(`Active bank: ${getState().active_bank ? getState().active_bank.bank_id : 'None'}`);
+  console.log(`Legacy banks: ${getState().legacy_banks.length}`);
+  console.log(`Frozen: ${getState().frozen}`);
 }
 
-// Initialize on module load
-initializeFreezeSystem();
-
 module.exports = {
   FREEZE_POLICY,
+  getFreezeStatePath,
   loadFreezeState,
   saveFreezeState,
   initializeFreezeState,
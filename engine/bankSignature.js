@@ -0,0 +1,194 @@
+/**
+ * Bank Signature - Ed25519 signing and verification of bank packages
+ *
+ * The signed payload is the canonical JSON (keys sorted recursively) of the whole
+ * package with meta.signature removed, so signed_at, signed_by and signature_algorithm
+ * are covered by the signature too. Keys are PEM (PKCS#8 private, SPKI public) or
+ * base64 SPKI DER for public keys embedded in configuration.
+ *
+ * Other documents the environment vouches for (e.g. retention purge reports) are
+ * signed with the same keys; their signature block lives in a top-level `signature`.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Canonicalize JSON (sort keys recursively)
+ * @param {*} obj - Value to canonicalize
+ * @returns {*} Canonical value
+ */
+function canonicalize(obj) {
+  if (obj === null || typeof obj !== 'object') {
+    return obj;
+  }
+
+  if (Array.isArray(obj)) {
+    return obj.map(canonicalize);
+  }
+
+  const sorted = {};
+  Object.keys(obj).sort().forEach(key => {
+    sorted[key] = canonicalize(obj[key]);
+  });
+  return sorted;
+}
+
+/**
+ * Bytes covered by the signature of a bank package
+ * @param {Object} bankPackage - Bank package
+ * @returns {Buffer} Signing payload
+ */
+function getSigningPayload(bankPackage) {
+  const meta = { ...bankPackage.meta };
+  delete meta.signature;
+  return Buffer.from(JSON.stringify(canonicalize({ ...bankPackage, meta })), 'utf8');
+}
+
+/**
+ * Turn a PEM string or base64 SPKI DER string into a public KeyObject
+ * @param {string|crypto.KeyObject} key - Public key
+ * @returns {crypto.KeyObject} Public key
+ */
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    return key;
+  }
+  if (key.includes('-----BEGIN')) {
+    return crypto.createPublicKey(key);
+  }
+  return crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+}
+
+/**
+ * Generate an Ed25519 key pair
+ * @returns {Object} { privateKey: PEM, publicKey: PEM, publicKeyBase64: base64 SPKI DER }
+ */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+    publicKeyBase64: publicKey.export({ format: 'der', type: 'spki' }).toString('base64')
+  };
+}
+
+/**
+ * Public key of an Ed25519 private key, as base64 SPKI DER
+ * @param {string|crypto.KeyObject} privateKey - Ed25519 private key
+ * @returns {string} Public key
+ */
+function getPublicKeyBase64(privateKey) {
+  return crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).toString('base64');
+}
+
+/**
+ * Sign a bank package in place
+ * @param {Object} bankPackage - Bank package (bank_hash_sha256 already set)
+ * @param {string|crypto.KeyObject} privateKey - Ed25519 private key
+ * @param {string} signedBy - Environment that signed the package
+ * @returns {string} Hex signature
+ */
+function signBankPackage(bankPackage, privateKey, signedBy) {
+  bankPackage.meta.signature_algorithm = SIGNATURE_ALGORITHM;
+  bankPackage.meta.signed_at = new Date().toISOString();
+  bankPackage.meta.signed_by = signedBy;
+
+  const signature = crypto.sign(null, getSigningPayload(bankPackage), privateKey).toString('hex');
+  bankPackage.meta.signature = signature;
+  return signature;
+}
+
+/**
+ * Verify the signature of a bank package
+ * @param {Object} bankPackage - Bank package
+ * @param {string|crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {Object} { valid, error }
+ */
+function verifyBankSignature(bankPackage, publicKey) {
+  const { signature, signature_algorithm: algorithm } = bankPackage.meta || {};
+  if (!signature) {
+    return { valid: false, error: 'No signature found' };
+  }
+  if (algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, error: `Unsupported signature algorithm: ${algorithm || 'none'}` };
+  }
+  if (!/^[0-9a-f]{128}$/.test(signature)) {
+    return { valid: false, error: 'Invalid signature format' };
+  }
+
+  try {
+    const valid = crypto.verify(null, getSigningPayload(bankPackage), toPublicKey(publicKey), Buffer.from(signature, 'hex'));
+    return valid ? { valid: true } : { valid: false, error: 'Signature does not match bank package' };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Bytes covered by the signature of a signed document
+ * @param {Object} document - Document
+ * @returns {Buffer} Signing payload
+ */
+function getDocumentSigningPayload(document) {
+  const { signature, ...payload } = document;
+  return Buffer.from(JSON.stringify(canonicalize({
+    ...payload,
+    signature: signature ? { ...signature, value: undefined } : undefined
+  })), 'utf8');
+}
+
+/**
+ * Sign a document in place (signature block: algorithm, signed_at, signed_by, value)
+ * @param {Object} document - Document
+ * @param {string|crypto.KeyObject} privateKey - Ed25519 private key
+ * @param {string} signedBy - Environment that signed the document
+ * @returns {string} Hex signature
+ */
+function signDocument(document, privateKey, signedBy) {
+  document.signature = {
+    algorithm: SIGNATURE_ALGORITHM,
+    signed_at: new Date().toISOString(),
+    signed_by: signedBy
+  };
+
+  const value = crypto.sign(null, getDocumentSigningPayload(document), privateKey).toString('hex');
+  document.signature.value = value;
+  return value;
+}
+
+/**
+ * Verify the signature of a signed document
+ * @param {Object} document - Document
+ * @param {string|crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {Object} { valid, error }
+ */
+function verifyDocumentSignature(document, publicKey) {
+  const { value, algorithm } = document.signature || {};
+  if (!value) {
+    return { valid: false, error: 'No signature found' };
+  }
+  if (algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, error: `Unsupported signature algorithm: ${algorithm || 'none'}` };
+  }
+
+  try {
+    const valid = crypto.verify(null, getDocumentSigningPayload(document), toPublicKey(publicKey), Buffer.from(value, 'hex'));
+    return valid ? { valid: true } : { valid: false, error: 'Signature does not match document' };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  canonicalize,
+  getSigningPayload,
+  generateKeyPair,
+  getPublicKeyBase64,
+  signBankPackage,
+  verifyBankSignature,
+  signDocument,
+  verifyDocumentSignature
+};
@@ -25,11 +25,6 @@ class BankStorage {
       const bankData = fs.readFileSync(bankPath, 'utf8');
       const bankPackage = JSON.parse(bankData);
 
-      // Verify signature exists
-      if (!bankPackage.meta.signature) {
-        throw new Error('Bank package must be signed');
-      }
-
       // Get bank hash
       const bankHash = bankPackage.meta.bank_hash_sha256;
       if (!bankHash) {
@@ -84,6 +79,15 @@ class BankStorage {
     return Array.from(this.loadedBanks.keys());
   }
 
+  /**
+   * Drop a bank from storage once no engine needs it
+   * @param {string} bankHash - Bank hash
+   * @returns {boolean} True if the bank was loaded
+   */
+  unloadBank(bankHash) {
+    return this.loadedBanks.delete(bankHash);
+  }
+
   /**
    * Add allowed bank hash to whitelist
    * @param {string} bankHash - Bank hash to allow
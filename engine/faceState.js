@@ -0,0 +1,175 @@
+/**
+ * Face State Evaluator - How a face's ledger becomes LIT, LEAN, GHOST, COLD or ABSENT
+ *
+ * One evaluator for the engine, replays and calibration. Gates run in the order of the
+ * system behavior spec (GHOST overrides, then the LIT/LEAN gates) and read every field of
+ * the constants profile:
+ *   ABSENT  no question hit
+ *   GHOST   Q >= 6 from two families or fewer, BROKEN >= CLEAN, or one family over
+ *           PER_SCREEN_CAP of the hits
+ *   LIT     the LIT_* minimums, BROKEN < CLEAN when BROKEN_CAP_LIT.BROKEN_LT_CLEAN, contrast
+ *           when REQUIRE_CONTRAST, at most LIT_MAX_BROKEN broken hits - or
+ *           CLEAN_OVERRIDE.ALLOW_BROKEN when ALLOW_CLEAN_OVERRIDE and CLEAN_OVERRIDE is met
+ *   LEAN    the LEAN_* minimums with fewer broken than clean hits
+ *   COLD    two or three questions from two families or more
+ *   ABSENT  anything else
+ */
+
+/**
+ * Gates that can decide a face's state, mapped to the state they decide
+ */
+const FACE_STATE_GATES = {
+  NO_EVIDENCE: 'ABSENT',
+  NARROW: 'GHOST',
+  BROKEN_CAP: 'GHOST',
+  CONCENTRATED: 'GHOST',
+  LIT: 'LIT',
+  CLEAN_OVERRIDE: 'LIT',
+  LEAN: 'LEAN',
+  COLD: 'COLD',
+  BELOW_COLD: 'ABSENT'
+};
+
+/**
+ * Questions from two families or fewer that make a face GHOST (the spec's Q >= 6)
+ */
+const NARROW_MIN_QUESTIONS = 6;
+
+/**
+ * Size of a ledger collection - Sets in live sessions, arrays once serialized
+ */
+function countOf(collection) {
+  if (!collection) return 0;
+  return collection instanceof Set ? collection.size : collection.length;
+}
+
+/**
+ * Compute the metrics the gates read from a face ledger
+ * @param {Object} ledger - Face ledger (questions_hit, families_hit, signature_qids, context_counts, per_family_counts, contrast_seen)
+ * @returns {Object} { Q, FAM, SIG, CLEAN, BENT, BROKEN, TOTAL, MAX_FAM_SHARE, contrast_seen, per_family_counts }
+ */
+function computeFaceMetrics(ledger) {
+  const counts = ledger.context_counts || {};
+  const CLEAN = counts.Clean || 0;
+  const BENT = counts.Bent || 0;
+  const BROKEN = counts.Broken || 0;
+  const TOTAL = CLEAN + BENT + BROKEN;
+  const perFamilyCounts = ledger.per_family_counts || {};
+  const familyCounts = Object.values(perFamilyCounts);
+
+  return {
+    Q: countOf(ledger.questions_hit),
+    FAM: countOf(ledger.families_hit),
+    SIG: countOf(ledger.signature_qids),
+    CLEAN,
+    BENT,
+    BROKEN,
+    TOTAL,
+    MAX_FAM_SHARE: TOTAL > 0 && familyCounts.length > 0 ? Math.max(...familyCounts) / TOTAL : 0,
+    contrast_seen: Boolean(ledger.contrast_seen),
+    per_family_counts: perFamilyCounts
+  };
+}
+
+/**
+ * Gate a face passes LIT through, if any
+ * @param {Object} metrics - Face metrics
+ * @param {Object} constants - Constants profile
+ * @returns {string|null} LIT, CLEAN_OVERRIDE or null
+ */
+function litGate(metrics, constants) {
+  const { Q, FAM, SIG, CLEAN, BROKEN, contrast_seen } = metrics;
+  const brokenBelowClean = !(constants.BROKEN_CAP_LIT && constants.BROKEN_CAP_LIT.BROKEN_LT_CLEAN) || BROKEN < CLEAN;
+
+  if (Q < constants.LIT_MIN_QUESTIONS ||
+      FAM < constants.LIT_MIN_FAMILIES ||
+      SIG < constants.LIT_MIN_SIGNATURE ||
+      CLEAN < constants.LIT_MIN_CLEAN ||
+      !brokenBelowClean ||
+      (constants.REQUIRE_CONTRAST && !contrast_seen)) {
+    return null;
+  }
+
+  if (BROKEN <= constants.LIT_MAX_BROKEN) {
+    return 'LIT';
+  }
+
+  const override = constants.ALLOW_CLEAN_OVERRIDE ? constants.CLEAN_OVERRIDE : null;
+  if (override &&
+      CLEAN >= override.CLEAN &&
+      FAM >= override.FAM &&
+      BROKEN <= override.ALLOW_BROKEN) {
+    return 'CLEAN_OVERRIDE';
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a face's state from its metrics
+ * @param {Object} metrics - Face metrics from computeFaceMetrics
+ * @param {Object} constants - Constants profile (e.g. bankLoader.getConstants())
+ * @returns {Object} { state, gate } - The state and the gate of FACE_STATE_GATES that decided it
+ */
+function evaluateFaceState(metrics, constants) {
+  const { Q, FAM, SIG, CLEAN, BROKEN, MAX_FAM_SHARE } = metrics;
+  const decide = gate => ({ state: FACE_STATE_GATES[gate], gate });
+
+  if (Q === 0) {
+    return decide('NO_EVIDENCE');
+  }
+
+  if (Q >= NARROW_MIN_QUESTIONS && FAM <= 2) {
+    return decide('NARROW');
+  }
+  if (BROKEN >= CLEAN) {
+    return decide('BROKEN_CAP');
+  }
+  if (MAX_FAM_SHARE > constants.PER_SCREEN_CAP) {
+    return decide('CONCENTRATED');
+  }
+
+  const lit = litGate(metrics, constants);
+  if (lit) {
+    return decide(lit);
+  }
+
+  if (Q >= constants.LEAN_MIN_QUESTIONS &&
+      FAM >= constants.LEAN_MIN_FAMILIES &&
+      SIG >= constants.LEAN_MIN_SIGNATURE &&
+      CLEAN >= constants.LEAN_MIN_CLEAN &&
+      BROKEN < CLEAN) {
+    return decide('LEAN');
+  }
+
+  if (Q >= 2 && Q <= 3 && FAM >= 2) {
+    return decide('COLD');
+  }
+
+  return decide('BELOW_COLD');
+}
+
+/**
+ * Evaluate every face of a face ledger
+ * @param {Map|Object} faceLedger - Face ledgers by face ID
+ * @param {Object} constants - Constants profile
+ * @returns {Object} Face states by face ID: { state, gate, metrics }
+ */
+function evaluateFaceLedger(faceLedger, constants) {
+  const entries = faceLedger instanceof Map ? Array.from(faceLedger.entries()) : Object.entries(faceLedger || {});
+  const faceStates = {};
+
+  entries.forEach(([faceId, ledger]) => {
+    const metrics = computeFaceMetrics(ledger);
+    faceStates[faceId] = { ...evaluateFaceState(metrics, constants), metrics };
+  });
+
+  return faceStates;
+}
+
+module.exports = {
+  FACE_STATE_GATES,
+  computeFaceMetrics,
+  evaluateFaceState,
+  evaluateFaceLedger
+};
@@ -29,6 +29,10 @@ class FeatureFlags {
     this.setFlag('ENABLE_RATE_LIMITING', process.env.ENABLE_RATE_LIMITING !== 'false');
     this.setFlag('ENABLE_DEBUG_MODE', process.env.ENABLE_DEBUG_MODE === 'true');
     this.setFlag('ENABLE_DEV_SHORTCUTS', process.env.ENABLE_DEV_SHORTCUTS === 'true');
+    this.setFlag('ENABLE_ADAPTIVE_SCHEDULING', process.env.ENABLE_ADAPTIVE_SCHEDULING === 'true');
+    this.setFlag('PICKS_POLICY', process.env.PICKS_POLICY || null);
+    this.setFlag('CONSENT_VERSION', parseInt(process.env.CONSENT_VERSION || '1', 10));
+    this.setFlag('SESSION_IDLE_TIMEOUT_MS', parseInt(process.env.SESSION_IDLE_TIMEOUT_MS || '1800000', 10));
   }
 
   /**
@@ -192,6 +196,38 @@ class FeatureFlags {
     return this.getFlag('ENABLE_DEV_SHORTCUTS', false);
   }
 
+  /**
+   * Check if adaptive question scheduling is enabled for new sessions
+   * @returns {boolean} True if adaptive scheduling is enabled
+   */
+  isAdaptiveSchedulingEnabled() {
+    return this.getFlag('ENABLE_ADAPTIVE_SCHEDULING', false);
+  }
+
+  /**
+   * Get the picks policy override for new sessions
+   * @returns {string|null} 'at_least_one', 'all_21_on_zero' or null to use the bank's policy
+   */
+  getPicksPolicy() {
+    return this.getFlag('PICKS_POLICY', null);
+  }
+
+  /**
+   * Get the consent version sessions must have agreed to
+   * @returns {number} Current consent version; bumping it requires existing sessions to re-consent
+   */
+  getConsentVersion() {
+    return this.getFlag('CONSENT_VERSION', 1);
+  }
+
+  /**
+   * Get the idle time after which an active session is auto-paused
+   * @returns {number} Timeout in milliseconds (0 disables auto-pause)
+   */
+  getSessionIdleTimeoutMs() {
+    return this.getFlag('SESSION_IDLE_TIMEOUT_MS', 1800000);
+  }
+
   /**
    * Get all flags
    * @returns {Object} All flags
@@ -279,6 +315,11 @@ class FeatureFlags {
       warnings.push('Quiz-only mode with results disabled may cause issues');
     }
 
+    const idleTimeoutMs = this.getSessionIdleTimeoutMs();
+    if (!Number.isInteger(idleTimeoutMs) || idleTimeoutMs < 0) {
+      errors.push('SESSION_IDLE_TIMEOUT_MS must be a non-negative integer');
+    }
+
     if (this.isDebugModeEnabled() && !this.isVerboseLoggingEnabled()) {
       warnings.push('Debug mode without verbose logging may not be useful');
     }
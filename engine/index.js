@@ -5,75 +5,207 @@
  * Single source of truth: bank_package.json
  */
 
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const BankLoader = require('./bankLoader');
+const bankStorage = require('./bankStorage');
+const bankFreezePolicy = require('./bankFreezePolicy');
+const incidentPlaybook = require('./incidentPlaybook');
 const engineVersion = require('./version');
 const monitoring = require('./monitoring');
 const featureFlags = require('./featureFlags');
+const { createSessionStore } = require('./sessionStore');
+const AnalyticsEventCollector = require('./analytics');
+const TelemetryCollector = require('./telemetry');
+const SLOsManager = require('./slos');
+const ErrorCodesRegistry = require('./errorCodes');
+const ExportGenerator = require('./exports');
+const privacyConsent = require('./privacyConsent');
+const { toPublicQuestion } = require('./questionView');
+const { computeFaceMetrics, evaluateFaceState } = require('./faceState');
+const { LocaleBundles, isValidLocale } = require('./localeBundles');
+const PrivacyAuditLog = require('./privacyAuditLog');
+const multiRunAggregation = require('./multiRunAggregation');
+const RecoveryManager = require('./recovery');
+const RetentionManager = require('./retention');
+const replayAuditStore = require('./replayAuditStore');
+const httpErrors = require('./httpErrors');
+const { RateLimitManager } = require('./rateLimiting');
+const SecurityManager = require('./security');
+const ConcurrencyManager = require('./concurrency');
+const { getRateLimits, getAPITokens, getSessionTokenSecret, isAPITokenRequired } = require('./multiEnvConfig');
+const { PICKS_POLICIES, getMinimumPicks, planSchedule } = require('./schedulePolicy');
+const { createRNG, restoreRNG, isSupportedAlgorithm, DEFAULT_RNG_ALGORITHM, LEGACY_RNG_ALGORITHM } = require('./rng');
+
+const SCHEDULING_MODES = ['static', 'adaptive'];
+
+// Sessions in these states no longer need their bank to continue
+const TERMINAL_STATES = ['FINALIZED', 'ABORTED'];
+
+// Idempotency keys remembered per session (oldest are dropped first)
+const MAX_IDEMPOTENCY_KEYS = 100;
+
+// exportSession types and the ExportGenerator method that builds each document
+const EXPORT_TYPES = {
+  verdicts: 'generateVerdictExport',
+  face_presence: 'generateFacePresenceExport',
+  proof_tells: 'generateProofTellsExport',
+  comprehensive: 'generateComprehensiveExport',
+  analytics: 'generateAnalyticsExport',
+  audit: 'generateAuditExport'
+};
+
+// Session state machine - every state change goes through _transition()
+const errorCodes = new ErrorCodesRegistry();
+
+const STATE_TRANSITIONS = {
+  INIT: ['PICKED', 'ABORTED'],
+  PICKED: ['IN_PROGRESS', 'PAUSED', 'ABORTED'],
+  IN_PROGRESS: ['FINALIZING', 'PAUSED', 'ABORTED'],
+  PAUSED: ['PICKED', 'IN_PROGRESS', 'ABORTED'],
+  FINALIZING: ['FINALIZED', 'ABORTED'],
+  FINALIZED: [],
+  ABORTED: []
+};
 
 class PFFEngine {
-  constructor() {
-    this.bankLoader = new BankLoader();
-    this.sessions = new Map();
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.sessionStore - Session store adapter (defaults to SESSION_STORE env selection)
+   * @param {number} options.idleTimeoutMs - Auto-pause threshold (defaults to SESSION_IDLE_TIMEOUT_MS flag, 0 disables)
+   * @param {string} options.rngAlgorithm - PRNG for new sessions (defaults to xoroshiro128plus)
+   * @param {Object} options.privacyAuditLog - Privacy audit log (defaults to PRIVACY_AUDIT_LOG_PATH selection)
+   * @param {string} options.recoveryDir - Recovery file directory searched on erasure (defaults to RECOVERY_DIR or ./recovery)
+   * @param {Object} options.rateLimits - API rate limits (defaults to the environment's multiEnvConfig rate_limits)
+   */
+  constructor(options = {}) {
+    this.bankLoader = new BankLoader(); // Active bank: new sessions start on it
+    this.banks = new Map(); // bankHash -> BankLoader for every bank a session may be bound to
+    this.bankPaths = new Map(); // bankHash -> path it was loaded from, to reload unloaded banks
+    this.unfinishedByBank = new Map(); // bankHash -> IDs of unfinished sessions this instance saved on it
+    this.localeBundles = new Map(); // bankHash -> LocaleBundles packed next to the bank
+    this.bankWatch = null; // { statePath, listener } while the freeze state file is watched
+    this.sessionStore = options.sessionStore || createSessionStore();
+    this.sessions = new Map(); // Hydrated session cache, validated against store revisions
+    this.idleTimeoutMs = options.idleTimeoutMs !== undefined ? options.idleTimeoutMs : null;
+    this.telemetry = new TelemetryCollector();
+    this.slos = new SLOsManager();
+    this.analytics = new Map(); // Per-session analytics collectors
+    this.rngAlgorithm = options.rngAlgorithm || DEFAULT_RNG_ALGORITHM;
+    this.privacyAuditLog = options.privacyAuditLog || new PrivacyAuditLog();
+    this.recoveryDir = options.recoveryDir || process.env.RECOVERY_DIR || './recovery';
+    this.rateLimiter = new RateLimitManager(options.rateLimits || getRateLimits());
+    this.security = new SecurityManager();
+    this.concurrency = new ConcurrencyManager();
+  }
+
+  /**
+   * Replace the session store adapter
+   * @param {Object} sessionStore - Adapter implementing get/put/compareAndSet/delete
+   */
+  setSessionStore(sessionStore) {
+    this.sessionStore = sessionStore;
+    this.sessions.clear();
+    this.unfinishedByBank.clear();
   }
 
   /**
-   * Initialize a new session (Batch 2 API Contract)
+   * Initialize a new session (Batch 2 API Contract). The session is bound to its bank
+   * for its whole life, even after another bank is activated.
    * @param {string} sessionSeed - Seed for deterministic behavior
-   * @param {string} bankPath - Path to bank_package.json
+   * @param {string} bankPath - Path to bank_package.json (loaded once per path; omit to use the active bank)
+   * @param {Object} options - { rngAlgorithm: PRNG to use, e.g. 'lcg32' when replaying older sessions,
+   *                             schedulingMode: 'static' | 'adaptive' (defaults to constants profile / feature flag),
+   *                             picksPolicy: 'at_least_one' | 'all_21_on_zero' (defaults to feature flag / bank schedule policy),
+   *                             privacy: { consent_version, privacy_flags } granted by the respondent (defaults to no exports),
+   *                             locale: locale questions are returned in, e.g. 'es-MX' (defaults to the bank's default locale) }
    * @returns {Object} Session state matching Batch 2 contract
    */
-  initSession(sessionSeed, bankPath) {
-    // Load bank if not already loaded
-    if (!this.bankLoader.bankPackage) {
-      this.bankLoader.loadBank(bankPath);
-    }
+  initSession(sessionSeed, bankPath, options = {}) {
+    const bank = bankPath ? this._getBankForPath(bankPath) : this._getActiveBank();
 
     // Check bank hash against allowed list
-    const bankHash = this.bankLoader.getBankHash();
+    const bankHash = bank.getBankHash();
     if (!featureFlags.isBankHashAllowed(bankHash)) {
       throw new Error(`Bank hash ${bankHash} not in allowed list`);
     }
 
     // Validate bank version binding (Batch 2 requirement)
-    const bankId = this.bankLoader.getBankId();
+    const bankId = bank.getBankId();
     if (!bankId) {
       throw this._createError('E_BANK_DEFECT', 'Bank package missing bank_id');
     }
 
-    // Compute deterministic seed
-    const constantsProfile = this.bankLoader.getConstantsProfile();
+    const rngAlgorithm = options.rngAlgorithm || this.rngAlgorithm;
+    if (!isSupportedAlgorithm(rngAlgorithm)) {
+      throw this._createError('E_INVALID_RNG_ALGORITHM', `Unsupported RNG algorithm: ${rngAlgorithm}`);
+    }
+
+    const schedulingMode = options.schedulingMode || this._getSchedulingMode(bank);
+    if (!SCHEDULING_MODES.includes(schedulingMode)) {
+      throw this._createError('E_INVALID_SCHEDULING_MODE', `Unsupported scheduling mode: ${schedulingMode}`);
+    }
+
+    const picksPolicy = options.picksPolicy || this._getPicksPolicy(bank);
+    if (!PICKS_POLICIES.includes(picksPolicy)) {
+      throw this._createError('E_INVALID_PICKS_POLICY', `Unsupported picks policy: ${picksPolicy}`);
+    }
+
+    const privacy = options.privacy || {};
+    const consentVersion = privacy.consent_version || featureFlags.getConsentVersion();
+    this._validateConsent(consentVersion, privacy.privacy_flags || {});
+
+    const locale = options.locale || null;
+    if (locale && !isValidLocale(locale)) {
+      throw this._createError('E_INVALID_LOCALE', `Invalid locale: ${locale}`, 'Use a locale tag such as en or es-MX');
+    }
+
+    const constantsProfile = bank.getConstantsProfile();
     
     // Update engine version tracking
     engineVersion.setBankHash(bankHash);
     engineVersion.setConstantsProfile(constantsProfile);
-    
-    const seed = crypto.createHash('sha256')
-      .update(sessionSeed + bankHash + constantsProfile)
-      .digest('hex');
 
     // Initialize session state with Batch 2 structure
     const sessionId = crypto.createHash('sha256').update(sessionSeed).digest('hex').substring(0, 16);
+
+    // A seed names one session: init (which is unauthenticated and issues a session token)
+    // only replaces an earlier session for the seed once it was aborted
+    const existing = this.sessionStore.get(sessionId);
+    if (existing && existing.state !== 'ABORTED') {
+      throw this._createError('E_STATE', `Session ${sessionId} already exists`,
+        'Continue the existing session, or start a new one with another seed');
+    }
+
     const session = {
       sessionId,
       sessionSeed,
-      bankId: this.bankLoader.getBankId(),
+      bankId,
       bankHash,
       constantsProfile,
       picks: new Set(),
       schedule: [],
+      servedQuestions: [],
+      cursor: -1,
       lineState: new Map(),
       screenFaceCount: new Map(),
       faceLedger: new Map(),
       answers: [], // Batch 2: answers array for replacement tracking
       state: 'INIT', // Batch 2: proper state machine
       startedAt: new Date().toISOString(),
-      prng: this._createPRNG(seed)
+      totalQuestions: bank.getSchedulePolicy().session_length,
+      schedulingMode,
+      picksPolicy,
+      privacy: privacyConsent.createPrivacyContext(sessionId, consentVersion, privacy.privacy_flags || {}),
+      locale,
+      rngAlgorithm,
+      prng: this.derivePRNG(sessionSeed, bankHash, constantsProfile, rngAlgorithm),
+      revision: existing ? existing.revision : null
     };
 
     // Initialize line state for all families
-    const allFamilies = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
-    allFamilies.forEach(family => {
+    bank.getFamilies().forEach(family => {
       session.lineState.set(family, {
         C: 0,
         O_seen: false,
@@ -82,32 +214,32 @@ class PFFEngine {
     });
 
     // Initialize face ledger for all faces with Batch 2 structure
-    this.bankLoader.indices.faceMeta.forEach((meta, faceId) => {
-      session.faceLedger.set(faceId, {
-        questions_hit: new Set(),
-        families_hit: new Set(),
-        signature_qids: new Set(),
-        context_counts: { Clean: 0, Bent: 0, Broken: 0 },
-        per_family_counts: {},
-        contrast_seen: false
-      });
+    bank.indices.faceMeta.forEach((meta, faceId) => {
+      session.faceLedger.set(faceId, this._createFaceLedger());
     });
 
-    // Store session
-    this.sessions.set(sessionId, session);
+    // Store session (a concurrent init for the same seed loses with E_CONCURRENCY_CONFLICT)
+    this._saveSession(session);
+    this._auditPrivacy(session, 'CONSENT_CAPTURED');
 
     // Track session start
-    monitoring.trackSessionStart(sessionId, {
-      sessionSeed,
-      bankHash,
-      constantsProfile,
-      pickedFamilies: []
-    });
+    if (this._allowsAnalytics(session)) {
+      monitoring.trackSessionStart(sessionId, {
+        sessionSeed,
+        bankHash,
+        constantsProfile,
+        pickedFamilies: []
+      });
+    }
 
     return {
       session_id: sessionId,
       state: 'INIT',
       started_at: session.startedAt,
+      rng_algorithm: rngAlgorithm,
+      scheduling_mode: schedulingMode,
+      picks_policy: picksPolicy,
+      consent_version: consentVersion,
       line_state: this._serializeLineState(session.lineState),
       face_ledger: this._serializeFaceLedger(session.faceLedger)
     };
@@ -120,10 +252,7 @@ class PFFEngine {
    * @returns {Object} Updated session state matching Batch 2 contract
    */
   setPicks(sessionId, pickedFamilies) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
-    }
+    const session = this._getSession(sessionId);
 
     // Validate bank version binding (Batch 2 requirement)
     this._validateBankVersion(session);
@@ -133,15 +262,16 @@ class PFFEngine {
     }
 
     // Validate picked families
-    const validFamilies = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
+    const validFamilies = this._bankFor(session).getFamilies();
     const invalidFamilies = pickedFamilies.filter(family => !validFamilies.includes(family));
     if (invalidFamilies.length > 0) {
       throw this._createError('E_INVALID_FAMILY', `Invalid families: ${invalidFamilies.join(', ')}`);
     }
 
-    // Validate pick count
-    if (pickedFamilies.length < 1 || pickedFamilies.length > 7) {
-      throw this._createError('E_PICK_COUNT', 'Picked families must be between 1 and 7');
+    // Validate pick count - zero picks only under the all_21_on_zero policy
+    const minimumPicks = getMinimumPicks(session.picksPolicy);
+    if (pickedFamilies.length < minimumPicks || pickedFamilies.length > validFamilies.length) {
+      throw this._createError('E_PICK_COUNT', `Picked families must be between ${minimumPicks} and ${validFamilies.length}`);
     }
 
     // Set picks and apply Screen1 seeds
@@ -154,8 +284,15 @@ class PFFEngine {
     });
 
     // Generate deterministic schedule
-    session.schedule = this._generateSchedule(pickedFamilies, session.prng);
-    session.state = 'PICKED';
+    session.schedule = this._generateSchedule(this._bankFor(session), pickedFamilies, session.prng);
+    session.totalQuestions = session.schedule.length;
+    if (session.schedulingMode === 'adaptive') {
+      // Seeded family order, used by the adaptive scheduler to scan and break ties
+      session.familyOrder = [...new Set(session.schedule.map(item => this._bankFor(session).getQuestion(item.qid).family))];
+      session.servedQids = [];
+    }
+    this._transition(session, 'PICKED');
+    this._saveSession(session);
 
     return {
       session_id: sessionId,
@@ -165,59 +302,90 @@ class PFFEngine {
     };
   }
 
+  /**
+   * The question on screen (at the cursor) with its text in a locale, e.g. after the
+   * respondent switches language. The session's locale is not changed.
+   * @param {string} sessionId - Session ID
+   * @param {string} [locale] - Locale tag (defaults to the session's locale); missing text
+   *                            falls back to the base language and then the default locale
+   * @returns {Object} Public question view with locale, stem and option text
+   */
+  getLocalizedQuestion(sessionId, locale) {
+    const session = this._getSession(sessionId);
+
+    // Validate bank version binding (Batch 2 requirement)
+    this._validateBankVersion(session);
+
+    if (locale && !isValidLocale(locale)) {
+      throw this._createError('E_INVALID_LOCALE', `Invalid locale: ${locale}`, 'Use a locale tag such as en or es-MX');
+    }
+
+    const item = session.servedQuestions[session.cursor];
+    if (!item) {
+      throw this._stateError(session, 'No question has been served yet');
+    }
+
+    const revisiting = session.cursor < session.servedQuestions.length - 1;
+    const question = revisiting || session.answers.some(answer => answer.qid === item.qid)
+      ? this._buildServedQuestion(session, session.cursor)
+      : this._buildQuestion(session, item);
+    return this._presentQuestion(session, question, locale || session.locale);
+  }
+
   /**
    * Get next question from queue - Batch 2 API Contract
    * @param {string} sessionId - Session ID
-   * @returns {Object|null} Next question or null if complete
+   * @returns {Object|null} Next question (public view, see questionView.js) or null if complete
    */
   getNextQuestion(sessionId) {
     const startTime = Date.now();
     
     try {
-      const session = this.sessions.get(sessionId);
-      if (!session) {
-        throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
-      }
+      const session = this._getSession(sessionId);
 
       // Validate bank version binding (Batch 2 requirement)
       this._validateBankVersion(session);
 
-      if (session.state !== 'PICKED' && session.state !== 'IN_PROGRESS') {
-        throw this._createError('E_STATE', 'Session must be PICKED or IN_PROGRESS to get next question');
+      // After back-navigation, step forward through questions already served
+      // (also from FINALIZING, while answers are being revised)
+      const revisiting = session.cursor < session.servedQuestions.length - 1;
+      if (session.state !== 'PICKED' && session.state !== 'IN_PROGRESS' &&
+          !(revisiting && session.state === 'FINALIZING')) {
+        throw this._stateError(session, 'Session must be PICKED or IN_PROGRESS to get next question');
+      }
+
+      if (revisiting) {
+        session.cursor += 1;
+        this._saveSession(session);
+        monitoring.trackPerformance('getNextQuestion', Date.now() - startTime);
+        return this._presentQuestion(session, this._buildServedQuestion(session, session.cursor));
       }
 
       if (session.schedule.length === 0) {
         return null;
       }
 
-      const nextQuestion = session.schedule[0];
-      session.schedule = session.schedule.slice(1);
+      // The schedule length is the remaining question budget; adaptive mode picks any
+      // remaining bank question and gives up the slot it replaces
+      let nextQuestion = session.schedule[0];
+      if (session.schedulingMode === 'adaptive') {
+        nextQuestion = this._selectAdaptiveQuestion(session);
+        session.servedQids.push(nextQuestion.qid);
+      }
+      const slot = session.schedule.findIndex(item => item.qid === nextQuestion.qid);
+      const consumed = slot !== -1 ? slot : session.schedule.length - 1;
+      session.schedule = session.schedule.filter((item, index) => index !== consumed);
+      session.pendingQuestion = { ...nextQuestion };
+      session.servedQuestions.push({ ...nextQuestion });
+      session.cursor = session.servedQuestions.length - 1;
 
       // Update state to IN_PROGRESS if this is the first question
       if (session.state === 'PICKED') {
-        session.state = 'IN_PROGRESS';
-      }
-
-      // Get question data from bank
-      const questionData = this.bankLoader.getQuestion(nextQuestion.qid);
-      if (!questionData) {
-        throw this._createError('E_BAD_QID', `Question not found: ${nextQuestion.qid}`);
+        this._transition(session, 'IN_PROGRESS');
       }
+      this._saveSession(session);
 
-      const result = {
-        qid: nextQuestion.qid,
-        familyScreen: nextQuestion.familyScreen,
-        options: questionData.options.map(opt => ({
-          key: opt.id,
-          lineCOF: opt.lineCOF,
-          tells: (opt.tells || []).map(tellId => ({
-            face_id: this._getFaceFromTell(tellId),
-            tell_id: tellId
-          }))
-        })),
-        index: 18 - session.schedule.length,
-        total: 18
-      };
+      const result = this._presentQuestion(session, this._buildQuestion(session, nextQuestion));
 
       // Track performance
       const duration = Date.now() - startTime;
@@ -230,6 +398,61 @@ class PFFEngine {
     }
   }
 
+  /**
+   * Step back to the question served before the current one (back-navigation)
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Question with its current answer as answered_key
+   */
+  getPreviousQuestion(sessionId) {
+    const session = this._getSession(sessionId);
+
+    if (session.cursor < 1) {
+      throw this._createError('E_NO_PREVIOUS_QUESTION', 'There is no question before the current one');
+    }
+
+    return this.getQuestionAt(sessionId, session.cursor);
+  }
+
+  /**
+   * Move the cursor to an already served question (back-navigation)
+   * @param {string} sessionId - Session ID
+   * @param {number} index - 1-based question index, as returned in question.index
+   * @returns {Object} Question with its current answer as answered_key
+   */
+  getQuestionAt(sessionId, index) {
+    const startTime = Date.now();
+
+    try {
+      const session = this._getSession(sessionId);
+
+      // Validate bank version binding (Batch 2 requirement)
+      this._validateBankVersion(session);
+
+      if (!featureFlags.isBackNavigationAllowed()) {
+        throw this._createError('E_BACKNAV_DISABLED', 'Back-navigation is disabled by kill switch');
+      }
+
+      if (session.state !== 'IN_PROGRESS' && session.state !== 'FINALIZING') {
+        throw this._stateError(session, 'Session must be IN_PROGRESS or FINALIZING to revisit questions');
+      }
+
+      if (!Number.isInteger(index) || index < 1 || index > session.servedQuestions.length) {
+        throw this._createError('E_BAD_INDEX',
+          `Question index must be between 1 and ${session.servedQuestions.length}, got ${index}`);
+      }
+
+      session.cursor = index - 1;
+      this._saveSession(session);
+
+      monitoring.trackPerformance('getQuestionAt', Date.now() - startTime);
+
+      return this._presentQuestion(session, this._buildServedQuestion(session, session.cursor));
+    } catch (error) {
+      monitoring.trackError('getQuestionAt', error);
+      throw error;
+    }
+  }
+
   /**
    * Submit answer for a question - Batch 2 API Contract with replacement policy
    * @param {string} sessionId - Session ID
@@ -237,26 +460,39 @@ class PFFEngine {
    * @param {string} optionKey - Option key (A or B)
    * @param {string} ts - Timestamp (optional)
    * @param {number} latencyMs - Latency in milliseconds (optional)
+   * @param {string} idempotencyKey - Client key for this submission; retries with the same key
+   *   return the original result instead of applying the answer again (optional)
    * @returns {Object} Updated session state matching Batch 2 contract
    */
-  submitAnswer(sessionId, qid, optionKey, ts = new Date().toISOString(), latencyMs = 0) {
+  submitAnswer(sessionId, qid, optionKey, ts = new Date().toISOString(), latencyMs = 0, idempotencyKey = null) {
     const startTime = Date.now();
+    const fingerprint = `${qid}:${optionKey}`;
     
     try {
-      const session = this.sessions.get(sessionId);
-      if (!session) {
-        throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
+      const session = this._getSession(sessionId);
+
+      // A retried submission gets the result of the one that was applied
+      const replayed = this._getIdempotentResult(session, idempotencyKey, 'submit_answer', fingerprint);
+      if (replayed) {
+        return replayed;
       }
 
       // Validate bank version binding (Batch 2 requirement)
       this._validateBankVersion(session);
 
-      if (session.state !== 'IN_PROGRESS') {
-        throw this._createError('E_STATE', 'Session must be IN_PROGRESS to submit answers');
+      // Answers can still be revised after the last question, until finalizeSession
+      const existingAnswerIndex = session.answers.findIndex(answer => answer.qid === qid);
+      const revising = existingAnswerIndex !== -1;
+      if (session.state !== 'IN_PROGRESS' && !(revising && session.state === 'FINALIZING')) {
+        throw this._stateError(session, 'Session must be IN_PROGRESS to submit answers');
+      }
+
+      if (revising && !featureFlags.isBackNavigationAllowed()) {
+        throw this._createError('E_BACKNAV_DISABLED', 'Changing an answer is disabled by kill switch');
       }
 
       // Get question data from bank
-      const questionData = this.bankLoader.getQuestion(qid);
+      const questionData = this._bankFor(session).getQuestion(qid);
       if (!questionData) {
         throw this._createError('E_BAD_QID', `Question not found: ${qid}`);
       }
@@ -268,13 +504,7 @@ class PFFEngine {
       }
 
       // Check if this qid was already answered (replacement policy)
-      const existingAnswerIndex = session.answers.findIndex(answer => answer.qid === qid);
-      if (existingAnswerIndex !== -1) {
-        // Remove existing answer and its effects
-        const existingAnswer = session.answers[existingAnswerIndex];
-        this._removeAnswerEffects(session, existingAnswer);
-        session.answers.splice(existingAnswerIndex, 1);
-      }
+      const previousKey = revising ? session.answers[existingAnswerIndex].picked_key : null;
 
       // Create new answer event
       const answerEvent = {
@@ -290,33 +520,63 @@ class PFFEngine {
         latency_ms: latencyMs
       };
 
-      // Add answer to session
-      session.answers.push(answerEvent);
-
-      // Update line state
-      this._updateLineState(session, family, option.lineCOF);
+      if (session.pendingQuestion && session.pendingQuestion.qid === qid) {
+        session.pendingQuestion = null;
+      }
 
-      // Process tells with concentration cap
-      this._processTells(session, qid, family, option);
+      if (revising) {
+        // The revised answer keeps its place; line state and the face ledger are rebuilt from
+        // the answers so nothing the replaced option credited survives
+        session.answers[existingAnswerIndex] = answerEvent;
+        session.qaFlags = (session.qaFlags || []).filter(flag => flag.qid !== qid);
+        this._rebuildAnswerEffects(session);
+      } else {
+        // Add answer to session
+        session.answers.push(answerEvent);
+
+        // Update line state
+        this._updateLineState(session, family, option.lineCOF);
+
+        // Process tells with concentration cap
+        this._processTells(session, qid, family, option);
+      }
+      this._recordSiblingCollision(session, qid, family, option);
 
       // Check if session is complete
-      if (session.answers.length === 18) {
-        session.state = 'FINALIZING';
+      if (session.state === 'IN_PROGRESS' && session.answers.length === session.totalQuestions) {
+        this._transition(session, 'FINALIZING');
         // Clear the schedule since we're done
         session.schedule = [];
       }
 
-      // Track performance
-      const duration = Date.now() - startTime;
-      monitoring.trackPerformance('submitAnswer', duration);
-
-      return {
+      const result = {
         session_id: sessionId,
         accepted: true,
         answers_count: session.answers.length,
-        remaining: 18 - session.answers.length
+        remaining: session.totalQuestions - session.answers.length
       };
+      // Saved with the answer, so a key is never recorded for an answer that wasn't
+      this._rememberIdempotentResult(session, idempotencyKey, 'submit_answer', fingerprint, result);
+      this._saveSession(session);
+
+      if (revising && previousKey !== optionKey && this._allowsAnalytics(session)) {
+        this.telemetry.recordAnswerChanged(sessionId, qid, previousKey, optionKey);
+      }
+
+      // Track performance
+      const duration = Date.now() - startTime;
+      monitoring.trackPerformance('submitAnswer', duration);
+
+      return result;
     } catch (error) {
+      // A parallel retry of the same submission won the write: answer with its result
+      if (error.code === 'E_CONCURRENCY_CONFLICT' && idempotencyKey) {
+        const replayed = this._getIdempotentResult(this._getSession(sessionId), idempotencyKey, 'submit_answer', fingerprint);
+        if (replayed) {
+          return replayed;
+        }
+      }
+
       monitoring.trackError('submitAnswer', error);
       throw error;
     }
@@ -336,17 +596,19 @@ class PFFEngine {
         throw this._createError('E_RESULTS_DISABLED', 'Results are disabled by kill switch');
       }
 
-      const session = this.sessions.get(sessionId);
-      if (!session) {
-        throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
+      const session = this._getSession(sessionId);
+
+      // Finalizing again returns the stored snapshot instead of recomputing
+      if (session.state === 'FINALIZED' && session.results) {
+        return session.results;
       }
 
       if (session.state !== 'FINALIZING') {
-        throw this._createError('E_STATE', 'Session must be in FINALIZING state to finalize');
+        throw this._stateError(session, 'Session must be in FINALIZING state to finalize');
       }
 
-      if (session.answers.length !== 18) {
-        throw this._createError('E_INCOMPLETE_SESSION', 'Session must have exactly 18 answers to finalize');
+      if (session.answers.length !== session.totalQuestions) {
+        throw this._createError('E_INCOMPLETE_SESSION', `Session must have exactly ${session.totalQuestions} answers to finalize`);
       }
 
       // Compute line verdicts (F > O > C)
@@ -363,44 +625,21 @@ class PFFEngine {
         }
       });
 
-      // Compute face states using Batch 2 structure
+      // Compute face states - gates decided by the shared face-state evaluator
       const faceStates = {};
-      const constants = this.bankLoader.getConstants();
-      
-      session.faceLedger.forEach((ledger, faceId) => {
-        const Q = ledger.questions_hit.size;
-        const FAM = ledger.families_hit.size;
-        const SIG = ledger.signature_qids.size;
-        const CLEAN = ledger.context_counts.Clean;
-        const BENT = ledger.context_counts.Bent;
-        const BROKEN = ledger.context_counts.Broken;
-        const MAX_FAM_SHARE = this._calculateMaxFamilyShare(ledger);
-        const contrast_seen = ledger.contrast_seen;
-
-        let state = 'ABSENT';
-        
-        if (Q === 0) {
-          state = 'ABSENT';
-        } else if (this._isLIT(Q, FAM, SIG, CLEAN, BROKEN, MAX_FAM_SHARE, contrast_seen, constants)) {
-          state = 'LIT';
-        } else if (this._isLEAN(Q, FAM, SIG, CLEAN, BROKEN, constants)) {
-          state = 'LEAN';
-        } else if (this._isGHOST(Q, FAM, BROKEN, CLEAN, MAX_FAM_SHARE)) {
-          state = 'GHOST';
-        } else if (Q >= 2 && Q <= 3 && FAM >= 2) {
-          state = 'COLD';
-        } else {
-          state = 'ABSENT';
-        }
+      const constants = this._bankFor(session).getConstants();
 
+      this._computeFaceMetrics(session).forEach((metrics, faceId) => {
+        const { state, gate } = evaluateFaceState(metrics, constants);
         faceStates[faceId] = {
           state,
-          familiesHit: FAM,
-          signatureHits: SIG,
-          clean: CLEAN,
-          bent: BENT,
-          broken: BROKEN,
-          contrastSeen: contrast_seen
+          gate,
+          familiesHit: metrics.FAM,
+          signatureHits: metrics.SIG,
+          clean: metrics.CLEAN,
+          bent: metrics.BENT,
+          broken: metrics.BROKEN,
+          contrastSeen: metrics.contrast_seen
         };
       });
 
@@ -410,8 +649,14 @@ class PFFEngine {
       // Find anchor family (from non-picked families only)
       const anchorFamily = this._selectAnchorFamily(session, lineVerdicts);
 
+      // QA flags: sibling collisions seen while answering, then the finalize sanity checks
+      const qaFlags = this._resolveQAFlags([
+        ...(session.qaFlags || []),
+        ...this._applyQAFlags(session, lineVerdicts, faceStates, familyReps)
+      ]);
+
       // Mark session as finalized
-      session.state = 'FINALIZED';
+      this._transition(session, 'FINALIZED');
       session.finalizedAt = new Date().toISOString();
 
       const results = {
@@ -420,125 +665,57 @@ class PFFEngine {
         line_verdicts: lineVerdicts,
         face_states: faceStates,
         family_reps: familyReps,
-        anchor_family: anchorFamily
+        anchor_family: anchorFamily,
+        qa_flags: qaFlags
       };
+      session.results = results;
+      this._saveSession(session);
+      this._releaseRetiredBank(session);
 
       // Track performance and session completion
       const duration = Date.now() - startTime;
       monitoring.trackPerformance('finalizeSession', duration);
+
+      // QA flag rates are measured against finalized sessions
+      this.slos.recordFinalizationSuccess(sessionId, duration);
+      qaFlags.forEach(flag => {
+        this.slos.recordQAFlag(flag.code, flag);
+        this.telemetry.recordQAFlag(flag.code, flag);
+      });
       
-      const sessionDuration = new Date(session.finalizedAt) - new Date(session.startedAt);
-      monitoring.trackSessionComplete(sessionId, results, sessionDuration);
+      if (this._allowsAnalytics(session)) {
+        const sessionDuration = new Date(session.finalizedAt) - new Date(session.startedAt);
+        monitoring.trackSessionComplete(sessionId, results, sessionDuration);
+      }
 
       return results;
     } catch (error) {
+      // Another finalize won the write: its stored snapshot is the one result
+      if (error.code === 'E_CONCURRENCY_CONFLICT') {
+        const current = this._getSession(sessionId);
+        if (current.state === 'FINALIZED' && current.results) {
+          return current.results;
+        }
+      }
+
       monitoring.trackError('finalizeSession', error);
       throw error;
     }
   }
 
   /**
-   * Compute face metrics for Batch 3 finalization
+   * Compute the face-state metrics of every face in the session's ledger
    * @param {Object} session - Session object
-   * @returns {Map} Face metrics
+   * @returns {Map} Face metrics by face ID (see faceState.computeFaceMetrics)
    */
   _computeFaceMetrics(session) {
     const faceMetrics = new Map();
-    const constants = this.bankLoader.getConstants();
-    
     session.faceLedger.forEach((ledger, faceId) => {
-      const Q = ledger.questions_hit.size;
-      const FAM = ledger.families_hit.size;
-      const SIG = ledger.signature_qids.size;
-      const CLEAN = ledger.context_counts.Clean;
-      const BENT = ledger.context_counts.Bent;
-      const BROKEN = ledger.context_counts.Broken;
-      const TOTAL = CLEAN + BENT + BROKEN;
-      const MAX_FAM_SHARE = TOTAL > 0 ? Math.max(...Object.values(ledger.per_family_counts)) / TOTAL : 0;
-      const contrast_seen = ledger.contrast_seen;
-
-      faceMetrics.set(faceId, {
-        Q,
-        FAM,
-        SIG,
-        CLEAN,
-        BENT,
-        BROKEN,
-        TOTAL,
-        MAX_FAM_SHARE,
-        contrast_seen,
-        per_family_counts: ledger.per_family_counts
-      });
+      faceMetrics.set(faceId, computeFaceMetrics(ledger));
     });
-
     return faceMetrics;
   }
 
-  /**
-   * Apply state gates for Batch 3 finalization
-   * @param {Object} session - Session object
-   * @param {Map} faceMetrics - Face metrics
-   * @returns {Object} Face states
-   */
-  _applyStateGates(session, faceMetrics) {
-    const faceStates = {};
-    const constants = this.bankLoader.getConstants();
-
-    faceMetrics.forEach((metrics, faceId) => {
-      const { Q, FAM, SIG, CLEAN, BROKEN, MAX_FAM_SHARE, contrast_seen } = metrics;
-      
-      let state = 'ABSENT';
-
-      // Step 3: Apply state gates (Batch 3 specification)
-      
-      // GHOST triggers first
-      if (BROKEN >= CLEAN || 
-          MAX_FAM_SHARE > constants.PER_SCREEN_CAP || 
-          (Q >= 6 && FAM <= 2)) {
-        state = 'GHOST';
-      }
-      // LIT gates (all must pass)
-      else if (Q >= constants.LIT_MIN_QUESTIONS &&
-               FAM >= constants.LIT_MIN_FAMILIES &&
-               SIG >= constants.LIT_MIN_SIGNATURE &&
-               CLEAN >= constants.LIT_MIN_CLEAN &&
-               BROKEN <= constants.LIT_MAX_BROKEN &&
-               BROKEN < CLEAN &&
-               MAX_FAM_SHARE <= constants.PER_SCREEN_CAP &&
-               contrast_seen) {
-        state = 'LIT';
-      }
-      // LEAN gates (all must pass)
-      else if (Q >= constants.LEAN_MIN_QUESTIONS &&
-               FAM >= constants.LEAN_MIN_FAMILIES &&
-               SIG >= constants.LEAN_MIN_SIGNATURE &&
-               CLEAN >= constants.LEAN_MIN_CLEAN &&
-               BROKEN < CLEAN) {
-        state = 'LEAN';
-      }
-      // COLD criteria
-      else if (Q >= 2 && Q <= 3 && FAM >= 2) {
-        state = 'COLD';
-      }
-      // ABSENT (default)
-      else {
-        state = 'ABSENT';
-      }
-
-      faceStates[faceId] = {
-        state,
-        familiesHit: FAM,
-        signatureHits: SIG,
-        clean: CLEAN,
-        bent: metrics.BENT,
-        broken: BROKEN,
-        contrastSeen: contrast_seen
-      };
-    });
-
-    return faceStates;
-  }
-
   /**
    * Apply QA flags and sanity checks for Batch 3
    * @param {Object} session - Session object
@@ -548,12 +725,13 @@ class PFFEngine {
    * @returns {Array} QA flags
    */
   _applyQAFlags(session, lineVerdicts, faceStates, familyReps) {
+    const bank = this._bankFor(session);
     const qaFlags = [];
 
     // S1: Face LIT on Broken family
     Object.entries(faceStates).forEach(([faceId, faceState]) => {
       if (faceState.state === 'LIT') {
-        const faceMeta = this.bankLoader.getFaceMeta(faceId);
+        const faceMeta = bank.getFaceMeta(faceId);
         if (faceMeta && lineVerdicts[faceMeta.family] === 'F') {
           const ledger = session.faceLedger.get(faceId);
           if (ledger && ledger.per_family_counts[faceMeta.family]) {
@@ -575,7 +753,7 @@ class PFFEngine {
     // S2: Family C, both siblings GHOST
     const familyStates = new Map();
     Object.entries(faceStates).forEach(([faceId, faceState]) => {
-      const faceMeta = this.bankLoader.getFaceMeta(faceId);
+      const faceMeta = bank.getFaceMeta(faceId);
       if (faceMeta) {
         if (!familyStates.has(faceMeta.family)) {
           familyStates.set(faceMeta.family, []);
@@ -585,7 +763,7 @@ class PFFEngine {
     });
 
     familyStates.forEach((faces, family) => {
-      if (lineVerdicts[family] === 'C' && faces.length === 2) {
+      if (lineVerdicts[family] === 'C' && faces.length > 1) {
         const allGhost = faces.every(f => f.state === 'GHOST');
         if (allGhost) {
           qaFlags.push({
@@ -612,225 +790,1464 @@ class PFFEngine {
   }
 
   /**
-   * Resume session from paused state - Batch 2 API Contract
+   * Resolve QA flags against the error codes registry
+   * @param {Array} qaFlags - Flags ({ code, ...subject, detail })
+   * @returns {Array} Flags with the registry's severity and category
+   */
+  _resolveQAFlags(qaFlags) {
+    return qaFlags.map(flag => {
+      const registered = errorCodes.resolveCode(flag.code);
+      return {
+        ...flag,
+        severity: registered ? registered.severity : 'warning',
+        category: registered ? registered.category : 'scoring'
+      };
+    });
+  }
+
+  /**
+   * Get the stored results of a finalized session
    * @param {string} sessionId - Session ID
-   * @returns {Object} Session state and next question
+   * @returns {Object} Final results snapshot with bank binding
    */
-  resumeSession(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
+  getResults(sessionId) {
+    if (!featureFlags.areResultsEnabled()) {
+      throw this._createError('E_RESULTS_DISABLED', 'Results are disabled by kill switch');
     }
 
-    if (session.state !== 'PAUSED') {
-      throw this._createError('E_STATE', 'Session must be PAUSED to resume');
+    const session = this._getSession(sessionId);
+
+    if (session.state !== 'FINALIZED' || !session.results) {
+      throw this._createError('E_STATE', 'Session has no results until it is finalized',
+        session.state === 'FINALIZING' ? 'Call finalizeSession first' : null);
     }
 
-    session.state = 'IN_PROGRESS';
-    
     return {
-      session_id: sessionId,
-      state: 'IN_PROGRESS',
-      next_question: this.getNextQuestion(sessionId)
+      ...session.results,
+      bank_id: session.bankId,
+      bank_hash: session.bankHash,
+      finalized_at: session.finalizedAt
     };
   }
 
   /**
-   * Abort session - Batch 2 API Contract
+   * Export documents for a finalized session (verdicts, face presence, proof tells, analytics, audit)
    * @param {string} sessionId - Session ID
-   * @param {string} reason - Abort reason
-   * @returns {Object} Aborted session state
+   * @param {Array<string>} types - Export types (defaults to all)
+   * @returns {Object} { session_id, exported_at, consent_version, exports: { type: document }, omitted }
    */
-  abortSession(sessionId, reason = 'User requested') {
-    const session = this.sessions.get(sessionId);
-    if (!session) {
-      throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
+  exportSession(sessionId, types = Object.keys(EXPORT_TYPES)) {
+    const unknown = types.filter(type => !EXPORT_TYPES[type]);
+    if (types.length === 0 || unknown.length > 0) {
+      throw this._createError('E_BAD_EXPORT_TYPE', `Unknown export types: ${unknown.join(', ') || 'none requested'}`,
+        `Use any of ${Object.keys(EXPORT_TYPES).join(', ')}`);
     }
 
-    session.state = 'ABORTED';
-    session.abortedAt = new Date().toISOString();
-    session.abortReason = reason;
+    const session = this._getSession(sessionId);
+    this._requireConsent(session, privacyConsent.PRIVACY_FLAGS.ALLOW_EXPORT, 'EXPORT');
+
+    if (session.state !== 'FINALIZED' || !session.results) {
+      throw this._createError('E_STATE', 'Session can only be exported once it is finalized');
+    }
+
+    const generator = new ExportGenerator();
+    generator.setSession(session);
+    generator.setBankPackage(this._bankFor(session).bankPackage);
+
+    const documents = {};
+    types.forEach(type => {
+      documents[type] = generator[EXPORT_TYPES[type]]();
+    });
+
+    // Documents the respondent did not consent to (e.g. analytics) are left out
+    const exports = privacyConsent.filterDataByPrivacyFlags(documents, session.privacy);
+    this._auditPrivacy(session, 'EXPORT', { types: Object.keys(exports) });
 
     return {
       session_id: sessionId,
-      state: 'ABORTED',
-      reason: reason
+      exported_at: new Date().toISOString(),
+      consent_version: session.privacy.consent_version,
+      exports,
+      omitted: types.filter(type => !exports[type])
     };
   }
 
   /**
-   * Create standardized error object - Batch 2 Error Handling
-   * @param {string} errorCode - Error code
-   * @param {string} message - Error message
-   * @param {string} hint - Optional hint
-   * @returns {Error} Standardized error
+   * Build a replay file (replay.v1) that reproduces a finalized session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Replay document
    */
-  _createError(errorCode, message, hint = null) {
-    const error = new Error(message);
-    error.code = errorCode;
-    error.hint = hint;
-    return error;
+  createReplay(sessionId) {
+    const session = this._getSession(sessionId);
+    this._requireConsent(session, privacyConsent.PRIVACY_FLAGS.ALLOW_REPLAY, 'REPLAY');
+
+    if (session.state !== 'FINALIZED') {
+      throw this._createError('E_STATE', 'Only finalized sessions can be replayed');
+    }
+
+    this._auditPrivacy(session, 'REPLAY_CREATED');
+    return {
+      schema: 'replay.v1',
+      session_id: session.sessionId,
+      session_seed: session.sessionSeed,
+      bank_id: session.bankId,
+      bank_hash_sha256: session.bankHash,
+      constants_profile: session.constantsProfile,
+      rng_algorithm: session.rngAlgorithm,
+      scheduling_mode: session.schedulingMode,
+      picks_policy: session.picksPolicy,
+      picked_families: Array.from(session.picks),
+      answers: session.answers.map(answer => ({ qid: answer.qid, key: answer.picked_key })),
+      // A replay must raise the same QA flags; severity and detail come from the registry
+      qa_flags: ((session.results && session.results.qa_flags) || [])
+        .map(({ code, qid, face, family }) => ({ code, qid, face, family })),
+      created_at: new Date().toISOString()
+    };
   }
 
   /**
-   * Validate bank version binding - Batch 2 requirement
-   * @param {Object} session - Session object
+   * Roll up several finalized sessions of one respondent (multiRunAggregation)
+   * @param {Array<string>} sessionIds - At least two session IDs, each consenting to aggregation
+   * @returns {Object} Aggregation (aggregate.v1)
    */
-  _validateBankVersion(session) {
-    const currentBankId = this.bankLoader.getBankId();
-    if (session.bankId !== currentBankId) {
-      throw this._createError('E_VERSION_MISMATCH', 
-        `Session created under bank ${session.bankId}, current bank is ${currentBankId}`,
-        'Session must be recreated with current bank version');
+  aggregateSessions(sessionIds) {
+    if (!Array.isArray(sessionIds) || sessionIds.length < 2) {
+      throw this._createError('E_INVALID_AGGREGATION', 'At least 2 sessions required for aggregation');
     }
+
+    const sessions = sessionIds.map(sessionId => this._getSession(sessionId));
+    sessions.forEach(session => {
+      this._requireConsent(session, privacyConsent.PRIVACY_FLAGS.ALLOW_AGGREGATION, 'AGGREGATION');
+      if (session.state !== 'FINALIZED' || !session.results) {
+        throw this._createError('E_STATE', `Session ${session.sessionId} is not finalized`);
+      }
+    });
+    if (sessions.some(session => session.bankId !== sessions[0].bankId)) {
+      throw this._createError('E_INVALID_AGGREGATION', 'All sessions must be from the same bank');
+    }
+
+    const aggregation = multiRunAggregation.aggregateSessions(sessions.map(session => ({
+      session_id: session.sessionId,
+      bank_id: session.bankId,
+      line_verdicts: session.results.line_verdicts,
+      face_states: session.results.face_states,
+      family_reps: session.results.family_reps
+    })));
+    sessions.forEach(session => this._auditPrivacy(session, 'AGGREGATED', { sessions: sessionIds }));
+    return aggregation;
   }
 
   /**
-   * Remove effects of an existing answer (for replacement policy)
-   * @param {Object} session - Session object
-   * @param {Object} answer - Answer to remove
+   * Get the consent recorded for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Privacy summary plus current_consent_version and reconsent_required
    */
-  _removeAnswerEffects(session, answer) {
-    const family = answer.familyScreen;
-    const lineCOF = answer.lineCOF;
-
-    // Remove line state effects
-    const lineState = session.lineState.get(family);
-    if (lineCOF === 'C') {
-      lineState.C -= 1;
-    } else if (lineCOF === 'O') {
-      // Note: We can't easily track if this was the only O, so we leave O_seen as true
-      // This is a limitation of the current implementation
-    } else if (lineCOF === 'F') {
-      // Note: We can't easily track if this was the only F, so we leave F_seen as true
-      // This is a limitation of the current implementation
-    }
+  getConsent(sessionId) {
+    const session = this._getSession(sessionId);
+    const currentVersion = featureFlags.getConsentVersion();
+    return {
+      ...privacyConsent.getPrivacySummary(session.privacy),
+      current_consent_version: currentVersion,
+      reconsent_required: !privacyConsent.isConsentCurrent(session.privacy, currentVersion)
+    };
+  }
 
-    // Remove face ledger effects
-    answer.tells.forEach(tell => {
-      const faceId = tell.face_id;
-      const ledger = session.faceLedger.get(faceId);
-      if (!ledger) return;
+  /**
+   * Record new consent for a session - re-consent after a consent version bump, or
+   * granting / withdrawing flags (privacy_flags replaces the previous flags)
+   * @param {string} sessionId - Session ID
+   * @param {Object} consent - { consent_version, privacy_flags }
+   * @returns {Object} Updated consent (see getConsent)
+   */
+  updateConsent(sessionId, consent = {}) {
+    const session = this._getSession(sessionId);
+    const consentVersion = consent.consent_version || featureFlags.getConsentVersion();
+    this._validateConsent(consentVersion, consent.privacy_flags || {});
+
+    const previous = session.privacy;
+    session.privacy = privacyConsent.updatePrivacyContext(previous, {
+      consent_version: consentVersion,
+      privacy_flags: { ...privacyConsent.DEFAULT_PRIVACY_SETTINGS.privacy_flags, ...consent.privacy_flags }
+    });
+    this._saveSession(session);
+    this._auditPrivacy(session, 'CONSENT_UPDATED', {
+      previous_consent_version: previous.consent_version,
+      previous_privacy_flags: previous.privacy_flags
+    });
 
-      // Remove from questions_hit
-      ledger.questions_hit.delete(answer.qid);
-      
-      // Remove from families_hit (if no other answers for this family)
-      const hasOtherAnswersForFamily = session.answers.some(a => 
-        a.qid !== answer.qid && a.familyScreen === family && 
-        a.tells.some(t => t.face_id === faceId)
-      );
-      if (!hasOtherAnswersForFamily) {
-        ledger.families_hit.delete(family);
-      }
+    return this.getConsent(sessionId);
+  }
 
-      // Remove signature if this was a signature question
-      const faceMeta = this.bankLoader.getFaceMeta(faceId);
-      if (faceMeta && faceMeta.family === family) {
-        ledger.signature_qids.delete(answer.qid);
-      }
+  /**
+   * Privacy audit log entries for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  getPrivacyAuditLog(sessionId) {
+    return this.privacyAuditLog.list(sessionId);
+  }
 
-      // Remove context counts
-      if (lineCOF === 'C') {
-        ledger.context_counts.Clean -= 1;
-      } else if (lineCOF === 'O') {
-        ledger.context_counts.Bent -= 1;
-      } else if (lineCOF === 'F') {
-        ledger.context_counts.Broken -= 1;
-      }
+  /**
+   * Everything held about a session across the session store, recovery files, replay
+   * files and audits, analytics, telemetry and the privacy audit log (data subject access)
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { session_id, described_at, stores: { store: data } }
+   */
+  describeSessionData(sessionId) {
+    const found = this._findSessionData(sessionId);
+    const privacyAuditLog = this.privacyAuditLog.list(sessionId);
+    if (found.total === 0 && privacyAuditLog.length === 0) {
+      throw this._createError('E_SESSION_NOT_FOUND', 'No data held for session');
+    }
 
-      // Remove per-family counts
-      if (ledger.per_family_counts[family]) {
-        ledger.per_family_counts[family] -= 1;
-        if (ledger.per_family_counts[family] <= 0) {
-          delete ledger.per_family_counts[family];
-        }
+    return {
+      session_id: sessionId,
+      described_at: new Date().toISOString(),
+      stores: {
+        session: found.record,
+        recovery_files: found.recoveryFiles.map(file => ({ file: file.file, data: file.data })),
+        replays: found.replays.map(replay => ({ file: replay.file, data: replay.data })),
+        replay_audits: found.replayAudits.map(audit => ({ file: audit.file, data: audit.data })),
+        analytics_events: found.analyticsEvents,
+        telemetry: found.telemetry,
+        privacy_audit_log: privacyAuditLog
       }
-    });
+    };
   }
 
   /**
-   * Calculate maximum family share for a face
-   * @param {Object} ledger - Face ledger
-   * @returns {number} Maximum family share
+   * Erase a session from every store (right to erasure). Aggregate telemetry counters hold
+   * no session identifiers and are kept; the privacy audit log keeps its consent records
+   * and gets a SESSION_FORGOTTEN tombstone listing what was removed.
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { session_id, forgotten_at, removed: { store: count } }
    */
-  _calculateMaxFamilyShare(ledger) {
-    const totalHits = ledger.context_counts.Clean + ledger.context_counts.Bent + ledger.context_counts.Broken;
-    if (totalHits === 0) return 0;
-    
-    const maxFamilyCount = Math.max(...Object.values(ledger.per_family_counts));
-    return maxFamilyCount / totalHits;
+  forgetSession(sessionId) {
+    const found = this._findSessionData(sessionId);
+    if (found.total === 0) {
+      throw this._createError('E_SESSION_NOT_FOUND', 'No data held for session');
+    }
+
+    if (found.record) {
+      this.sessionStore.delete(sessionId);
+      this._trackUnfinishedSession(sessionId, found.record.bank_hash, false);
+    }
+    this.sessions.delete(sessionId);
+    const recovery = this._getRecoveryManager();
+    const recoveryFiles = recovery ? recovery.deleteSessionFiles(sessionId) : 0;
+    const replayData = replayAuditStore.deleteSessionReplayData(sessionId);
+    this.analytics.delete(sessionId);
+    this.telemetry.removeSessionMetrics(sessionId);
+
+    const removed = {
+      session: found.record ? 1 : 0,
+      recovery_files: recoveryFiles,
+      replays: replayData.replays,
+      replay_audits: replayData.audits,
+      analytics_events: found.analyticsEvents.length,
+      telemetry: found.telemetry ? 1 : 0
+    };
+    const forgottenAt = new Date().toISOString();
+    this.privacyAuditLog.append(privacyConsent.createPrivacyAuditLog(
+      (found.record && found.record.privacy) || { session_id: sessionId },
+      'SESSION_FORGOTTEN',
+      { removed }
+    ));
+
+    return {
+      session_id: sessionId,
+      forgotten_at: forgottenAt,
+      removed
+    };
   }
 
   /**
-   * Check if face meets LIT criteria - Batch 2 specification
-   * @param {number} Q - Questions hit
-   * @param {number} FAM - Families hit
-   * @param {number} SIG - Signature hits
-   * @param {number} CLEAN - Clean context
-   * @param {number} BROKEN - Broken context
-   * @param {number} MAX_FAM_SHARE - Maximum family share
-   * @param {boolean} contrast_seen - Contrast seen
-   * @param {Object} constants - Constants
-   * @returns {boolean} Is LIT
+   * Create a retention manager over this engine's session store and recovery directory
+   * @param {Object} options - RetentionManager options (analyticsDir, overrides)
+   * @returns {RetentionManager} Retention manager
    */
-  _isLIT(Q, FAM, SIG, CLEAN, BROKEN, MAX_FAM_SHARE, contrast_seen, constants) {
-    return Q >= constants.LIT_MIN_QUESTIONS &&
-           FAM >= constants.LIT_MIN_FAMILIES &&
-           SIG >= constants.LIT_MIN_SIGNATURE &&
-           CLEAN >= constants.LIT_MIN_CLEAN &&
-           BROKEN <= constants.LIT_MAX_BROKEN &&
-           BROKEN < CLEAN &&
-           MAX_FAM_SHARE <= constants.PER_SCREEN_CAP &&
-           contrast_seen;
+  createRetentionManager(options = {}) {
+    return new RetentionManager({
+      sessionStore: this.sessionStore,
+      recoveryDir: this.recoveryDir,
+      ...options
+    });
   }
 
   /**
-   * Check if face meets LEAN criteria - Batch 2 specification
-   * @param {number} Q - Questions hit
-   * @param {number} FAM - Families hit
-   * @param {number} SIG - Signature hits
-   * @param {number} CLEAN - Clean context
-   * @param {number} BROKEN - Broken context
-   * @param {Object} constants - Constants
-   * @returns {boolean} Is LEAN
+   * Run retention purges in-process on an interval
+   * @param {number} intervalMs - Interval between purges (defaults to 24 hours)
+   * @param {Function} onReport - Receives each signed purge report
+   * @returns {RetentionManager} The scheduled manager (stopAutomaticPurging() cancels it)
    */
-  _isLEAN(Q, FAM, SIG, CLEAN, BROKEN, constants) {
-    return Q >= constants.LEAN_MIN_QUESTIONS &&
-           FAM >= constants.LEAN_MIN_FAMILIES &&
-           SIG >= constants.LEAN_MIN_SIGNATURE &&
-           CLEAN >= constants.LEAN_MIN_CLEAN &&
-           BROKEN < CLEAN;
+  scheduleRetentionPurge(intervalMs, onReport) {
+    const retention = this.createRetentionManager();
+    retention.scheduleAutomaticPurging(intervalMs, onReport);
+    return retention;
   }
 
   /**
-   * Check if face meets GHOST criteria - Batch 2 specification
-   * @param {number} Q - Questions hit
-   * @param {number} FAM - Families hit
-   * @param {number} BROKEN - Broken context
-   * @param {number} CLEAN - Clean context
-   * @param {number} MAX_FAM_SHARE - Maximum family share
-   * @returns {boolean} Is GHOST
+   * Issue the credential a browser sends (X-Session-Token) for requests about its session,
+   * so API tokens never have to leave the server
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} Session token, or null when ENGINE_SESSION_SECRET is not set
    */
-  _isGHOST(Q, FAM, BROKEN, CLEAN, MAX_FAM_SHARE) {
-    return (Q >= 6 && FAM <= 2) ||
-           BROKEN >= CLEAN ||
-           MAX_FAM_SHARE > 0.40;
+  issueSessionToken(sessionId) {
+    const secret = getSessionTokenSecret();
+    return secret ? this.security.signSessionToken(sessionId, secret) : null;
   }
 
   /**
-   * Compute family representatives - Batch 2 specification
-   * @param {Object} session - Session object
-   * @param {Object} faceStates - Face states
-   * @returns {Array} Family representatives
+   * Admit an API request: validate its credential (when the environment requires one) and
+   * charge the per-session, per-token, per-IP and global rate limits. Rejections carry
+   * the headers to send (error.headers) and are recorded in telemetry.
+   * @param {{sessionId?: (string|null), token?: (string|null), sessionToken?: (string|null), opensSession?: boolean, ip?: (string|null)}} request - Caller (any part may be missing)
+   * @returns {{headers: Object<string, string>}} X-RateLimit headers for the response
+   */
+  checkApiAccess(request = {}) {
+    const { sessionId = null, ip = null } = request;
+    const validation = isAPITokenRequired()
+      ? this._validateCredential(request)
+      : { valid: true };
+
+    // Rejected tokens still count against the IP and global limits, not a token bucket
+    const token = validation.valid && request.token ? request.token : null;
+    const limits = this.rateLimiter.checkAllLimits(sessionId, token, ip);
+    const headers = this.rateLimiter.generateRateLimitHeaders(sessionId, token, ip);
+    if (!limits.allowed) {
+      ['session', 'token', 'ip', 'global']
+        .filter(limitType => limits[limitType] && !limits[limitType].allowed)
+        .forEach(limitType => this.telemetry.recordRateLimitViolation(limitType));
+
+      const error = this._createError('E_RATE_LIMIT_EXCEEDED', 'Rate limit exceeded',
+        `Retry after ${limits.retryAfter} seconds`);
+      error.retryAfter = limits.retryAfter;
+      error.headers = { ...headers, 'Retry-After': String(limits.retryAfter) };
+      throw error;
+    }
+
+    if (!validation.valid) {
+      this.security.logSecurityEvent('API_TOKEN_REJECTED', { ip, error: validation.error });
+      const error = this._createError(request.token || request.sessionToken ? 'E_INVALID_TOKEN' : 'E_AUTHENTICATION_FAILED',
+        validation.error, 'Send an issued API token in X-API-Token, or the session token from init in X-Session-Token');
+      error.headers = headers;
+      throw error;
+    }
+
+    return { headers };
+  }
+
+  /**
+   * Validate the credential of a request where tokens are required: an issued API token
+   * (server-side callers), the session token of the session the request is about, or
+   * nothing for requests that open a session (those are held to the IP and global limits)
+   * @param {Object} request - Caller, as for checkApiAccess
+   * @returns {{valid: boolean, error?: string}} Validation result
+   */
+  _validateCredential(request) {
+    if (request.token) {
+      return this.security.validateAPIToken(request.token, getAPITokens());
+    }
+    if (request.sessionToken) {
+      return this.security.validateSessionToken(request.sessionId, request.sessionToken, getSessionTokenSecret());
+    }
+    return request.opensSession ? { valid: true } : { valid: false, error: 'Missing API token' };
+  }
+
+  /**
+   * Run a request for a session once every earlier request for it has settled, so
+   * concurrent API calls (double-clicks, parallel finalizes) apply one at a time
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - Work to run
+   * @returns {Promise} fn's result
+   */
+  serializeMutation(sessionId, fn) {
+    return this.concurrency.runExclusive(sessionId, fn);
+  }
+
+  /**
+   * Pause an active session so it can be resumed later
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Pause reason
+   * @returns {Object} Paused session state
+   */
+  pauseSession(sessionId, reason = 'User requested') {
+    const session = this._getSession(sessionId);
+
+    // Pausing twice (e.g. after an idle auto-pause) keeps the original pause
+    if (session.state !== 'PAUSED') {
+      this._pause(session, reason);
+    }
+
+    return {
+      session_id: sessionId,
+      state: 'PAUSED',
+      reason: session.pauseReason,
+      paused_at: session.pausedAt
+    };
+  }
+
+  /**
+   * Resume session from paused state - Batch 2 API Contract
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Session state and next question
+   */
+  resumeSession(sessionId) {
+    const session = this._getSession(sessionId);
+
+    if (session.state !== 'PAUSED') {
+      throw this._createError('E_STATE', 'Session must be PAUSED to resume');
+    }
+
+    this._transition(session, session.pausedFromState || 'IN_PROGRESS');
+    session.pausedAt = null;
+    session.pauseReason = null;
+    session.pausedFromState = null;
+    this._saveSession(session);
+
+    if (this._allowsAnalytics(session)) {
+      this.telemetry.recordSessionResumed(sessionId);
+    }
+    this._recordAnalytics(session, collector => collector.recordSessionResumed());
+
+    // The question on screen before the pause (a revisited one, or one served but not
+    // answered) is shown again rather than skipped
+    let nextQuestion;
+    if (session.cursor < session.servedQuestions.length - 1) {
+      nextQuestion = this._presentQuestion(session, this._buildServedQuestion(session, session.cursor));
+    } else if (session.pendingQuestion) {
+      nextQuestion = this._presentQuestion(session, this._buildQuestion(session, session.pendingQuestion));
+    } else {
+      nextQuestion = this.getNextQuestion(sessionId);
+    }
+
+    return {
+      session_id: sessionId,
+      state: session.state,
+      next_question: nextQuestion
+    };
+  }
+
+  /**
+   * Abort session - Batch 2 API Contract
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Abort reason
+   * @returns {Object} Aborted session state
+   */
+  abortSession(sessionId, reason = 'User requested') {
+    const session = this._getSession(sessionId);
+
+    this._transition(session, 'ABORTED');
+    session.abortedAt = new Date().toISOString();
+    session.abortReason = reason;
+    this._saveSession(session);
+    this._releaseRetiredBank(session);
+
+    if (this._allowsAnalytics(session)) {
+      this.telemetry.recordSessionAborted(sessionId, reason);
+    }
+    this._recordAnalytics(session, collector => collector.recordSessionAborted(reason));
+
+    return {
+      session_id: sessionId,
+      state: 'ABORTED',
+      reason: reason
+    };
+  }
+
+  /**
+   * Derive a session PRNG from its seed, optionally advanced by a number of draws.
+   * A restored generator must match the one derived with its own draw counter.
+   * @param {string} sessionSeed - Session seed
+   * @param {string} bankHash - Bank hash bound to the session
+   * @param {string} constantsProfile - Constants profile bound to the session
+   * @param {string} rngAlgorithm - PRNG algorithm
+   * @param {number} draws - Number of draws to advance
+   * @returns {Object} PRNG
+   */
+  derivePRNG(sessionSeed, bankHash, constantsProfile, rngAlgorithm, draws = 0) {
+    // Compute deterministic seed
+    const seed = crypto.createHash('sha256')
+      .update(sessionSeed + bankHash + constantsProfile)
+      .digest('hex');
+
+    const prng = createRNG(rngAlgorithm, seed);
+    for (let i = 0; i < draws; i++) {
+      prng.next();
+    }
+    return prng;
+  }
+
+  /**
+   * Load a bank package so sessions can be bound to it. Banks are kept by hash, so
+   * loading a bank that is already loaded reuses it.
+   * @param {string} bankPath - Path to bank_package.json
+   * @param {Object} options - { activate: make it the bank new sessions start on (default true) }
+   * @returns {string} Bank hash
+   */
+  loadBank(bankPath, options = {}) {
+    const activate = options.activate !== false;
+    // The first bank goes into the engine's own loader so engine.bankLoader stays the active bank
+    const bank = this.bankLoader.bankPackage ? new BankLoader() : this.bankLoader;
+    bank.loadBank(bankPath);
+
+    const bankHash = bank.getBankHash();
+    if (!featureFlags.isBankHashAllowed(bankHash)) {
+      throw new Error(`Bank hash ${bankHash} not in allowed list`);
+    }
+
+    const loaded = this.banks.get(bankHash);
+    const registered = loaded && loaded.bankPackage && loaded.getBankHash() === bankHash
+      ? loaded
+      : this._registerBank(bank);
+
+    if (activate) {
+      this.bankLoader = registered;
+    }
+    return bankHash;
+  }
+
+  /**
+   * Loaded banks and how many unfinished sessions this instance has bound to each
+   * @returns {Array<{bank_hash: string, bank_id: string, bank_path: string, active: boolean, sessions: number}>} Banks
+   */
+  listBanks() {
+    if (this.bankLoader.bankPackage) {
+      this._registerBank(this.bankLoader);
+    }
+
+    const sessions = this._countSessionsByBank();
+    return Array.from(this.banks.values())
+      .filter(bank => bank.bankPackage)
+      .map(bank => ({
+        bank_hash: bank.getBankHash(),
+        bank_id: bank.getBankId(),
+        bank_path: bank.bankPath,
+        active: bank === this.bankLoader,
+        sessions: sessions.get(bank.getBankHash()) || 0
+      }));
+  }
+
+  /**
+   * Unload every bank that is not active and has no unfinished session bound to it.
+   * Finalized sessions keep their results; their bank is reloaded from its path if
+   * an export needs it.
+   * @returns {Array<string>} Hashes of the unloaded banks
+   */
+  unloadUnusedBanks() {
+    const sessions = this._countSessionsByBank();
+    const unloaded = [];
+
+    this.banks.forEach((bank, bankHash) => {
+      if (bank === this.bankLoader || sessions.get(bankHash)) {
+        return;
+      }
+      this.banks.delete(bankHash);
+      this.localeBundles.delete(bankHash);
+      bankStorage.unloadBank(bankHash);
+      unloaded.push(bankHash);
+    });
+
+    return unloaded;
+  }
+
+  /**
+   * Make a bank the one new sessions start on, across every instance sharing the
+   * freeze state (BANK_FREEZE_DIR). The bank is loaded and verified before the switch;
+   * activations are refused while the bank system is frozen.
+   * @param {string} bankPath - Path to bank_package.json
+   * @returns {{bank_hash: string, bank_id: string, previous_bank_hash: (string|null)}} Activation
+   */
+  activateBank(bankPath) {
+    const state = bankFreezePolicy.loadFreezeState();
+    if (state.frozen) {
+      monitoring.trackBankEvent('activation_rejected', { bank_path: bankPath, reason: state.freeze_reason });
+      throw this._createError('E_BANK_FROZEN', `Bank system is frozen: ${state.freeze_reason}`,
+        'Unfreeze the bank system before activating a bank');
+    }
+
+    const previousHash = this.bankLoader.bankPackage ? this.bankLoader.getBankHash() : null;
+    let bankHash;
+    try {
+      bankHash = this.loadBank(bankPath, { activate: false });
+    } catch (error) {
+      monitoring.trackBankEvent('activation_failed', { bank_path: bankPath, source: 'activate', error: error.message });
+      throw error;
+    }
+
+    const bank = this._getBank(bankHash);
+    if (!state.active_bank && previousHash && previousHash !== bankHash) {
+      // Record the bank serving until now so the activation can be rolled back
+      bankFreezePolicy.setActiveBank(this.bankLoader.getBankId(), this.bankLoader.bankPath, previousHash);
+    }
+    if (!bankFreezePolicy.getActiveBank() || bankFreezePolicy.getActiveBank().bank_hash !== bankHash) {
+      bankFreezePolicy.setActiveBank(bank.getBankId(), bank.bankPath, bankHash);
+    }
+    this._switchActiveBank(bankHash, 'activate');
+
+    return { bank_hash: bankHash, bank_id: bank.getBankId(), previous_bank_hash: previousHash };
+  }
+
+  /**
+   * Roll back to the bank that was active before the current one (allowed while frozen,
+   * since it returns to a bank that was already live)
+   * @param {string} reason - Why, for the incident report
+   * @returns {Object} Incident playbook rollback action with the bank hashes
+   */
+  rollbackBank(reason = 'Manual rollback') {
+    const state = bankFreezePolicy.loadFreezeState();
+    if (state.legacy_banks.length === 0) {
+      throw this._createError('E_BANK_NOT_FOUND', 'No previous bank available for rollback');
+    }
+
+    const from = state.active_bank || {};
+    const to = bankFreezePolicy.rollbackToPreviousBank();
+    const bankHash = this.syncActiveBank('rollback');
+
+    return {
+      ...incidentPlaybook.rollbackBank(from.bank_id || null, to.bank_id, reason),
+      from_bank_hash: from.bank_hash || null,
+      to_bank_hash: bankHash
+    };
+  }
+
+  /**
+   * Switch to the active bank recorded in the freeze state if it is not active here yet.
+   * On failure the current bank stays active.
+   * @param {string} source - What triggered the sync (watch, startup, rollback, admin)
+   * @returns {string|null} Active bank hash, null when the state names no bank
+   */
+  syncActiveBank(source = 'admin') {
+    const target = bankFreezePolicy.loadFreezeState().active_bank;
+    if (!target || !target.bank_path) {
+      return this.bankLoader.bankPackage ? this.bankLoader.getBankHash() : null;
+    }
+
+    const active = this.bankLoader.bankPackage ? this.bankLoader.getBankHash() : null;
+    if (active && (target.bank_hash ? active === target.bank_hash : this.bankLoader.bankPath === path.resolve(target.bank_path))) {
+      return active;
+    }
+
+    try {
+      const bankHash = this.loadBank(target.bank_path, { activate: false });
+      if (target.bank_hash && bankHash !== target.bank_hash) {
+        throw this._createError('E_BANK_CORRUPTED',
+          `Bank at ${target.bank_path} is ${bankHash}, the active bank is ${target.bank_hash}`,
+          'Restore the bank file or activate the bank again');
+      }
+      this._switchActiveBank(bankHash, source);
+      return bankHash;
+    } catch (error) {
+      monitoring.trackBankEvent('activation_failed', { bank_path: target.bank_path, source, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Follow activations and rollbacks made by other processes (CLI, admin API, other
+   * instances) by polling the freeze state file
+   * @param {number} intervalMs - Poll interval
+   */
+  watchActiveBank(intervalMs = 2000) {
+    if (this.bankWatch) {
+      return;
+    }
+
+    const statePath = bankFreezePolicy.getFreezeStatePath();
+    const listener = () => {
+      try {
+        this.syncActiveBank('watch');
+      } catch (error) {
+        console.error('Active bank sync failed:', error.message);
+      }
+    };
+    fs.watchFile(statePath, { interval: intervalMs, persistent: false }, listener);
+    this.bankWatch = { statePath, listener };
+  }
+
+  /**
+   * Stop watching the freeze state file
+   */
+  unwatchActiveBank() {
+    if (this.bankWatch) {
+      fs.unwatchFile(this.bankWatch.statePath, this.bankWatch.listener);
+      this.bankWatch = null;
+    }
+  }
+
+  /**
+   * Make sure a bank is active before starting a session: the one named by the freeze
+   * state, else defaultBankPath (recorded as active so it can be rolled back to).
+   * Starts watching the freeze state for later activations.
+   * @param {string} defaultBankPath - Bank to use when no bank was ever activated
+   * @returns {string} Active bank hash
+   */
+  ensureActiveBank(defaultBankPath) {
+    this.watchActiveBank();
+    if (this.bankLoader.bankPackage) {
+      return this.bankLoader.getBankHash();
+    }
+
+    if (this.syncActiveBank('startup')) {
+      return this.bankLoader.getBankHash();
+    }
+
+    const bankHash = this.loadBank(defaultBankPath);
+    const state = bankFreezePolicy.loadFreezeState();
+    if (!state.frozen && !state.active_bank) {
+      bankFreezePolicy.setActiveBank(this.bankLoader.getBankId(), this.bankLoader.bankPath, bankHash);
+    }
+    return bankHash;
+  }
+
+  /**
+   * Loaded banks with the freeze state shared by every instance
+   * @returns {{banks: Array<Object>, freeze: Object}} Bank status
+   */
+  getBankStatus() {
+    bankFreezePolicy.loadFreezeState();
+    return {
+      banks: this.listBanks(),
+      freeze: bankFreezePolicy.getFreezeStatus()
+    };
+  }
+
+  /**
+   * Point new sessions at a loaded bank and report it to monitoring
+   * @param {string} bankHash - Bank hash
+   * @param {string} source - What triggered the switch
+   */
+  _switchActiveBank(bankHash, source) {
+    const previousHash = this.bankLoader.bankPackage ? this.bankLoader.getBankHash() : null;
+    this.bankLoader = this._getBank(bankHash);
+    if (previousHash === bankHash) {
+      return;
+    }
+
+    monitoring.trackBankEvent(source === 'rollback' ? 'rolled_back' : 'activated', {
+      bank_hash: bankHash,
+      previous_bank_hash: previousHash,
+      source
+    });
+    this.unloadUnusedBanks();
+  }
+
+  /**
+   * Unload the bank of a session that just finished if a newer bank has been
+   * activated since it started and this was its last unfinished session
+   * @param {Object} session - Session object
+   */
+  _releaseRetiredBank(session) {
+    if (this.bankLoader.bankPackage && this.bankLoader.getBankHash() !== session.bankHash) {
+      this.unloadUnusedBanks();
+    }
+  }
+
+  /**
+   * Number of unfinished sessions per bank hash, from the counts kept as sessions are saved
+   * rather than a scan of the store. Sessions finished or purged elsewhere are only dropped
+   * when this instance sees them, so the counts can only keep a bank loaded longer; sessions
+   * of other instances reload an unloaded bank from its path.
+   * @returns {Map<string, number>} bankHash -> session count
+   */
+  _countSessionsByBank() {
+    const counts = new Map();
+    this.unfinishedByBank.forEach((sessionIds, bankHash) => counts.set(bankHash, sessionIds.size));
+    return counts;
+  }
+
+  /**
+   * Count a session against its bank while it is unfinished
+   * @param {string} sessionId - Session ID
+   * @param {string} bankHash - Bank the session is bound to
+   * @param {boolean} unfinished - False once the session is finalized, aborted or erased
+   */
+  _trackUnfinishedSession(sessionId, bankHash, unfinished) {
+    const sessionIds = this.unfinishedByBank.get(bankHash) || new Set();
+    if (unfinished) {
+      sessionIds.add(sessionId);
+    } else {
+      sessionIds.delete(sessionId);
+    }
+
+    if (sessionIds.size > 0) {
+      this.unfinishedByBank.set(bankHash, sessionIds);
+    } else {
+      this.unfinishedByBank.delete(bankHash);
+    }
+  }
+
+  /**
+   * Persist a session rebuilt outside the engine (e.g. from a recovery checkpoint),
+   * replacing whatever the store holds for it
+   * @param {Object} session - Session object
+   * @returns {Object} Session object
+   */
+  restoreSession(session) {
+    const existing = this.sessionStore.get(session.sessionId);
+    session.revision = existing ? existing.revision : 0;
+    // Checkpoints written before total_questions was recorded use the bank's session length
+    if (!session.totalQuestions) {
+      session.totalQuestions = this._bankFor(session).getSchedulePolicy().session_length;
+    }
+    this._saveSession(session, { overwrite: true });
+    return session;
+  }
+
+  /**
+   * Look up the recorded result of a keyed request
+   * @param {Object} session - Session object
+   * @param {string} idempotencyKey - Client key (null when the caller sent none)
+   * @param {string} operation - Operation name
+   * @param {string} fingerprint - Request identity; the same key with another request is refused
+   * @returns {Object|null} Recorded result
+   */
+  _getIdempotentResult(session, idempotencyKey, operation, fingerprint) {
+    if (idempotencyKey === null || idempotencyKey === undefined) {
+      return null;
+    }
+
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0 || idempotencyKey.length > 255) {
+      throw this._createError('E_INVALID_IDEMPOTENCY_KEY', 'Idempotency key must be a string of 1-255 characters');
+    }
+
+    const entry = session.idempotencyKeys && session.idempotencyKeys[idempotencyKey];
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.operation !== operation || entry.fingerprint !== fingerprint) {
+      throw this._createError('E_IDEMPOTENCY_KEY_REUSED',
+        `Idempotency key ${idempotencyKey} was already used for a different request`,
+        'Send a new key for each distinct request');
+    }
+    return entry.result;
+  }
+
+  /**
+   * Record the result of a keyed request on the session (persisted with the next save)
+   * @param {Object} session - Session object
+   * @param {string} idempotencyKey - Client key (nothing is recorded without one)
+   * @param {string} operation - Operation name
+   * @param {string} fingerprint - Request identity
+   * @param {Object} result - Result to return to retries
+   */
+  _rememberIdempotentResult(session, idempotencyKey, operation, fingerprint, result) {
+    if (!idempotencyKey) {
+      return;
+    }
+
+    session.idempotencyKeys = { ...(session.idempotencyKeys || {}) };
+    session.idempotencyKeys[idempotencyKey] = { operation, fingerprint, result, recorded_at: new Date().toISOString() };
+
+    const keys = Object.keys(session.idempotencyKeys);
+    keys.slice(0, Math.max(0, keys.length - MAX_IDEMPOTENCY_KEYS)).forEach(key => {
+      delete session.idempotencyKeys[key];
+    });
+  }
+
+  /**
+   * Create standardized error object - Batch 2 Error Handling
+   * @param {string} errorCode - Error code
+   * @param {string} message - Error message
+   * @param {string} hint - Optional hint
+   * @returns {Error} Standardized error
+   */
+  _createError(errorCode, message, hint = null) {
+    const error = new Error(message);
+    error.code = errorCode;
+    error.hint = hint;
+    return error;
+  }
+
+  /**
+   * E_STATE for a request the session's current state does not allow; for a paused session
+   * the hint says so, so clients know to resume it and retry
+   * @param {Object} session - Session object
+   * @param {string} message - Error message
+   * @returns {Error} Standardized error
+   */
+  _stateError(session, message) {
+    return this._createError('E_STATE', message,
+      session.state === 'PAUSED' ? 'Session is PAUSED; resume it and retry' : null);
+  }
+
+  /**
+   * Load a session from the store, reusing the hydrated copy while its revision is current
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Session object
+   */
+  _getSession(sessionId) {
+    const record = this.sessionStore.get(sessionId);
+    if (!record) {
+      this.sessions.delete(sessionId);
+      throw this._createError('E_SESSION_NOT_FOUND', 'Session not found');
+    }
+
+    let session = this.sessions.get(sessionId);
+    if (!session || session.revision !== record.revision) {
+      session = this._hydrateSession(record);
+      this.sessions.set(sessionId, session);
+    }
+
+    this._applyIdleTimeout(session);
+    return session;
+  }
+
+  /**
+   * Move a session to a new state, rejecting transitions the state machine does not allow
+   * @param {Object} session - Session object
+   * @param {string} nextState - Target state
+   */
+  _transition(session, nextState) {
+    const allowed = STATE_TRANSITIONS[session.state] || [];
+    if (!allowed.includes(nextState)) {
+      throw this._createError('E_STATE_TRANSITION_INVALID',
+        `Cannot move session from ${session.state} to ${nextState}`);
+    }
+    session.state = nextState;
+  }
+
+  /**
+   * Pause a session, remembering the state to return to on resume
+   * @param {Object} session - Session object
+   * @param {string} reason - Pause reason
+   */
+  _pause(session, reason) {
+    const fromState = session.state;
+    this._transition(session, 'PAUSED');
+    session.pausedFromState = fromState;
+    session.pausedAt = new Date().toISOString();
+    session.pauseReason = reason;
+    this._saveSession(session);
+
+    if (this._allowsAnalytics(session)) {
+      this.telemetry.recordSessionPaused(session.sessionId);
+    }
+    this._recordAnalytics(session, collector => collector.recordSessionPaused(reason));
+  }
+
+  /**
+   * Auto-pause a session that has been idle longer than the configured timeout
+   * @param {Object} session - Session object
+   */
+  _applyIdleTimeout(session) {
+    const idleTimeoutMs = this.idleTimeoutMs !== null ? this.idleTimeoutMs : featureFlags.getSessionIdleTimeoutMs();
+    if (!idleTimeoutMs || (session.state !== 'PICKED' && session.state !== 'IN_PROGRESS')) {
+      return;
+    }
+
+    const lastActivity = new Date(session.lastActivityAt || session.startedAt).getTime();
+    if (Date.now() - lastActivity >= idleTimeoutMs) {
+      this._pause(session, 'idle_timeout');
+    }
+  }
+
+  /**
+   * Recovery manager for the recovery directory, or null when there is none
+   * (so reads and erasure don't create the directory)
+   * @returns {RecoveryManager|null} Recovery manager
+   */
+  _getRecoveryManager() {
+    return fs.existsSync(this.recoveryDir) ? new RecoveryManager({ recoveryDir: this.recoveryDir }) : null;
+  }
+
+  /**
+   * Locate a session's data in every store that can hold it
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { record, recoveryFiles, replays, replayAudits, analyticsEvents, telemetry, total }
+   */
+  _findSessionData(sessionId) {
+    const recovery = this._getRecoveryManager();
+    const replayData = replayAuditStore.findSessionReplayData(sessionId);
+    const collector = this.analytics.get(sessionId);
+
+    const found = {
+      record: this.sessionStore.get(sessionId) || null,
+      recoveryFiles: recovery ? recovery.listSessionFiles(sessionId) : [],
+      replays: replayData.replays,
+      replayAudits: replayData.audits,
+      analyticsEvents: collector ? collector.getEvents() : [],
+      telemetry: this.telemetry.getSessionMetrics(sessionId) || null
+    };
+    found.total = (found.record ? 1 : 0) + found.recoveryFiles.length + found.replays.length +
+      found.replayAudits.length + found.analyticsEvents.length + (found.telemetry ? 1 : 0);
+    return found;
+  }
+
+  /**
+   * Reject unknown or outdated consent versions and malformed privacy flags
+   * @param {number} consentVersion - Consent version agreed to
+   * @param {Object} privacyFlags - Privacy flags granted
+   */
+  _validateConsent(consentVersion, privacyFlags) {
+    if (!Object.values(privacyConsent.CONSENT_VERSIONS).includes(consentVersion)) {
+      throw this._createError('E_INVALID_CONSENT', `Unknown consent version: ${consentVersion}`);
+    }
+
+    const currentVersion = featureFlags.getConsentVersion();
+    if (consentVersion < currentVersion) {
+      throw this._createError('E_CONSENT_OUTDATED',
+        `Consent version ${consentVersion} is older than the current version ${currentVersion}`,
+        `Ask the respondent to consent to version ${currentVersion}`);
+    }
+
+    const flags = Object.values(privacyConsent.PRIVACY_FLAGS);
+    const invalid = Object.keys(privacyFlags).filter(flag => !flags.includes(flag) || typeof privacyFlags[flag] !== 'boolean');
+    if (invalid.length > 0) {
+      throw this._createError('E_INVALID_CONSENT', `Invalid privacy flags: ${invalid.join(', ')}`,
+        `Privacy flags are booleans named ${flags.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check that a session consented to a privacy flag under the current consent version
+   * @param {Object} session - Session object
+   * @param {string} flag - PRIVACY_FLAGS value
+   * @returns {boolean} True if allowed
+   */
+  _hasConsent(session, flag) {
+    return privacyConsent.isConsentCurrent(session.privacy, featureFlags.getConsentVersion()) &&
+      privacyConsent.isPrivacyFlagEnabled(session.privacy, flag);
+  }
+
+  /**
+   * Throw E_PRIVACY_RESTRICTED, and audit the denial, unless the session consented to a flag
+   * @param {Object} session - Session object
+   * @param {string} flag - PRIVACY_FLAGS value
+   * @param {string} action - Audited action (EXPORT, REPLAY, AGGREGATION)
+   */
+  _requireConsent(session, flag, action) {
+    if (this._hasConsent(session, flag)) {
+      return;
+    }
+
+    this._auditPrivacy(session, `${action}_DENIED`, { flag });
+    const currentVersion = featureFlags.getConsentVersion();
+    throw this._createError('E_PRIVACY_RESTRICTED', `${action} not allowed due to privacy settings`,
+      privacyConsent.isConsentCurrent(session.privacy, currentVersion)
+        ? `User consent (${flag}) required`
+        : `Consent version ${session.privacy.consent_version} is outdated, re-consent to version ${currentVersion} required`);
+  }
+
+  /**
+   * Append a privacy audit log entry for a session
+   * @param {Object} session - Session object
+   * @param {string} action - Action name
+   * @param {Object} details - Action details
+   */
+  _auditPrivacy(session, action, details = {}) {
+    this.privacyAuditLog.append(privacyConsent.createPrivacyAuditLog(session.privacy, action, details));
+  }
+
+  /**
+   * Whether per-session events (analytics, telemetry and monitoring) may be recorded: analytics
+   * are enabled and the respondent consented to them
+   * @param {Object} session - Session object
+   * @returns {boolean} True when the session's events may be recorded
+   */
+  _allowsAnalytics(session) {
+    return featureFlags.areAnalyticsEnabled() && this._hasConsent(session, privacyConsent.PRIVACY_FLAGS.ALLOW_ANALYTICS);
+  }
+
+  /**
+   * Record an analytics event for a session when analytics are enabled and the respondent consented
+   * @param {Object} session - Session object
+   * @param {Function} record - Receives the session's AnalyticsEventCollector
+   */
+  _recordAnalytics(session, record) {
+    if (!this._allowsAnalytics(session)) {
+      return;
+    }
+
+    let collector = this.analytics.get(session.sessionId);
+    if (!collector) {
+      collector = new AnalyticsEventCollector();
+      collector.initialize(session.sessionId, session.bankId);
+      this.analytics.set(session.sessionId, collector);
+    }
+    record(collector);
+  }
+
+  /**
+   * Build the scoring view of a schedule item (line verdict and tells per option); stays
+   * server-side, callers get it through _presentQuestion
+   * @param {Object} session - Session object
+   * @param {Object} scheduleItem - { qid, familyScreen }
+   * @returns {Object} Question payload - Batch 2 API Contract
+   */
+  _buildQuestion(session, scheduleItem) {
+    const questionData = this._bankFor(session).getQuestion(scheduleItem.qid);
+    if (!questionData) {
+      throw this._createError('E_BAD_QID', `Question not found: ${scheduleItem.qid}`);
+    }
+
+    return {
+      qid: scheduleItem.qid,
+      familyScreen: scheduleItem.familyScreen,
+      options: questionData.options.map(opt => ({
+        key: opt.id,
+        lineCOF: opt.lineCOF,
+        tells: (opt.tells || []).map(tellId => ({
+          face_id: this._getFaceFromTell(tellId),
+          tell_id: tellId
+        }))
+      })),
+      index: session.totalQuestions - session.schedule.length,
+      total: session.totalQuestions
+    };
+  }
+
+  /**
+   * The view of a question returned to callers: the public view with its text in the
+   * session's locale, or the scoring view when dev shortcuts are enabled
+   * @param {Object} session - Session object
+   * @param {Object} question - Scoring view from _buildQuestion or _buildServedQuestion
+   * @param {string|null} [locale] - Locale to resolve the text in (defaults to the session's locale)
+   * @returns {Object} Question to return
+   */
+  _presentQuestion(session, question, locale = session.locale) {
+    if (featureFlags.areDevShortcutsEnabled()) {
+      return question;
+    }
+
+    const bank = this._bankFor(session);
+    const bundles = this._getLocaleBundles(bank);
+    return bundles.localizeQuestion(toPublicQuestion(question, bank.getQuestion(question.qid), bundles.keys), locale || null);
+  }
+
+  /**
+   * Locale bundles packed next to a bank, loaded once per bank
+   * @param {BankLoader} bank - Loaded bank
+   * @returns {LocaleBundles} Bundles (empty when the bank was packed without them)
+   */
+  _getLocaleBundles(bank) {
+    const bankHash = bank.getBankHash();
+    if (!this.localeBundles.has(bankHash)) {
+      this.localeBundles.set(bankHash, LocaleBundles.forBank(bank.bankPath));
+    }
+    return this.localeBundles.get(bankHash);
+  }
+
+  /**
+   * Build an already served question at a position in the served order, with its current answer
+   * @param {Object} session - Session object
+   * @param {number} position - 0-based position in session.servedQuestions
+   * @returns {Object} Question with index, total and answered_key
+   */
+  _buildServedQuestion(session, position) {
+    const item = session.servedQuestions[position];
+    const answer = session.answers.find(entry => entry.qid === item.qid);
+
+    return {
+      ...this._buildQuestion(session, item),
+      index: position + 1,
+      answered_key: answer ? answer.picked_key : null
+    };
+  }
+
+  /**
+   * Persist a session, refusing to overwrite a newer revision written elsewhere
+   * @param {Object} session - Session object
+   * @param {Object} options - { overwrite: write unconditionally }
+   */
+  _saveSession(session, options = {}) {
+    session.lastActivityAt = new Date().toISOString();
+    const record = this._serializeSession(session);
+
+    if (options.overwrite) {
+      this.sessionStore.put(session.sessionId, record);
+    } else if (!this.sessionStore.compareAndSet(session.sessionId, session.revision, record)) {
+      this.sessions.delete(session.sessionId);
+      throw this._createError('E_CONCURRENCY_CONFLICT',
+        `Session ${session.sessionId} was modified concurrently`,
+        'Reload the session and retry the request');
+    }
+
+    session.revision = record.revision;
+    this.sessions.set(session.sessionId, session);
+    this._trackUnfinishedSession(session.sessionId, session.bankHash, !TERMINAL_STATES.includes(session.state));
+  }
+
+  /**
+   * Serialize a session (Sets, Maps and PRNG state) into a JSON-safe store record
+   * @param {Object} session - Session object
+   * @returns {Object} Store record
+   */
+  _serializeSession(session) {
+    const faceLedger = this._serializeFaceLedger(session.faceLedger);
+    session.faceLedger.forEach((ledger, faceId) => {
+      if (ledger.tell_metadata) {
+        faceLedger[faceId].tell_metadata = ledger.tell_metadata.map(meta => ({ ...meta }));
+      }
+    });
+
+    const screenFaceCount = {};
+    session.screenFaceCount.forEach((faceCounts, family) => {
+      screenFaceCount[family] = Object.fromEntries(faceCounts);
+    });
+
+    return {
+      schema: 'pff.session.v1',
+      revision: (session.revision || 0) + 1,
+      session_id: session.sessionId,
+      session_seed: session.sessionSeed,
+      bank_id: session.bankId,
+      bank_hash: session.bankHash,
+      constants_profile: session.constantsProfile,
+      state: session.state,
+      started_at: session.startedAt,
+      finalized_at: session.finalizedAt || null,
+      aborted_at: session.abortedAt || null,
+      abort_reason: session.abortReason || null,
+      paused_at: session.pausedAt || null,
+      pause_reason: session.pauseReason || null,
+      paused_from_state: session.pausedFromState || null,
+      last_activity_at: session.lastActivityAt,
+      picks: Array.from(session.picks),
+      schedule: session.schedule.map(item => ({ ...item })),
+      served_questions: session.servedQuestions.map(item => ({ ...item })),
+      cursor: session.cursor,
+      total_questions: session.totalQuestions,
+      pending_question: session.pendingQuestion ? { ...session.pendingQuestion } : null,
+      answers: session.answers.map(answer => ({ ...answer, tells: answer.tells.map(tell => ({ ...tell })) })),
+      line_state: this._serializeLineState(session.lineState),
+      face_ledger: faceLedger,
+      screen_face_count: screenFaceCount,
+      qa_flags: session.qaFlags || [],
+      rng_algorithm: session.rngAlgorithm,
+      scheduling_mode: session.schedulingMode,
+      picks_policy: session.picksPolicy,
+      privacy: session.privacy ? { ...session.privacy, privacy_flags: { ...session.privacy.privacy_flags } } : null,
+      locale: session.locale || null,
+      family_order: session.familyOrder || null,
+      served_qids: session.servedQids || null,
+      prng_state: session.prng.getState(),
+      results: session.results || null,
+      idempotency_keys: session.idempotencyKeys || null
+    };
+  }
+
+  /**
+   * Rebuild a live session object from a store record
+   * @param {Object} record - Store record
+   * @returns {Object} Session object
+   */
+  _hydrateSession(record) {
+    const faceLedger = new Map();
+    Object.entries(record.face_ledger).forEach(([faceId, ledger]) => {
+      faceLedger.set(faceId, {
+        questions_hit: new Set(ledger.questions_hit),
+        families_hit: new Set(ledger.families_hit),
+        signature_qids: new Set(ledger.signature_qids),
+        context_counts: { ...ledger.context_counts },
+        per_family_counts: { ...ledger.per_family_counts },
+        contrast_seen: ledger.contrast_seen,
+        ...(ledger.tell_metadata ? { tell_metadata: ledger.tell_metadata } : {})
+      });
+    });
+
+    const screenFaceCount = new Map();
+    Object.entries(record.screen_face_count).forEach(([family, faceCounts]) => {
+      screenFaceCount.set(family, new Map(Object.entries(faceCounts)));
+    });
+
+    const session = {
+      sessionId: record.session_id,
+      sessionSeed: record.session_seed,
+      bankId: record.bank_id,
+      bankHash: record.bank_hash,
+      constantsProfile: record.constants_profile,
+      picks: new Set(record.picks),
+      schedule: record.schedule,
+      servedQuestions: record.served_questions || [],
+      cursor: Number.isInteger(record.cursor) ? record.cursor : (record.served_questions || []).length - 1,
+      totalQuestions: record.total_questions || this._getBank(record.bank_hash).getSchedulePolicy().session_length,
+      lineState: new Map(Object.entries(record.line_state)),
+      screenFaceCount,
+      faceLedger,
+      answers: record.answers,
+      state: record.state,
+      startedAt: record.started_at,
+      schedulingMode: record.scheduling_mode || 'static',
+      picksPolicy: record.picks_policy || 'at_least_one',
+      privacy: record.privacy || privacyConsent.createPrivacyContext(record.session_id),
+      locale: record.locale || null,
+      rngAlgorithm: record.rng_algorithm || LEGACY_RNG_ALGORITHM,
+      prng: restoreRNG(record.rng_algorithm || LEGACY_RNG_ALGORITHM, record.prng_state),
+      revision: record.revision
+    };
+
+    if (record.qa_flags && record.qa_flags.length > 0) session.qaFlags = record.qa_flags;
+    if (record.finalized_at) session.finalizedAt = record.finalized_at;
+    if (record.aborted_at) session.abortedAt = record.aborted_at;
+    if (record.abort_reason) session.abortReason = record.abort_reason;
+    if (record.paused_at) session.pausedAt = record.paused_at;
+    if (record.pause_reason) session.pauseReason = record.pause_reason;
+    if (record.paused_from_state) session.pausedFromState = record.paused_from_state;
+    if (record.last_activity_at) session.lastActivityAt = record.last_activity_at;
+    if (record.pending_question) session.pendingQuestion = record.pending_question;
+    if (record.family_order) session.familyOrder = record.family_order;
+    if (record.served_qids) session.servedQids = record.served_qids;
+    if (record.results) session.results = record.results;
+    if (record.idempotency_keys) session.idempotencyKeys = record.idempotency_keys;
+
+    return session;
+  }
+
+  /**
+   * Validate bank version binding - Batch 2 requirement. The session's own bank
+   * (by hash) must be loaded; the active bank does not matter.
+   * @param {Object} session - Session object
+   */
+  _validateBankVersion(session) {
+    const boundBankId = this._bankFor(session).getBankId();
+    if (session.bankId !== boundBankId) {
+      throw this._createError('E_VERSION_MISMATCH',
+        `Session created under bank ${session.bankId}, bank ${session.bankHash} is ${boundBankId}`,
+        'Session must be recreated with current bank version');
+    }
+  }
+
+  /**
+   * Bank a session is bound to
+   * @param {Object} session - Session object
+   * @returns {BankLoader} Bank loader
+   */
+  _bankFor(session) {
+    return this._getBank(session.bankHash);
+  }
+
+  /**
+   * Loaded bank by hash. A bank unloaded by unloadUnusedBanks is reloaded from the
+   * path it came from, as long as that file still holds the same bank.
+   * @param {string} bankHash - Bank hash
+   * @returns {BankLoader} Bank loader
+   */
+  _getBank(bankHash) {
+    const loaded = this.banks.get(bankHash);
+    if (loaded && loaded.bankPackage && loaded.getBankHash() === bankHash) {
+      return loaded;
+    }
+
+    // Banks loaded straight through engine.bankLoader.loadBank()
+    if (this.bankLoader.bankPackage && this.bankLoader.getBankHash() === bankHash) {
+      return this._registerBank(this.bankLoader);
+    }
+
+    const bankPath = this.bankPaths.get(bankHash);
+    if (bankPath) {
+      const reloaded = new BankLoader();
+      reloaded.loadBank(bankPath);
+      if (reloaded.getBankHash() === bankHash) {
+        return this._registerBank(reloaded);
+      }
+    }
+
+    throw this._createError('E_BANK_NOT_FOUND', `Bank ${bankHash} is not loaded`,
+      'Load the bank the session was started on with loadBank(bankPath)');
+  }
+
+  /**
+   * Active bank for new sessions
+   * @returns {BankLoader} Bank loader
+   */
+  _getActiveBank() {
+    if (!this.bankLoader.bankPackage) {
+      throw this._createError('E_BANK_NOT_FOUND', 'No bank is active', 'Load a bank with loadBank(bankPath)');
+    }
+    return this._registerBank(this.bankLoader);
+  }
+
+  /**
+   * Bank loaded from a path, loading it on first use. The first bank loaded becomes active.
+   * @param {string} bankPath - Path to bank_package.json
+   * @returns {BankLoader} Bank loader
+   */
+  _getBankForPath(bankPath) {
+    const resolved = path.resolve(bankPath);
+    if (this.bankLoader.bankPackage && this.bankLoader.bankPath === resolved) {
+      return this._registerBank(this.bankLoader);
+    }
+
+    const loaded = Array.from(this.banks.values()).find(bank => bank.bankPath === resolved && bank.bankPackage);
+    if (loaded) {
+      return loaded;
+    }
+
+    const bankHash = this.loadBank(bankPath, { activate: !this.bankLoader.bankPackage });
+    return this._getBank(bankHash);
+  }
+
+  /**
+   * Track a loaded bank by its hash
+   * @param {BankLoader} bank - Loaded bank
+   * @returns {BankLoader} The same bank
+   */
+  _registerBank(bank) {
+    const bankHash = bank.getBankHash();
+    if (this.banks.get(bankHash) !== bank) {
+      this.banks.set(bankHash, bank);
+      this.bankPaths.set(bankHash, bank.bankPath);
+    }
+    return bank;
+  }
+
+  /**
+   * Empty face ledger - Batch 2 structure
+   * @returns {Object} Face ledger
+   */
+  _createFaceLedger() {
+    return {
+      questions_hit: new Set(),
+      families_hit: new Set(),
+      signature_qids: new Set(),
+      context_counts: { Clean: 0, Bent: 0, Broken: 0 },
+      per_family_counts: {},
+      contrast_seen: false
+    };
+  }
+
+  /**
+   * Rebuild line state, screen caps and the face ledger from the session's answers
+   * (for replacement policy)
+   * @param {Object} session - Session object
+   */
+  _rebuildAnswerEffects(session) {
+    const bank = this._bankFor(session);
+
+    // Picked families keep their +1 C seed
+    session.lineState.forEach((lineState, family) => {
+      lineState.C = session.picks.has(family) ? 1 : 0;
+      lineState.O_seen = false;
+      lineState.F_seen = false;
+    });
+    session.screenFaceCount = new Map();
+    session.faceLedger.forEach((ledger, faceId) => {
+      session.faceLedger.set(faceId, this._createFaceLedger());
+    });
+
+    session.answers.forEach(answer => {
+      const option = bank.getQuestion(answer.qid).options.find(opt => opt.id === answer.picked_key);
+      this._updateLineState(session, answer.familyScreen, answer.lineCOF);
+      this._processTells(session, answer.qid, answer.familyScreen, option);
+    });
+  }
+
+  /**
+   * Compute family representatives - Batch 2 specification
+   * @param {Object} session - Session object
+   * @param {Object} faceStates - Face states
+   * @returns {Array} Family representatives
    */
   _computeFamilyRepresentatives(session, faceStates) {
+    const bank = this._bankFor(session);
     const familyReps = [];
-    const families = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
+    const families = bank.getFamilies();
     
     families.forEach(family => {
       const familyFaces = Array.from(session.faceLedger.keys()).filter(faceId => {
-        const faceMeta = this.bankLoader.getFaceMeta(faceId);
+        const faceMeta = bank.getFaceMeta(faceId);
         return faceMeta && faceMeta.family === family;
       });
       
@@ -884,7 +2301,8 @@ class PFFEngine {
    * @returns {string|null} Anchor family
    */
   _selectAnchorFamily(session, lineVerdicts) {
-    const nonPickedFamilies = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress']
+    const familyOrder = this._bankFor(session).getFamilies();
+    const nonPickedFamilies = familyOrder
       .filter(family => !session.picks.has(family));
     
     if (nonPickedFamilies.length === 0) return null;
@@ -907,7 +2325,6 @@ class PFFEngine {
       }
       
       // Deterministic tiebreaker: family order
-      const familyOrder = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
       return familyOrder.indexOf(a) - familyOrder.indexOf(b);
     });
     
@@ -976,140 +2393,184 @@ class PFFEngine {
 
   /**
    * Generate deterministic question schedule - Batch 2 specification
+   * Allocation and the per-pick-count probe rules come from the bank's schedule policy
    */
-  _generateSchedule(pickedFamilies, prng) {
-    const schedule = [];
-    const allFamilies = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
-    const notPicked = allFamilies.filter(f => !pickedFamilies.includes(f));
-
+  _generateSchedule(bank, pickedFamilies, prng) {
     // Generate deterministic family order using session seed
-    const familyOrder = this._generateDeterministicFamilyOrder(allFamilies, prng);
-
-    // Edge case: picks=0 (no families picked) - all 7 families get 3 questions = 21 total
-    if (pickedFamilies.length === 0) {
-      familyOrder.forEach((family, index) => {
-        const familyScreen = index + 1;
-        const questions = this.bankLoader.getQuestionsForFamily(family);
-        schedule.push(
-          { qid: questions[0].qid, familyScreen, order_in_family: 'C' },
-          { qid: questions[1].qid, familyScreen, order_in_family: 'O' },
-          { qid: questions[2].qid, familyScreen, order_in_family: 'F' }
-        );
-      });
-      return schedule;
-    }
-
-    // Edge case: picks=7 (all families) - Batch 3 policy: 14 + 4 extra = 18 total
-    if (pickedFamilies.length === 7) {
-      // Each family gets 2 questions (14 total)
-      familyOrder.forEach((family, index) => {
-        const familyScreen = index + 1;
-        const questions = this.bankLoader.getQuestionsForFamily(family);
-        schedule.push(
-          { qid: questions[0].qid, familyScreen, order_in_family: 'C' },
-          { qid: questions[1].qid, familyScreen, order_in_family: 'O' }
-        );
-      });
-      
-      // Add 4 extra O/F probes to reach 18 total
-      // Deterministically select first 4 families for extra probes
-      const extraFamilies = familyOrder.slice(0, 4);
-      extraFamilies.forEach((family, index) => {
-        const familyScreen = index + 1;
-        const questions = this.bankLoader.getQuestionsForFamily(family);
-        
-        // Add Q3 (F probe) to reach 18
-        schedule.push(
-          { qid: questions[2].qid, familyScreen, order_in_family: 'F' }
-        );
-      });
-      
-      return schedule;
-    }
-
-    // Edge case: picks=1 (single family) - Batch 3 policy: drop 2 probes to reach 18 total
-    if (pickedFamilies.length === 1) {
-      // Picked family gets 2 questions
-      const family = pickedFamilies[0];
-      const questions = this.bankLoader.getQuestionsForFamily(family);
-      schedule.push(
-        { qid: questions[0].qid, familyScreen: 1, order_in_family: 'C' },
-        { qid: questions[1].qid, familyScreen: 1, order_in_family: 'O' }
-      );
-      
-      // Not-picked families get 3 questions each, but drop 2 O probes to reach 18
-      const notPickedOrder = familyOrder.filter(f => !pickedFamilies.includes(f));
-      const familiesToDropO = notPickedOrder.slice(0, 2); // Drop O from first 2 families
-      
-      notPickedOrder.forEach((family, index) => {
-        const familyScreen = 2 + index;
-        const questions = this.bankLoader.getQuestionsForFamily(family);
-        const shouldDropO = familiesToDropO.includes(family);
-        
-        // Add C question
-        schedule.push(
-          { qid: questions[0].qid, familyScreen, order_in_family: 'C' }
-        );
-        
-        // Add O question (unless dropped)
-        if (!shouldDropO) {
-          schedule.push(
-            { qid: questions[1].qid, familyScreen, order_in_family: 'O' }
-          );
-        }
-        
-        // Add F question
-        schedule.push(
-          { qid: questions[2].qid, familyScreen, order_in_family: 'F' }
-        );
-      });
-      
-      return schedule;
-    }
-
-    // Normal case: 2-6 picks - exactly 18 questions total
-    // Picked families get 2 questions each in deterministic order
-    const pickedOrder = familyOrder.filter(f => pickedFamilies.includes(f));
-    pickedOrder.forEach((family, index) => {
-      const familyScreen = index + 1;
-      const questions = this.bankLoader.getQuestionsForFamily(family);
-      schedule.push(
-        { qid: questions[0].qid, familyScreen, order_in_family: 'C' },
-        { qid: questions[1].qid, familyScreen, order_in_family: 'O' }
-      );
+    const familyOrder = prng.shuffle(bank.getFamilies());
+
+    return planSchedule(bank.getSchedulePolicy(), {
+      familyOrder,
+      pickedFamilies,
+      questionsFor: family => bank.getQuestionsForFamily(family),
+      selectFamilies: (families, count) => this._selectProbeFamilies(families, count, prng)
+    }).schedule;
+  }
+
+  /**
+   * Scheduling mode for new sessions - adaptive when the constants profile or feature flag asks for it
+   * @param {BankLoader} bank - Bank the session starts on
+   * @returns {string} 'static' or 'adaptive'
+   */
+  _getSchedulingMode(bank) {
+    const constants = bank.getConstants() || {};
+    if (constants.SCHEDULING_MODE === 'adaptive' || featureFlags.isAdaptiveSchedulingEnabled()) {
+      return 'adaptive';
+    }
+    return 'static';
+  }
+
+  /**
+   * Picks policy for new sessions - the PICKS_POLICY feature flag overrides the bank's schedule policy
+   * @param {BankLoader} bank - Bank the session starts on
+   * @returns {string} 'at_least_one' or 'all_21_on_zero'
+   */
+  _getPicksPolicy(bank) {
+    return featureFlags.getPicksPolicy() || bank.getSchedulePolicy().picks_policy || 'at_least_one';
+  }
+
+  /**
+   * Adaptive scheduling: choose the unserved question whose options add the most
+   * evidence toward the LIT/LEAN gates for faces that are not LIT yet.
+   * Each family is asked in bank order, families are scanned in the seeded family
+   * order and ties keep the earliest candidate, so the choice depends only on the
+   * seed and the answers so far.
+   * @param {Object} session - Session object
+   * @returns {Object} Schedule item { qid, familyScreen, order_in_family }
+   */
+  _selectAdaptiveQuestion(session) {
+    const bank = this._bankFor(session);
+    const served = new Set(session.servedQids);
+    const servedFamilies = [...new Set(session.servedQids.map(qid => bank.getQuestion(qid).family))];
+
+    let candidates = [];
+    session.familyOrder.forEach(family => {
+      const question = bank.getQuestionsForFamily(family).find(q => !served.has(q.qid));
+      if (question) candidates.push({ ...question, family });
+    });
+
+    // Every family needs at least one answer for its line verdict
+    const uncovered = candidates.filter(question => !servedFamilies.includes(question.family));
+    if (uncovered.length > 0 && session.schedule.length <= uncovered.length) {
+      candidates = uncovered;
+    }
+
+    const faceMetrics = this._computeFaceMetrics(session);
+    const constants = bank.getConstants();
+    let best = null;
+    let bestScore = -1;
+    candidates.forEach(question => {
+      const score = this._scoreAdaptiveCandidate(bank, question, faceMetrics, constants);
+      if (score > bestScore) {
+        best = question;
+        bestScore = score;
+      }
     });
 
-    // Not-picked families get 3 questions each in deterministic order
-    const notPickedOrder = familyOrder.filter(f => !pickedFamilies.includes(f));
-    notPickedOrder.forEach((family, index) => {
-      const familyScreen = pickedOrder.length + index + 1;
-      const questions = this.bankLoader.getQuestionsForFamily(family);
-      schedule.push(
-        { qid: questions[0].qid, familyScreen, order_in_family: 'C' },
-        { qid: questions[1].qid, familyScreen, order_in_family: 'O' },
-        { qid: questions[2].qid, familyScreen, order_in_family: 'F' }
-      );
+    const screenIndex = servedFamilies.indexOf(best.family);
+    return {
+      qid: best.qid,
+      familyScreen: (screenIndex !== -1 ? screenIndex : servedFamilies.length) + 1,
+      order_in_family: best.order_in_family
+    };
+  }
+
+  /**
+   * Expected gate evidence of a question, averaged over its options since the
+   * answer is not known yet. Each face counts only the metrics it still lacks for
+   * its next gate (LEAN, then LIT), weighted by how close it already is.
+   * @param {BankLoader} bank - Bank the session is bound to
+   * @param {Object} question - Bank question with its family
+   * @param {Map} faceMetrics - Face metrics from _computeFaceMetrics
+   * @param {Object} constants - Constants profile
+   * @returns {number} Score
+   */
+  _scoreAdaptiveCandidate(bank, question, faceMetrics, constants) {
+    let total = 0;
+
+    question.options.forEach(option => {
+      bank.getTellsForOption(question.qid, option.id).forEach(tell => {
+        const metrics = faceMetrics.get(tell.face_id);
+        if (!metrics) return;
+
+        const target = this._nextGateTarget(metrics, constants);
+        if (!target) return;
+
+        const deficit = {
+          Q: Math.max(0, target.Q - metrics.Q),
+          FAM: Math.max(0, target.FAM - metrics.FAM),
+          SIG: Math.max(0, target.SIG - metrics.SIG),
+          CLEAN: Math.max(0, target.CLEAN - metrics.CLEAN),
+          CONTRAST: target.CONTRAST && !metrics.contrast_seen ? 1 : 0
+        };
+        const missing = deficit.Q + deficit.FAM + deficit.SIG + deficit.CLEAN + deficit.CONTRAST;
+
+        const faceMeta = bank.getFaceMeta(tell.face_id);
+        const isNewFamily = !metrics.per_family_counts[question.family];
+        let gain = 0;
+        if (deficit.Q > 0) gain++;
+        if (deficit.FAM > 0 && isNewFamily) gain++;
+        if (deficit.SIG > 0 && faceMeta && faceMeta.family === question.family) gain++;
+        if (deficit.CLEAN > 0 && option.lineCOF === 'C') gain++;
+        if (deficit.CONTRAST > 0 && (tell.contrast || bank.isContrastTell(tell.face_id, tell.tellId))) gain++;
+
+        total += gain / (1 + missing);
+      });
     });
 
-    return schedule;
+    return total / question.options.length;
   }
 
   /**
-   * Generate deterministic family order using Fisher-Yates shuffle
-   * @param {Array} families - Array of family names
-   * @param {Object} prng - Pseudo-random number generator
-   * @returns {Array} Shuffled family order
+   * Minimums of the next gate a face can reach, or null once it is LIT
+   * @param {Object} metrics - Face metrics
+   * @param {Object} constants - Constants profile
+   * @returns {Object|null} { Q, FAM, SIG, CLEAN, CONTRAST }
    */
-  _generateDeterministicFamilyOrder(families, prng) {
-    const shuffled = [...families];
-    
-    // Fisher-Yates shuffle with deterministic PRNG
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(prng.next() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  _nextGateTarget(metrics, constants) {
+    const meetsLean = metrics.Q >= constants.LEAN_MIN_QUESTIONS &&
+      metrics.FAM >= constants.LEAN_MIN_FAMILIES &&
+      metrics.SIG >= constants.LEAN_MIN_SIGNATURE &&
+      metrics.CLEAN >= constants.LEAN_MIN_CLEAN;
+
+    if (!meetsLean) {
+      return {
+        Q: constants.LEAN_MIN_QUESTIONS,
+        FAM: constants.LEAN_MIN_FAMILIES,
+        SIG: constants.LEAN_MIN_SIGNATURE,
+        CLEAN: constants.LEAN_MIN_CLEAN,
+        CONTRAST: false
+      };
     }
-    
-    return shuffled;
+
+    const meetsLit = metrics.Q >= constants.LIT_MIN_QUESTIONS &&
+      metrics.FAM >= constants.LIT_MIN_FAMILIES &&
+      metrics.SIG >= constants.LIT_MIN_SIGNATURE &&
+      metrics.CLEAN >= constants.LIT_MIN_CLEAN &&
+      metrics.contrast_seen;
+
+    return meetsLit ? null : {
+      Q: constants.LIT_MIN_QUESTIONS,
+      FAM: constants.LIT_MIN_FAMILIES,
+      SIG: constants.LIT_MIN_SIGNATURE,
+      CLEAN: constants.LIT_MIN_CLEAN,
+      CONTRAST: true
+    };
+  }
+
+  /**
+   * Select the families that receive (or lose) edge-case probes
+   * @param {Array} familyOrder - Families in schedule order
+   * @param {number} count - Number of families to select
+   * @param {Object} prng - Session PRNG
+   * @returns {Array} Selected families
+   */
+  _selectProbeFamilies(familyOrder, count, prng) {
+    // lcg32 sessions took the leading families of the shuffled order; keep that for bit-exact replay
+    if (prng.algorithm === LEGACY_RNG_ALGORITHM) {
+      return familyOrder.slice(0, count);
+    }
+    return prng.sample(familyOrder, count);
   }
 
   /**
@@ -1131,8 +2592,9 @@ class PFFEngine {
    * Process tells with concentration cap - Batch 3 structure
    */
   _processTells(session, qid, family, option) {
-    const tells = this.bankLoader.getTellsForOption(qid, option.id);
-    const constants = this.bankLoader.getConstants();
+    const bank = this._bankFor(session);
+    const tells = bank.getTellsForOption(qid, option.id);
+    const constants = bank.getConstants();
     
     // Determine screen size and max per face
     const isPicked = session.picks.has(family);
@@ -1147,17 +2609,6 @@ class PFFEngine {
 
     const familyScreenCount = session.screenFaceCount.get(family);
 
-    // Check for sibling collision (Batch 3 QA flag)
-    if (this.bankLoader.hasSiblingCollision(tells)) {
-      session.qaFlags = session.qaFlags || [];
-      session.qaFlags.push({
-        code: 'W_SIBLING_COLLISION',
-        qid: qid,
-        family: family,
-        detail: 'Both siblings present in same option'
-      });
-    }
-
     // Process each tell with Batch 3 taxonomy
     tells.forEach(tell => {
       const faceId = tell.face_id;
@@ -1174,6 +2625,22 @@ class PFFEngine {
     });
   }
 
+  /**
+   * Flag an answered option that credits both faces of a family (Batch 3 QA flag)
+   */
+  _recordSiblingCollision(session, qid, family, option) {
+    const bank = this._bankFor(session);
+    if (bank.hasSiblingCollision(bank.getTellsForOption(qid, option.id))) {
+      session.qaFlags = session.qaFlags || [];
+      session.qaFlags.push({
+        code: 'W_SIBLING_COLLISION',
+        qid: qid,
+        family: family,
+        detail: 'Both siblings present in same option'
+      });
+    }
+  }
+
   /**
    * Credit a tell to face ledger - Batch 3 structure
    */
@@ -1195,7 +2662,7 @@ class PFFEngine {
     ledger.families_hit.add(family);
 
     // Check if signature opportunity (Batch 3 taxonomy)
-    const faceMeta = this.bankLoader.getFaceMeta(faceId);
+    const faceMeta = this._bankFor(session).getFaceMeta(faceId);
     if (faceMeta && faceMeta.family === family) {
       ledger.signature_qids.add(qid);
     }
@@ -1209,7 +2676,7 @@ class PFFEngine {
     // Check if contrast tell (Batch 3 taxonomy)
     if (tellMeta && tellMeta.contrast) {
       ledger.contrast_seen = true;
-    } else if (this.bankLoader.isContrastTell(faceId, tellId)) {
+    } else if (this._bankFor(session).isContrastTell(faceId, tellId)) {
       ledger.contrast_seen = true;
     }
 
@@ -1229,41 +2696,6 @@ class PFFEngine {
     }
   }
 
-  /**
-   * Check if face meets LIT criteria
-   */
-  _isLIT(qHits, famHits, sig, clean, broken, contrast, constants) {
-    // Standard LIT criteria
-    if (qHits >= constants.LIT_MIN_QUESTIONS &&
-        famHits >= constants.LIT_MIN_FAMILIES &&
-        sig >= constants.LIT_MIN_SIGNATURE &&
-        clean >= constants.LIT_MIN_CLEAN &&
-        broken <= constants.LIT_MAX_BROKEN &&
-        (!constants.REQUIRE_CONTRAST || contrast)) {
-      return true;
-    }
-
-    // Clean override
-    if (constants.ALLOW_CLEAN_OVERRIDE &&
-        clean >= constants.CLEAN_OVERRIDE.CLEAN &&
-        famHits >= constants.CLEAN_OVERRIDE.FAM &&
-        broken <= constants.CLEAN_OVERRIDE.ALLOW_BROKEN) {
-      return true;
-    }
-
-    return false;
-  }
-
-  /**
-   * Check if face meets LEAN criteria
-   */
-  _isLEAN(qHits, famHits, sig, clean, constants) {
-    return qHits >= constants.LEAN_MIN_QUESTIONS &&
-           famHits >= constants.LEAN_MIN_FAMILIES &&
-           sig >= constants.LEAN_MIN_SIGNATURE &&
-           clean >= constants.LEAN_MIN_CLEAN;
-  }
-
   /**
    * Extract face ID from tell ID
    */
@@ -1274,20 +2706,6 @@ class PFFEngine {
     }
     return null;
   }
-
-  /**
-   * Create deterministic PRNG
-   */
-  _createPRNG(seed) {
-    // Simple linear congruential generator for deterministic behavior
-    let state = parseInt(seed.substring(0, 8), 16);
-    return {
-      next: () => {
-        state = (state * 1664525 + 1013904223) % Math.pow(2, 32);
-        return state / Math.pow(2, 32);
-      }
-    };
-  }
 }
 
 // Create singleton instance
@@ -1295,26 +2713,62 @@ const engine = new PFFEngine();
 
 // Export the 7 core functions plus version info - Batch 2 API
 module.exports = {
+  PFFEngine,
+
   // Core API functions (Batch 2)
-  initSession: (sessionSeed, bankPath) => engine.initSession(sessionSeed, bankPath),
+  initSession: (sessionSeed, bankPath, options) => engine.initSession(sessionSeed, bankPath, options),
   setPicks: (sessionId, pickedFamilies) => engine.setPicks(sessionId, pickedFamilies),
   getNextQuestion: (sessionId) => engine.getNextQuestion(sessionId),
-  submitAnswer: (sessionId, qid, optionKey, ts, latencyMs) => engine.submitAnswer(sessionId, qid, optionKey, ts, latencyMs),
+  getPreviousQuestion: (sessionId) => engine.getPreviousQuestion(sessionId),
+  getQuestionAt: (sessionId, index) => engine.getQuestionAt(sessionId, index),
+  getLocalizedQuestion: (sessionId, locale) => engine.getLocalizedQuestion(sessionId, locale),
+  submitAnswer: (sessionId, qid, optionKey, ts, latencyMs, idempotencyKey) => engine.submitAnswer(sessionId, qid, optionKey, ts, latencyMs, idempotencyKey),
   finalizeSession: (sessionId) => engine.finalizeSession(sessionId),
+  getResults: (sessionId) => engine.getResults(sessionId),
+  exportSession: (sessionId, types) => engine.exportSession(sessionId, types),
+  createReplay: (sessionId) => engine.createReplay(sessionId),
+  aggregateSessions: (sessionIds) => engine.aggregateSessions(sessionIds),
+  getConsent: (sessionId) => engine.getConsent(sessionId),
+  updateConsent: (sessionId, consent) => engine.updateConsent(sessionId, consent),
+  describeSessionData: (sessionId) => engine.describeSessionData(sessionId),
+  forgetSession: (sessionId) => engine.forgetSession(sessionId),
+  scheduleRetentionPurge: (intervalMs, onReport) => engine.scheduleRetentionPurge(intervalMs, onReport),
+  issueSessionToken: (sessionId) => engine.issueSessionToken(sessionId),
+  checkApiAccess: (request) => engine.checkApiAccess(request),
+  serializeMutation: (sessionId, fn) => engine.serializeMutation(sessionId, fn),
+  pauseSession: (sessionId, reason) => engine.pauseSession(sessionId, reason),
   resumeSession: (sessionId) => engine.resumeSession(sessionId),
   abortSession: (sessionId, reason) => engine.abortSession(sessionId, reason),
   
+  // Session persistence
+  setSessionStore: (sessionStore) => engine.setSessionStore(sessionStore),
+
+  // Bank versions
+  loadBank: (bankPath, options) => engine.loadBank(bankPath, options),
+  activateBank: (bankPath) => engine.activateBank(bankPath),
+  rollbackBank: (reason) => engine.rollbackBank(reason),
+  syncActiveBank: () => engine.syncActiveBank(),
+  ensureActiveBank: (defaultBankPath) => engine.ensureActiveBank(defaultBankPath),
+  getBankStatus: () => engine.getBankStatus(),
+  listBanks: () => engine.listBanks(),
+  unloadUnusedBanks: () => engine.unloadUnusedBanks(),
+  
   // Version and status info
   getVersionInfo: () => engineVersion.getVersionInfo(),
   getReleaseNotes: () => engineVersion.getReleaseNotes(),
   getStatus: () => engineVersion.getStatus(),
   getFingerprint: () => engineVersion.generateFingerprint(),
   
+  // HTTP error mapping for the API routes
+  getHttpStatus: (code) => httpErrors.getHttpStatus(code),
+  toHttpError: (error) => httpErrors.toHttpError(error),
+  
   // Monitoring and observability
   getDashboardData: () => monitoring.getDashboardData(),
   getAlerts: () => monitoring.getAlerts(),
   clearAlerts: () => monitoring.clearAlerts(),
   resetMetrics: () => monitoring.resetMetrics(),
+  getTelemetry: () => engine.telemetry.getTelemetrySummary(),
   
   // Feature flags and kill switches
   getFeatureFlags: () => featureFlags.getAllFlags(),
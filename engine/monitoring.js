@@ -31,6 +31,9 @@ class EngineMonitoring extends EventEmitter {
         count: 0,
         byType: new Map(),
         signatureFailures: 0
+      },
+      banks: {
+        events: [] // bank activations, rollbacks and refused or failed activations
       }
     };
     this.alerts = new Map();
@@ -127,6 +130,23 @@ class EngineMonitoring extends EventEmitter {
     this._checkErrorAlerts(type);
   }
 
+  /**
+   * Track a bank lifecycle event: activated, rolled_back, activation_rejected or activation_failed
+   * @param {string} type - Event type (emitted as bank:<type>)
+   * @param {Object} details - Bank hashes, path, source and error
+   */
+  trackBankEvent(type, details) {
+    const event = { type, ...details, timestamp: Date.now() };
+    this.metrics.banks.events.push(event);
+
+    // Keep only the last 100 events
+    if (this.metrics.banks.events.length > 100) {
+      this.metrics.banks.events = this.metrics.banks.events.slice(-100);
+    }
+
+    this.emit(`bank:${type}`, event);
+  }
+
   /**
    * Track distribution metrics from session results
    * @param {Object} results - Session results
@@ -301,6 +321,9 @@ class EngineMonitoring extends EventEmitter {
         ),
         dailyDeltas: this._calculateDailyDeltas()
       },
+      banks: {
+        recentEvents: this.metrics.banks.events.slice(-10)
+      },
       alerts: Array.from(this.alerts.values()),
       timestamp: now
     };
@@ -372,6 +395,9 @@ class EngineMonitoring extends EventEmitter {
         count: 0,
         byType: new Map(),
         signatureFailures: 0
+      },
+      banks: {
+        events: [] // bank activations, rollbacks and refused or failed activations
       }
     };
   }
@@ -10,17 +10,30 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { generateKeyPair, getPublicKeyBase64, signBankPackage, verifyBankSignature } = require('./bankSignature');
 
-const CONFIG_DIR = path.join(__dirname, '..', 'config');
-const KEYS_DIR = path.join(__dirname, '..', 'keys');
+/**
+ * Directory holding environment config files
+ */
+function getConfigDir() {
+  return path.join(__dirname, '..', 'config');
+}
 
-// Ensure directories exist
-if (!fs.existsSync(CONFIG_DIR)) {
-  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+/**
+ * Directory holding private signing keys (BANK_KEYS_DIR overrides)
+ */
+function getKeysDir() {
+  return process.env.BANK_KEYS_DIR || path.join(__dirname, '..', 'keys');
 }
-if (!fs.existsSync(KEYS_DIR)) {
-  fs.mkdirSync(KEYS_DIR, { recursive: true });
+
+/**
+ * Create a directory if it doesn't exist
+ */
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
 }
 
 /**
@@ -34,42 +47,80 @@ const ENVIRONMENTS = {
 
 /**
  * Environment-specific configuration
+ *
+ * signing_key_file is the Ed25519 private key (PKCS#8 PEM) in the keys directory;
+ * bank_verify_key is the matching public key (base64 SPKI DER) that bank loads
+ * verify against. No key is committed: staging and production keys are supplied via
+ * BANK_VERIFY_KEY, and development (local_verify_key) verifies against the public key of
+ * its local signing key, which the pack script generates on first use.
+ *
+ * rate_limits are the RateLimitManager limits for the engine API routes;
+ * require_api_token makes every route demand an issued token (ENGINE_API_TOKENS) or, for
+ * requests about one session, that session's token (signed with ENGINE_SESSION_SECRET).
  */
 const ENV_CONFIGS = {
   [ENVIRONMENTS.DEVELOPMENT]: {
     name: 'Development',
     signing_key_file: 'development.key',
+    bank_verify_key: null,
+    local_verify_key: true,
     bank_registry_path: 'bank/registries/dev/',
     constants_profile: 'DEFAULT',
     retention_days: 7,
     debug_mode: true,
-    allow_unsigned_banks: true
+    allow_unsigned_banks: true,
+    require_api_token: false,
+    rate_limits: {
+      per_session: { windowMs: 60000, maxCalls: 600 },
+      per_token: { windowMs: 60000, maxCalls: 6000 },
+      per_ip: { windowMs: 60000, maxCalls: 6000 },
+      global: { windowMs: 60000, maxCalls: 100000 }
+    }
   },
   [ENVIRONMENTS.STAGING]: {
     name: 'Staging',
     signing_key_file: 'staging.key',
+    bank_verify_key: null,
     bank_registry_path: 'bank/registries/staging/',
     constants_profile: 'DEFAULT',
     retention_days: 30,
     debug_mode: false,
-    allow_unsigned_banks: false
+    allow_unsigned_banks: false,
+    require_api_token: true,
+    rate_limits: {
+      per_session: { windowMs: 60000, maxCalls: 120 },
+      per_token: { windowMs: 60000, maxCalls: 600 },
+      per_ip: { windowMs: 60000, maxCalls: 1000 },
+      global: { windowMs: 60000, maxCalls: 10000 }
+    }
   },
   [ENVIRONMENTS.PRODUCTION]: {
     name: 'Production',
     signing_key_file: 'production.key',
+    bank_verify_key: null,
     bank_registry_path: 'bank/registries/prod/',
     constants_profile: 'DEFAULT',
     retention_days: 90,
     debug_mode: false,
-    allow_unsigned_banks: false
+    allow_unsigned_banks: false,
+    require_api_token: true,
+    rate_limits: {
+      per_session: { windowMs: 60000, maxCalls: 120 },
+      per_token: { windowMs: 60000, maxCalls: 600 },
+      per_ip: { windowMs: 60000, maxCalls: 1000 },
+      global: { windowMs: 60000, maxCalls: 10000 }
+    }
   }
 };
 
 /**
  * Get current environment
+ * NODE_ENV values other than the three environments (e.g. test, set by jest) run with the
+ * development config
  */
 function getCurrentEnvironment() {
-  return process.env.NODE_ENV || ENVIRONMENTS.DEVELOPMENT;
+  const environment = process.env.NODE_ENV;
+  return environmentExists(environment) ? environment : ENVIRONMENTS.DEVELOPMENT;
 }
 
 /**
@@ -86,32 +137,115 @@ function getEnvironmentConfig(environment = null) {
 }
 
 /**
- * Load signing key for environment
+ * Path of the signing key file for environment in the keys directory
+ */
+function getSigningKeyPath(environment = null) {
+  return path.join(getKeysDir(), getEnvironmentConfig(environment).signing_key_file);
+}
+
+/**
+ * Load signing key for environment (BANK_SIGNING_KEY overrides the key file)
  */
 function loadSigningKey(environment = null) {
-  const config = getEnvironmentConfig(environment);
-  const keyPath = path.join(KEYS_DIR, config.signing_key_file);
+  if (process.env.BANK_SIGNING_KEY) {
+    return process.env.BANK_SIGNING_KEY;
+  }
+
+  const keyPath = getSigningKeyPath(environment);
   
   if (!fs.existsSync(keyPath)) {
-    throw new Error(`Signing key not found for environment ${environment}: ${keyPath}`);
+    throw new Error(`Signing key not found for environment ${environment || getCurrentEnvironment()}: ${keyPath}`);
   }
   
   return fs.readFileSync(keyPath, 'utf8').trim();
 }
 
 /**
- * Generate signing key for environment
+ * Generate an Ed25519 signing key pair for environment
+ * Writes the private key to the keys directory and returns the public key to
+ * set as the environment's BANK_VERIFY_KEY (development derives it from the key file)
  */
 function generateSigningKey(environment = null) {
   const config = getEnvironmentConfig(environment);
-  const keyPath = path.join(KEYS_DIR, config.signing_key_file);
+  const keyPath = path.join(ensureDir(getKeysDir()), config.signing_key_file);
   
-  // Generate new key
-  const key = crypto.randomBytes(32).toString('hex');
-  fs.writeFileSync(keyPath, key);
+  // Generate new key pair
+  const keyPair = generateKeyPair();
+  fs.writeFileSync(keyPath, keyPair.privateKey, { mode: 0o600 });
   
   console.log(`Generated new signing key for ${config.name}: ${keyPath}`);
-  return key;
+  console.log(`Bank verify key: ${keyPair.publicKeyBase64}`);
+  return keyPair.publicKeyBase64;
+}
+
+/**
+ * Load the signing key for environment, generating one when the environment has no bank
+ * verify key yet (a new key could never match one that is already configured)
+ */
+function loadOrCreateSigningKey(environment = null) {
+  try {
+    return loadSigningKey(environment);
+  } catch (error) {
+    if (getBankVerifyKey(environment)) {
+      throw new Error(`${error.message} (set BANK_SIGNING_KEY to the key matching the BANK_VERIFY_KEY)`);
+    }
+    generateSigningKey(environment);
+    return loadSigningKey(environment);
+  }
+}
+
+/**
+ * Get the public key bank packages are verified against (BANK_VERIFY_KEY overrides);
+ * local_verify_key environments derive it from their signing key file, null while there is none
+ */
+function getBankVerifyKey(environment = null) {
+  if (process.env.BANK_VERIFY_KEY) {
+    return process.env.BANK_VERIFY_KEY;
+  }
+  const config = getEnvironmentConfig(environment);
+  if (config.bank_verify_key || !config.local_verify_key) {
+    return config.bank_verify_key;
+  }
+  const keyPath = getSigningKeyPath(environment);
+  return fs.existsSync(keyPath) ? getPublicKeyBase64(fs.readFileSync(keyPath, 'utf8').trim()) : null;
+}
+
+/**
+ * Check if unsigned or mis-signed banks may load
+ * Requires ALLOW_UNSIGNED_BANKS=true and an environment that permits it
+ */
+function isUnsignedBankOverrideAllowed(environment = null) {
+  return process.env.ALLOW_UNSIGNED_BANKS === 'true' &&
+    getEnvironmentConfig(environment).allow_unsigned_banks === true;
+}
+
+/**
+ * Get the API rate limits for environment
+ */
+function getRateLimits(environment = null) {
+  return getEnvironmentConfig(environment).rate_limits;
+}
+
+/**
+ * Get the issued engine API tokens (comma-separated ENGINE_API_TOKENS)
+ */
+function getAPITokens() {
+  return (process.env.ENGINE_API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+}
+
+/**
+ * Get the server-side secret session tokens are signed with (ENGINE_SESSION_SECRET)
+ */
+function getSessionTokenSecret() {
+  return process.env.ENGINE_SESSION_SECRET || null;
+}
+
+/**
+ * Check if engine API routes require a token
+ * Required where the environment demands it or whenever tokens have been issued
+ */
+function isAPITokenRequired(environment = null) {
+  return getEnvironmentConfig(environment).require_api_token === true || getAPITokens().length > 0;
 }
 
 /**
@@ -174,7 +308,6 @@ function validateEnvironmentIsolation() {
   
   for (const env of environments) {
     try {
-      const config = getEnvironmentConfig(env);
       const registryPath = getBankRegistryPath(env);
       
       // Check if registry path exists and is isolated
@@ -188,10 +321,12 @@ function validateEnvironmentIsolation() {
       }
       
       // Check signing key
-      const keyPath = path.join(KEYS_DIR, config.signing_key_file);
-      if (!fs.existsSync(keyPath)) {
+      if (!fs.existsSync(getSigningKeyPath(env))) {
         issues.push(`Environment ${env} missing signing key`);
       }
+      if (!getBankVerifyKey(env)) {
+        issues.push(`Environment ${env} missing bank verify key`);
+      }
       
     } catch (error) {
       issues.push(`Environment ${env} configuration error: ${error.message}`);
@@ -211,8 +346,7 @@ function initializeEnvironment(environment) {
   const config = getEnvironmentConfig(environment);
   
   // Generate signing key if it doesn't exist
-  const keyPath = path.join(KEYS_DIR, config.signing_key_file);
-  if (!fs.existsSync(keyPath)) {
+  if (!fs.existsSync(getSigningKeyPath(environment))) {
     generateSigningKey(environment);
   }
   
@@ -223,7 +357,7 @@ function initializeEnvironment(environment) {
   }
   
   // Create environment config file
-  const configPath = path.join(CONFIG_DIR, `${environment}.json`);
+  const configPath = path.join(ensureDir(getConfigDir()), `${environment}.json`);
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
   
   console.log(`Initialized environment: ${config.name}`);
@@ -259,15 +393,14 @@ function getEnvironmentStatus(environment) {
   };
   
   // Check signing key
-  const keyPath = path.join(KEYS_DIR, config.signing_key_file);
-  status.signing_key_exists = fs.existsSync(keyPath);
+  status.signing_key_exists = fs.existsSync(getSigningKeyPath(environment));
   
   // Check registry
   const registryPath = getBankRegistryPath(environment);
   status.registry_exists = fs.existsSync(registryPath);
   
   // Check config file
-  const configPath = path.join(CONFIG_DIR, `${environment}.json`);
+  const configPath = path.join(getConfigDir(), `${environment}.json`);
   status.config_file_exists = fs.existsSync(configPath);
   
   // Overall initialization status
@@ -307,13 +440,7 @@ function createEnvironmentBankPackage(bankPackage, environment = null) {
   };
   
   // Sign with environment-specific key
-  const signingKey = loadSigningKey(environment);
-  const packageString = JSON.stringify(envBankPackage, null, 0);
-  const signature = crypto.createHmac('sha256', signingKey).update(packageString).digest('hex');
-  
-  envBankPackage.meta.signature = signature;
-  envBankPackage.meta.signed_at = new Date().toISOString();
-  envBankPackage.meta.signed_by = environment || getCurrentEnvironment();
+  signBankPackage(envBankPackage, loadSigningKey(environment), environment || getCurrentEnvironment());
   
   return envBankPackage;
 }
@@ -336,22 +463,14 @@ function validateEnvironmentBankPackage(bankPackage, environment = null) {
   if (!bankPackage.meta.signature) {
     errors.push('Bank package is not signed');
   } else {
-    try {
-      const signingKey = loadSigningKey(env);
-      const packageForVerification = { ...bankPackage };
-      delete packageForVerification.meta.signature;
-      delete packageForVerification.meta.signed_at;
-      delete packageForVerification.meta.signed_by;
-      
-      const expectedSignature = crypto.createHmac('sha256', signingKey)
-        .update(JSON.stringify(packageForVerification, null, 0))
-        .digest('hex');
-      
-      if (bankPackage.meta.signature !== expectedSignature) {
-        errors.push('Bank package signature is invalid');
+    const verifyKey = getBankVerifyKey(env);
+    if (!verifyKey) {
+      errors.push(`No bank verify key configured for environment ${env}`);
+    } else {
+      const verification = verifyBankSignature(bankPackage, verifyKey);
+      if (!verification.valid) {
+        errors.push(`Bank package signature is invalid: ${verification.error}`);
       }
-    } catch (error) {
-      errors.push(`Signature validation failed: ${error.message}`);
     }
   }
   
@@ -366,8 +485,16 @@ module.exports = {
   ENV_CONFIGS,
   getCurrentEnvironment,
   getEnvironmentConfig,
+  getSigningKeyPath,
   loadSigningKey,
   generateSigningKey,
+  loadOrCreateSigningKey,
+  getBankVerifyKey,
+  isUnsignedBankOverrideAllowed,
+  getRateLimits,
+  getAPITokens,
+  getSessionTokenSecret,
+  isAPITokenRequired,
   getBankRegistryPath,
   loadBankRegistry,
   saveBankRegistry,
@@ -0,0 +1,50 @@
+/**
+ * Privacy Audit Log - Append-only record of consent and privacy-gated operations
+ *
+ * Entries are privacyConsent.createPrivacyAuditLog() objects (session_id, action,
+ * details, consent_version, privacy_flags, timestamp). Entries are kept in memory
+ * and, when a file path is configured (PRIVACY_AUDIT_LOG_PATH), appended to it as
+ * JSON lines so the log survives restarts and is shared between instances.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PrivacyAuditLog {
+  /**
+   * @param {Object} options - Log options
+   * @param {string} options.filePath - JSON-lines file to append entries to (defaults to PRIVACY_AUDIT_LOG_PATH)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath !== undefined ? options.filePath : (process.env.PRIVACY_AUDIT_LOG_PATH || null);
+    this.entries = [];
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Privacy audit entry
+   * @returns {Object} The entry
+   */
+  append(entry) {
+    this.entries.push(entry);
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  }
+
+  /**
+   * List entries, oldest first
+   * @param {string} sessionId - Only entries for this session (optional)
+   * @returns {Array<Object>} Entries
+   */
+  list(sessionId = null) {
+    const entries = this.filePath && fs.existsSync(this.filePath)
+      ? fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+      : this.entries;
+    return sessionId ? entries.filter(entry => entry.session_id === sessionId) : entries.slice();
+  }
+}
+
+module.exports = PrivacyAuditLog;
@@ -0,0 +1,73 @@
+/**
+ * Question Views - What respondents may see of a question
+ *
+ * The engine builds questions with their scoring metadata (line verdict and tells per
+ * option, family screen). That scoring view stays on the server; routes and clients get
+ * the public view, which only names the question, its i18n keys and text, the option keys,
+ * and the position in the quiz.
+ */
+
+const I18nKeyManager = require('./i18n');
+
+const defaultKeys = new I18nKeyManager();
+
+/**
+ * Fields that reveal how an answer is scored; never part of the public view
+ */
+const SCORING_FIELDS = ['lineCOF', 'tells', 'face_id', 'tell_id', 'familyScreen', 'order_in_family'];
+
+/**
+ * Project a scoring-view question to the public view
+ * @param {Object} question - Question built by the engine (qid, options with lineCOF/tells, index, total)
+ * @param {Object} questionData - Bank question the options' text comes from
+ * @param {I18nKeyManager} [i18nKeys] - Keys of the bank's locale bundles (default keys when omitted)
+ * @returns {Object} { qid, stem_key, options: [{ key, text_key, text }], index, total[, answered_key] }
+ */
+function toPublicQuestion(question, questionData, i18nKeys = defaultKeys) {
+  const textByKey = new Map(((questionData && questionData.options) || []).map(option => [option.id, option.text]));
+
+  const view = {
+    qid: question.qid,
+    stem_key: i18nKeys.getQuestionStemKey(question.qid),
+    options: question.options.map(option => ({
+      key: option.key,
+      text_key: i18nKeys.getOptionTextKey(question.qid, option.key),
+      text: textByKey.get(option.key) || null
+    })),
+    index: question.index,
+    total: question.total
+  };
+
+  // Revisited questions carry the respondent's own answer
+  if (question.answered_key !== undefined) {
+    view.answered_key = question.answered_key;
+  }
+
+  return view;
+}
+
+/**
+ * Find scoring fields anywhere in a payload
+ * @param {*} payload - Response payload
+ * @param {string} [location] - Path of the payload, used in the result
+ * @returns {string[]} Paths of the scoring fields found (empty when the payload is safe)
+ */
+function findScoringFields(payload, location = '$') {
+  if (Array.isArray(payload)) {
+    return payload.flatMap((item, index) => findScoringFields(item, `${location}[${index}]`));
+  }
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  return Object.entries(payload).flatMap(([field, value]) => [
+    ...(SCORING_FIELDS.includes(field) ? [`${location}.${field}`] : []),
+    ...findScoringFields(value, `${location}.${field}`)
+  ]);
+}
+
+module.exports = {
+  SCORING_FIELDS,
+  toPublicQuestion,
+  findScoringFields
+};
@@ -72,18 +72,24 @@ class RateLimiter {
 }
 
 class RateLimitManager {
-  constructor() {
+  /**
+   * @param {Object} limits - Overrides per limit type ({ per_session, per_token, per_ip, global },
+   *   each { windowMs, maxCalls }), e.g. multiEnvConfig.getRateLimits()
+   */
+  constructor(limits = {}) {
     this.sessionLimiters = new Map();
     this.tokenLimiters = new Map();
     this.ipLimiters = new Map();
-    this.globalLimiter = new RateLimiter(60000, 10000); // 10k calls per minute globally
     
     // Default limits
     this.defaultLimits = {
       per_session: { windowMs: 60000, maxCalls: 120 }, // 2 rps average
       per_token: { windowMs: 60000, maxCalls: 600 },   // 10 rps average
-      per_ip: { windowMs: 60000, maxCalls: 1000 }      // 16.7 rps average
+      per_ip: { windowMs: 60000, maxCalls: 1000 },     // 16.7 rps average
+      global: { windowMs: 60000, maxCalls: 10000 },    // 10k calls per minute globally
+      ...limits
     };
+    this.globalLimiter = new RateLimiter(this.defaultLimits.global.windowMs, this.defaultLimits.global.maxCalls);
   }
 
   /**
@@ -388,7 +394,7 @@ class RateLimitManager {
       if (sessionStatus) {
         headers['X-RateLimit-Session-Limit'] = sessionStatus.maxCalls.toString();
         headers['X-RateLimit-Session-Remaining'] = sessionStatus.remaining.toString();
-        headers['X-RateLimit-Session-Reset'] = new Date(sessionStatus.resetIn).toISOString();
+        headers['X-RateLimit-Session-Reset'] = new Date(Date.now() + sessionStatus.resetIn).toISOString();
       }
     }
     
@@ -397,7 +403,7 @@ class RateLimitManager {
       if (tokenStatus) {
         headers['X-RateLimit-Token-Limit'] = tokenStatus.maxCalls.toString();
         headers['X-RateLimit-Token-Remaining'] = tokenStatus.remaining.toString();
-        headers['X-RateLimit-Token-Reset'] = new Date(tokenStatus.resetIn).toISOString();
+        headers['X-RateLimit-Token-Reset'] = new Date(Date.now() + tokenStatus.resetIn).toISOString();
       }
     }
     
@@ -406,14 +412,14 @@ class RateLimitManager {
       if (ipStatus) {
         headers['X-RateLimit-IP-Limit'] = ipStatus.maxCalls.toString();
         headers['X-RateLimit-IP-Remaining'] = ipStatus.remaining.toString();
-        headers['X-RateLimit-IP-Reset'] = new Date(ipStatus.resetIn).toISOString();
+        headers['X-RateLimit-IP-Reset'] = new Date(Date.now() + ipStatus.resetIn).toISOString();
       }
     }
     
     const globalStatus = this.getGlobalStatus();
     headers['X-RateLimit-Global-Limit'] = globalStatus.maxCalls.toString();
     headers['X-RateLimit-Global-Remaining'] = globalStatus.remaining.toString();
-    headers['X-RateLimit-Global-Reset'] = new Date(globalStatus.resetIn).toISOString();
+    headers['X-RateLimit-Global-Reset'] = new Date(Date.now() + globalStatus.resetIn).toISOString();
     
     return headers;
   }
@@ -6,10 +6,17 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { restoreRNG, LEGACY_RNG_ALGORITHM } = require('./rng');
+
+// Draws compared between the restored and the re-derived generator
+const DETERMINISM_CHECK_DRAWS = 8;
 
 class RecoveryManager {
-  constructor() {
-    this.recoveryDir = './recovery';
+  /**
+   * @param {Object} options - { recoveryDir: directory for recovery files }
+   */
+  constructor(options = {}) {
+    this.recoveryDir = options.recoveryDir || './recovery';
     this.maxRecoveryFiles = 100;
     this.ensureRecoveryDir();
   }
@@ -35,18 +42,30 @@ class RecoveryManager {
         session_id: sessionId,
         saved_at: new Date().toISOString(),
         reason: reason,
+        session_seed: session.sessionSeed,
         bank_hash: session.bankHash,
         bank_id: session.bankId,
         constants_profile: session.constantsProfile,
         state: session.state,
         picks: Array.from(session.picks || []),
         schedule: session.schedule || [],
+        served_questions: session.servedQuestions || [],
+        cursor: Number.isInteger(session.cursor) ? session.cursor : -1,
+        total_questions: session.totalQuestions,
+        scheduling_mode: session.schedulingMode || 'static',
+        picks_policy: session.picksPolicy || 'at_least_one',
+        privacy: session.privacy || null,
+        family_order: session.familyOrder || null,
+        served_qids: session.servedQids || null,
+        pending_question: session.pendingQuestion || null,
         answers: session.answers || [],
         line_state: this._serializeMap(session.lineState),
         face_ledger: this._serializeMap(session.faceLedger),
         screen_face_count: this._serializeMap(session.screenFaceCount),
         started_at: session.startedAt,
-        qa_flags: session.qaFlags || []
+        qa_flags: session.qaFlags || [],
+        rng_algorithm: session.rngAlgorithm || LEGACY_RNG_ALGORITHM,
+        prng_state: session.prng ? session.prng.getState() : null
       };
 
       const recoveryFile = path.join(this.recoveryDir, `session_${sessionId}_${Date.now()}.json`);
@@ -110,6 +129,28 @@ class RecoveryManager {
     }
   }
 
+  /**
+   * List the recovery files saved for one session
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Recovery files with their saved state (data), most recent first
+   */
+  listSessionFiles(sessionId) {
+    return this.listRecoveryFiles()
+      .filter(file => file.file.startsWith(`session_${sessionId}_`))
+      .map(file => ({ ...file, data: JSON.parse(fs.readFileSync(file.path, 'utf8')) }));
+  }
+
+  /**
+   * Delete every recovery file saved for one session
+   * @param {string} sessionId - Session ID
+   * @returns {number} Number of files deleted
+   */
+  deleteSessionFiles(sessionId) {
+    const files = this.listSessionFiles(sessionId);
+    files.forEach(file => fs.unlinkSync(file.path));
+    return files.length;
+  }
+
   /**
    * Recover session from crash
    * @param {string} sessionId - Session ID
@@ -135,8 +176,18 @@ class RecoveryManager {
         };
       }
 
+      if (!recoveredState.prng) {
+        return {
+          success: false,
+          error: 'Recovery data has no PRNG state - session cannot be continued deterministically'
+        };
+      }
+
+      // Throws rather than returning an error: a diverging generator must never be resumed
+      this.verifyPRNGDeterminism(recoveredState, engine);
+
       // Restore session to engine
-      engine.sessions.set(sessionId, recoveredState);
+      engine.restoreSession(recoveredState);
       
       return {
         success: true,
@@ -144,6 +195,9 @@ class RecoveryManager {
         message: 'Session recovered successfully'
       };
     } catch (error) {
+      if (error.code === 'E_RNG_STATE_MISMATCH') {
+        throw error;
+      }
       return {
         success: false,
         error: `Recovery failed: ${error.message}`
@@ -151,6 +205,32 @@ class RecoveryManager {
     }
   }
 
+  /**
+   * Verify that a restored PRNG continues the sequence of a generator re-derived
+   * from the session seed and advanced by the same number of draws
+   * @param {Object} session - Recovered session state
+   * @param {Object} engine - Engine instance
+   * @throws {Error} E_RNG_STATE_MISMATCH when the sequences diverge
+   */
+  verifyPRNGDeterminism(session, engine) {
+    const snapshot = session.prng.getState();
+    const reference = engine.derivePRNG(session.sessionSeed, session.bankHash, session.constantsProfile,
+      session.rngAlgorithm, snapshot.counter || 0);
+    const restored = restoreRNG(session.rngAlgorithm, snapshot);
+
+    for (let i = 0; i < DETERMINISM_CHECK_DRAWS; i++) {
+      const expected = reference.next();
+      const actual = restored.next();
+      if (expected !== actual) {
+        const error = new Error(`PRNG for session ${session.sessionId} diverges from its seed at draw ${(snapshot.counter || 0) + i + 1}`);
+        error.code = 'E_RNG_STATE_MISMATCH';
+        error.hint = 'Recovery data is corrupt or was written by a different engine version';
+        console.error(`❌ ${error.message}`);
+        throw error;
+      }
+    }
+  }
+
   /**
    * Continue session from pause
    * @param {string} sessionId - Session ID
@@ -159,28 +239,11 @@ class RecoveryManager {
    */
   continueFromPause(sessionId, engine) {
     try {
-      const session = engine.sessions.get(sessionId);
-      if (!session) {
-        return {
-          success: false,
-          error: 'Session not found'
-        };
-      }
-
-      if (session.state !== 'PAUSED') {
-        return {
-          success: false,
-          error: 'Session is not in PAUSED state'
-        };
-      }
-
-      // Resume session
-      session.state = 'IN_PROGRESS';
-      session.resumed_at = new Date().toISOString();
+      const resumed = engine.resumeSession(sessionId);
       
       return {
         success: true,
-        session: session,
+        session: resumed,
         message: 'Session resumed successfully'
       };
     } catch (error) {
@@ -244,35 +307,34 @@ class RecoveryManager {
     if (!map) return {};
     const obj = {};
     map.forEach((value, key) => {
-      if (value instanceof Map) {
-        obj[key] = this._serializeMap(value);
-      } else if (value instanceof Set) {
-        obj[key] = Array.from(value);
-      } else {
-        obj[key] = value;
-      }
+      obj[key] = this._serializeValue(value);
     });
     return obj;
   }
 
   /**
-   * Deserialize object to Map
-   * @param {Object} obj - Object to deserialize
-   * @returns {Map} Deserialized map
+   * Serialize a value, converting nested Maps and Sets
+   * @param {*} value - Value to serialize
+   * @returns {*} JSON-safe value
    */
-  _deserializeMap(obj) {
-    if (!obj) return new Map();
-    const map = new Map();
-    Object.entries(obj).forEach(([key, value]) => {
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        map.set(key, this._deserializeMap(value));
-      } else if (Array.isArray(value)) {
-        map.set(key, new Set(value));
-      } else {
-        map.set(key, value);
-      }
-    });
-    return map;
+  _serializeValue(value) {
+    if (value instanceof Map) {
+      return this._serializeMap(value);
+    }
+    if (value instanceof Set) {
+      return Array.from(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._serializeValue(item));
+    }
+    if (value && typeof value === 'object') {
+      const obj = {};
+      Object.entries(value).forEach(([key, item]) => {
+        obj[key] = this._serializeValue(item);
+      });
+      return obj;
+    }
+    return value;
   }
 
   /**
@@ -281,20 +343,48 @@ class RecoveryManager {
    * @returns {Object} Session state
    */
   _deserializeSessionState(recoveryData) {
+    const faceLedger = new Map();
+    Object.entries(recoveryData.face_ledger || {}).forEach(([faceId, ledger]) => {
+      faceLedger.set(faceId, {
+        ...ledger,
+        questions_hit: new Set(ledger.questions_hit),
+        families_hit: new Set(ledger.families_hit),
+        signature_qids: new Set(ledger.signature_qids)
+      });
+    });
+
+    const screenFaceCount = new Map();
+    Object.entries(recoveryData.screen_face_count || {}).forEach(([family, faceCounts]) => {
+      screenFaceCount.set(family, new Map(Object.entries(faceCounts)));
+    });
+
+    const rngAlgorithm = recoveryData.rng_algorithm || LEGACY_RNG_ALGORITHM;
+
     return {
       sessionId: recoveryData.session_id,
+      sessionSeed: recoveryData.session_seed,
       bankHash: recoveryData.bank_hash,
       bankId: recoveryData.bank_id,
       constantsProfile: recoveryData.constants_profile,
       state: recoveryData.state,
       picks: new Set(recoveryData.picks || []),
       schedule: recoveryData.schedule || [],
+      servedQuestions: recoveryData.served_questions || [],
+      cursor: Number.isInteger(recoveryData.cursor) ? recoveryData.cursor : (recoveryData.served_questions || []).length - 1,
+      totalQuestions: recoveryData.total_questions,
+      schedulingMode: recoveryData.scheduling_mode || 'static',
+      picksPolicy: recoveryData.picks_policy || 'at_least_one',
+      ...(recoveryData.privacy ? { privacy: recoveryData.privacy } : {}),
+      ...(recoveryData.family_order ? { familyOrder: recoveryData.family_order, servedQids: recoveryData.served_qids } : {}),
+      pendingQuestion: recoveryData.pending_question || null,
       answers: recoveryData.answers || [],
-      lineState: this._deserializeMap(recoveryData.line_state),
-      faceLedger: this._deserializeMap(recoveryData.face_ledger),
-      screenFaceCount: this._deserializeMap(recoveryData.screen_face_count),
+      lineState: new Map(Object.entries(recoveryData.line_state || {})),
+      faceLedger,
+      screenFaceCount,
       startedAt: recoveryData.started_at,
       qaFlags: recoveryData.qa_flags || [],
+      rngAlgorithm,
+      prng: recoveryData.prng_state ? restoreRNG(rngAlgorithm, recoveryData.prng_state) : null,
       recovered_at: new Date().toISOString()
     };
   }
@@ -7,67 +7,12 @@
 
 const crypto = require('crypto');
 
-class DeterministicRNG {
-  constructor(seed) {
-    this.seed = seed;
-    this.state = this.initializeState(seed);
-    this.counter = 0;
-  }
-
-  /**
-   * Initialize RNG state from seed
-   */
-  initializeState(seed) {
-    // Convert seed to 128-bit state
-    const hash = crypto.createHash('sha256').update(seed).digest();
-    
-    // Split into two 64-bit parts
-    const state0 = this.bytesToUint64(hash.slice(0, 8));
-    const state1 = this.bytesToUint64(hash.slice(8, 16));
-    
-    return [state0, state1];
-  }
-
-  /**
-   * Convert bytes to 64-bit unsigned integer
-   */
-  bytesToUint64(bytes) {
-    let result = 0;
-    for (let i = 0; i < 8; i++) {
-      result = (result << 8) | bytes[i];
-    }
-    return result >>> 0; // Ensure unsigned
-  }
-
-  /**
-   * Generate next random number (0-1 range)
-   */
-  next() {
-    this.counter++;
-    
-    // Xoroshiro128+ algorithm
-    const s0 = this.state[0];
-    let s1 = this.state[1];
-    
-    const result = (s0 + s1) >>> 0;
-    
-    s1 ^= s0;
-    this.state[0] = this.rotl(s0, 24) ^ s1 ^ (s1 << 16);
-    this.state[1] = this.rotl(s1, 37);
-    
-    this.state[1] = s1;
-    
-    // Convert to 0-1 range
-    return result / 0x100000000;
-  }
-
-  /**
-   * Rotate left operation
-   */
-  rotl(x, k) {
-    return ((x << k) | (x >>> (64 - k))) >>> 0;
-  }
+const MASK_64 = (1n << 64n) - 1n;
 
+/**
+ * Shared helpers for the engine PRNGs - subclasses implement next()
+ */
+class SeededRNG {
   /**
    * Generate random integer in range [min, max]
    */
@@ -128,17 +73,154 @@ class DeterministicRNG {
   resetCounter() {
     this.counter = 0;
   }
+}
+
+/**
+ * Xoroshiro128+ over two 64-bit BigInt words
+ */
+class DeterministicRNG extends SeededRNG {
+  constructor(seed) {
+    super();
+    this.algorithm = 'xoroshiro128plus';
+    this.seed = seed;
+    this.state = this.initializeState(seed);
+    this.counter = 0;
+  }
+
+  /**
+   * Initialize RNG state from seed
+   */
+  initializeState(seed) {
+    // Convert seed to 128-bit state
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    
+    // Split into two 64-bit parts (an all-zero state would only ever emit zeros)
+    const state0 = hash.readBigUInt64BE(0);
+    const state1 = hash.readBigUInt64BE(8);
+    
+    return state0 === 0n && state1 === 0n ? [1n, 0n] : [state0, state1];
+  }
+
+  /**
+   * Generate next random number (0-1 range)
+   */
+  next() {
+    this.counter++;
+    
+    // Xoroshiro128+ algorithm
+    const s0 = this.state[0];
+    let s1 = this.state[1];
+    
+    const result = (s0 + s1) & MASK_64;
+    
+    s1 ^= s0;
+    this.state[0] = this.rotl(s0, 24n) ^ s1 ^ ((s1 << 16n) & MASK_64);
+    this.state[1] = this.rotl(s1, 37n);
+    
+    // Top 53 bits give a uniformly distributed double in [0, 1)
+    return Number(result >> 11n) / 2 ** 53;
+  }
+
+  /**
+   * Rotate left operation
+   */
+  rotl(x, k) {
+    return ((x << k) | (x >> (64n - k))) & MASK_64;
+  }
 
   /**
-   * Get current state for debugging
+   * Get current state (JSON-safe, accepted by setState)
    */
   getState() {
     return {
       seed: this.seed,
-      state: [...this.state],
+      state: this.state.map(word => word.toString(16).padStart(16, '0')),
+      counter: this.counter
+    };
+  }
+
+  /**
+   * Restore a state captured by getState
+   */
+  setState(snapshot) {
+    this.seed = snapshot.seed;
+    this.state = snapshot.state.map(word => BigInt(`0x${word}`));
+    this.counter = snapshot.counter || 0;
+  }
+}
+
+/**
+ * 32-bit linear congruential generator seeded from the first 8 hex chars of the seed.
+ * The engine's original PRNG - kept so lcg32 sessions and goldens replay bit-exactly.
+ */
+class LCG32RNG extends SeededRNG {
+  constructor(seed) {
+    super();
+    this.algorithm = 'lcg32';
+    this.state = parseInt(seed.substring(0, 8), 16);
+    this.counter = 0;
+  }
+
+  /**
+   * Generate next random number (0-1 range)
+   */
+  next() {
+    this.counter++;
+    this.state = (this.state * 1664525 + 1013904223) % Math.pow(2, 32);
+    return this.state / Math.pow(2, 32);
+  }
+
+  /**
+   * Get current state (JSON-safe, accepted by setState)
+   */
+  getState() {
+    return {
+      state: this.state,
       counter: this.counter
     };
   }
+
+  /**
+   * Restore a state captured by getState
+   */
+  setState(snapshot) {
+    this.state = snapshot.state;
+    this.counter = snapshot.counter || 0;
+  }
+}
+
+// Engine PRNG algorithms, recorded per session as rng_algorithm
+const RNG_ALGORITHMS = {
+  lcg32: LCG32RNG,
+  xoroshiro128plus: DeterministicRNG
+};
+const DEFAULT_RNG_ALGORITHM = 'xoroshiro128plus';
+const LEGACY_RNG_ALGORITHM = 'lcg32'; // Sessions and replays that predate rng_algorithm
+
+/**
+ * Check whether an algorithm name is supported
+ */
+function isSupportedAlgorithm(algorithm) {
+  return Object.prototype.hasOwnProperty.call(RNG_ALGORITHMS, algorithm);
+}
+
+/**
+ * Create a PRNG for an algorithm from a hex seed
+ */
+function createRNG(algorithm, seed) {
+  if (!isSupportedAlgorithm(algorithm)) {
+    throw new Error(`Unsupported RNG algorithm: ${algorithm}`);
+  }
+  return new RNG_ALGORITHMS[algorithm](seed);
+}
+
+/**
+ * Rebuild a PRNG from a state captured by getState
+ */
+function restoreRNG(algorithm, snapshot) {
+  const rng = createRNG(algorithm, snapshot.seed || '00000000');
+  rng.setState(snapshot);
+  return rng;
 }
 
 class RNGManager {
@@ -401,4 +483,14 @@ class RNGManager {
   }
 }
 
-module.exports = { DeterministicRNG, RNGManager };
+module.exports = {
+  DeterministicRNG,
+  LCG32RNG,
+  RNGManager,
+  RNG_ALGORITHMS,
+  DEFAULT_RNG_ALGORITHM,
+  LEGACY_RNG_ALGORITHM,
+  isSupportedAlgorithm,
+  createRNG,
+  restoreRNG
+};
@@ -6,6 +6,7 @@
  */
 
 const crypto = require('crypto');
+const { verifyBankSignature } = require('./bankSignature');
 
 class SecurityManager {
   constructor() {
@@ -380,10 +381,45 @@ class SecurityManager {
     return errors;
   }
 
+  /**
+   * Sign a per-session credential: HMAC-SHA256 of the session ID under a server-side secret,
+   * so browsers can act on their own session without holding an API token
+   * @param {string} sessionId - Session ID
+   * @param {string} secret - Server-side secret (ENGINE_SESSION_SECRET)
+   * @returns {string} Hex session token
+   */
+  signSessionToken(sessionId, secret) {
+    return crypto.createHmac('sha256', secret).update(`session:${sessionId}`).digest('hex');
+  }
+
+  /**
+   * Validate a per-session credential against the session it was issued for
+   * @param {string} sessionId - Session the request is about
+   * @param {string} token - Session token presented by the caller
+   * @param {string} secret - Server-side secret (ENGINE_SESSION_SECRET)
+   */
+  validateSessionToken(sessionId, token, secret) {
+    if (!secret) {
+      return { valid: false, error: 'Session tokens are not configured' };
+    }
+    if (!sessionId) {
+      return { valid: false, error: 'Session token without a session' };
+    }
+
+    const expected = Buffer.from(this.signSessionToken(sessionId, secret));
+    const provided = Buffer.from(String(token));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false, error: 'Session token does not match the session' };
+    }
+    return { valid: true };
+  }
+
   /**
    * Validate API token
+   * @param {string} token - Token presented by the caller
+   * @param {Array<string>} validTokens - Issued tokens (format check only when omitted)
    */
-  validateAPIToken(token) {
+  validateAPIToken(token, validTokens = null) {
     if (!token) {
       return { valid: false, error: 'Missing API token' };
     }
@@ -393,8 +429,18 @@ class SecurityManager {
       return { valid: false, error: 'Invalid token format' };
     }
 
-    // Additional token validation would go here
-    // For now, just check basic format
+    // Constant-time comparison against every issued token
+    if (validTokens) {
+      const provided = Buffer.from(token);
+      const known = validTokens.some(validToken => {
+        const expected = Buffer.from(validToken);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+      });
+      if (!known) {
+        return { valid: false, error: 'Unknown API token' };
+      }
+    }
+
     return { valid: true };
   }
 
@@ -485,25 +531,15 @@ class SecurityManager {
 
   /**
    * Validate bank signature
+   * @param {Object} bankPackage - Bank package
+   * @param {string} publicKey - Ed25519 public key (PEM or base64 SPKI DER)
+   * @returns {Object} { valid, error }
    */
   validateBankSignature(bankPackage, publicKey) {
-    if (!bankPackage.meta.signature) {
-      return { valid: false, error: 'No signature found' };
-    }
-
-    try {
-      // This would implement actual signature validation
-      // For now, just check if signature exists
-      const signature = bankPackage.meta.signature;
-      
-      if (typeof signature !== 'string' || signature.length < 64) {
-        return { valid: false, error: 'Invalid signature format' };
-      }
-
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: error.message };
+    if (!publicKey) {
+      return { valid: false, error: 'No public key provided' };
     }
+    return verifyBankSignature(bankPackage, publicKey);
   }
 
   /**
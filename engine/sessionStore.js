@@ -0,0 +1,380 @@
+/**
+ * Session Store - Pluggable persistence for engine sessions
+ *
+ * Every adapter speaks the same record-level interface:
+ * - get(sessionId) -> record | null
+ * - put(sessionId, record) -> record (unconditional write)
+ * - compareAndSet(sessionId, expectedRevision, record) -> boolean
+ * - delete(sessionId) -> boolean
+ * - list() -> sessionId[]
+ *
+ * Records are the plain JSON objects produced by PFFEngine._serializeSession.
+ * compareAndSet only writes when the stored revision equals expectedRevision
+ * (null means "no record stored yet"), so two serverless instances can never
+ * silently overwrite each other's progress.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageSchemaManager = require('./storage');
+
+const SAFE_SESSION_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Deep copy a record so callers never share references with the store
+ * @param {Object} record - Session record
+ * @returns {Object} Copied record
+ */
+function cloneRecord(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+/**
+ * Stored revision of a record, null when absent
+ * @param {Object|null} record - Session record
+ * @returns {number|null} Revision
+ */
+function revisionOf(record) {
+  return record ? record.revision : null;
+}
+
+/**
+ * In-memory adapter (default, single process only)
+ */
+class MemorySessionStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new Map();
+  }
+
+  get(sessionId) {
+    return cloneRecord(this.records.get(sessionId));
+  }
+
+  put(sessionId, record) {
+    this.records.set(sessionId, cloneRecord(record));
+    return record;
+  }
+
+  compareAndSet(sessionId, expectedRevision, record) {
+    if (revisionOf(this.records.get(sessionId)) !== expectedRevision) {
+      return false;
+    }
+    this.put(sessionId, record);
+    return true;
+  }
+
+  delete(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  list() {
+    return Array.from(this.records.keys());
+  }
+}
+
+/**
+ * File-backed adapter - one JSON document per session
+ */
+class FileSessionStore {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Directory holding session files
+   * @param {number} options.lockTimeoutMs - Age after which a lock file is considered stale
+   */
+  constructor(options = {}) {
+    this.type = 'file';
+    this.directory = options.directory || path.join(process.cwd(), 'sessions');
+    this.lockTimeoutMs = options.lockTimeoutMs || 30000;
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  get(sessionId) {
+    if (!SAFE_SESSION_ID.test(sessionId)) return null;
+    const filePath = this._sessionPath(sessionId);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  put(sessionId, record) {
+    this._assertSafeId(sessionId);
+    this._writeAtomic(this._sessionPath(sessionId), record);
+    return record;
+  }
+
+  compareAndSet(sessionId, expectedRevision, record) {
+    this._assertSafeId(sessionId);
+    const lockPath = `${this._sessionPath(sessionId)}.lock`;
+    if (!this._acquireLock(lockPath)) {
+      return false;
+    }
+
+    try {
+      if (revisionOf(this.get(sessionId)) !== expectedRevision) {
+        return false;
+      }
+      this._writeAtomic(this._sessionPath(sessionId), record);
+      return true;
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  delete(sessionId) {
+    if (!SAFE_SESSION_ID.test(sessionId)) return false;
+    const filePath = this._sessionPath(sessionId);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  list() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(sessionId => SAFE_SESSION_ID.test(sessionId));
+  }
+
+  _sessionPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  _assertSafeId(sessionId) {
+    if (!SAFE_SESSION_ID.test(sessionId)) {
+      throw new Error(`Invalid session id for file store: ${sessionId}`);
+    }
+  }
+
+  /**
+   * Write to a temp file and rename so readers never see a partial document
+   */
+  _writeAtomic(filePath, record) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Take an exclusive lock file; a lock older than lockTimeoutMs is treated as abandoned
+   * @returns {boolean} True if the lock was acquired
+   */
+  _acquireLock(lockPath) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+    if (age < this.lockTimeoutMs) {
+      return false;
+    }
+
+    fs.rmSync(lockPath, { force: true });
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * SQLite adapter - tables follow StorageSchemaManager (sessions, answers, final_snapshots)
+ *
+ * Accepts an open synchronous database handle (node:sqlite DatabaseSync or
+ * better-sqlite3), or a filename which is opened with whichever driver is available.
+ */
+class SQLiteSessionStore {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {Object} options.database - Open database handle
+   * @param {string} options.filename - Database file to open when no handle is given
+   */
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.db = options.database || SQLiteSessionStore.openDatabase(options.filename || path.join(process.cwd(), 'sessions.db'));
+    this._createTables();
+  }
+
+  /**
+   * Open a database file with the first available synchronous driver
+   * @param {string} filename - Database file
+   * @returns {Object} Database handle
+   */
+  static openDatabase(filename) {
+    try {
+      const { DatabaseSync } = require('node:sqlite');
+      return new DatabaseSync(filename);
+    } catch {
+      // node:sqlite ships with Node 22.5+, fall back to better-sqlite3
+    }
+
+    try {
+      const Database = require('better-sqlite3');
+      return new Database(filename);
+    } catch {
+      throw new Error('SQLite session store requires Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+    }
+  }
+
+  get(sessionId) {
+    const row = this.db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(sessionId);
+    if (!row) return null;
+
+    const answers = this.db.prepare('SELECT * FROM answers WHERE session_id = ? ORDER BY seq').all(sessionId)
+      .map(answer => ({
+        qid: answer.qid,
+        familyScreen: answer.familyScreen,
+        picked_key: answer.picked_key,
+        lineCOF: answer.lineCOF,
+        tells: JSON.parse(answer.tells || '[]'),
+        ts: answer.ts,
+        latency_ms: answer.latency_ms
+      }));
+
+    const snapshot = this.db.prepare('SELECT * FROM final_snapshots WHERE session_id = ?').get(sessionId);
+
+    return {
+      ...JSON.parse(row.engine_state || '{}'),
+      session_id: row.session_id,
+      bank_id: row.bank_id,
+      bank_hash: row.bank_hash_sha256,
+      constants_profile: row.constants_profile,
+      state: row.state,
+      started_at: row.started_at,
+      finalized_at: row.finalized_at,
+      picks: JSON.parse(row.picked_families),
+      schedule: JSON.parse(row.schedule),
+      answers,
+      results: snapshot ? {
+        session_id: snapshot.session_id,
+        state: 'FINALIZED',
+        line_verdicts: JSON.parse(snapshot.line_verdicts),
+        face_states: JSON.parse(snapshot.face_states),
+        family_reps: JSON.parse(snapshot.family_reps),
+        anchor_family: snapshot.anchor_family,
+        qa_flags: JSON.parse(snapshot.qa_flags || '[]')
+      } : null,
+      revision: row.revision
+    };
+  }
+
+  put(sessionId, record) {
+    this._transaction(() => this._write(sessionId, record));
+    return record;
+  }
+
+  compareAndSet(sessionId, expectedRevision, record) {
+    return this._transaction(() => {
+      const row = this.db.prepare('SELECT revision FROM sessions WHERE session_id = ?').get(sessionId);
+      if ((row ? row.revision : null) !== expectedRevision) {
+        return false;
+      }
+      this._write(sessionId, record);
+      return true;
+    });
+  }
+
+  delete(sessionId) {
+    return this._transaction(() => {
+      this.db.prepare('DELETE FROM final_snapshots WHERE session_id = ?').run(sessionId);
+      this.db.prepare('DELETE FROM answers WHERE session_id = ?').run(sessionId);
+      return this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId).changes > 0;
+    });
+  }
+
+  list() {
+    return this.db.prepare('SELECT session_id FROM sessions ORDER BY started_at').all().map(row => row.session_id);
+  }
+
+  _createTables() {
+    const schemaManager = new StorageSchemaManager();
+    ['sessions', 'answers', 'final_snapshots'].forEach(table => {
+      this.db.exec(schemaManager.generateTableDDL(table, schemaManager.getSchema(table), 'sqlite'));
+    });
+  }
+
+  _transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Split a record across the three tables; columns not covered by the schema live in engine_state
+   */
+  _write(sessionId, record) {
+    const {
+      bank_id, bank_hash, constants_profile, state, started_at, finalized_at,
+      picks, schedule, answers, results, revision, ...engineState
+    } = record;
+    const now = new Date().toISOString();
+
+    this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId);
+    this.db.prepare(`INSERT INTO sessions (session_id, bank_id, bank_hash_sha256, state, started_at, finalized_at,
+      picked_families, schedule, constants_profile, gating_assignments, engine_state, revision, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+      sessionId, bank_id, bank_hash, state, started_at, finalized_at || null,
+      JSON.stringify(picks || []), JSON.stringify(schedule || []), constants_profile, null,
+      JSON.stringify(engineState), revision, started_at, now
+    );
+
+    this.db.prepare('DELETE FROM answers WHERE session_id = ?').run(sessionId);
+    const insertAnswer = this.db.prepare(`INSERT INTO answers (session_id, qid, seq, familyScreen, picked_key, lineCOF,
+      faces, tells, ts, latency_ms, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    (answers || []).forEach((answer, seq) => {
+      const ts = typeof answer.ts === 'number' ? new Date(answer.ts).toISOString() : answer.ts;
+      insertAnswer.run(
+        sessionId, answer.qid, seq, String(answer.familyScreen), answer.picked_key, answer.lineCOF,
+        JSON.stringify([...new Set((answer.tells || []).map(tell => tell.face_id))]),
+        JSON.stringify(answer.tells || []), ts, answer.latency_ms ?? null, ts, now
+      );
+    });
+
+    this.db.prepare('DELETE FROM final_snapshots WHERE session_id = ?').run(sessionId);
+    if (results) {
+      this.db.prepare(`INSERT INTO final_snapshots (session_id, bank_id, bank_hash_sha256, line_verdicts, face_states,
+        family_reps, anchor_family, finalized_at, processing_time_ms, qa_flags, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        sessionId, bank_id, bank_hash, JSON.stringify(results.line_verdicts), JSON.stringify(results.face_states),
+        JSON.stringify(results.family_reps), results.anchor_family || null, finalized_at || now, null,
+        JSON.stringify(results.qa_flags || []), now
+      );
+    }
+  }
+}
+
+/**
+ * Create a session store from options or environment
+ * (SESSION_STORE=memory|file|sqlite, SESSION_STORE_PATH=directory or database file)
+ * @param {Object} options - { type, path, database }
+ * @returns {Object} Session store adapter
+ */
+function createSessionStore(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || 'memory';
+  const storePath = options.path || process.env.SESSION_STORE_PATH;
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({ directory: storePath });
+    case 'sqlite':
+      return new SQLiteSessionStore({ database: options.database, filename: storePath });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, SQLiteSessionStore, createSessionStore };
@@ -7,6 +7,7 @@
  * - Calibration guardrails
  * - Bank diff validation
  * - Authoring QA checks
+ * - Translation coverage of required locales
  */
 
 /**
@@ -42,6 +43,12 @@ const ACCEPTANCE_GATES = {
     description: 'Authoring QA families_missing_any_COF > 0',
     severity: 'BLOCKING',
     check: checkAuthoringQAFamilies
+  },
+  TRANSLATION_COVERAGE: {
+    name: 'Translation Coverage',
+    description: 'Required locale with missing, stale or untranslated strings',
+    severity: 'BLOCKING',
+    check: checkTranslationCoverage
   }
 };
 
@@ -226,6 +233,50 @@ function checkAuthoringQAFamilies(bankPackage, authoringQA) {
   };
 }
 
+/**
+ * Check translation coverage (report from pff i18n coverage)
+ */
+function checkTranslationCoverage(bankPackage, coverage) {
+  if (!coverage) {
+    return {
+      passed: true,
+      reason: 'No translation coverage provided',
+      details: 'Translation coverage is optional for validation'
+    };
+  }
+  
+  if (coverage.bank_hash !== bankPackage.meta.bank_hash_sha256) {
+    return {
+      passed: false,
+      reason: 'Translation coverage is for another bank',
+      details: `Coverage was reported for bank ${coverage.bank_hash}`
+    };
+  }
+  
+  const incomplete = (coverage.required_locales || []).filter(locale => {
+    const report = coverage.locales[locale];
+    return !report || report.missing.length > 0 || report.stale.length > 0 || report.untranslated.length > 0;
+  });
+  
+  if (incomplete.length > 0) {
+    return {
+      passed: false,
+      reason: 'Required locales not fully translated',
+      details: incomplete.map(locale => {
+        const report = coverage.locales[locale];
+        return report
+          ? `${locale}: ${report.missing.length} missing, ${report.stale.length} stale, ${report.untranslated.length} untranslated`
+          : `${locale}: not reported`;
+      }).join('; ')
+    };
+  }
+  
+  return {
+    passed: true,
+    reason: 'Required locales fully translated'
+  };
+}
+
 /**
  * Run all acceptance gates
  */
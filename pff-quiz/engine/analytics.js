@@ -363,4 +363,4 @@ class AnalyticsEventCollector {
   }
 }
 
-module.exports = AnalyticsEventCollector;
+export default AnalyticsEventCollector;
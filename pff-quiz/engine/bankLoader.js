@@ -7,10 +7,17 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import bankStorage from './bankStorage.js';
+import ErrorCodesRegistry from './errorCodes.js';
+import { verifyBankSignature } from './bankSignature.js';
+import { getCurrentEnvironment, getBankVerifyKey, isUnsignedBankOverrideAllowed } from './multiEnvConfig.js';
+import { getSchedulePolicy } from './schedulePolicy.js';
+
+const errorCodes = new ErrorCodesRegistry();
 
 class BankLoader {
   constructor() {
     this.bankPackage = null;
+    this.bankPath = null;
     this.indices = {
       byQid: new Map(),
       questionsByFamily: new Map(),
@@ -29,6 +36,10 @@ class BankLoader {
     try {
       // Load bank package through immutable storage
       this.bankPackage = bankStorage.loadBank(bankPath);
+      this.bankPath = path.resolve(bankPath);
+
+      // Refuse unsigned or mis-signed packages
+      this._verifySignature();
 
       // Load constants profile
       const constantsProfile = this.bankPackage.meta.constants_profile;
@@ -49,8 +60,62 @@ class BankLoader {
       console.log(`⚙️ Constants profile: ${this.getConstantsProfile()}`);
 
     } catch (error) {
-      throw new Error(`Failed to load bank: ${error.message}`);
+      this.bankPackage = null;
+      const loadError = new Error(`Failed to load bank: ${error.message}`);
+      loadError.code = error.code;
+      loadError.hint = error.hint;
+      throw loadError;
+    }
+  }
+
+  /**
+   * Verify the Ed25519 signature of the loaded package against the environment's
+   * bank verify key. ALLOW_UNSIGNED_BANKS=true lets failures through, with a
+   * warning, in environments whose config allows unsigned banks.
+   */
+  _verifySignature() {
+    const environment = getCurrentEnvironment();
+    const verifyKey = getBankVerifyKey(environment);
+    let failure = null;
+
+    if (!this.bankPackage.meta.signature) {
+      failure = this._createError('E_BANK_UNSIGNED', 'Sign it with scripts/sign-bank.js');
+    } else if (!verifyKey) {
+      failure = this._createError('E_BANK_SIGNATURE_INVALID',
+        `Set BANK_VERIFY_KEY to the ${environment} public key`,
+        `no bank verify key configured for ${environment}`);
+    } else {
+      const verification = verifyBankSignature(this.bankPackage, verifyKey);
+      if (!verification.valid) {
+        failure = this._createError('E_BANK_SIGNATURE_INVALID',
+          `Re-sign the package with the ${environment} signing key`,
+          verification.error);
+      }
+    }
+
+    if (!failure) {
+      return;
+    }
+    if (isUnsignedBankOverrideAllowed(environment)) {
+      console.warn(`⚠️ ${failure.message} - loading anyway (ALLOW_UNSIGNED_BANKS)`);
+      return;
     }
+    throw failure;
+  }
+
+  /**
+   * Create an error with a code from the error codes registry
+   * @param {string} code - Error code
+   * @param {string} hint - How to fix it
+   * @param {string} detail - Extra detail appended to the registry message
+   * @returns {Error} Error with code and hint
+   */
+  _createError(code, hint, detail = null) {
+    const { message } = errorCodes.getErrorCode(code);
+    const error = new Error(detail ? `${message}: ${detail}` : message);
+    error.code = code;
+    error.hint = hint;
+    return error;
   }
 
   /**
@@ -65,7 +130,7 @@ class BankLoader {
         this.indices.byQid.set(question.qid, {
           family: familyData.family,
           qIndex: qIndex + 1,
-          mask: this._getMask(qIndex),
+          mask: this._getMask(question),
           options: question.options
         });
       });
@@ -223,13 +288,10 @@ class BankLoader {
   }
 
   /**
-   * Get question mask based on index (Q1=CO, Q2=CO, Q3=CF)
+   * Get question mask from its place in the family (C/O questions=CO, F probes=CF)
    */
-  _getMask(qIndex) {
-    if (qIndex === 0) return 'CO'; // Q1
-    if (qIndex === 1) return 'CO'; // Q2
-    if (qIndex === 2) return 'CF'; // Q3
-    throw new Error(`Invalid question index: ${qIndex}`);
+  _getMask(question) {
+    return question.order_in_family === 'F' ? 'CF' : 'CO';
   }
 
   /**
@@ -237,40 +299,46 @@ class BankLoader {
    */
   _validateBank() {
     const { questions, registries } = this.bankPackage;
+    const policy = this.getSchedulePolicy();
 
-    // Check 7 families, 3 questions each
-    const families = Object.keys(questions);
-    if (families.length !== 7) {
-      throw new Error(`Expected 7 families, got ${families.length}`);
-    }
-
-    // Check each family has 3 questions with correct masks
+    // Check question files match the family registry
+    const families = this.getFamilies();
+    const questionFamilies = Object.values(questions).map(familyData => familyData.family);
     families.forEach(family => {
-      const familyQuestions = questions[family].questions;
-      if (familyQuestions.length !== 3) {
-        throw new Error(`Family ${family} has ${familyQuestions.length} questions, expected 3`);
+      if (!questionFamilies.includes(family)) {
+        throw new Error(`Family ${family} has no questions`);
+      }
+    });
+    questionFamilies.forEach(family => {
+      if (!families.includes(family)) {
+        throw new Error(`Questions for unknown family ${family}`);
       }
+    });
 
-      // Check masks: Q1=CO, Q2=CO, Q3=CF
-      familyQuestions.forEach((question, index) => {
-        const expectedMask = this._getMask(index);
-        const actualMask = this._getActualMask(question);
-        if (actualMask !== expectedMask) {
-          throw new Error(`Question ${question.qid} has mask ${actualMask}, expected ${expectedMask}`);
-        }
+    // Check each family has enough questions for the schedule policy, with correct masks
+    Object.values(questions).forEach(familyData => {
+      const familyQuestions = familyData.questions;
+      if (familyQuestions.length < policy.unpicked_family_questions) {
+        throw new Error(`Family ${familyData.family} has ${familyQuestions.length} questions, schedule policy needs ${policy.unpicked_family_questions}`);
+      }
 
-        // Check 2 options per question
-        if (question.options.length !== 2) {
-          throw new Error(`Question ${question.qid} has ${question.options.length} options, expected 2`);
+      familyQuestions.forEach(question => {
+        // Check at least 2 options per question
+        if (question.options.length < 2) {
+          throw new Error(`Question ${question.qid} has ${question.options.length} options, expected at least 2`);
         }
 
-        // Check option letters match mask
-        question.options.forEach((option, optIndex) => {
-          const expectedLetter = expectedMask[optIndex];
-          if (option.lineCOF !== expectedLetter) {
-            throw new Error(`Option ${option.id} in ${question.qid} has lineCOF ${option.lineCOF}, expected ${expectedLetter}`);
+        // Check option letters match mask: one C option, the rest the question's probe letter
+        const expectedMask = this._getMask(question);
+        question.options.forEach(option => {
+          if (!expectedMask.includes(option.lineCOF)) {
+            throw new Error(`Option ${option.id} in ${question.qid} has lineCOF ${option.lineCOF}, expected one of ${expectedMask}`);
           }
         });
+        const actualMask = this._getActualMask(question);
+        if (!actualMask.includes('C') || actualMask.split('').every(letter => letter === 'C')) {
+          throw new Error(`Question ${question.qid} has mask ${actualMask}, expected ${expectedMask}`);
+        }
       });
     });
 
@@ -351,6 +419,22 @@ class BankLoader {
     return this.indices.questionsByFamily.get(family) || [];
   }
 
+  /**
+   * Get family names in registry order
+   * @returns {Array<string>} Family names
+   */
+  getFamilies() {
+    return this.bankPackage.registries.families.families.map(family => family.name);
+  }
+
+  /**
+   * Get the schedule policy declared in bank.meta.json
+   * @returns {Object} Schedule policy (see schedulePolicy.js)
+   */
+  getSchedulePolicy() {
+    return getSchedulePolicy(this.bankPackage);
+  }
+
   /**
    * Get constants profile
    */
@@ -3,6 +3,7 @@
  * 
  * Handles concurrent operations and ensures idempotency.
  * submit_answer is idempotent per (session_id, qid); last write wins.
+ * runExclusive queues work per session so API requests for one session run one at a time.
  */
 
 class ConcurrencyManager {
@@ -11,6 +12,27 @@ class ConcurrencyManager {
     this.operations = new Map();
     this.idempotencyKeys = new Map();
     this.pendingOperations = new Map();
+    this.sessionQueues = new Map();
+  }
+
+  /**
+   * Run fn once every earlier call for the same session has settled (per-session FIFO).
+   * Unlike acquireLock, callers wait for their turn instead of failing.
+   * @returns {Promise} Resolves or rejects with fn's outcome
+   */
+  runExclusive(sessionId, fn) {
+    const previous = this.sessionQueues.get(sessionId) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const settled = run.then(() => {}, () => {});
+
+    this.sessionQueues.set(sessionId, settled);
+    settled.then(() => {
+      if (this.sessionQueues.get(sessionId) === settled) {
+        this.sessionQueues.delete(sessionId);
+      }
+    });
+
+    return run;
   }
 
   /**
@@ -345,6 +367,7 @@ class ConcurrencyManager {
       active_locks: this.locks.size,
       pending_operations: this.pendingOperations.size,
       idempotency_keys: this.idempotencyKeys.size,
+      queued_sessions: this.sessionQueues.size,
       lock_details: Array.from(this.locks.entries()).map(([key, lock]) => ({
         key,
         sessionId: lock.sessionId,
@@ -445,4 +468,4 @@ class ConcurrencyManager {
   }
 }
 
-module.exports = ConcurrencyManager;
+export default ConcurrencyManager;
@@ -76,6 +76,13 @@ class ErrorCodesRegistry {
         category: 'bank',
         http_status: 500
       },
+      E_BANK_UNSIGNED: {
+        code: 'E_BANK_UNSIGNED',
+        message: 'Bank package is not signed',
+        severity: 'error',
+        category: 'bank',
+        http_status: 500
+      },
       E_BANK_VERSION_MISMATCH: {
         code: 'E_BANK_VERSION_MISMATCH',
         message: 'Bank version mismatch with engine',
@@ -401,6 +408,14 @@ class ErrorCodesRegistry {
         message: 'Optional field is missing',
         severity: 'warning',
         category: 'validation'
+      },
+
+      // Scoring warnings
+      W_SIBLING_COLLISION: {
+        code: 'W_SIBLING_COLLISION',
+        message: 'Both sibling faces are credited by the same option',
+        severity: 'warning',
+        category: 'scoring'
       }
     };
   }
@@ -536,6 +551,26 @@ class ErrorCodesRegistry {
         message: 'Engine is healthy',
         severity: 'info',
         category: 'engine'
+      },
+
+      // Scoring QA flags (finalize sanity checks)
+      QA_FLAG_FACE_LIT_ON_BROKEN: {
+        code: 'QA_FLAG_FACE_LIT_ON_BROKEN',
+        message: 'Face is LIT with most of its hits from a broken family',
+        severity: 'warning',
+        category: 'scoring'
+      },
+      QA_FLAG_NO_FACE_EVIDENCE: {
+        code: 'QA_FLAG_NO_FACE_EVIDENCE',
+        message: 'Family is C with every sibling face GHOST',
+        severity: 'warning',
+        category: 'scoring'
+      },
+      QA_FLAG_NO_CONTRAST: {
+        code: 'QA_FLAG_NO_CONTRAST',
+        message: 'Face is LIT without contrast seen',
+        severity: 'warning',
+        category: 'scoring'
       }
     };
   }
@@ -561,6 +596,13 @@ class ErrorCodesRegistry {
     return this.qaFlags[code] || null;
   }
 
+  /**
+   * Look up a code in every table (errors, warnings, QA flags)
+   */
+  resolveCode(code) {
+    return this.errorCodes[code] || this.warningCodes[code] || this.qaFlags[code] || null;
+  }
+
   /**
    * Get all error codes by category
    */
@@ -631,7 +673,8 @@ class ErrorCodesRegistry {
       system: 0,
       bank_validation: 0,
       performance: 0,
-      engine: 0
+      engine: 0,
+      scoring: 0
     };
     
     // Count by category
@@ -680,11 +723,12 @@ class ErrorCodesRegistry {
         'system',
         'bank_validation',
         'performance',
-        'engine'
+        'engine',
+        'scoring'
       ],
       severities: ['error', 'warning', 'info']
     };
   }
 }
 
-module.exports = ErrorCodesRegistry;
+export default ErrorCodesRegistry;
@@ -2,7 +2,8 @@
  * Compatibility Export Schemas
  * 
  * Provides read-only snapshots at FINALIZED for downstream consumers.
- * These exports are data-only, plug-and-play formats.
+ * These exports are data-only, plug-and-play formats built from the engine's
+ * session object (state, answers and the results snapshot stored at finalize).
  */
 
 class ExportGenerator {
@@ -19,20 +20,27 @@ class ExportGenerator {
     this.bankPackage = bankPackage;
   }
 
+  /**
+   * Throw unless the session is finalized with a results snapshot
+   */
+  _requireFinalized(exportName) {
+    if (!this.session || this.session.state !== 'FINALIZED' || !this.session.results) {
+      throw new Error(`Session must be finalized to generate ${exportName} export`);
+    }
+  }
+
   /**
    * Generate minimal verdict export
    * Contains only line verdicts for each family
    */
   generateVerdictExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate verdict export');
-    }
+    this._requireFinalized('verdict');
 
     return {
       version: 'export.verdicts.v1',
       session_id: this.session.sessionId,
-      bank_id: this.bankPackage.meta.bank_id,
-      line_verdicts: this.session.lineVerdicts
+      bank_id: this.session.bankId,
+      line_verdicts: this.session.results.line_verdicts
     };
   }
 
@@ -41,12 +49,10 @@ class ExportGenerator {
    * Contains detailed face state information
    */
   generateFacePresenceExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate face presence export');
-    }
+    this._requireFinalized('face presence');
 
     const faces = [];
-    for (const [faceId, faceState] of Object.entries(this.session.faceStates)) {
+    for (const [faceId, faceState] of Object.entries(this.session.results.face_states)) {
       faces.push({
         face_id: faceId,
         state: faceState.state,
@@ -64,7 +70,7 @@ class ExportGenerator {
       version: 'export.face_presence.v1',
       session_id: this.session.sessionId,
       faces: faces,
-      family_reps: this.session.familyReps
+      family_reps: this.session.results.family_reps
     };
   }
 
@@ -73,9 +79,7 @@ class ExportGenerator {
    * Contains the specific tells that triggered face states
    */
   generateProofTellsExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate proof tells export');
-    }
+    this._requireFinalized('proof tells');
 
     const proof = [];
     
@@ -112,23 +116,21 @@ class ExportGenerator {
    * Combines all export types into a single object
    */
   generateComprehensiveExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate comprehensive export');
-    }
+    this._requireFinalized('comprehensive');
 
     return {
       version: 'export.comprehensive.v1',
       session_id: this.session.sessionId,
-      bank_id: this.bankPackage.meta.bank_id,
+      bank_id: this.session.bankId,
       finalized_at: this.session.finalizedAt,
       
       // Verdict data
-      line_verdicts: this.session.lineVerdicts,
+      line_verdicts: this.session.results.line_verdicts,
       
       // Face data
-      face_states: this.session.faceStates,
-      family_reps: this.session.familyReps,
-      anchor_family: this.session.anchorFamily,
+      face_states: this.session.results.face_states,
+      family_reps: this.session.results.family_reps,
+      anchor_family: this.session.results.anchor_family,
       
       // Session metadata
       picked_families: Array.from(this.session.picks),
@@ -145,9 +147,7 @@ class ExportGenerator {
    * Contains session flow and timing data for analytics
    */
   generateAnalyticsExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate analytics export');
-    }
+    this._requireFinalized('analytics');
 
     const events = [];
     
@@ -156,37 +156,34 @@ class ExportGenerator {
       ts: this.session.startedAt,
       type: 'SESSION_STARTED',
       session_id: this.session.sessionId,
-      bank_id: this.bankPackage.meta.bank_id,
+      bank_id: this.session.bankId,
       picked_families: Array.from(this.session.picks)
     });
 
     // Question events
     for (let i = 0; i < this.session.answers.length; i++) {
       const answer = this.session.answers[i];
-      const question = this.bankPackage.questions[answer.familyScreen.toLowerCase()]?.find(q => q.qid === answer.qid);
-      
-      if (question) {
-        events.push({
-          ts: answer.ts,
-          type: 'QUESTION_PRESENTED',
-          session_id: this.session.sessionId,
-          qid: answer.qid,
-          familyScreen: answer.familyScreen,
-          index: i + 1,
-          total: this.session.answers.length
-        });
-
-        events.push({
-          ts: answer.ts,
-          type: 'ANSWER_SUBMITTED',
-          session_id: this.session.sessionId,
-          qid: answer.qid,
-          picked_key: answer.pickedKey,
-          lineCOF: answer.lineCOF,
-          faces_hit: answer.tells ? answer.tells.map(t => t.face_id) : [],
-          latency_ms: answer.latencyMs || 0
-        });
-      }
+
+      events.push({
+        ts: answer.ts,
+        type: 'QUESTION_PRESENTED',
+        session_id: this.session.sessionId,
+        qid: answer.qid,
+        familyScreen: answer.familyScreen,
+        index: i + 1,
+        total: this.session.answers.length
+      });
+
+      events.push({
+        ts: answer.ts,
+        type: 'ANSWER_SUBMITTED',
+        session_id: this.session.sessionId,
+        qid: answer.qid,
+        picked_key: answer.picked_key,
+        lineCOF: answer.lineCOF,
+        faces_hit: answer.tells ? answer.tells.map(t => t.face_id) : [],
+        latency_ms: answer.latency_ms || 0
+      });
     }
 
     // Finalization event
@@ -194,7 +191,7 @@ class ExportGenerator {
       ts: this.session.finalizedAt,
       type: 'FINALIZED',
       session_id: this.session.sessionId,
-      line_verdicts: this.session.lineVerdicts,
+      line_verdicts: this.session.results.line_verdicts,
       face_states_summary: this.generateFaceStatesSummary()
     });
 
@@ -210,23 +207,21 @@ class ExportGenerator {
    * Contains complete session data for compliance and debugging
    */
   generateAuditExport() {
-    if (!this.session || this.session.status !== 'FINALIZED') {
-      throw new Error('Session must be finalized to generate audit export');
-    }
+    this._requireFinalized('audit');
 
     return {
       version: 'export.audit.v1',
       session_id: this.session.sessionId,
-      bank_id: this.bankPackage.meta.bank_id,
-      bank_hash: this.bankPackage.meta.bank_hash_sha256,
+      bank_id: this.session.bankId,
+      bank_hash: this.session.bankHash,
       
       // Complete session state
       session_state: {
         started_at: this.session.startedAt,
         finalized_at: this.session.finalizedAt,
-        status: this.session.status,
+        state: this.session.state,
         picks: Array.from(this.session.picks),
-        schedule: this.session.schedule,
+        served_questions: this.session.servedQuestions,
         constants_profile: this.session.constantsProfile
       },
       
@@ -234,10 +229,10 @@ class ExportGenerator {
       answers: this.session.answers,
       
       // Final computations
-      line_verdicts: this.session.lineVerdicts,
-      face_states: this.session.faceStates,
-      family_reps: this.session.familyReps,
-      anchor_family: this.session.anchorFamily,
+      line_verdicts: this.session.results.line_verdicts,
+      face_states: this.session.results.face_states,
+      family_reps: this.session.results.family_reps,
+      anchor_family: this.session.results.anchor_family,
       
       // Bank package metadata
       bank_metadata: {
@@ -252,9 +247,9 @@ class ExportGenerator {
    * Helper method to check if a face is a family representative
    */
   isFamilyRep(faceId) {
-    if (!this.session.familyReps) return false;
+    if (!this.session.results.family_reps) return false;
     
-    return this.session.familyReps.some(rep => rep.rep === faceId);
+    return this.session.results.family_reps.some(rep => rep.rep === faceId);
   }
 
   /**
@@ -269,7 +264,7 @@ class ExportGenerator {
       ABSENT: 0
     };
 
-    for (const faceState of Object.values(this.session.faceStates)) {
+    for (const faceState of Object.values(this.session.results.face_states)) {
       summary[faceState.state]++;
     }
 
@@ -335,4 +330,4 @@ class ExportGenerator {
   }
 }
 
-module.exports = ExportGenerator;
+export default ExportGenerator;
@@ -2,9 +2,11 @@
  * Fallback & Degradation
  * 
  * Handles graceful degradation when things go sideways.
- * Ensures exactly 18 questions under edge cases and missing probes.
+ * Ensures the bank's declared session length under edge cases and missing probes.
  */
 
+import { getSchedulePolicy, getPickRule, planSchedule } from './schedulePolicy.js';
+
 class FallbackManager {
   constructor() {
     this.warnings = [];
@@ -59,84 +61,46 @@ class FallbackManager {
   }
 
   /**
-   * Handle all seven picked (14 Q) policy
+   * Plan the schedule for a pick count from the bank's schedule policy, failing when
+   * the bank cannot supply the declared session length
    */
-  handleAllSevenPicked(pickedFamilies, bankPackage, rng) {
-    const extraProbes = [];
-    const questions = bankPackage.questions;
-    
-    // Find families with authored Q3 present
-    const familiesWithQ3 = [];
-    for (const family of pickedFamilies) {
-      const familyQuestions = questions[family.toLowerCase()];
-      if (familyQuestions && familyQuestions.length >= 3) {
-        familiesWithQ3.push(family);
-      }
-    }
-
-    // Add four deterministic probes (mix O/F) across families with Q3
-    if (familiesWithQ3.length > 0) {
-      const probeTypes = ['O', 'F', 'O', 'F']; // Mix of O and F probes
-      
-      for (let i = 0; i < 4; i++) {
-        const family = familiesWithQ3[i % familiesWithQ3.length];
-        const familyQuestions = questions[family.toLowerCase()];
-        const probeType = probeTypes[i];
-        
-        // Find question with matching probe type
-        const question = familyQuestions.find(q => {
-          const option = q.options.find(opt => opt.lineCOF === probeType);
-          return option !== undefined;
-        });
-        
-        if (question) {
-          extraProbes.push({
-            qid: question.qid,
-            family: family,
-            probe_type: probeType,
-            order_in_family: 3
-          });
-        }
-      }
-    }
-
-    // If insufficient, recycle family with lowest current question count
-    if (extraProbes.length < 4) {
-      const familyQuestionCounts = {};
-      for (const family of pickedFamilies) {
-        familyQuestionCounts[family] = 2; // Base count for picked families
-      }
-
-      // Add extra probes to reach 18 total
-      const remaining = 4 - extraProbes.length;
-      const sortedFamilies = Object.keys(familyQuestionCounts).sort();
-      
-      for (let i = 0; i < remaining; i++) {
-        const family = sortedFamilies[i % sortedFamilies.length];
-        const familyQuestions = questions[family.toLowerCase()];
-        
-        if (familyQuestions && familyQuestions.length >= 3) {
-          const question = familyQuestions[2]; // Q3
-          extraProbes.push({
-            qid: question.qid,
-            family: family,
-            probe_type: 'F', // Default to F probe
-            order_in_family: 3
-          });
-        }
-      }
-    }
+  _planFromPolicy(pickedFamilies, notPickedFamilies, bankPackage, rng) {
+    const policy = getSchedulePolicy(bankPackage);
+    const familyQuestions = new Map(Object.values(bankPackage.questions)
+      .map(familyData => [familyData.family, familyData.questions]));
+
+    const plan = planSchedule(policy, {
+      familyOrder: [...pickedFamilies, ...notPickedFamilies],
+      pickedFamilies,
+      questionsFor: family => familyQuestions.get(family) || [],
+      selectFamilies: (families, count) => rng.sample(families, count)
+    });
 
-    // If still impossible, abort
-    if (extraProbes.length < 4) {
+    const sessionLength = getPickRule(policy, pickedFamilies.length).session_length;
+    if (plan.schedule.length !== sessionLength) {
       const error = {
         code: 'E_SCHEDULER_IMPOSSIBLE',
-        detail: 'Cannot generate 18 questions for picks=7'
+        detail: `Cannot generate ${sessionLength} questions for picks=${pickedFamilies.length}`
       };
       this.errors.push(error);
-      throw new Error('Scheduler impossible: Cannot generate 18 questions for picks=7');
+      throw new Error(`Scheduler impossible: Cannot generate ${sessionLength} questions for picks=${pickedFamilies.length}`);
     }
 
+    return plan;
+  }
+
+  /**
+   * Handle all seven picked policy - extra probes come from the bank's schedule policy
+   */
+  handleAllSevenPicked(pickedFamilies, bankPackage, rng) {
+    const plan = this._planFromPolicy(pickedFamilies, [], bankPackage, rng);
+    const extraProbes = plan.extraProbes.map(probe => ({
+      qid: probe.qid,
+      family: this._familyOf(bankPackage, probe.qid),
+      probe_type: probe.order_in_family,
+      order_in_family: probe.order_in_family
+    }));
+
     this.fallbackActions.push({
       type: 'all_seven_picked',
       extra_probes: extraProbes,
@@ -147,34 +111,16 @@ class FallbackManager {
   }
 
   /**
-   * Handle only one picked (20 Q) policy
+   * Handle only one picked policy - dropped probes come from the bank's schedule policy
    */
   handleOnlyOnePicked(pickedFamilies, notPickedFamilies, bankPackage, rng) {
-    const droppedProbes = [];
-    const questions = bankPackage.questions;
-    
-    // Drop O probes first, then F probes, in two distinct not-picked families
-    const familiesToDrop = rng.sample(notPickedFamilies, 2);
-    
-    for (let i = 0; i < 2; i++) {
-      const family = familiesToDrop[i];
-      const familyQuestions = questions[family.toLowerCase()];
-      
-      if (familyQuestions && familyQuestions.length >= 2) {
-        // Drop O probe first (Q2), then F probe (Q3)
-        const probeType = i === 0 ? 'O' : 'F';
-        const questionIndex = i === 0 ? 1 : 2; // Q2 for O, Q3 for F
-        
-        if (familyQuestions[questionIndex]) {
-          droppedProbes.push({
-            qid: familyQuestions[questionIndex].qid,
-            family: family,
-            probe_type: probeType,
-            order_in_family: questionIndex + 1
-          });
-        }
-      }
-    }
+    const plan = this._planFromPolicy(pickedFamilies, notPickedFamilies, bankPackage, rng);
+    const droppedProbes = plan.droppedProbes.map(probe => ({
+      qid: probe.qid,
+      family: this._familyOf(bankPackage, probe.qid),
+      probe_type: probe.order_in_family,
+      order_in_family: probe.order_in_family
+    }));
 
     this.fallbackActions.push({
       type: 'only_one_picked',
@@ -185,6 +131,15 @@ class FallbackManager {
     return droppedProbes;
   }
 
+  /**
+   * Family a question belongs to
+   */
+  _familyOf(bankPackage, qid) {
+    const familyData = Object.values(bankPackage.questions)
+      .find(data => data.questions.some(question => question.qid === qid));
+    return familyData ? familyData.family : null;
+  }
+
   /**
    * Handle bank validation failure
    */
@@ -504,4 +459,4 @@ class FallbackManager {
   }
 }
 
-module.exports = FallbackManager;
+export default FallbackManager;
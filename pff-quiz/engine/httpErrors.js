@@ -0,0 +1,116 @@
+/**
+ * HTTP Error Mapping - Engine error codes to HTTP statuses and the API error envelope
+ *
+ * Every engine API route answers failures with the same JSON envelope:
+ *   { code, message, hint }
+ * The status comes from ENGINE_HTTP_STATUS for codes the engine throws, then from the
+ * error codes registry (http_status), and is 500 for anything else. Requests that are
+ * well-formed but rejected by the engine (bad option, pick count, consent payload) are
+ * 422; a missing required field is 400; bank and feature outages are 503.
+ */
+
+import ErrorCodesRegistry from './errorCodes.js';
+
+const registry = new ErrorCodesRegistry();
+
+const ENGINE_HTTP_STATUS = {
+  // Not found
+  E_SESSION_NOT_FOUND: 404,
+  E_QUESTION_NOT_FOUND: 404,
+  E_SESSION_EXPIRED: 410,
+
+  // Conflicts with the session state
+  E_STATE: 409,
+  E_STATE_TRANSITION_INVALID: 409,
+  E_SESSION_ALREADY_FINALIZED: 409,
+  E_INCOMPLETE_SESSION: 409,
+  E_NO_PREVIOUS_QUESTION: 409,
+  E_CONCURRENCY_CONFLICT: 409,
+  E_VERSION_MISMATCH: 409,
+  E_CONSENT_OUTDATED: 409,
+  E_BANK_FROZEN: 409,
+
+  // Well-formed requests the engine rejects
+  E_INVALID_SESSION_SEED: 422,
+  E_PICK_COUNT: 422,
+  E_INVALID_FAMILY: 422,
+  E_DUPLICATE_FAMILY: 422,
+  E_INVALID_PICKS_POLICY: 422,
+  E_INVALID_RNG_ALGORITHM: 422,
+  E_INVALID_SCHEDULING_MODE: 422,
+  E_BAD_QID: 422,
+  E_BAD_OPTION: 422,
+  E_BAD_INDEX: 422,
+  E_BAD_EXPORT_TYPE: 422,
+  E_INVALID_CONSENT: 422,
+  E_INVALID_AGGREGATION: 422,
+  E_INVALID_IDEMPOTENCY_KEY: 422,
+  E_IDEMPOTENCY_KEY_REUSED: 422,
+  E_INVALID_LOCALE: 422,
+
+  // Refused by configuration or consent
+  E_PRIVACY_RESTRICTED: 403,
+  E_BACKNAV_DISABLED: 403,
+
+  // Throttling
+  E_RATE_LIMIT_EXCEEDED: 429,
+  E_QUOTA_EXCEEDED: 429,
+
+  // Bank or feature unavailable
+  E_RESULTS_DISABLED: 503,
+  E_BANK_DEFECT: 503,
+  E_BANK_NOT_FOUND: 503,
+  E_BANK_CORRUPTED: 503,
+  E_BANK_SIGNATURE_INVALID: 503,
+  E_BANK_UNSIGNED: 503,
+  E_SERVICE_UNAVAILABLE: 503
+};
+
+/**
+ * HTTP status for an engine error code
+ * @param {string} code - Engine error code
+ * @returns {number} HTTP status (500 for unknown codes)
+ */
+function getHttpStatus(code) {
+  if (ENGINE_HTTP_STATUS[code]) {
+    return ENGINE_HTTP_STATUS[code];
+  }
+
+  const registered = code ? registry.getErrorCode(code) : null;
+  return registered ? registered.http_status : 500;
+}
+
+/**
+ * Build the HTTP status and error envelope for a thrown error. Errors without a known
+ * code become E_INTERNAL_ERROR so internal messages are not sent to clients.
+ * @param {Error} error - Error thrown by the engine or a route
+ * @returns {{status: number, body: {code: string, message: string, hint: (string|null)}}} Status and envelope
+ */
+function toHttpError(error) {
+  const status = getHttpStatus(error && error.code);
+  if (status === 500) {
+    return {
+      status,
+      body: {
+        code: 'E_INTERNAL_ERROR',
+        message: 'Internal server error',
+        hint: null
+      }
+    };
+  }
+
+  return {
+    status,
+    body: {
+      code: error.code,
+      message: error.message,
+      hint: error.hint || null
+    }
+  };
+}
+
+export {
+  ENGINE_HTTP_STATUS,
+  getHttpStatus,
+  toHttpError
+};
@@ -405,4 +405,4 @@ class I18nKeyManager {
   }
 }
 
-module.exports = I18nKeyManager;
+export default I18nKeyManager;
@@ -335,7 +335,7 @@ function exportIncidentData(incidentReports) {
   };
 }
 
-module.exports = {
+export {
   INCIDENT_TRIGGERS,
   INCIDENT_ACTIONS,
   SEVERITY_LEVELS,
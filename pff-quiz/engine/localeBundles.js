@@ -0,0 +1,139 @@
+/**
+ * Locale Bundles - Question, option, face and family text by locale
+ *
+ * scripts/pack-bank.js packs the bank/i18n sources next to the bank package:
+ *   packaged/i18n/index.json   - i18n keys, locales and the bank they were packed for
+ *   packaged/i18n/<locale>.json - text by key for one locale
+ * Text is resolved through the requested locale, its base language, the locale's declared
+ * fallbacks and finally the default locale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import I18nKeyManager from './i18n.js';
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Check a locale tag (e.g. 'en', 'es-MX')
+ * @param {string} locale - Locale tag
+ * @returns {boolean} True if the tag is well-formed
+ */
+function isValidLocale(locale) {
+  return typeof locale === 'string' && LOCALE_PATTERN.test(locale);
+}
+
+class LocaleBundles {
+  constructor() {
+    this.keys = new I18nKeyManager();
+    this.defaultLocale = DEFAULT_LOCALE;
+    this.bankHash = null;
+    this.locales = new Map();
+  }
+
+  /**
+   * Load the bundles packed next to a bank package (packaged/i18n); banks packed without
+   * bundles keep the default keys and no text
+   * @param {string} bankPath - Path to bank_package.json
+   * @returns {LocaleBundles} Loaded bundles
+   */
+  static forBank(bankPath) {
+    const bundles = new LocaleBundles();
+    if (bankPath) {
+      bundles.load(path.join(path.dirname(bankPath), 'i18n'));
+    }
+    return bundles;
+  }
+
+  /**
+   * Load index.json and every locale it lists
+   * @param {string} i18nDir - Directory of the packed bundles
+   * @returns {boolean} True if bundles were found
+   */
+  load(i18nDir) {
+    const indexPath = path.join(i18nDir, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+      return false;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    this.keys.loadI18nKeys({ i18n: index.keys });
+    this.defaultLocale = index.default_locale || DEFAULT_LOCALE;
+    this.bankHash = index.bank_hash || null;
+
+    index.locales.forEach(locale => {
+      const bundle = JSON.parse(fs.readFileSync(path.join(i18nDir, `${locale}.json`), 'utf8'));
+      this.locales.set(locale, bundle);
+    });
+
+    return true;
+  }
+
+  /**
+   * Locales to try for a requested locale, most specific first
+   * @param {string|null} locale - Requested locale (null for the default)
+   * @returns {string[]} Loaded locales in resolution order
+   */
+  getFallbackChain(locale) {
+    const chain = [];
+    const add = candidate => {
+      if (this.locales.has(candidate) && !chain.includes(candidate)) {
+        chain.push(candidate);
+      }
+    };
+
+    if (locale) {
+      const language = locale.split('-')[0];
+      add(locale);
+      add(language);
+      const bundle = this.locales.get(locale) || this.locales.get(language);
+      ((bundle && bundle.fallback) || []).forEach(add);
+    }
+    add(this.defaultLocale);
+
+    return chain;
+  }
+
+  /**
+   * Resolve the text for a key
+   * @param {string} key - i18n key
+   * @param {string|null} locale - Requested locale
+   * @returns {string|null} Text from the first locale in the chain that has it
+   */
+  resolve(key, locale) {
+    for (const candidate of this.getFallbackChain(locale)) {
+      const text = this.locales.get(candidate).strings[key];
+      if (text) {
+        return text;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fill a public question view with its text in a locale
+   * @param {Object} question - Public view from questionView.toPublicQuestion
+   * @param {string|null} locale - Requested locale
+   * @returns {Object} Question with locale, stem and option text
+   */
+  localizeQuestion(question, locale) {
+    const { options, ...rest } = question;
+
+    return {
+      ...rest,
+      locale: this.getFallbackChain(locale)[0] || this.defaultLocale,
+      stem: this.resolve(question.stem_key, locale),
+      options: options.map(option => ({
+        ...option,
+        text: this.resolve(option.text_key, locale) || option.text
+      }))
+    };
+  }
+}
+
+export {
+  DEFAULT_LOCALE,
+  LocaleBundles,
+  isValidLocale
+};
@@ -283,7 +283,7 @@ function exportAggregation(aggregation) {
   };
 }
 
-module.exports = {
+export {
   aggregateSessions,
   computeLineConsensus,
   computeFacePresenceRollup,
@@ -110,6 +110,14 @@ function isAggregationAllowed(context) {
   return isPrivacyFlagEnabled(context, PRIVACY_FLAGS.ALLOW_AGGREGATION);
 }
 
+/**
+ * Check if consent was given to the current consent version
+ * Sessions consented under an older version must re-consent before gated operations
+ */
+function isConsentCurrent(context, currentVersion) {
+  return Boolean(context) && context.consent_version >= currentVersion;
+}
+
 /**
  * Create privacy-compliant response
  */
@@ -349,10 +357,12 @@ function exportPrivacyUtilities() {
     DEFAULT_PRIVACY_SETTINGS,
     createPrivacyContext,
     updatePrivacyContext,
+    isPrivacyFlagEnabled,
     isExportAllowed,
     isAnalyticsAllowed,
     isReplayAllowed,
     isAggregationAllowed,
+    isConsentCurrent,
     createPrivacyResponse,
     filterDataByPrivacyFlags,
     createConsentRequest,
@@ -366,16 +376,18 @@ function exportPrivacyUtilities() {
   };
 }
 
-module.exports = {
+export {
   PRIVACY_FLAGS,
   CONSENT_VERSIONS,
   DEFAULT_PRIVACY_SETTINGS,
   createPrivacyContext,
   updatePrivacyContext,
+  isPrivacyFlagEnabled,
   isExportAllowed,
   isAnalyticsAllowed,
   isReplayAllowed,
   isAggregationAllowed,
+  isConsentCurrent,
   createPrivacyResponse,
   filterDataByPrivacyFlags,
   createConsentRequest,
@@ -8,24 +8,55 @@
  * - Audit data management
  */
 
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 
-const AUDIT_DIR = path.join(__dirname, '..', 'replays', 'audits');
 const RETENTION_DAYS = 90; // Default retention period
 
-// Ensure audit directory exists
-if (!fs.existsSync(AUDIT_DIR)) {
-  fs.mkdirSync(AUDIT_DIR, { recursive: true });
+/**
+ * Directory holding replay files (REPLAY_DIR overrides); audits live in its audits/ subdirectory
+ */
+function getReplayDir() {
+  return process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays');
+}
+
+/**
+ * Directory holding replay audits
+ */
+function getAuditDir() {
+  return path.join(getReplayDir(), 'audits');
+}
+
+/**
+ * List the JSON files of a directory (none if it doesn't exist yet)
+ */
+function listJsonFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+}
+
+/**
+ * Session ID of a replay file (replays written before session_id was recorded derive it from the seed)
+ */
+function getReplaySessionId(replay) {
+  if (replay.session_id) {
+    return replay.session_id;
+  }
+  return replay.session_seed
+    ? crypto.createHash('sha256').update(replay.session_seed).digest('hex').substring(0, 16)
+    : null;
 }
 
 /**
  * Create replay audit record
  */
-function createReplayAudit(replayId, bankId, bankHash, payloadHash, finalSnapshotHash, result) {
+function createReplayAudit(replayId, bankId, bankHash, payloadHash, finalSnapshotHash, result, sessionId = null) {
   const audit = {
     replay_id: replayId,
+    session_id: sessionId,
     bank_id: bankId,
     bank_hash_sha256: bankHash,
     payload_hash: payloadHash,
@@ -46,7 +77,12 @@ function saveReplayAudit(audit, filename = null) {
     filename = `audit_${audit.replay_id}_${Date.now()}.json`;
   }
   
-  const filePath = path.join(AUDIT_DIR, filename);
+  const auditDir = getAuditDir();
+  if (!fs.existsSync(auditDir)) {
+    fs.mkdirSync(auditDir, { recursive: true });
+  }
+  
+  const filePath = path.join(auditDir, filename);
   fs.writeFileSync(filePath, JSON.stringify(audit, null, 2));
   
   return filePath;
@@ -56,7 +92,7 @@ function saveReplayAudit(audit, filename = null) {
  * Load replay audit
  */
 function loadReplayAudit(filename) {
-  const filePath = path.join(AUDIT_DIR, filename);
+  const filePath = path.join(getAuditDir(), filename);
   
   if (!fs.existsSync(filePath)) {
     throw new Error(`Audit file not found: ${filename}`);
@@ -70,9 +106,8 @@ function loadReplayAudit(filename) {
  * Find replay audit by replay ID
  */
 function findReplayAudit(replayId) {
-  const files = fs.readdirSync(AUDIT_DIR)
-    .filter(file => file.startsWith(`audit_${replayId}_`))
-    .sort();
+  const files = listJsonFiles(getAuditDir())
+    .filter(file => file.startsWith(`audit_${replayId}_`));
   
   if (files.length === 0) {
     return null;
@@ -87,9 +122,7 @@ function findReplayAudit(replayId) {
  * List all replay audits
  */
 function listReplayAudits(options = {}) {
-  const files = fs.readdirSync(AUDIT_DIR)
-    .filter(file => file.endsWith('.json'))
-    .sort();
+  const files = listJsonFiles(getAuditDir());
   
   const audits = files.map(file => {
     try {
@@ -173,7 +206,7 @@ function cleanupExpiredAudits() {
     if (now > retentionUntil) {
       try {
         const filename = `audit_${audit.replay_id}_${new Date(audit.created_at).getTime()}.json`;
-        const filePath = path.join(AUDIT_DIR, filename);
+        const filePath = path.join(getAuditDir(), filename);
         
         if (fs.existsSync(filePath)) {
           fs.unlinkSync(filePath);
@@ -324,9 +357,8 @@ function searchAudits(query) {
  * Get audit by ID
  */
 function getAuditById(auditId) {
-  const files = fs.readdirSync(AUDIT_DIR)
-    .filter(file => file.includes(auditId))
-    .sort();
+  const files = listJsonFiles(getAuditDir())
+    .filter(file => file.includes(auditId));
   
   if (files.length === 0) {
     return null;
@@ -360,7 +392,7 @@ function updateAuditRecord(auditId, updates) {
  * Delete audit record
  */
 function deleteAuditRecord(auditId) {
-  const files = fs.readdirSync(AUDIT_DIR)
+  const files = listJsonFiles(getAuditDir())
     .filter(file => file.includes(auditId));
   
   if (files.length === 0) {
@@ -368,14 +400,76 @@ function deleteAuditRecord(auditId) {
   }
   
   for (const file of files) {
-    const filePath = path.join(AUDIT_DIR, file);
+    const filePath = path.join(getAuditDir(), file);
     fs.unlinkSync(filePath);
   }
   
   return true;
 }
 
-module.exports = {
+/**
+ * Read the JSON files of a directory, skipping unreadable ones
+ * @returns {Array} [{ file, path, data }]
+ */
+function readJsonFiles(dir) {
+  return listJsonFiles(dir)
+    .map(file => {
+      const filePath = path.join(dir, file);
+      try {
+        return { file, path: filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      } catch (error) {
+        console.warn(`Warning: Failed to read ${filePath}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(entry => entry !== null);
+}
+
+/**
+ * List replay files with their paths
+ * @returns {Array} [{ file, path, data }]
+ */
+function listReplayFiles() {
+  return readJsonFiles(getReplayDir());
+}
+
+/**
+ * List replay audit files with their paths
+ * @returns {Array} [{ file, path, data }]
+ */
+function listReplayAuditFiles() {
+  return readJsonFiles(getAuditDir());
+}
+
+/**
+ * Find the replay files and replay audits recorded for a session
+ * @returns {Object} { replays: [{ file, path, data }], audits: [{ file, path, data }] }
+ */
+function findSessionReplayData(sessionId) {
+  return {
+    replays: listReplayFiles().filter(entry => getReplaySessionId(entry.data) === sessionId),
+    audits: listReplayAuditFiles().filter(entry => entry.data.session_id === sessionId)
+  };
+}
+
+/**
+ * Delete the replay files and replay audits recorded for a session
+ * @returns {Object} { replays: count, audits: count }
+ */
+function deleteSessionReplayData(sessionId) {
+  const { replays, audits } = findSessionReplayData(sessionId);
+  [...replays, ...audits].forEach(entry => fs.unlinkSync(entry.path));
+  
+  return {
+    replays: replays.length,
+    audits: audits.length
+  };
+}
+
+export {
+  getReplayDir,
+  getAuditDir,
+  getReplaySessionId,
   createReplayAudit,
   saveReplayAudit,
   loadReplayAudit,
@@ -389,5 +483,9 @@ module.exports = {
   searchAudits,
   getAuditById,
   updateAuditRecord,
-  deleteAuditRecord
+  deleteAuditRecord,
+  listReplayFiles,
+  listReplayAuditFiles,
+  findSessionReplayData,
+  deleteSessionReplayData
 };
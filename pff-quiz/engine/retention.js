@@ -4,20 +4,48 @@
  * Manages data retention policies for different types of data.
  * Required: keep final_snapshots for N days (configurable; default 365).
  * Optional: answers retained for 7–30 days for audit; otherwise purge post-finalize.
+ *
+ * Purges act on the real stores: session store records (final_snapshots, answers,
+ * session_data), recovery files (session_data), replay files and replay audits, and
+ * analytics event files. Every run produces a purge report signed with the
+ * environment's Ed25519 key. RETENTION_<DATA_TYPE>_DAYS overrides a policy's window
+ * (a positive whole number of days; anything else is an error).
+ * A final snapshot is the last thing kept of a finalized session, so purging an expired
+ * final_snapshots item deletes the whole session record, not just its results.
+ * Records without a usable timestamp have no age, so they are never purged; the report
+ * flags them (undated, undated_ids) for someone to look at.
  */
 
+import fs from 'fs';
+import path from 'path';
+import { createSessionStore } from './sessionStore.js';
+import RecoveryManager from './recovery.js';
+import * as replayAuditStore from './replayAuditStore.js';
+import { signDocument } from './bankSignature.js';
+import { getCurrentEnvironment, loadSigningKey } from './multiEnvConfig.js';
+
 class RetentionManager {
-  constructor() {
+  /**
+   * @param {Object} options - Stores to purge
+   * @param {Object} options.sessionStore - Session store adapter (defaults to SESSION_STORE env selection)
+   * @param {string} options.recoveryDir - Recovery file directory (defaults to RECOVERY_DIR or ./recovery)
+   * @param {string} options.analyticsDir - Analytics event file directory (defaults to ANALYTICS_EVENTS_DIR)
+   */
+  constructor(options = {}) {
+    this.sessionStore = options.sessionStore || createSessionStore();
+    this.recoveryDir = options.recoveryDir || process.env.RECOVERY_DIR || './recovery';
+    this.analyticsDir = options.analyticsDir || process.env.ANALYTICS_EVENTS_DIR || null;
     this.policies = this.initializeRetentionPolicies();
     this.retentionLog = [];
     this.purgeHistory = [];
+    this.purgeTimer = null;
   }
 
   /**
    * Initialize retention policies
    */
   initializeRetentionPolicies() {
-    return {
+    const policies = {
       final_snapshots: {
         required: true,
         retention_days: 365,
@@ -65,21 +93,48 @@ class RetentionManager {
         retention_days: 2555, // 7 years
         description: 'Audit logs must be kept for compliance',
         purge_after: 'retention_days'
+      },
+      replay_audits: {
+        required: true,
+        retention_days: 90,
+        description: 'Replay audit records kept for compliance tracking',
+        purge_after: 'retention_days'
+      },
+      replay_files: {
+        required: false,
+        retention_days: 30,
+        description: 'Replay files (seed and answers) kept for audits and disputes',
+        purge_after: 'retention_days'
       }
     };
+
+    Object.keys(policies).forEach(dataType => {
+      const variable = `RETENTION_${dataType.toUpperCase()}_DAYS`;
+      const override = process.env[variable];
+      if (override === undefined) {
+        return;
+      }
+
+      const days = /^\d+$/.test(override.trim()) ? parseInt(override, 10) : NaN;
+      if (!(days > 0)) {
+        throw new Error(`Invalid ${variable}: ${override} (expected a positive whole number of days)`);
+      }
+      policies[dataType].retention_days = days;
+    });
+
+    return policies;
   }
 
   /**
-   * Check if data should be retained
+   * Check if data should be retained (required data is kept for its full retention window)
    */
   shouldRetain(dataType, createdAt) {
     const policy = this.policies[dataType];
     if (!policy) {
       return true; // Default to retain if no policy
     }
-
-    if (policy.required) {
-      return true; // Always retain required data
+    if (!createdAt || Number.isNaN(new Date(createdAt).getTime())) {
+      return true; // Undated data is flagged, not purged
     }
 
     const ageInDays = this.calculateAgeInDays(createdAt);
@@ -95,17 +150,20 @@ class RetentionManager {
       return [];
     }
 
-    if (policy.required) {
-      return []; // Never purge required data
-    }
-
     const cutoffDate = this.getCutoffDate(policy.retention_days);
     return dataList.filter(item => {
       const createdAt = this.extractCreatedAt(item);
-      return createdAt < cutoffDate;
+      return createdAt !== null && createdAt < cutoffDate;
     });
   }
 
+  /**
+   * Get data with no usable timestamp, which can't be aged and is never purged
+   */
+  getUndatedData(dataList) {
+    return dataList.filter(item => this.extractCreatedAt(item) === null);
+  }
+
   /**
    * Purge expired data
    */
@@ -122,7 +180,7 @@ class RetentionManager {
     }
 
     try {
-      // Perform actual purge (this would be implemented by the storage layer)
+      // Perform actual purge against the backing stores
       const purgedCount = await this.performPurge(dataType, eligibleData);
       
       const result = {
@@ -148,13 +206,11 @@ class RetentionManager {
   }
 
   /**
-   * Perform actual purge operation
+   * Perform actual purge operation - each item from getDataByType knows how to remove itself
+   * @returns {number} Items actually removed
    */
   async performPurge(dataType, dataToPurge) {
-    // This would be implemented by the actual storage layer
-    // For now, just return the count
-    console.log(`Purging ${dataToPurge.length} ${dataType} records`);
-    return dataToPurge.length;
+    return dataToPurge.filter(item => item.purge()).length;
   }
 
   /**
@@ -200,6 +256,7 @@ class RetentionManager {
 
   /**
    * Extract created at timestamp from data item
+   * @returns {Date|null} Null when no field holds a valid date
    */
   extractCreatedAt(item) {
     // Try different common field names
@@ -207,12 +264,12 @@ class RetentionManager {
     
     for (const field of possibleFields) {
       if (item[field]) {
-        return new Date(item[field]);
+        const createdAt = new Date(item[field]);
+        return Number.isNaN(createdAt.getTime()) ? null : createdAt;
       }
     }
     
-    // Default to current time if no timestamp found
-    return new Date();
+    return null;
   }
 
   /**
@@ -373,30 +430,55 @@ class RetentionManager {
   }
 
   /**
-   * Schedule automatic purging
+   * Schedule automatic purging (the timer doesn't keep the process alive); each run is
+   * recorded in the retention log as a scheduled_purge entry
+   * @param {number} intervalMs - Interval between purges
+   * @param {Function} onReport - Receives each signed purge report
+   * @returns {Object} Timer handle
    */
-  scheduleAutomaticPurging(intervalMs = 24 * 60 * 60 * 1000) { // 24 hours
-    setInterval(async () => {
-      console.log('Running scheduled data purging...');
-      
+  scheduleAutomaticPurging(intervalMs = 24 * 60 * 60 * 1000, onReport = null) { // 24 hours
+    this.stopAutomaticPurging();
+    this.purgeTimer = setInterval(async () => {
       try {
-        // This would get data from the actual storage layer
-        const dataByType = await this.getDataByType();
-        const results = await this.purgeAllExpiredData(dataByType);
-        
-        console.log('Scheduled purging completed:', results);
+        const report = await this.runPurge({ apply: true });
+        this.retentionLog.push({
+          timestamp: new Date().toISOString(),
+          action: 'scheduled_purge',
+          success: true,
+          totals: report.totals
+        });
+        if (onReport) {
+          onReport(report);
+        }
       } catch (error) {
-        console.error('Scheduled purging failed:', error.message);
+        this.retentionLog.push({
+          timestamp: new Date().toISOString(),
+          action: 'scheduled_purge',
+          success: false,
+          error: error.message
+        });
       }
     }, intervalMs);
+    this.purgeTimer.unref();
+    return this.purgeTimer;
+  }
+
+  /**
+   * Stop automatic purging
+   */
+  stopAutomaticPurging() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
   }
 
   /**
-   * Get data by type (placeholder - would be implemented by storage layer)
+   * Collect purgeable items from the stores: { id, store, created_at, purge() }
+   * error_logs, performance_metrics, cache_data and audit_logs have no persistent store yet
    */
   async getDataByType() {
-    // This would be implemented by the actual storage layer
-    return {
+    const dataByType = {
       final_snapshots: [],
       answers: [],
       analytics_events: [],
@@ -404,8 +486,162 @@ class RetentionManager {
       performance_metrics: [],
       session_data: [],
       cache_data: [],
-      audit_logs: []
+      audit_logs: [],
+      replay_audits: [],
+      replay_files: []
     };
+
+    // Session store: finalized sessions hold a final snapshot and (until purged) their answers
+    const store = this.sessionStore;
+    store.list().forEach(sessionId => {
+      const record = store.get(sessionId);
+      if (!record) return;
+
+      if (record.state === 'FINALIZED') {
+        // The snapshot outlives everything else in the record, so its purge deletes the session
+        dataByType.final_snapshots.push({
+          id: sessionId, store: 'session_store', created_at: record.finalized_at,
+          purge: () => store.delete(sessionId)
+        });
+        if (record.answers && record.answers.length > 0) {
+          dataByType.answers.push({
+            id: sessionId, store: 'session_store', created_at: record.finalized_at,
+            purge: () => this._purgeAnswers(sessionId)
+          });
+        }
+      } else {
+        dataByType.session_data.push({
+          id: sessionId, store: 'session_store', created_at: record.last_activity_at || record.started_at,
+          purge: () => store.delete(sessionId)
+        });
+      }
+    });
+
+    // Recovery files (reading the directory must not create it)
+    if (fs.existsSync(this.recoveryDir)) {
+      new RecoveryManager({ recoveryDir: this.recoveryDir }).listRecoveryFiles().forEach(file => {
+        dataByType.session_data.push({
+          id: file.file, store: 'recovery', created_at: file.modified,
+          purge: () => this._unlink(file.path)
+        });
+      });
+    }
+
+    replayAuditStore.listReplayAuditFiles().forEach(entry => {
+      dataByType.replay_audits.push({
+        id: entry.file, store: 'replay_audits', created_at: entry.data.created_at,
+        purge: () => this._unlink(entry.path)
+      });
+    });
+    replayAuditStore.listReplayFiles().forEach(entry => {
+      dataByType.replay_files.push({
+        id: entry.file, store: 'replays', created_at: entry.data.created_at,
+        purge: () => this._unlink(entry.path)
+      });
+    });
+
+    // Analytics event files (AnalyticsEventCollector.saveEvents)
+    if (this.analyticsDir && fs.existsSync(this.analyticsDir)) {
+      fs.readdirSync(this.analyticsDir).filter(file => file.endsWith('.json')).forEach(file => {
+        const filePath = path.join(this.analyticsDir, file);
+        dataByType.analytics_events.push({
+          id: file, store: 'analytics', created_at: fs.statSync(filePath).mtime,
+          purge: () => this._unlink(filePath)
+        });
+      });
+    }
+
+    return dataByType;
+  }
+
+  /**
+   * Run one purge over every store and return a signed report of counts per data type
+   * @param {Object} options - Purge options
+   * @param {boolean} options.apply - Delete eligible data (otherwise a dry run that only counts)
+   * @param {string} options.signingKey - Ed25519 private key (defaults to the environment's key)
+   * @returns {Object} Signed purge report (retention_purge_report.v1)
+   */
+  async runPurge(options = {}) {
+    const apply = Boolean(options.apply);
+    const environment = getCurrentEnvironment();
+    const dataByType = await this.getDataByType();
+    const dataTypes = {};
+
+    for (const [dataType, dataList] of Object.entries(dataByType)) {
+      const policy = this.policies[dataType];
+      const eligible = this.getDataEligibleForPurge(dataType, dataList);
+      const undated = this.getUndatedData(dataList);
+      const result = apply && eligible.length > 0 ? await this.purgeExpiredData(dataType, dataList) : null;
+
+      dataTypes[dataType] = {
+        required: policy.required,
+        retention_days: policy.retention_days,
+        scanned: dataList.length,
+        eligible: eligible.length,
+        purged: result ? result.purged : 0,
+        undated: undated.length
+      };
+      if (undated.length > 0) {
+        dataTypes[dataType].undated_ids = undated.map(item => item.id);
+      }
+      if (result && !result.success) {
+        dataTypes[dataType].error = result.error;
+      }
+    }
+
+    const sum = field => Object.values(dataTypes).reduce((total, counts) => total + counts[field], 0);
+    const report = {
+      schema: 'retention_purge_report.v1',
+      mode: apply ? 'apply' : 'dry-run',
+      environment,
+      generated_at: new Date().toISOString(),
+      data_types: dataTypes,
+      totals: {
+        scanned: sum('scanned'),
+        eligible: sum('eligible'),
+        purged: sum('purged'),
+        undated: sum('undated')
+      }
+    };
+    signDocument(report, options.signingKey || loadSigningKey(environment), environment);
+
+    this.retentionLog.push({
+      timestamp: report.generated_at,
+      action: 'purge_report',
+      mode: report.mode,
+      totals: report.totals
+    });
+    return report;
+  }
+
+  /**
+   * Drop the raw answers of a finalized session, keeping its final snapshot
+   * @returns {boolean} True if the answers were removed
+   */
+  _purgeAnswers(sessionId) {
+    const record = this.sessionStore.get(sessionId);
+    if (!record || !record.answers || record.answers.length === 0) {
+      return false;
+    }
+
+    return this.sessionStore.compareAndSet(sessionId, record.revision, {
+      ...record,
+      answers: [],
+      answers_purged_at: new Date().toISOString(),
+      revision: record.revision + 1
+    });
+  }
+
+  /**
+   * Delete a file
+   * @returns {boolean} True if it existed
+   */
+  _unlink(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
   }
 
   /**
@@ -458,4 +694,4 @@ class RetentionManager {
   }
 }
 
-module.exports = RetentionManager;
+export default RetentionManager;
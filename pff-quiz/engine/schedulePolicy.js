@@ -0,0 +1,158 @@
+/**
+ * Schedule Policy - interpreter for the schedule_policy declared in bank.meta.json
+ *
+ * The policy gives the base allocation (questions asked in picked and not-picked
+ * families) and per-pick-count rules that drop or add probes so every pick count
+ * reaches the session length. The engine scheduler, fallback.js and lint-bank.js
+ * all read the policy through this module.
+ *
+ * picks_policy says whether a session may pick no families: 'at_least_one' requires a
+ * pick, 'all_21_on_zero' accepts zero picks and asks every family as not-picked.
+ */
+
+const PICKS_POLICIES = ['at_least_one', 'all_21_on_zero'];
+
+// Policy for bank packages packed before bank.meta.json declared one
+const DEFAULT_SCHEDULE_POLICY = {
+  session_length: 18,
+  picked_family_questions: 2,
+  unpicked_family_questions: 3,
+  picks_policy: 'at_least_one',
+  pick_counts: {
+    0: { session_length: 21 },
+    1: { drop_probes: { count: 2, order_in_family: 'O' } },
+    2: { drop_probes: { count: 1, order_in_family: 'O' } },
+    4: { extra_probes: { count: 1 } },
+    5: { extra_probes: { count: 2 } },
+    6: { extra_probes: { count: 3 } },
+    7: { extra_probes: { count: 4 } }
+  }
+};
+
+/**
+ * Get the schedule policy of a bank package
+ * @param {Object} bankPackage - Bank package
+ * @returns {Object} Schedule policy
+ */
+function getSchedulePolicy(bankPackage) {
+  return (bankPackage.meta && bankPackage.meta.schedule_policy) || DEFAULT_SCHEDULE_POLICY;
+}
+
+/**
+ * Resolve the rule for a pick count, with the base allocation filled in
+ * @param {Object} policy - Schedule policy
+ * @param {number} pickCount - Number of picked families
+ * @returns {Object} { session_length, picked_family_questions, unpicked_family_questions, drop_probes, extra_probes }
+ */
+function getPickRule(policy, pickCount) {
+  const rule = (policy.pick_counts && policy.pick_counts[pickCount]) || {};
+  return {
+    session_length: rule.session_length !== undefined ? rule.session_length : policy.session_length,
+    picked_family_questions: rule.picked_family_questions !== undefined
+      ? rule.picked_family_questions
+      : policy.picked_family_questions,
+    unpicked_family_questions: rule.unpicked_family_questions !== undefined
+      ? rule.unpicked_family_questions
+      : policy.unpicked_family_questions,
+    drop_probes: rule.drop_probes || null,
+    extra_probes: rule.extra_probes || null
+  };
+}
+
+/**
+ * Fewest families a session may pick under a picks policy
+ * @param {string} picksPolicy - 'at_least_one' | 'all_21_on_zero'
+ * @returns {number} Minimum pick count
+ */
+function getMinimumPicks(picksPolicy) {
+  return picksPolicy === 'all_21_on_zero' ? 0 : 1;
+}
+
+/**
+ * Number of questions a pick count schedules, assuming every family has enough questions
+ * @param {Object} policy - Schedule policy
+ * @param {number} pickCount - Number of picked families
+ * @param {number} familyCount - Number of families in the bank
+ * @returns {number} Schedule length
+ */
+function getScheduleLength(policy, pickCount, familyCount) {
+  const rule = getPickRule(policy, pickCount);
+  const drops = rule.drop_probes ? rule.drop_probes.count : 0;
+  const extras = rule.extra_probes ? rule.extra_probes.count : 0;
+  return pickCount * rule.picked_family_questions +
+    (familyCount - pickCount) * rule.unpicked_family_questions - drops + extras;
+}
+
+/**
+ * Build a schedule from the policy. Picked families come first in family order and
+ * are asked their first picked_family_questions questions, then not-picked families
+ * their first unpicked_family_questions. drop_probes removes the question with the
+ * given order_in_family from `count` not-picked families; extra_probes appends the
+ * next unasked question of `count` picked families.
+ * @param {Object} policy - Schedule policy
+ * @param {Object} context - { familyOrder, pickedFamilies, questionsFor(family), selectFamilies(families, count) }
+ * @returns {Object} { schedule, droppedProbes, extraProbes }
+ */
+function planSchedule(policy, { familyOrder, pickedFamilies, questionsFor, selectFamilies }) {
+  const rule = getPickRule(policy, pickedFamilies.length);
+  const pickedOrder = familyOrder.filter(family => pickedFamilies.includes(family));
+  const notPickedOrder = familyOrder.filter(family => !pickedFamilies.includes(family));
+  const screens = [...pickedOrder, ...notPickedOrder];
+
+  const item = (question, family) => ({
+    qid: question.qid,
+    familyScreen: screens.indexOf(family) + 1,
+    order_in_family: question.order_in_family
+  });
+
+  const droppedProbes = [];
+  const dropFamilies = rule.drop_probes
+    ? selectFamilies(notPickedOrder, Math.min(rule.drop_probes.count, notPickedOrder.length))
+    : [];
+
+  const schedule = [];
+  pickedOrder.forEach(family => {
+    questionsFor(family).slice(0, rule.picked_family_questions).forEach(question => {
+      schedule.push(item(question, family));
+    });
+  });
+
+  notPickedOrder.forEach(family => {
+    const questions = questionsFor(family).slice(0, rule.unpicked_family_questions);
+    const dropped = dropFamilies.includes(family)
+      ? questions.find(question => question.order_in_family === rule.drop_probes.order_in_family)
+      : null;
+    if (dropped) {
+      droppedProbes.push(item(dropped, family));
+    }
+    questions.forEach(question => {
+      if (question !== dropped) {
+        schedule.push(item(question, family));
+      }
+    });
+  });
+
+  const extraProbes = [];
+  if (rule.extra_probes) {
+    const extraFamilies = selectFamilies(pickedOrder, Math.min(rule.extra_probes.count, pickedOrder.length));
+    extraFamilies.forEach(family => {
+      const probe = questionsFor(family)[rule.picked_family_questions];
+      if (probe) {
+        extraProbes.push(item(probe, family));
+      }
+    });
+    schedule.push(...extraProbes);
+  }
+
+  return { schedule, droppedProbes, extraProbes };
+}
+
+export {
+  PICKS_POLICIES,
+  DEFAULT_SCHEDULE_POLICY,
+  getSchedulePolicy,
+  getPickRule,
+  getMinimumPicks,
+  getScheduleLength,
+  planSchedule
+};
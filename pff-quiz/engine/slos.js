@@ -481,4 +481,4 @@ class SLOsManager {
   }
 }
 
-module.exports = SLOsManager;
+export default SLOsManager;
@@ -44,6 +44,8 @@ class StorageSchemaManager {
         schedule: { type: 'jsonb', required: true },
         constants_profile: { type: 'string', required: true },
         gating_assignments: { type: 'jsonb', nullable: true },
+        engine_state: { type: 'jsonb', nullable: true },
+        revision: { type: 'int', required: true, default: 0 },
         created_at: { type: 'datetime', required: true, default: 'CURRENT_TIMESTAMP' },
         updated_at: { type: 'datetime', required: true, default: 'CURRENT_TIMESTAMP' }
       },
@@ -71,6 +73,7 @@ class StorageSchemaManager {
       fields: {
         session_id: { type: 'uuid', required: true, fk: 'sessions(session_id)' },
         qid: { type: 'string', required: true },
+        seq: { type: 'int', required: true },
         familyScreen: { type: 'string', required: true, index: true },
         picked_key: { type: 'string', required: true },
         lineCOF: { type: 'string', required: true },
@@ -289,8 +292,12 @@ class StorageSchemaManager {
   generateTableDDL(tableName, schema, databaseType = 'postgresql') {
     const ddl = [];
     
+    // SQLite has no ALTER TABLE ... ADD CONSTRAINT, so it gets idempotent DDL without checks
+    const isSQLite = databaseType === 'sqlite';
+    const ifNotExists = isSQLite ? 'IF NOT EXISTS ' : '';
+    
     // Create table
-    ddl.push(`CREATE TABLE ${schema.table} (`);
+    ddl.push(`CREATE TABLE ${ifNotExists}${schema.table} (`);
     
     const fieldDefs = [];
     for (const [fieldName, fieldDef] of Object.entries(schema.fields)) {
@@ -311,7 +318,7 @@ class StorageSchemaManager {
       fieldDefs.push(fieldDefStr);
     }
     
-    ddl.push(fieldDefs.join(',\n'));
+    ddl.push(fieldDefs.join(',\n') + ',');
     
     // Primary key
     if (Array.isArray(schema.pk)) {
@@ -324,11 +331,11 @@ class StorageSchemaManager {
     
     // Indexes
     for (const index of schema.indexes || []) {
-      ddl.push(`CREATE INDEX ${index.name} ON ${schema.table} (${index.columns.join(', ')});`);
+      ddl.push(`CREATE INDEX ${ifNotExists}${index.name} ON ${schema.table} (${index.columns.join(', ')});`);
     }
     
     // Constraints
-    for (const constraint of schema.constraints || []) {
+    for (const constraint of isSQLite ? [] : schema.constraints || []) {
       ddl.push(`ALTER TABLE ${schema.table} ADD CONSTRAINT ${constraint.name} CHECK (${constraint.check});`);
     }
     
@@ -468,4 +475,4 @@ class StorageSchemaManager {
   }
 }
 
-module.exports = StorageSchemaManager;
+export default StorageSchemaManager;
@@ -63,7 +63,8 @@ class TelemetryCollector {
       QA_FLAG_NO_CONTRAST: 0,
       QA_FLAG_SIBLING_COLLISION: 0,
       QA_FLAG_OVER_CONCENTRATION: 0,
-      QA_FLAG_UNDER_CONCENTRATION: 0
+      QA_FLAG_UNDER_CONCENTRATION: 0,
+      W_SIBLING_COLLISION: 0
     };
 
     this.performance_metrics = {
@@ -519,6 +520,13 @@ class TelemetryCollector {
     return this.session_metrics.get(sessionId);
   }
 
+  /**
+   * Remove the per-session metrics of a session (aggregate counters and distributions are kept)
+   */
+  removeSessionMetrics(sessionId) {
+    return this.session_metrics.delete(sessionId);
+  }
+
   /**
    * Clear all metrics
    */
@@ -579,7 +587,8 @@ class TelemetryCollector {
       QA_FLAG_NO_CONTRAST: 0,
       QA_FLAG_SIBLING_COLLISION: 0,
       QA_FLAG_OVER_CONCENTRATION: 0,
-      QA_FLAG_UNDER_CONCENTRATION: 0
+      QA_FLAG_UNDER_CONCENTRATION: 0,
+      W_SIBLING_COLLISION: 0
     };
 
     this.performance_metrics = {
@@ -611,4 +620,4 @@ class TelemetryCollector {
   }
 }
 
-module.exports = TelemetryCollector;
+export default TelemetryCollector;
@@ -0,0 +1,22 @@
+// Admin API: bank status (GET), activation and rollback (POST) without a restart
+import { activateBank, getBankStatus, rollbackBank, syncActiveBank } from '../../../engine/index.js';
+import { engineRoute, requireFields, routeError } from '../../../src/lib/engine-route';
+
+export default engineRoute(['GET', 'POST'], 'bank admin', (req) => {
+  if (req.method === 'GET') {
+    return getBankStatus();
+  }
+
+  // action: 'activate' (with bank_path), 'rollback' (optional reason) or 'sync'
+  const { action, reason } = requireFields(req.body, ['action']);
+  switch (action) {
+    case 'activate':
+      return activateBank(requireFields(req.body, ['bank_path']).bank_path);
+    case 'rollback':
+      return rollbackBank(reason);
+    case 'sync':
+      return { bank_hash: syncActiveBank() };
+    default:
+      throw routeError('E_VALIDATION_FAILED', `Unknown action: ${action}`, 'Use activate, rollback or sync');
+  }
+}, { admin: true });
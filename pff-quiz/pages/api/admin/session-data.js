@@ -0,0 +1,12 @@
+// Admin API: data subject access (GET) and erasure (DELETE) for one session
+import { describeSessionData, forgetSession } from '../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../src/lib/engine-route';
+
+export default engineRoute(['GET', 'DELETE'], 'session data', (req) => {
+  const { session_id } = requireFields(req.query, ['session_id']);
+
+  // Call the real engine function
+  return req.method === 'GET'
+    ? describeSessionData(session_id)
+    : forgetSession(session_id);
+}, { admin: true });
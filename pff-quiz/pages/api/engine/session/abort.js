@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { abortSession } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['POST'], 'abort', (req) => {
+  const { session_id, reason } = requireFields(req.body, ['session_id']);
+
+  // Call the real engine function
+  return abortSession(session_id, reason);
+});
@@ -1,27 +1,13 @@
 // Real Engine API for Vercel
 import { submitAnswer } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default engineRoute(['POST'], 'answer', (req) => {
+  const { session_id, qid, picked_key, ts, latency_ms } = requireFields(req.body, ['session_id', 'qid', 'picked_key']);
 
-  try {
-    const { session_id, qid, picked_key, ts, latency_ms } = req.body;
-    
-    if (!session_id || !qid || !picked_key) {
-      return res.status(400).json({ error: 'session_id, qid, and picked_key are required' });
-    }
+  // Retries carrying the same Idempotency-Key header get the original result
+  const idempotencyKey = req.headers['idempotency-key'] || null;
 
-    // Call the real engine function
-    const result = submitAnswer(session_id, qid, picked_key, ts, latency_ms);
-    
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Engine answer error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
-  }
-}
+  // Call the real engine function
+  return submitAnswer(session_id, qid, picked_key, ts, latency_ms, idempotencyKey);
+});
@@ -0,0 +1,15 @@
+// Real Engine API for Vercel
+import { getConsent, updateConsent } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET', 'POST'], 'consent', (req) => {
+  const { session_id } = requireFields(req.method === 'GET' ? req.query : req.body, ['session_id']);
+
+  // GET reads the recorded consent, POST re-consents with { consent_version, privacy_flags }
+  return req.method === 'GET'
+    ? getConsent(session_id)
+    : updateConsent(session_id, {
+      consent_version: req.body.consent_version,
+      privacy_flags: req.body.privacy_flags
+    });
+});
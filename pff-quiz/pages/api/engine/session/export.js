@@ -0,0 +1,12 @@
+// Real Engine API for Vercel
+import { exportSession } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET'], 'export', (req) => {
+  const { session_id, types } = requireFields(req.query, ['session_id']);
+
+  // Call the real engine function (all export types unless ?types=verdicts,audit)
+  return types
+    ? exportSession(session_id, String(types).split(',').filter(Boolean))
+    : exportSession(session_id);
+});
@@ -1,27 +1,10 @@
 // Real Engine API for Vercel
 import { finalizeSession } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default engineRoute(['POST'], 'finalize', (req) => {
+  const { session_id } = requireFields(req.body, ['session_id']);
 
-  try {
-    const { session_id } = req.body;
-    
-    if (!session_id) {
-      return res.status(400).json({ error: 'session_id is required' });
-    }
-
-    // Call the real engine function
-    const result = finalizeSession(session_id);
-    
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Engine finalize error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
-  }
-}
+  // Call the real engine function
+  return finalizeSession(session_id);
+});
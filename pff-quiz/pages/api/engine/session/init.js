@@ -1,31 +1,17 @@
 // Real Engine API for Vercel
 import path from 'path';
-import { initSession } from '../../../../engine/index.js';
+import { ensureActiveBank, initSession, issueSessionToken } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default engineRoute(['POST'], 'init', (req) => {
+  const { session_seed, privacy, locale } = requireFields(req.body, ['session_seed']);
 
-  try {
-    const { session_seed } = req.body;
-    
-    if (!session_seed) {
-      return res.status(400).json({ error: 'session_seed is required' });
-    }
+  // New sessions start on the active bank; the packaged bank is used until one is activated
+  ensureActiveBank(path.join(process.cwd(), 'bank', 'packaged', 'bank_package.json'));
 
-    // Load bank package from the correct path
-    const bankPath = path.join(process.cwd(), 'bank', 'packaged', 'bank_package.json');
-    
-    // Call the real engine function
-    const result = initSession(session_seed, bankPath);
-    
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Engine init error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
-  }
-}
+  // Call the real engine function (privacy: { consent_version, privacy_flags }; locale: e.g. 'es-MX')
+  const session = initSession(session_seed, null, { privacy, locale });
+
+  // The browser sends session_token as X-Session-Token on every later request for the session
+  return { ...session, session_token: issueSessionToken(session.session_id) };
+}, { opensSession: true });
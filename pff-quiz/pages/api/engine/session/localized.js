@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { getLocalizedQuestion } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET'], 'localized question', (req) => {
+  const { session_id, locale } = requireFields(req.query, ['session_id', 'locale']);
+
+  // The question on screen with its text in the requested locale (falls back to the default)
+  return getLocalizedQuestion(session_id, locale);
+});
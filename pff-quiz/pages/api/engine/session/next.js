@@ -1,27 +1,10 @@
 // Real Engine API for Vercel
 import { getNextQuestion } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default engineRoute(['GET'], 'next question', (req) => {
+  const { session_id } = requireFields(req.query, ['session_id']);
 
-  try {
-    const { session_id } = req.query;
-    
-    if (!session_id) {
-      return res.status(400).json({ error: 'session_id is required' });
-    }
-
-    // Call the real engine function
-    const result = getNextQuestion(session_id);
-    
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Engine next question error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
-  }
-}
+  // Public question view: no line verdicts or tells reach the browser (engine/questionView.js)
+  return getNextQuestion(session_id);
+});
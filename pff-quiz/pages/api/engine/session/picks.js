@@ -1,27 +1,10 @@
 // Real Engine API for Vercel
 import { setPicks } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default engineRoute(['POST'], 'picks', (req) => {
+  const { session_id, picked_families } = requireFields(req.body, ['session_id', 'picked_families']);
 
-  try {
-    const { session_id, picked_families } = req.body;
-    
-    if (!session_id || !picked_families) {
-      return res.status(400).json({ error: 'session_id and picked_families are required' });
-    }
-
-    // Call the real engine function
-    const result = setPicks(session_id, picked_families);
-    
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Engine picks error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
-  }
-}
+  // Call the real engine function
+  return setPicks(session_id, picked_families);
+});
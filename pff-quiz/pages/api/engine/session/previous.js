@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { getPreviousQuestion } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET'], 'previous question', (req) => {
+  const { session_id } = requireFields(req.query, ['session_id']);
+
+  // Call the real engine function
+  return getPreviousQuestion(session_id);
+});
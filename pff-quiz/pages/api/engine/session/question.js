@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { getQuestionAt } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET'], 'question', (req) => {
+  const { session_id, index } = requireFields(req.query, ['session_id', 'index']);
+
+  // Call the real engine function
+  return getQuestionAt(session_id, Number(index));
+});
@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { getResults } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['GET'], 'results', (req) => {
+  const { session_id } = requireFields(req.query, ['session_id']);
+
+  // Call the real engine function
+  return getResults(session_id);
+});
@@ -0,0 +1,10 @@
+// Real Engine API for Vercel
+import { resumeSession } from '../../../../engine/index.js';
+import { engineRoute, requireFields } from '../../../../src/lib/engine-route';
+
+export default engineRoute(['POST'], 'resume', (req) => {
+  const { session_id } = requireFields(req.body, ['session_id']);
+
+  // Call the real engine function
+  return resumeSession(session_id);
+});
@@ -5,16 +5,39 @@ import { useSearchParams } from 'next/navigation';
 import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import { apiClient } from '@/lib/api-client';
-import { SessionState, Question } from '@/types/api';
+import { useRuntimeConfig } from '@/hooks/useRuntimeConfig';
+import { SessionState, Question, OptionKey, ApiError } from '@/types/api';
 
 const FAMILIES = [
   'Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'
 ];
 
+// Engine error codes the quiz explains itself; anything else shows the engine message
+const getQuizErrorMessage = (error: ApiError | undefined, fallback: string) => {
+  switch (error?.code) {
+    case 'E_SESSION_NOT_FOUND':
+    case 'E_SESSION_EXPIRED':
+      return 'This session has expired or could not be found. Please start the quiz again.';
+    case 'E_RATE_LIMIT_EXCEEDED':
+    case 'E_QUOTA_EXCEEDED':
+      return error.retryAfter
+        ? `Too many requests. Please try again in ${error.retryAfter} seconds.`
+        : 'Too many requests. Please wait a moment and try again.';
+    case 'E_AUTHENTICATION_FAILED':
+    case 'E_INVALID_TOKEN':
+      return 'The quiz is not authorized to reach the engine. Please contact support.';
+    case 'E_INTERNAL_ERROR':
+      return fallback;
+    default:
+      return error && error.status >= 500 ? 'The quiz is temporarily unavailable. Please try again later.' : error?.message || fallback;
+  }
+};
+
 function QuizContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const sessionSeed = searchParams.get('seed');
+  const { config } = useRuntimeConfig();
 
   const [session, setSession] = useState<SessionState | null>(null);
   const [currentQuestion, setCurrentQuestion] = useState<Question | null>(null);
@@ -23,6 +46,11 @@ function QuizContent() {
   const [error, setError] = useState<string | null>(null);
   const [quizPhase, setQuizPhase] = useState<'picks' | 'questions' | 'finalizing'>('picks');
 
+  // The engine's policy for this session wins over the runtime config
+  const picksPolicy = session?.picks_policy || config?.picksPolicy;
+  const minimumPicks = picksPolicy === 'all_21_on_zero' ? 0 : 1;
+  const canGoBack = config?.allowBackNav !== false && (currentQuestion?.index ?? 0) > 1;
+
   // Initialize session
   useEffect(() => {
     if (!sessionSeed) {
@@ -35,7 +63,8 @@ function QuizContent() {
       setError(null);
 
       try {
-        const response = await apiClient.initSession(sessionSeed);
+        // Questions come back in the browser's language, or the bank's default locale
+        const response = await apiClient.initSession(sessionSeed, undefined, navigator.language);
         if (response.success && response.data) {
           setSession(response.data);
           apiClient.trackEvent({
@@ -44,7 +73,7 @@ function QuizContent() {
             bank_hash: process.env.NEXT_PUBLIC_BANK_HASH
           });
         } else {
-          setError(response.error?.message || 'Failed to initialize session');
+          setError(getQuizErrorMessage(response.error, 'Failed to initialize session'));
         }
       } catch (err) {
         setError('Failed to initialize session');
@@ -70,7 +99,7 @@ function QuizContent() {
 
   // Submit family picks
   const handleSubmitPicks = async () => {
-    if (!session || selectedFamilies.length === 0) return;
+    if (!session || selectedFamilies.length < minimumPicks) return;
 
     setIsLoading(true);
     setError(null);
@@ -82,7 +111,7 @@ function QuizContent() {
         setQuizPhase('questions');
         loadNextQuestion(response.data.session_id);
       } else {
-        setError(response.error?.message || 'Failed to set family picks');
+        setError(getQuizErrorMessage(response.error, 'Failed to set family picks'));
       }
     } catch (err) {
       setError('Failed to set family picks');
@@ -113,7 +142,7 @@ function QuizContent() {
         });
       } else {
         console.error('Failed to load question:', response.error);
-        setError(response.error?.message || 'Failed to load question');
+        setError(getQuizErrorMessage(response.error, 'Failed to load question'));
       }
     } catch (err) {
       console.error('Load question error:', err);
@@ -121,8 +150,35 @@ function QuizContent() {
     }
   }, []);
 
+  // Pause while the tab is hidden and resume on return
+  useEffect(() => {
+    if (!session || quizPhase !== 'questions') return;
+
+    const sessionId = session.session_id;
+    const handleVisibilityChange = async () => {
+      if (document.visibilityState === 'hidden') {
+        apiClient.pauseSession(sessionId, 'page_hidden');
+        apiClient.trackEvent({ type: 'session_pause', session_id: sessionId });
+        return;
+      }
+
+      const response = await apiClient.resumeSession(sessionId);
+      if (response.success && response.data) {
+        apiClient.trackEvent({ type: 'session_resume', session_id: sessionId });
+        if (response.data.next_question) {
+          setCurrentQuestion(response.data.next_question);
+        }
+      } else {
+        setError(getQuizErrorMessage(response.error, 'Failed to resume session'));
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [session, quizPhase]);
+
   // Submit answer
-  const handleAnswerSubmit = async (optionKey: 'A' | 'B') => {
+  const handleAnswerSubmit = async (optionKey: OptionKey) => {
     if (!session || !currentQuestion) return;
 
     setIsLoading(true);
@@ -154,7 +210,8 @@ function QuizContent() {
           answers_count: response.data.answers_count 
         });
         
-        if (response.data.remaining === 0) {
+        // A revised earlier answer moves on to the next served question before finalizing
+        if (response.data.remaining === 0 && currentQuestion.index === currentQuestion.total) {
           console.log('Quiz complete, finalizing...');
           setQuizPhase('finalizing');
           await finalizeQuiz(response.data.session_id);
@@ -164,7 +221,7 @@ function QuizContent() {
           await loadNextQuestion(response.data.session_id);
         }
       } else {
-        setError(response.error?.message || 'Failed to submit answer');
+        setError(getQuizErrorMessage(response.error, 'Failed to submit answer'));
       }
     } catch (err) {
       setError('Failed to submit answer');
@@ -174,6 +231,28 @@ function QuizContent() {
     }
   };
 
+  // Step back to the previous question to review or change its answer
+  const handleBack = async () => {
+    if (!session || !currentQuestion) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiClient.getPreviousQuestion(session.session_id);
+      if (response.success && response.data) {
+        setCurrentQuestion(response.data);
+      } else {
+        setError(getQuizErrorMessage(response.error, 'Failed to load previous question'));
+      }
+    } catch (err) {
+      setError('Failed to load previous question');
+      console.error('Previous question error:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Finalize quiz
   const finalizeQuiz = async (sessionId: string) => {
     try {
@@ -188,7 +267,7 @@ function QuizContent() {
         // Navigate to results
         router.push(`/results?session=${sessionId}`);
       } else {
-        setError(response.error?.message || 'Failed to finalize quiz');
+        setError(getQuizErrorMessage(response.error, 'Failed to finalize quiz'));
       }
     } catch (err) {
       setError('Failed to finalize quiz');
@@ -235,7 +314,7 @@ function QuizContent() {
               Select Your Families
             </h1>
             <p className="text-gray-600 mb-8 text-center">
-              Choose the families that resonate with you. You can select 1-7 families.
+              Choose the families that resonate with you. You can select {minimumPicks}-{FAMILIES.length} families.
             </p>
             
             <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-8">
@@ -257,7 +336,7 @@ function QuizContent() {
             <div className="text-center">
               <button
                 onClick={handleSubmitPicks}
-                disabled={selectedFamilies.length === 0 || isLoading}
+                disabled={selectedFamilies.length < minimumPicks || isLoading}
                 className="bg-blue-600 text-white py-3 px-8 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {isLoading ? 'Processing...' : 'Continue'}
@@ -290,11 +369,8 @@ function QuizContent() {
 
             {/* Question */}
             <div className="mb-8">
-              <h2 className="text-lg font-semibold text-gray-900 mb-4">
-                {currentQuestion.familyScreen} - {currentQuestion.order_in_family}
-              </h2>
               <p className="text-gray-700">
-                Question content would go here (loaded from bank)
+                {currentQuestion.stem}
               </p>
             </div>
 
@@ -305,7 +381,9 @@ function QuizContent() {
                   key={option.key}
                   onClick={() => handleAnswerSubmit(option.key)}
                   disabled={isLoading}
-                  className="w-full p-4 text-left border-2 border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  className={`w-full p-4 text-left border-2 rounded-lg hover:border-blue-300 hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    currentQuestion.answered_key === option.key ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                  }`}
                 >
                   <div className="flex items-center">
                     <span className="font-semibold text-blue-600 mr-3">{option.key}.</span>
@@ -315,6 +393,18 @@ function QuizContent() {
               ))}
             </div>
 
+            {canGoBack && (
+              <div className="mt-6">
+                <button
+                  onClick={handleBack}
+                  disabled={isLoading}
+                  className="text-blue-600 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  ← Back
+                </button>
+              </div>
+            )}
+
             {isLoading && (
               <div className="mt-6 text-center">
                 <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
@@ -5,17 +5,30 @@ import { useSearchParams } from 'next/navigation';
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { apiClient } from '@/lib/api-client';
-import { FinalizeResponse } from '@/types/api';
+import { ResultsResponse } from '@/types/api';
+
+const getResultsErrorMessage = (code?: string, message?: string) => {
+  switch (code) {
+    case 'E_SESSION_NOT_FOUND':
+    case 'E_SESSION_EXPIRED':
+      return 'This session has expired or could not be found. Please take the quiz again.';
+    case 'E_STATE':
+      return 'This session has not been finalized yet.';
+    case 'E_RESULTS_DISABLED':
+      return 'Results are temporarily unavailable.';
+    default:
+      return message || 'Failed to load results';
+  }
+};
 
 function ResultsContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const sessionId = searchParams.get('session');
 
-  const [results, setResults] = useState<FinalizeResponse | null>(null);
+  const [results, setResults] = useState<ResultsResponse | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [bankHash, setBankHash] = useState<string>('');
 
   useEffect(() => {
     if (!sessionId) {
@@ -23,89 +36,18 @@ function ResultsContent() {
       return;
     }
 
-    // In a real implementation, you would fetch results from the session
-    // For now, we'll simulate the results structure
     const loadResults = async () => {
       try {
-        // Simulate loading results
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Mock results for demonstration
-        const mockResults: FinalizeResponse = {
-          session_id: sessionId,
-          state: 'FINALIZED',
-          line_verdicts: {
-            Control: 'C',
-            Pace: 'O',
-            Boundary: 'C',
-            Truth: 'F',
-            Recognition: 'C',
-            Bonding: 'O',
-            Stress: 'C'
-          },
-          face_states: {
-            'FACE/Control/Sovereign': {
-              state: 'LIT',
-              familiesHit: 5,
-              signatureHits: 2,
-              clean: 4,
-              bent: 1,
-              broken: 0,
-              contrastSeen: true
-            },
-            'FACE/Control/Rebel': {
-              state: 'LEAN',
-              familiesHit: 3,
-              signatureHits: 1,
-              clean: 2,
-              bent: 1,
-              broken: 0,
-              contrastSeen: false
-            },
-            'FACE/Pace/Visionary': {
-              state: 'GHOST',
-              familiesHit: 2,
-              signatureHits: 0,
-              clean: 1,
-              bent: 2,
-              broken: 1,
-              contrastSeen: false
-            },
-            'FACE/Pace/Navigator': {
-              state: 'COLD',
-              familiesHit: 2,
-              signatureHits: 0,
-              clean: 1,
-              bent: 1,
-              broken: 0,
-              contrastSeen: false
-            }
-          },
-          family_reps: [
-            {
-              family: 'Control',
-              rep: 'FACE/Control/Sovereign',
-              rep_state: 'LIT',
-              co_present: false
-            },
-            {
-              family: 'Pace',
-              rep: 'FACE/Pace/Navigator',
-              rep_state: 'COLD',
-              co_present: false
-            }
-          ],
-          anchor_family: 'Boundary'
-        };
-
-        setResults(mockResults);
-        // Use a consistent mock hash for development
-        setBankHash('f3b83f5647111864456d1d73accf7fd4936139e95381c827b0c4d2353749c6df');
-        
-        apiClient.trackEvent({
-          type: 'agree_click',
-          session_id: sessionId
-        });
+        const response = await apiClient.getResults(sessionId);
+        if (response.success && response.data) {
+          setResults(response.data);
+          apiClient.trackEvent({
+            type: 'agree_click',
+            session_id: sessionId
+          });
+        } else {
+          setError(getResultsErrorMessage(response.error?.code, response.error?.message));
+        }
       } catch (err) {
         setError('Failed to load results');
         console.error('Load results error:', err);
@@ -249,13 +191,10 @@ function ResultsContent() {
           {/* Bank Hash Verification */}
           <div className="mt-8 pt-6 border-t border-gray-200">
             <div className="text-center text-sm text-gray-500">
-              <p>Bank Hash: {bankHash}</p>
-              {bankHash !== process.env.NEXT_PUBLIC_BANK_HASH && process.env.NODE_ENV === 'production' && (
+              <p>Bank Hash: {results.bank_hash}</p>
+              {results.bank_hash !== process.env.NEXT_PUBLIC_BANK_HASH && process.env.NODE_ENV === 'production' && (
                 <p className="text-red-500 mt-1">⚠️ Hash mismatch detected</p>
               )}
-              {process.env.NODE_ENV === 'development' && (
-                <p className="text-blue-500 mt-1">🔧 Development mode - Mock data</p>
-              )}
             </div>
           </div>
 
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { RuntimeConfig } from '@/types/api';
+import { RuntimeConfig, PicksPolicy } from '@/types/api';
 
 // Disable CDN fetch - use environment variables directly
 const RUNTIME_CONFIG_URL = process.env.NEXT_PUBLIC_RUNTIME_CONFIG_URL || null;
@@ -16,7 +16,8 @@ export function useRuntimeConfig() {
         setConfig({
           resultsEnabled: process.env.NEXT_PUBLIC_RESULTS_ENABLED === 'true',
           allowedBankHashes: [process.env.NEXT_PUBLIC_BANK_HASH || ''],
-          picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as 'at_least_one' | 'all_21_on_zero') || 'at_least_one'
+          picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as PicksPolicy) || 'at_least_one',
+          allowBackNav: process.env.NEXT_PUBLIC_ALLOW_BACKNAV !== 'false'
         });
         setLoading(false);
         return;
@@ -33,7 +34,8 @@ export function useRuntimeConfig() {
           setConfig({
             resultsEnabled: process.env.NEXT_PUBLIC_RESULTS_ENABLED === 'true',
             allowedBankHashes: [process.env.NEXT_PUBLIC_BANK_HASH || ''],
-            picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as 'at_least_one' | 'all_21_on_zero') || 'at_least_one'
+            picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as PicksPolicy) || 'at_least_one',
+            allowBackNav: process.env.NEXT_PUBLIC_ALLOW_BACKNAV !== 'false'
           });
         }
       } catch {
@@ -41,7 +43,8 @@ export function useRuntimeConfig() {
         setConfig({
           resultsEnabled: process.env.NEXT_PUBLIC_RESULTS_ENABLED === 'true',
           allowedBankHashes: [process.env.NEXT_PUBLIC_BANK_HASH || ''],
-          picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as 'at_least_one' | 'all_21_on_zero') || 'at_least_one'
+          picksPolicy: (process.env.NEXT_PUBLIC_PICKS_POLICY as PicksPolicy) || 'at_least_one',
+          allowBackNav: process.env.NEXT_PUBLIC_ALLOW_BACKNAV !== 'false'
         });
         setError('Failed to load runtime config, using environment variables');
       } finally {
@@ -1,41 +1,82 @@
 import { 
   SessionState, 
+  InitSessionResponse,
   Question, 
   AnswerEvent, 
+  OptionKey,
   FinalizeResponse, 
+  ResultsResponse,
+  PauseResponse,
+  ResumeResponse,
+  ConsentInput,
+  ConsentResponse,
+  ApiErrorEnvelope,
   ApiResponse,
   AnalyticsEvent 
 } from '@/types/api';
 
 const API_BASE = '/api/engine';
 
+// Session tokens issued by init are sent as X-Session-Token (API tokens stay on the server);
+// sessionStorage keeps them across reloads, e.g. of the results page
+const SESSION_TOKEN_PREFIX = 'pff.session_token.';
+
 class ApiClient {
   private baseUrl: string;
+  private sessionTokens = new Map<string, string>();
 
   constructor() {
     this.baseUrl = API_BASE;
   }
 
+  private rememberSessionToken(sessionId: string, token: string) {
+    this.sessionTokens.set(sessionId, token);
+    try {
+      window.sessionStorage.setItem(`${SESSION_TOKEN_PREFIX}${sessionId}`, token);
+    } catch {
+      // No sessionStorage (server render, private mode): the token lives for this page only
+    }
+  }
+
+  private sessionTokenFor(sessionId: string): string | null {
+    const token = this.sessionTokens.get(sessionId);
+    if (token) return token;
+    try {
+      return window.sessionStorage.getItem(`${SESSION_TOKEN_PREFIX}${sessionId}`);
+    } catch {
+      return null;
+    }
+  }
+
   private async request<T>(
     endpoint: string, 
-    options: RequestInit = {}
+    options: RequestInit = {},
+    sessionId?: string
   ): Promise<ApiResponse<T>> {
+    const { headers, ...init } = options;
+    const sessionToken = sessionId ? this.sessionTokenFor(sessionId) : null;
     try {
       const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        ...init,
         headers: {
           'Content-Type': 'application/json',
-          ...options.headers,
+          ...(sessionToken ? { 'X-Session-Token': sessionToken } : {}),
+          ...headers,
         },
-        ...options,
       });
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
+        // Engine routes answer failures with { code, message, hint }
+        const errorData: Partial<ApiErrorEnvelope> = await response.json().catch(() => ({}));
+        const retryAfter = Number(response.headers.get('Retry-After'));
         return {
           success: false,
           error: {
-            code: errorData.error || 'UNKNOWN_ERROR',
+            code: errorData.code || 'UNKNOWN_ERROR',
             message: errorData.message || 'An unknown error occurred',
+            hint: errorData.hint ?? null,
+            status: response.status,
+            ...(retryAfter > 0 ? { retryAfter } : {}),
             details: errorData
           }
         };
@@ -52,18 +93,37 @@ class ApiClient {
         error: {
           code: 'NETWORK_ERROR',
           message: error instanceof Error ? error.message : 'Network error',
+          status: 0,
           details: error
         }
       };
     }
   }
 
-  // Initialize a new session
-  async initSession(sessionSeed: string): Promise<ApiResponse<SessionState>> {
-    return this.request<SessionState>('/session/init', {
+  // Initialize a new session with the respondent's privacy consent (all flags off when omitted)
+  // and the locale question text is returned in (the bank's default locale when omitted)
+  async initSession(sessionSeed: string, privacy?: ConsentInput, locale?: string): Promise<ApiResponse<InitSessionResponse>> {
+    const response = await this.request<InitSessionResponse>('/session/init', {
       method: 'POST',
-      body: JSON.stringify({ session_seed: sessionSeed })
+      body: JSON.stringify({ session_seed: sessionSeed, privacy, locale })
     });
+    if (response.data?.session_token) {
+      this.rememberSessionToken(response.data.session_id, response.data.session_token);
+    }
+    return response;
+  }
+
+  // Get the consent recorded for a session
+  async getConsent(sessionId: string): Promise<ApiResponse<ConsentResponse>> {
+    return this.request<ConsentResponse>(`/session/consent?session_id=${sessionId}`, {}, sessionId);
+  }
+
+  // Re-consent (after a consent version bump) or change privacy flags
+  async updateConsent(sessionId: string, consent: ConsentInput): Promise<ApiResponse<ConsentResponse>> {
+    return this.request<ConsentResponse>('/session/consent', {
+      method: 'POST',
+      body: JSON.stringify({ session_id: sessionId, ...consent })
+    }, sessionId);
   }
 
   // Set family picks
@@ -74,19 +134,35 @@ class ApiClient {
         session_id: sessionId, 
         picked_families: pickedFamilies 
       })
-    });
+    }, sessionId);
   }
 
   // Get next question
   async getNextQuestion(sessionId: string): Promise<ApiResponse<Question>> {
-    return this.request<Question>(`/session/next?session_id=${sessionId}`);
+    return this.resumingIfPaused(sessionId, () => this.request<Question>(`/session/next?session_id=${sessionId}`, {}, sessionId));
+  }
+
+  // Step back to the previously served question
+  async getPreviousQuestion(sessionId: string): Promise<ApiResponse<Question>> {
+    return this.resumingIfPaused(sessionId, () => this.request<Question>(`/session/previous?session_id=${sessionId}`, {}, sessionId));
+  }
+
+  // Revisit a served question by its 1-based index
+  async getQuestionAt(sessionId: string, index: number): Promise<ApiResponse<Question>> {
+    return this.resumingIfPaused(sessionId, () => this.request<Question>(`/session/question?session_id=${sessionId}&index=${index}`, {}, sessionId));
+  }
+
+  // The question on screen with its text in another locale
+  async getLocalizedQuestion(sessionId: string, locale: string): Promise<ApiResponse<Question>> {
+    return this.resumingIfPaused(sessionId, () =>
+      this.request<Question>(`/session/localized?session_id=${sessionId}&locale=${encodeURIComponent(locale)}`, {}, sessionId));
   }
 
   // Submit answer
   async submitAnswer(
     sessionId: string, 
     qid: string, 
-    pickedKey: 'A' | 'B',
+    pickedKey: OptionKey,
     ts?: string,
     latencyMs?: number
   ): Promise<ApiResponse<SessionState>> {
@@ -97,29 +173,68 @@ class ApiClient {
       latency_ms: latencyMs || 0
     };
 
-    return this.request<SessionState>('/session/answer', {
+    // One key per submission, so retrying after a dropped connection can't apply it twice
+    const idempotencyKey = crypto.randomUUID();
+    const send = () => this.request<SessionState>('/session/answer', {
       method: 'POST',
+      headers: { 'Idempotency-Key': idempotencyKey },
       body: JSON.stringify({
         session_id: sessionId,
         ...answerEvent
       })
-    });
+    }, sessionId);
+
+    const submit = async () => {
+      const response = await send();
+      return response.error?.code === 'NETWORK_ERROR' ? send() : response;
+    };
+    return this.resumingIfPaused(sessionId, submit);
+  }
+
+  // The engine pauses sessions left idle while the page stays visible; E_STATE whose hint says
+  // the session is PAUSED resumes it and retries once (any other E_STATE is returned as it was)
+  private async resumingIfPaused<T>(sessionId: string, call: () => Promise<ApiResponse<T>>): Promise<ApiResponse<T>> {
+    const response = await call();
+    if (response.error?.code !== 'E_STATE' || !/\bPAUSED\b/.test(response.error.hint || '')) return response;
+
+    const resumed = await this.resumeSession(sessionId);
+    if (!resumed.success) return response;
+
+    this.trackEvent({ type: 'session_resume', session_id: sessionId });
+    return call();
   }
 
   // Finalize session
   async finalizeSession(sessionId: string): Promise<ApiResponse<FinalizeResponse>> {
-    return this.request<FinalizeResponse>('/session/finalize', {
+    return this.resumingIfPaused(sessionId, () => this.request<FinalizeResponse>('/session/finalize', {
       method: 'POST',
       body: JSON.stringify({ session_id: sessionId })
-    });
+    }, sessionId));
+  }
+
+  // Get stored results of a finalized session
+  async getResults(sessionId: string): Promise<ApiResponse<ResultsResponse>> {
+    return this.request<ResultsResponse>(`/session/results?session_id=${sessionId}`, {}, sessionId);
+  }
+
+  // Pause session (keepalive so it still goes out while the page is being hidden)
+  async pauseSession(sessionId: string, reason?: string): Promise<ApiResponse<PauseResponse>> {
+    return this.request<PauseResponse>('/session/pause', {
+      method: 'POST',
+      keepalive: true,
+      body: JSON.stringify({ 
+        session_id: sessionId, 
+        reason: reason 
+      })
+    }, sessionId);
   }
 
   // Resume session
-  async resumeSession(sessionId: string): Promise<ApiResponse<SessionState>> {
-    return this.request<SessionState>('/session/resume', {
+  async resumeSession(sessionId: string): Promise<ApiResponse<ResumeResponse>> {
+    return this.request<ResumeResponse>('/session/resume', {
       method: 'POST',
       body: JSON.stringify({ session_id: sessionId })
-    });
+    }, sessionId);
   }
 
   // Abort session
@@ -130,7 +245,7 @@ class ApiClient {
         session_id: sessionId, 
         reason: reason 
       })
-    });
+    }, sessionId);
   }
 
   // Analytics tracking
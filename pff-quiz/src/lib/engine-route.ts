@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { checkApiAccess, serializeMutation, toHttpError } from '../../engine/index.js';
+
+type HttpMethod = 'GET' | 'POST' | 'DELETE';
+
+// Returns the JSON body for a 200; throw engine errors (or routeError) for failures
+type EngineRouteHandler = (req: NextApiRequest, res: NextApiResponse) => unknown;
+
+// Error for requests rejected before they reach the engine, shaped like engine errors
+export function routeError(code: string, message: string, hint: string | null = null) {
+  return Object.assign(new Error(message), { code, hint });
+}
+
+// Throw E_REQUIRED_FIELD_MISSING (400) unless every field is present
+export function requireFields<T extends Record<string, unknown>>(source: T | undefined, fields: string[]): T {
+  const values = (source || {}) as T;
+  const missing = fields.filter(field => !values[field]);
+  if (missing.length > 0) {
+    throw routeError(
+      'E_REQUIRED_FIELD_MISSING',
+      `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`
+    );
+  }
+  return values;
+}
+
+// Admin routes need `Authorization: Bearer <ADMIN_API_TOKEN>`; without the variable they are off
+function requireAdmin(req: NextApiRequest) {
+  const token = process.env.ADMIN_API_TOKEN;
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.slice('Bearer '.length));
+  const expected = Buffer.from(token || '');
+
+  if (!token || !header.startsWith('Bearer ') || expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)) {
+    throw routeError('E_AUTHENTICATION_FAILED', 'Unauthorized', 'Send Authorization: Bearer <ADMIN_API_TOKEN>');
+  }
+}
+
+interface EngineRouteOptions {
+  // The route creates a session, so callers have no session token yet (init)
+  opensSession?: boolean;
+  // Admin route: authenticated by requireAdmin instead of the API or session token
+  admin?: boolean;
+}
+
+function firstHeader(value: string | string[] | undefined) {
+  return (Array.isArray(value) ? value[0] : value) || null;
+}
+
+// Who is calling: the session the request is about, the X-API-Token header (server-side
+// callers), the X-Session-Token header (browsers, issued by init) and the client IP
+function describeCaller(req: NextApiRequest, options: EngineRouteOptions) {
+  const source = req.method === 'GET' || req.method === 'DELETE' ? req.query : req.body;
+  const sessionId = source && typeof source.session_id === 'string' ? source.session_id : null;
+  const ip = firstHeader(req.headers['x-forwarded-for'])?.split(',')[0].trim() || req.socket?.remoteAddress || null;
+
+  return {
+    sessionId,
+    token: firstHeader(req.headers['x-api-token']),
+    sessionToken: firstHeader(req.headers['x-session-token']),
+    opensSession: options.opensSession === true,
+    ip
+  };
+}
+
+function setHeaders(res: NextApiResponse, headers: Record<string, string> | undefined) {
+  Object.entries(headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+}
+
+// Shared wrapper for the engine API routes: rejects other methods with 405, enforces the
+// API or session token and rate limits (checkApiAccess) or, for admin routes, the admin
+// token (requireAdmin), runs requests for one session one at a time
+// (serializeMutation), sends the handler's result as JSON with the X-RateLimit headers,
+// and maps thrown errors to an HTTP status with the { code, message, hint } envelope
+// (see engine/httpErrors.js)
+export function engineRoute(methods: HttpMethod[], name: string, handler: EngineRouteHandler, options: EngineRouteOptions = {}) {
+  return async function route(req: NextApiRequest, res: NextApiResponse) {
+    if (!methods.includes(req.method as HttpMethod)) {
+      res.setHeader('Allow', methods.join(', '));
+      return res.status(405).json({
+        code: 'E_METHOD_NOT_ALLOWED',
+        message: 'Method not allowed',
+        hint: `Use ${methods.join(' or ')}`
+      });
+    }
+
+    try {
+      const caller = describeCaller(req, options);
+      if (options.admin) {
+        requireAdmin(req);
+      } else {
+        setHeaders(res, checkApiAccess(caller).headers);
+      }
+      const result = caller.sessionId
+        ? await serializeMutation(caller.sessionId, () => handler(req, res))
+        : await handler(req, res);
+      if (!res.headersSent) {
+        res.status(200).json(result);
+      }
+    } catch (error) {
+      const { status, body } = toHttpError(error);
+      setHeaders(res, (error as { headers?: Record<string, string> } | null)?.headers);
+      if (status >= 500) {
+        console.error(`Engine ${name} error:`, error);
+      }
+      res.status(status).json(body);
+    }
+  };
+}
@@ -5,6 +5,8 @@ export interface SessionState {
   state: 'INIT' | 'PICKED' | 'IN_PROGRESS' | 'PAUSED' | 'FINALIZING' | 'FINALIZED' | 'ABORTED';
   started_at: string;
   picked_families?: string[];
+  picks_policy?: PicksPolicy;
+  consent_version?: number;
   line_state?: Record<string, LineState>;
   face_ledger?: Record<string, FaceLedger>;
   schedule?: QuestionSchedule;
@@ -12,6 +14,12 @@ export interface SessionState {
   remaining?: number;
 }
 
+// Init also issues the session's credential, sent back as X-Session-Token
+// (null when the server has no ENGINE_SESSION_SECRET)
+export interface InitSessionResponse extends SessionState {
+  session_token: string | null;
+}
+
 export interface LineState {
   C: number;
   O_seen: boolean;
@@ -39,20 +47,25 @@ export interface QuestionSchedule {
   }>;
 }
 
+// Public question view: no line verdicts, tells or family screen (see engine/questionView.js)
 export interface Question {
   qid: string;
-  familyScreen: string;
-  order_in_family: 'C' | 'O' | 'F';
+  locale: string; // locale the text was resolved in
+  stem_key: string;
+  stem: string | null;
   options: QuestionOption[];
   index: number;
   total: number;
+  answered_key?: OptionKey | null; // set when a served question is revisited
 }
 
+// Option keys are defined by the bank (A, B, C, ...)
+export type OptionKey = string;
+
 export interface QuestionOption {
-  key: 'A' | 'B';
-  text: string;
-  lineCOF: 'C' | 'O' | 'F';
-  tells: Tell[];
+  key: OptionKey;
+  text_key: string;
+  text: string | null;
 }
 
 export interface Tell {
@@ -63,7 +76,7 @@ export interface Tell {
 export interface AnswerEvent {
   qid: string;
   familyScreen: string;
-  picked_key: 'A' | 'B';
+  picked_key: OptionKey;
   lineCOF: 'C' | 'O' | 'F';
   tells: Tell[];
   ts: string;
@@ -77,10 +90,67 @@ export interface FinalizeResponse {
   face_states: Record<string, FaceState>;
   family_reps: FamilyRep[];
   anchor_family?: string;
+  qa_flags: QAFlag[];
+}
+
+export interface QAFlag {
+  code: 'QA_FLAG_FACE_LIT_ON_BROKEN' | 'QA_FLAG_NO_FACE_EVIDENCE' | 'QA_FLAG_NO_CONTRAST' | 'W_SIBLING_COLLISION';
+  severity: 'error' | 'warning' | 'info';
+  category: string;
+  detail: string;
+  qid?: string;
+  face?: string;
+  family?: string;
+}
+
+export interface ResultsResponse extends FinalizeResponse {
+  bank_id: string;
+  bank_hash: string;
+  finalized_at: string;
+}
+
+export interface PauseResponse {
+  session_id: string;
+  state: 'PAUSED';
+  reason: string;
+  paused_at: string;
+}
+
+export interface ResumeResponse {
+  session_id: string;
+  state: 'PICKED' | 'IN_PROGRESS';
+  next_question: Question | null;
+}
+
+export interface PrivacyFlags {
+  allow_export: boolean;
+  allow_analytics: boolean;
+  allow_replay: boolean;
+  allow_aggregation: boolean;
+}
+
+export interface ConsentInput {
+  consent_version?: number;
+  privacy_flags?: Partial<PrivacyFlags>;
+}
+
+export interface ConsentResponse {
+  session_id: string;
+  consent_version: number;
+  privacy_flags: PrivacyFlags;
+  export_allowed: boolean;
+  analytics_allowed: boolean;
+  replay_allowed: boolean;
+  aggregation_allowed: boolean;
+  created_at: string;
+  updated_at: string;
+  current_consent_version: number;
+  reconsent_required: boolean;
 }
 
 export interface FaceState {
   state: 'LIT' | 'LEAN' | 'GHOST' | 'COLD' | 'ABSENT';
+  gate: 'NO_EVIDENCE' | 'NARROW' | 'BROKEN_CAP' | 'CONCENTRATED' | 'LIT' | 'CLEAN_OVERRIDE' | 'LEAN' | 'COLD' | 'BELOW_COLD';
   familiesHit: number;
   signatureHits: number;
   clean: number;
@@ -96,31 +166,47 @@ export interface FamilyRep {
   co_present: boolean;
 }
 
+// Error body of every engine API route (engine/httpErrors.js)
+export interface ApiErrorEnvelope {
+  code: string;
+  message: string;
+  hint: string | null;
+}
+
+// Engine error code plus the HTTP status it came with (0 when the request never got a response)
+export interface ApiError {
+  code: string;
+  message: string;
+  hint?: string | null;
+  status: number;
+  retryAfter?: number; // Seconds to wait after a 429 (Retry-After)
+  details?: unknown;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
-  error?: {
-    code: string;
-    message: string;
-    details?: unknown;
-  };
+  error?: ApiError;
 }
 
 // Runtime configuration
+export type PicksPolicy = 'at_least_one' | 'all_21_on_zero';
+
 export interface RuntimeConfig {
   resultsEnabled: boolean;
   allowedBankHashes: string[];
-  picksPolicy: 'at_least_one' | 'all_21_on_zero';
+  picksPolicy: PicksPolicy;
+  allowBackNav: boolean;
 }
 
 // Analytics events
 export interface AnalyticsEvent {
-  type: 'session_start' | 'question_shown' | 'answer_submit' | 'agree_click' | 'session_complete';
+  type: 'session_start' | 'question_shown' | 'answer_submit' | 'agree_click' | 'session_complete' | 'session_pause' | 'session_resume';
   session_id?: string;
   bank_hash?: string;
   qid?: string;
   index?: number;
   total?: number;
-  key?: 'A' | 'B';
+  key?: OptionKey;
   duration?: number;
 }
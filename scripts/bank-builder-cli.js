@@ -3,6 +3,9 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const bankSignature = require('../engine/bankSignature');
+const { canonicalize } = bankSignature;
+const multiEnvConfig = require('../engine/multiEnvConfig');
 
 /**
  * Bank Builder CLI - Batch 5 Implementation
@@ -11,22 +14,18 @@ const crypto = require('crypto');
  * - Canonicalizes bank packages from raw author files
  * - Schema validation and linter integration
  * - Computes bank_hash_sha256
- * - Signs with ed25519 (simulated with HMAC-SHA256)
+ * - Signs with Ed25519 using the environment's signing key
  * - Emits linter_report.json
  * - Exit codes per Batch 5 specification
  */
 
 const BANK_DIR = path.join(__dirname, '..', 'bank');
 const PACKAGED_DIR = path.join(BANK_DIR, 'packaged');
-const KEYS_DIR = path.join(__dirname, '..', 'keys');
 
 // Ensure directories exist
 if (!fs.existsSync(PACKAGED_DIR)) {
   fs.mkdirSync(PACKAGED_DIR, { recursive: true });
 }
-if (!fs.existsSync(KEYS_DIR)) {
-  fs.mkdirSync(KEYS_DIR, { recursive: true });
-}
 
 // Exit codes per Batch 5 specification
 const EXIT_CODES = {
@@ -215,49 +214,10 @@ function computeBankHash(bankPackage) {
 }
 
 /**
- * Canonicalize JSON (sort keys recursively)
- */
-function canonicalize(obj) {
-  if (obj === null || typeof obj !== 'object') {
-    return obj;
-  }
-  
-  if (Array.isArray(obj)) {
-    return obj.map(canonicalize);
-  }
-  
-  const sorted = {};
-  Object.keys(obj).sort().forEach(key => {
-    sorted[key] = canonicalize(obj[key]);
-  });
-  
-  return sorted;
-}
-
-/**
- * Sign with configured keypair (simulated with HMAC-SHA256)
+ * Sign with the environment's Ed25519 key pair
  */
-function signBankPackage(bankPackage, signingKey) {
-  const packageString = JSON.stringify(canonicalize(bankPackage), null, 0);
-  const signature = crypto.createHmac('sha256', signingKey).update(packageString).digest('hex');
-  return signature;
-}
-
-/**
- * Load or create signing key
- */
-function loadOrCreateSigningKey(environment = 'development') {
-  const keyPath = path.join(KEYS_DIR, `${environment}.key`);
-  
-  if (fs.existsSync(keyPath)) {
-    return fs.readFileSync(keyPath, 'utf8').trim();
-  }
-  
-  // Generate new key
-  const key = crypto.randomBytes(32).toString('hex');
-  fs.writeFileSync(keyPath, key);
-  console.log(`Generated new signing key for ${environment}: ${keyPath}`);
-  return key;
+function signBankPackage(bankPackage, privateKey, environment) {
+  return bankSignature.signBankPackage(bankPackage, privateKey, environment);
 }
 
 /**
@@ -345,13 +305,9 @@ function buildBank(options = {}) {
     
     // 8. Sign with configured keypair
     console.log('🔑 Signing bank package...');
-    const environment = process.env.NODE_ENV || 'development';
-    const signingKey = loadOrCreateSigningKey(environment);
-    const signature = signBankPackage(bankPackage, signingKey);
-    
-    bankPackage.meta.signature = signature;
-    bankPackage.meta.signed_at = new Date().toISOString();
-    bankPackage.meta.signed_by = environment;
+    const environment = multiEnvConfig.getCurrentEnvironment();
+    const signingKey = multiEnvConfig.loadOrCreateSigningKey(environment);
+    const signature = signBankPackage(bankPackage, signingKey, environment);
     
     console.log(`📊 Signature: ${signature.substring(0, 16)}...`);
     
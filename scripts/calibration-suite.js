@@ -3,6 +3,9 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { evaluateFaceLedger } = require('../engine/faceState');
 
 /**
  * Calibration Suite - Batch 5 Implementation
@@ -71,33 +74,32 @@ function loadAnswerScripts(scriptsDir) {
 }
 
 /**
- * Run engine with given constants profile
+ * Run an answer script through the engine once; profiles are compared on its face ledger
  */
-async function runEngineWithProfile(bankPackage, script, constantsProfile) {
-  // This would integrate with the actual engine
-  // For now, we'll simulate the results
-  
-  const { initSession, setPicks, submitAnswer, finalizeSession } = require('../engine/index.js');
+function runEngineScript(bankPath, script) {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
   
   try {
     // Initialize session
     const sessionSeed = `calibration_${Date.now()}_${Math.random()}`;
-    const session = initSession(sessionSeed, bankPackage);
+    const session = engine.initSession(sessionSeed, bankPath);
     
     // Set picks
-    setPicks(session.session_id, script.picked_families);
+    engine.setPicks(session.session_id, script.picked_families);
     
-    // Submit answers
+    // Submit answers, serving each question first
     for (const answer of script.sequence) {
-      submitAnswer(session.session_id, answer.qid, answer.key);
+      engine.getNextQuestion(session.session_id);
+      engine.submitAnswer(session.session_id, answer.qid, answer.key);
     }
     
     // Finalize session
-    const result = finalizeSession(session.session_id);
+    const result = engine.finalizeSession(session.session_id);
     
     return {
       success: true,
       result,
+      face_ledger: engine.sessionStore.get(session.session_id).face_ledger,
       session_id: session.session_id
     };
   } catch (error) {
@@ -109,6 +111,28 @@ async function runEngineWithProfile(bankPackage, script, constantsProfile) {
   }
 }
 
+/**
+ * Re-evaluate a script run's face states under a constants profile with the engine's
+ * face-state evaluator; LIT faces without contrast are flagged as the engine does
+ */
+function applyConstantsProfile(run, constants) {
+  if (!run.success) return run;
+  
+  const faceStates = evaluateFaceLedger(run.face_ledger, constants);
+  const noContrast = Object.entries(faceStates)
+    .filter(([, faceState]) => faceState.state === 'LIT' && !faceState.metrics.contrast_seen)
+    .map(([faceId]) => ({ code: 'QA_FLAG_NO_CONTRAST', face: faceId }));
+  
+  return {
+    ...run,
+    result: {
+      ...run.result,
+      face_states: faceStates,
+      qa_flags: [...(run.result.qa_flags || []).filter(flag => flag.code !== 'QA_FLAG_NO_CONTRAST'), ...noContrast]
+    }
+  };
+}
+
 /**
  * Compute metrics for a constants profile
  */
@@ -134,7 +158,7 @@ function computeMetrics(results) {
   for (const result of results) {
     if (!result.success || !result.result) continue;
     
-    const { face_states, line_verdicts } = result.result;
+    const { face_states, line_verdicts, qa_flags } = result.result;
     
     // Count LIT faces
     let litCount = 0;
@@ -155,8 +179,8 @@ function computeMetrics(results) {
     }
     totalFamiliesC += cCount;
     
-    // Check for no contrast flags (simplified)
-    if (litCount > 0 && !Object.values(face_states).some(s => s.contrastSeen)) {
+    // Sessions the engine flagged for a LIT face without contrast
+    if ((qa_flags || []).some(flag => flag.code === 'QA_FLAG_NO_CONTRAST')) {
       noContrastFlags++;
     }
   }
@@ -261,25 +285,19 @@ async function runCalibration(options = {}) {
     const constantsProfiles = options.profiles || ['DEFAULT', 'STRICT', 'LENIENT'];
     console.log(`⚙️  Testing profiles: ${constantsProfiles.join(', ')}`);
     
-    // 4. Run calibration for each profile
+    // 4. Run each script once, then evaluate it under every profile
+    const runs = scripts.map(script => runEngineScript(bankPath, script.data));
     const profileMetrics = {};
     
     for (const profile of constantsProfiles) {
       console.log(`\n🔬 Testing profile: ${profile}`);
       
-      // Update bank package with profile constants
-      const profileBank = JSON.parse(JSON.stringify(bankPackage));
-      if (profileBank.constants.profiles[profile]) {
-        profileBank.constants.profiles.DEFAULT = profileBank.constants.profiles[profile];
+      const constants = bankPackage.constants.profiles[profile];
+      if (!constants) {
+        throw new Error(`Unknown constants profile: ${profile}`);
       }
       
-      const results = [];
-      
-      // Run each script
-      for (const script of scripts) {
-        const result = await runEngineWithProfile(profileBank, script.data, profile);
-        results.push(result);
-      }
+      const results = runs.map(run => applyConstantsProfile(run, constants));
       
       // Compute metrics
       const metrics = computeMetrics(results);
@@ -2,16 +2,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PICKS_POLICIES, getPickRule, getMinimumPicks, getScheduleLength } = require('../engine/schedulePolicy');
+const { DEFAULT_LOCALE } = require('../engine/localeBundles');
 
 /**
  * Bank Linter - Validates bank structure and content
  * 
  * Validates:
- * - Masks (CO/CO/CF pattern)
+ * - Masks (one C option per question, other options O, or F for F probes)
  * - Tells caps (0-3 tells, ≤1 per face per option)
- * - Counts (exactly 7 families, 14 faces, 3 questions per family)
+ * - Counts (question files and faces match the family registry)
+ * - Schedule policy in bank.meta.json (every pick count yields the session length)
  * - Unique qids
  * - Per-face opportunity minima
+ * - i18n keys (every qid, option, face and family has a key with default locale text)
  */
 
 const BANK_DIR = path.join(__dirname, '..', 'bank');
@@ -28,6 +32,33 @@ function loadJsonFile(filePath) {
   }
 }
 
+/**
+ * Load the i18n sources from bank/i18n: the key files and every locale in locales/
+ * @returns {{stems: Array, options: Array, faces: Array, families: Array, locales: Object}} Sources
+ */
+function loadI18nSources(bankDir) {
+  const i18nDir = path.join(bankDir, 'i18n');
+  const localesDir = path.join(i18nDir, 'locales');
+  const locales = {};
+  
+  if (fs.existsSync(localesDir)) {
+    fs.readdirSync(localesDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const bundle = loadJsonFile(path.join(localesDir, file));
+        locales[bundle.locale] = bundle;
+      });
+  }
+  
+  return {
+    stems: loadJsonFile(path.join(i18nDir, 'stems.json')).stems,
+    options: loadJsonFile(path.join(i18nDir, 'options.json')).options,
+    faces: loadJsonFile(path.join(i18nDir, 'faces.json')).faces,
+    families: loadJsonFile(path.join(i18nDir, 'families.json')).families,
+    locales
+  };
+}
+
 /**
  * Lint bank structure and content
  */
@@ -45,6 +76,7 @@ function lintBank() {
     const tells = loadJsonFile(path.join(BANK_DIR, 'registries', 'tells.json'));
     const contrastMatrix = loadJsonFile(path.join(BANK_DIR, 'registries', 'contrast_matrix.json'));
     const constants = loadJsonFile(path.join(BANK_DIR, 'constants', 'constants.default.json'));
+    const i18n = loadI18nSources(BANK_DIR);
     
     // Load all question files
     const questions = {};
@@ -56,19 +88,35 @@ function lintBank() {
       questions[family] = loadJsonFile(path.join(BANK_DIR, 'questions', file));
     }
     
-    // 1. Validate counts
+    // 1. Validate counts against the family registry
     console.log('  📊 Checking counts...');
     
-    if (families.families.length !== 7) {
-      errors.push(`Expected 7 families, found ${families.families.length}`);
+    const familyNames = families.families.map(family => family.name);
+    const questionFamilies = Object.values(questions).map(familyQuestions => familyQuestions.family);
+    
+    if (familyNames.length === 0) {
+      errors.push('Family registry is empty');
+    }
+    
+    for (const name of familyNames) {
+      if (!questionFamilies.includes(name)) {
+        errors.push(`Family ${name} has no question file`);
+      }
+      if (!faces.faces.some(face => face.family === name)) {
+        errors.push(`Family ${name} has no faces`);
+      }
     }
     
-    if (faces.faces.length !== 14) {
-      errors.push(`Expected 14 faces, found ${faces.faces.length}`);
+    for (const name of questionFamilies) {
+      if (!familyNames.includes(name)) {
+        errors.push(`Question file for unknown family ${name}`);
+      }
     }
     
-    if (Object.keys(questions).length !== 7) {
-      errors.push(`Expected 7 question files, found ${Object.keys(questions).length}`);
+    for (const face of faces.faces) {
+      if (!familyNames.includes(face.family)) {
+        errors.push(`Face ${face.id} belongs to unknown family ${face.family}`);
+      }
     }
     
     // 2. Validate question structure
@@ -78,16 +126,16 @@ function lintBank() {
     const faceTellCounts = new Map();
     
     for (const [familyName, familyQuestions] of Object.entries(questions)) {
-      // Check family has exactly 3 questions
-      if (!familyQuestions.questions || familyQuestions.questions.length !== 3) {
-        errors.push(`Family ${familyName} must have exactly 3 questions`);
+      // Check family has questions
+      if (!familyQuestions.questions || familyQuestions.questions.length === 0) {
+        errors.push(`Family ${familyName} has no questions`);
         continue;
       }
       
-      // Check CO/CO/CF pattern
+      // Check the family opens with a C question and every question has a valid order
       const orders = familyQuestions.questions.map(q => q.order_in_family);
-      if (JSON.stringify(orders) !== JSON.stringify(['C', 'O', 'F'])) {
-        errors.push(`Family ${familyName} must follow CO/CO/CF pattern, found: ${orders.join(',')}`);
+      if (orders[0] !== 'C' || !orders.every(order => ['C', 'O', 'F'].includes(order))) {
+        errors.push(`Family ${familyName} must open with a C question and use C/O/F orders, found: ${orders.join(',')}`);
       }
       
       // Check each question
@@ -98,12 +146,25 @@ function lintBank() {
         }
         allQids.add(question.qid);
         
-        // Check question has exactly 2 options
-        if (!question.options || question.options.length !== 2) {
-          errors.push(`Question ${question.qid} must have exactly 2 options`);
+        // Check question has at least 2 options
+        if (!question.options || question.options.length < 2) {
+          errors.push(`Question ${question.qid} must have at least 2 options`);
           continue;
         }
         
+        // Check mask: one C option, the others the question's probe letter (CO, or CF for F probes)
+        const probe = question.order_in_family === 'F' ? 'F' : 'O';
+        const letters = question.options.map(option => option.lineCOF);
+        if (letters.filter(letter => letter === 'C').length !== 1 ||
+            !letters.every(letter => letter === 'C' || letter === probe)) {
+          errors.push(`Question ${question.qid} must have one C option and ${probe} for the rest, found: ${letters.join('')}`);
+        }
+        
+        const optionIds = question.options.map(option => option.id);
+        if (new Set(optionIds).size !== optionIds.length) {
+          errors.push(`Question ${question.qid} has duplicate option ids`);
+        }
+        
         // Check options
         for (const option of question.options) {
           // Check lineCOF is valid
@@ -145,7 +206,12 @@ function lintBank() {
       }
     }
     
-    // 3. Validate per-face opportunity minima (Batch 2 requirements)
+    // 3. Validate schedule policy
+    console.log('  🗓️ Checking schedule policy...');
+    
+    errors.push(...validateSchedulePolicy(meta.schedule_policy, familyNames, questions));
+    
+    // 4. Validate per-face opportunity minima (Batch 2 requirements)
     console.log('  🎯 Checking per-face opportunities...');
     
     const minTellsPerFace = 6;
@@ -179,7 +245,7 @@ function lintBank() {
       }
     }
     
-    // 4. Validate contrast matrix
+    // 5. Validate contrast matrix
     console.log('  🔄 Checking contrast matrix...');
     
     for (const pair of contrastMatrix.pairs) {
@@ -214,7 +280,7 @@ function lintBank() {
       }
     }
     
-    // 5. Validate constants
+    // 6. Validate constants
     console.log('  ⚙️ Checking constants...');
     
     const requiredConstants = [
@@ -245,6 +311,11 @@ function lintBank() {
       }
     }
     
+    // 7. Validate i18n keys
+    console.log('  🌐 Checking i18n keys...');
+    
+    errors.push(...validateI18n(i18n, questions, faces.faces, familyNames));
+    
     // Report results in Batch 2 format
     console.log('\n📋 Lint Results:');
     
@@ -253,7 +324,7 @@ function lintBank() {
       summary: {
         families: families.families.length,
         questions: Object.values(questions).reduce((sum, f) => sum + f.questions.length, 0),
-        options: Object.values(questions).reduce((sum, f) => sum + f.questions.length * 2, 0),
+        options: Object.values(questions).reduce((sum, f) => sum + f.questions.reduce((count, q) => count + q.options.length, 0), 0),
         tells: faceTellCounts.size
       },
       warnings: warnings.map(warning => ({
@@ -295,6 +366,162 @@ function lintBank() {
   }
 }
 
+/**
+ * Validate the schedule policy declared in bank.meta.json: every pick count the
+ * engine accepts must yield its session length and only ask questions the bank has
+ * @returns {Array<string>} Errors
+ */
+function validateSchedulePolicy(policy, familyNames, questions) {
+  if (!policy) {
+    return ['bank.meta.json must declare schedule_policy'];
+  }
+  
+  const fields = ['session_length', 'picked_family_questions', 'unpicked_family_questions'];
+  const invalid = fields.filter(field => !Number.isInteger(policy[field]) || policy[field] < 1);
+  if (invalid.length > 0) {
+    return invalid.map(field => `schedule_policy.${field} must be a positive integer, found: ${policy[field]}`);
+  }
+  
+  const errors = [];
+  const familyCount = familyNames.length;
+  
+  if (policy.picks_policy !== undefined && !PICKS_POLICIES.includes(policy.picks_policy)) {
+    errors.push(`schedule_policy.picks_policy must be one of ${PICKS_POLICIES.join(', ')}, found: ${policy.picks_policy}`);
+  }
+  
+  for (const key of Object.keys(policy.pick_counts || {})) {
+    const pickCount = Number(key);
+    if (!Number.isInteger(pickCount) || pickCount < 0 || pickCount > familyCount) {
+      errors.push(`schedule_policy.pick_counts has rule for ${key} picks, expected 0-${familyCount}`);
+    }
+  }
+  
+  for (const familyQuestions of Object.values(questions)) {
+    const count = (familyQuestions.questions || []).length;
+    if (count < policy.unpicked_family_questions) {
+      errors.push(`Family ${familyQuestions.family} has ${count} questions, schedule_policy needs ${policy.unpicked_family_questions}`);
+    }
+  }
+  const fewestQuestions = Math.min(...Object.values(questions).map(familyQuestions => (familyQuestions.questions || []).length));
+  
+  // Zero picks is checked when the bank allows it or declares a rule for it
+  const hasZeroRule = Boolean(policy.pick_counts && policy.pick_counts[0]);
+  const minimumPicks = hasZeroRule ? 0 : getMinimumPicks(policy.picks_policy);
+  for (let pickCount = minimumPicks; pickCount <= familyCount; pickCount++) {
+    const rule = getPickRule(policy, pickCount);
+    const label = `schedule_policy for ${pickCount} picks`;
+    
+    if (rule.picked_family_questions > rule.unpicked_family_questions) {
+      errors.push(`${label} asks picked families more questions than not-picked families`);
+    }
+    if (rule.drop_probes) {
+      if (rule.drop_probes.count > familyCount - pickCount) {
+        errors.push(`${label} drops ${rule.drop_probes.count} probes from ${familyCount - pickCount} not-picked families`);
+      }
+      if (!['O', 'F'].includes(rule.drop_probes.order_in_family)) {
+        errors.push(`${label} drops invalid probe order: ${rule.drop_probes.order_in_family}`);
+      }
+    }
+    if (rule.extra_probes) {
+      if (rule.extra_probes.count > pickCount) {
+        errors.push(`${label} adds ${rule.extra_probes.count} probes to ${pickCount} picked families`);
+      }
+      if (rule.picked_family_questions >= fewestQuestions) {
+        errors.push(`${label} adds probes beyond the ${fewestQuestions} questions of the smallest family`);
+      }
+    }
+    
+    const length = getScheduleLength(policy, pickCount, familyCount);
+    if (length !== rule.session_length) {
+      errors.push(`${label} yields ${length} questions, declared session length is ${rule.session_length}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the i18n keys: every qid, option, face and family needs a key, every key needs
+ * text in the default locale (option text comes from the questions), and keys must not
+ * refer to anything the bank does not have
+ * @returns {Array<string>} Errors
+ */
+function validateI18n(i18n, questions, faces, familyNames) {
+  const errors = [];
+  const defaultLocale = i18n.locales[DEFAULT_LOCALE];
+  const strings = defaultLocale ? defaultLocale.strings || {} : {};
+  
+  if (!defaultLocale) {
+    errors.push(`Default locale ${DEFAULT_LOCALE} has no bundle in bank/i18n/locales`);
+  }
+  
+  const stemKeys = new Map(i18n.stems.map(stem => [stem.qid, stem.text_key]));
+  const optionKeys = new Map(i18n.options.map(option => [`${option.qid}:${option.key}`, option.text_key]));
+  const faceKeys = new Map(i18n.faces.map(face => [face.face_id, face.text_key]));
+  const familyKeys = new Map(i18n.families.map(family => [family.family_id, family.text_key]));
+  
+  const checkText = (key, owner) => {
+    if (defaultLocale && !strings[key]) {
+      errors.push(`${owner} key ${key} has no ${DEFAULT_LOCALE} text`);
+    }
+  };
+  
+  const qids = new Set();
+  const optionIds = new Set();
+  for (const familyQuestions of Object.values(questions)) {
+    for (const question of familyQuestions.questions || []) {
+      qids.add(question.qid);
+      if (!stemKeys.has(question.qid)) {
+        errors.push(`Question ${question.qid} has no stem key`);
+      } else {
+        checkText(stemKeys.get(question.qid), `Question ${question.qid} stem`);
+      }
+      
+      for (const option of question.options || []) {
+        const optionId = `${question.qid}:${option.id}`;
+        optionIds.add(optionId);
+        if (!optionKeys.has(optionId)) {
+          errors.push(`Option ${option.id} in ${question.qid} has no text key`);
+        } else if (!option.text) {
+          checkText(optionKeys.get(optionId), `Option ${option.id} in ${question.qid}`);
+        }
+      }
+    }
+  }
+  
+  for (const face of faces) {
+    if (!faceKeys.has(face.id)) {
+      errors.push(`Face ${face.id} has no text key`);
+    } else {
+      checkText(faceKeys.get(face.id), `Face ${face.id}`);
+    }
+  }
+  
+  for (const name of familyNames) {
+    if (!familyKeys.has(name)) {
+      errors.push(`Family ${name} has no text key`);
+    } else {
+      checkText(familyKeys.get(name), `Family ${name}`);
+    }
+  }
+  
+  // Keys left behind by removed questions, options, faces or families
+  stemKeys.forEach((key, qid) => {
+    if (!qids.has(qid)) errors.push(`Stem key ${key} refers to unknown question ${qid}`);
+  });
+  optionKeys.forEach((key, optionId) => {
+    if (!optionIds.has(optionId)) errors.push(`Option key ${key} refers to unknown option ${optionId}`);
+  });
+  faceKeys.forEach((key, faceId) => {
+    if (!faces.some(face => face.id === faceId)) errors.push(`Face key ${key} refers to unknown face ${faceId}`);
+  });
+  familyKeys.forEach((key, name) => {
+    if (!familyNames.includes(name)) errors.push(`Family key ${key} refers to unknown family ${name}`);
+  });
+  
+  return errors;
+}
+
 /**
  * Count signature opportunities for a face (tells on home family)
  */
@@ -369,4 +596,4 @@ if (require.main === module) {
   process.exit(success ? 0 : 1);
 }
 
-module.exports = { lintBank };
+module.exports = { lintBank, validateSchedulePolicy, validateI18n, loadI18nSources };
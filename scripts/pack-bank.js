@@ -3,6 +3,10 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { validateSchedulePolicy, validateI18n, loadI18nSources } = require('./lint-bank');
+const { DEFAULT_LOCALE } = require('../engine/localeBundles');
+const { signBankPackage } = require('../engine/bankSignature');
+const multiEnvConfig = require('../engine/multiEnvConfig');
 
 /**
  * Bank Packer - Creates canonical bank_package.json
@@ -11,7 +15,9 @@ const crypto = require('crypto');
  * - Normalizes JSON ordering
  * - Enforces schema validation
  * - Computes bank_hash_sha256
- * - Writes packaged bank to /bank/packaged/bank_package.json
+ * - Signs the package with the NODE_ENV signing key, generated in keys/ when there is none
+ * - Writes packaged bank to /bank/packaged/bank_package.json (--out <dir> for another directory)
+ * - Packs the bank/i18n locale bundles to /bank/packaged/i18n (alone with --i18n)
  */
 
 const BANK_DIR = path.join(__dirname, '..', 'bank');
@@ -60,40 +66,39 @@ function validateBank(bank) {
       }
     }
     
-    // Validate families count
-    if (bank.registries.families && bank.registries.families.families.length !== 7) {
-      errors.push('Must have exactly 7 families');
-    }
-    
-    // Validate faces count
-    if (bank.registries.faces && bank.registries.faces.faces.length !== 14) {
-      errors.push('Must have exactly 14 faces');
+    // Validate families registry
+    if (bank.registries.families && bank.registries.families.families.length === 0) {
+      errors.push('Must have at least one family');
     }
   }
   
   // Validate questions
   if (bank.questions) {
-    const questionFiles = Object.keys(bank.questions);
-    if (questionFiles.length !== 7) {
-      errors.push('Must have exactly 7 question files');
+    const familyNames = bank.registries && bank.registries.families
+      ? bank.registries.families.families.map(family => family.name)
+      : [];
+    const questionFamilies = Object.values(bank.questions).map(questions => questions.family);
+    if (familyNames.some(name => !questionFamilies.includes(name))) {
+      errors.push('Must have a question file for every registered family');
+    }
+    
+    // Validate the schedule policy against the families and questions
+    if (bank.meta) {
+      errors.push(...validateSchedulePolicy(bank.meta.schedule_policy, familyNames, bank.questions));
     }
     
-    // Validate each question file has 3 questions
+    // Validate each question file has questions
     for (const [family, questions] of Object.entries(bank.questions)) {
-      if (!questions.questions || questions.questions.length !== 3) {
-        errors.push(`Family ${family} must have exactly 3 questions`);
+      if (!questions.questions || questions.questions.length === 0) {
+        errors.push(`Family ${family} must have questions`);
+        continue;
       }
       
-      // Validate CO/CO/CF pattern
-      const orders = questions.questions.map(q => q.order_in_family);
-      if (JSON.stringify(orders) !== JSON.stringify(['C', 'O', 'F'])) {
-        errors.push(`Family ${family} must follow CO/CO/CF pattern`);
-      }
-      
-      // Validate each question has 2 options
+      // Validate each question has at least 2 options
       for (const question of questions.questions) {
-        if (!question.options || question.options.length !== 2) {
-          errors.push(`Question ${question.qid} must have exactly 2 options`);
+        if (!question.options || question.options.length < 2) {
+          errors.push(`Question ${question.qid} must have at least 2 options`);
+          continue;
         }
         
         // Validate options have lineCOF
@@ -143,10 +148,77 @@ function computeHash(obj) {
   return crypto.createHash('sha256').update(jsonString).digest('hex');
 }
 
+/**
+ * Pack the i18n sources for a packaged bank: index.json with the keys and locales, and
+ * one <locale>.json per locale. The default locale's option text comes from the questions.
+ * @param {Object} bankPackage - Packaged bank (meta with bank_hash_sha256)
+ * @param {string} outputDir - Directory of the packaged bank
+ * @returns {string[]} Packed locales
+ */
+function packLocales(bankPackage, outputDir = PACKAGED_DIR) {
+  console.log('🌐 Packing locale bundles...');
+  
+  const i18n = loadI18nSources(BANK_DIR);
+  const familyNames = bankPackage.registries.families.families.map(family => family.name);
+  const errors = validateI18n(i18n, bankPackage.questions, bankPackage.registries.faces.faces, familyNames);
+  if (errors.length > 0) {
+    console.error('❌ i18n validation failed:');
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+  
+  const i18nDir = path.join(outputDir, 'i18n');
+  fs.mkdirSync(i18nDir, { recursive: true });
+  
+  const optionText = {};
+  const optionKeys = new Map(i18n.options.map(option => [`${option.qid}:${option.key}`, option.text_key]));
+  Object.values(bankPackage.questions).forEach(familyQuestions => {
+    familyQuestions.questions.forEach(question => {
+      question.options.forEach(option => {
+        if (option.text) {
+          optionText[optionKeys.get(`${question.qid}:${option.id}`)] = option.text;
+        }
+      });
+    });
+  });
+  
+  const locales = Object.keys(i18n.locales).sort();
+  const index = {
+    schema: 'i18n.index.v1',
+    bank_id: bankPackage.meta.bank_id,
+    bank_hash: bankPackage.meta.bank_hash_sha256,
+    default_locale: DEFAULT_LOCALE,
+    locales,
+    keys: {
+      questions: i18n.stems.map(stem => ({ qid: stem.qid, stem_key: stem.text_key })),
+      options: i18n.options,
+      faces: i18n.faces,
+      families: i18n.families
+    }
+  };
+  fs.writeFileSync(path.join(i18nDir, 'index.json'), JSON.stringify(canonicalize(index), null, 2));
+  
+  for (const locale of locales) {
+    const source = i18n.locales[locale];
+    const bundle = {
+      schema: 'i18n.bundle.v1',
+      locale,
+      fallback: source.fallback || [],
+      bank_hash: index.bank_hash,
+      strings: locale === DEFAULT_LOCALE ? { ...optionText, ...source.strings } : source.strings
+    };
+    fs.writeFileSync(path.join(i18nDir, `${locale}.json`), JSON.stringify(canonicalize(bundle), null, 2));
+    console.log(`  ✅ ${locale}: ${Object.keys(bundle.strings).length} strings`);
+  }
+  
+  return locales;
+}
+
 /**
  * Main pack function
+ * @param {string} outputDir - Directory bank_package.json and i18n/ are written to
  */
-function packBank() {
+function packBank(outputDir = PACKAGED_DIR) {
   console.log('📦 Packing bank...');
   
   try {
@@ -199,8 +271,14 @@ function packBank() {
     bankPackage.meta.bank_hash_sha256 = bankHash;
     bankPackage.meta.packed_at = new Date().toISOString();
     
+    // Sign it, so the file the engine loads is the signed one (a first pack generates the key)
+    const environment = multiEnvConfig.getCurrentEnvironment();
+    const signature = signBankPackage(bankPackage, multiEnvConfig.loadOrCreateSigningKey(environment), environment);
+    console.log(`🔏 Signed for ${environment}: ${signature.substring(0, 16)}...`);
+    
     // Write packaged bank
-    const outputPath = path.join(PACKAGED_DIR, 'bank_package.json');
+    fs.mkdirSync(outputDir, { recursive: true });
+    const outputPath = path.join(outputDir, 'bank_package.json');
     const canonicalPackage = canonicalize(bankPackage);
     
     fs.writeFileSync(outputPath, JSON.stringify(canonicalPackage, null, 2));
@@ -208,6 +286,8 @@ function packBank() {
     console.log(`✅ Bank packaged successfully: ${outputPath}`);
     console.log(`📊 Package size: ${fs.statSync(outputPath).size} bytes`);
     
+    packLocales(canonicalPackage, outputDir);
+    
   } catch (error) {
     console.error('❌ Packing failed:', error.message);
     process.exit(1);
@@ -216,7 +296,14 @@ function packBank() {
 
 // Run if called directly
 if (require.main === module) {
-  packBank();
+  const outIndex = process.argv.indexOf('--out');
+  const outputDir = outIndex > -1 ? path.resolve(process.argv[outIndex + 1]) : PACKAGED_DIR;
+  if (process.argv.includes('--i18n')) {
+    // Locale bundles only, for the bank already packaged
+    packLocales(loadJsonFile(path.join(outputDir, 'bank_package.json')), outputDir);
+  } else {
+    packBank(outputDir);
+  }
 }
 
-module.exports = { packBank, validateBank, computeHash, canonicalize };
+module.exports = { packBank, packLocales, validateBank, computeHash, canonicalize };
@@ -10,13 +10,18 @@ const path = require('path');
  * - pff pack → emits bank package (81)
  * - pff run --replay replay.json --bank bank_package.json → emits snapshot
  * - pff calibrate --bank bank_package.json --scripts scripts/set_* → emits calibration report (82)
+ * - pff export --session <id> --types verdicts,audit → emits finalized-session export documents
+ * - pff describe --session <id> / pff forget --session <id> → data subject access and erasure
+ * - pff retention --dry-run|--apply → purges expired data, emits signed purge report
+ * - pff bank status|activate|rollback|freeze|unfreeze → switches the active bank of running engines
+ * - pff i18n export|import|coverage --locale xx → translator files (PO/XLIFF) and coverage report
  */
 
 const BANK_DIR = path.join(__dirname, '..', 'bank');
 const PACKAGED_DIR = path.join(BANK_DIR, 'packaged');
 const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
 const CALIBRATION_DIR = path.join(__dirname, '..', 'calibration');
-const REPLAY_DIR = path.join(__dirname, '..', 'replays');
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays');
 
 // Ensure directories exist
 [PACKAGED_DIR, CALIBRATION_DIR, REPLAY_DIR].forEach(dir => {
@@ -147,6 +152,279 @@ async function validateCommand(options) {
   }
 }
 
+/**
+ * Export command - Export a finalized session from the configured session store
+ */
+async function exportCommand(options) {
+  console.log('📤 PFF Export - Exporting finalized session');
+  console.log('===========================================');
+  
+  try {
+    if (!options.sessionId) {
+      throw new Error('--session is required');
+    }
+
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    engine.bankLoader.loadBank(options.bankPath || path.join(PACKAGED_DIR, 'bank_package.json'));
+
+    const result = engine.exportSession(options.sessionId, options.types);
+    const outputPath = options.outputDir
+      ? path.join(options.outputDir, `${options.sessionId}_export.json`)
+      : null;
+
+    if (outputPath) {
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+      console.log(`✅ Export written: ${outputPath}`);
+    } else {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    if (result.omitted.length > 0) {
+      console.log(`⚠️ Omitted without consent: ${result.omitted.join(', ')}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Export failed:', error.code ? `${error.code}: ${error.message}` : error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Describe command - Show everything held about a session (data subject access)
+ */
+async function describeCommand(options) {
+  console.log('🔎 PFF Describe - Data held for a session');
+  console.log('=========================================');
+  
+  try {
+    if (!options.sessionId) {
+      throw new Error('--session is required');
+    }
+
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    const description = engine.describeSessionData(options.sessionId);
+
+    if (options.outputDir) {
+      const outputPath = path.join(options.outputDir, `${options.sessionId}_data.json`);
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      fs.writeFileSync(outputPath, JSON.stringify(description, null, 2));
+      console.log(`✅ Session data written: ${outputPath}`);
+    } else {
+      console.log(JSON.stringify(description, null, 2));
+    }
+    
+    return description;
+  } catch (error) {
+    console.error('❌ Describe failed:', error.code ? `${error.code}: ${error.message}` : error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Forget command - Erase a session from every store (right to erasure)
+ */
+async function forgetCommand(options) {
+  console.log('🗑️ PFF Forget - Erasing session data');
+  console.log('====================================');
+  
+  try {
+    if (!options.sessionId) {
+      throw new Error('--session is required');
+    }
+
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    const result = engine.forgetSession(options.sessionId);
+
+    console.log(`✅ Session ${result.session_id} forgotten at ${result.forgotten_at}`);
+    Object.entries(result.removed).forEach(([store, count]) => {
+      console.log(`   ${store}: ${count}`);
+    });
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Forget failed:', error.code ? `${error.code}: ${error.message}` : error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Retention command - Purge data past its retention window (dry run unless --apply)
+ */
+async function retentionCommand(options) {
+  console.log('🧹 PFF Retention - Purging expired data');
+  console.log('=======================================');
+  
+  try {
+    if (options.apply && options.dryRun) {
+      throw new Error('--apply and --dry-run are mutually exclusive');
+    }
+
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    const report = await engine.createRetentionManager().runPurge({ apply: Boolean(options.apply) });
+
+    console.log(`Mode: ${report.mode} (${report.environment})`);
+    Object.entries(report.data_types).forEach(([dataType, counts]) => {
+      if (counts.scanned > 0) {
+        console.log(`   ${dataType}: ${counts.eligible}/${counts.scanned} eligible, ${counts.purged} purged`);
+      }
+      if (counts.undated > 0) {
+        console.log(`   ⚠️ ${dataType}: ${counts.undated} undated, kept (${counts.undated_ids.join(', ')})`);
+      }
+    });
+    console.log(`✅ ${report.totals.purged} purged, ${report.totals.eligible} eligible of ${report.totals.scanned} scanned`);
+
+    if (options.outputDir) {
+      const outputPath = path.join(options.outputDir, `retention_report_${report.generated_at.replace(/[:.]/g, '-')}.json`);
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+      console.log(`✅ Signed purge report written: ${outputPath}`);
+    }
+    
+    return report;
+  } catch (error) {
+    console.error('❌ Retention failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Bank command - Show, activate or roll back the active bank, or freeze the bank system.
+ * Engines watching the freeze state (BANK_FREEZE_DIR) switch banks without a restart.
+ */
+async function bankCommand(options) {
+  console.log('🏦 PFF Bank - Managing the active bank');
+  console.log('=====================================');
+  
+  try {
+    const bankFreezePolicy = require('../engine/bankFreezePolicy');
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    const action = options.action || 'status';
+    let result;
+
+    switch (action) {
+      case 'status':
+        result = bankFreezePolicy.loadFreezeState();
+        break;
+      case 'activate':
+        if (!options.bankPath) {
+          throw new Error('--bank is required');
+        }
+        result = engine.activateBank(options.bankPath);
+        console.log(`✅ Activated bank ${result.bank_hash}`);
+        break;
+      case 'rollback':
+        result = engine.rollbackBank(options.reason);
+        console.log(`✅ Rolled back to bank ${result.to_bank_hash}`);
+        break;
+      case 'freeze':
+        if (!options.reason) {
+          throw new Error('--reason is required');
+        }
+        bankFreezePolicy.loadFreezeState();
+        bankFreezePolicy.freezeBankSystem(options.reason);
+        result = bankFreezePolicy.getFreezeStatus();
+        break;
+      case 'unfreeze':
+        bankFreezePolicy.loadFreezeState();
+        bankFreezePolicy.unfreezeBankSystem();
+        result = bankFreezePolicy.getFreezeStatus();
+        break;
+      default:
+        throw new Error(`Unknown bank action: ${action}`);
+    }
+
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  } catch (error) {
+    console.error('❌ Bank failed:', error.code ? `${error.code}: ${error.message}` : error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * I18n command - Export a locale for translators (PO or XLIFF), import the translated file
+ * into bank/i18n/locales, or report translation coverage for the acceptance gates
+ */
+async function i18nCommand(options) {
+  console.log('🌐 PFF I18n - Managing translations');
+  console.log('===================================');
+  
+  try {
+    const translations = require('./translations');
+    const action = options.action || 'coverage';
+    let result;
+
+    switch (action) {
+      case 'export': {
+        if (!options.locale) {
+          throw new Error('--locale is required');
+        }
+        const format = options.format || 'po';
+        result = translations.exportLocale(options.locale, { format, bankPath: options.bankPath });
+        if (options.outputDir) {
+          const outputPath = path.join(options.outputDir, `${options.locale}.${format === 'po' ? 'po' : 'xlf'}`);
+          fs.mkdirSync(options.outputDir, { recursive: true });
+          fs.writeFileSync(outputPath, result);
+          console.log(`✅ Export written: ${outputPath}`);
+        } else {
+          console.log(result);
+        }
+        break;
+      }
+      case 'import': {
+        if (!options.locale || !options.file) {
+          throw new Error('--locale and --file are required');
+        }
+        const format = options.format || (/\.(xlf|xliff)$/.test(options.file) ? 'xliff' : 'po');
+        result = translations.importLocale(options.locale, fs.readFileSync(options.file, 'utf8'),
+          { format, bankPath: options.bankPath });
+        if (result.errors.length > 0) {
+          result.errors.forEach(error => console.error(`  - ${error}`));
+          throw new Error(`${result.errors.length} invalid translations, nothing imported`);
+        }
+        console.log(`✅ Imported ${result.imported} translations (${result.untranslated} untranslated): ${result.path}`);
+        console.log('   Run npm run pack:i18n to pack the locale next to the bank');
+        break;
+      }
+      case 'coverage': {
+        result = translations.buildCoverageReport({
+          bankPath: options.bankPath,
+          locales: options.locale ? options.locale.split(',') : undefined,
+          required: options.required || []
+        });
+        if (options.outputDir) {
+          const outputPath = path.join(options.outputDir, 'translation_coverage.json');
+          fs.mkdirSync(options.outputDir, { recursive: true });
+          fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+          console.log(`✅ Coverage report written: ${outputPath}`);
+        }
+        Object.entries(result.locales).forEach(([locale, coverage]) => {
+          console.log(`  ${coverage.complete ? '✅' : '⚠️'} ${locale}: ${coverage.translated}/${result.total_strings} translated, ` +
+            `${coverage.missing.length} missing, ${coverage.stale.length} stale, ${coverage.untranslated.length} untranslated`);
+        });
+        const incomplete = result.required_locales.filter(locale => !result.locales[locale].complete);
+        if (incomplete.length > 0) {
+          throw new Error(`Required locales incomplete: ${incomplete.join(', ')}`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown i18n action: ${action}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ I18n failed:', error.message);
+    process.exit(1);
+  }
+}
+
 /**
  * Help command - Show help information
  */
@@ -162,6 +440,12 @@ function helpCommand() {
   console.log('  calibrate               Run calibration suite');
   console.log('  test                    Run all tests');
   console.log('  validate                Validate bank package');
+  console.log('  export                  Export a finalized session (uses SESSION_STORE)');
+  console.log('  describe                Show all data held for a session');
+  console.log('  forget                  Erase a session from every store');
+  console.log('  retention               Purge data past its retention window');
+  console.log('  bank <action>           Active bank: status, activate, rollback, freeze, unfreeze');
+  console.log('  i18n <action>           Translations: export, import, coverage');
   console.log('  help                    Show this help');
   console.log('');
   console.log('Options:');
@@ -170,6 +454,16 @@ function helpCommand() {
   console.log('  --scripts <dir>         Answer scripts directory');
   console.log('  --profiles <list>       Comma-separated list of profiles');
   console.log('  --output <dir>          Output directory');
+  console.log('  --session <id>          Session ID to export, describe or forget');
+  console.log('  --types <list>          Comma-separated export types (verdicts, face_presence,');
+  console.log('                          proof_tells, comprehensive, analytics, audit; default all)');
+  console.log('  --dry-run               Report what retention would purge (default)');
+  console.log('  --apply                 Delete data past its retention window');
+  console.log('  --reason <text>         Reason recorded for bank rollback and freeze');
+  console.log('  --locale <locale>       Locale to export or import (coverage: comma-separated list)');
+  console.log('  --format <po|xliff>     Translation file format (default po, import detects .xlf)');
+  console.log('  --file <path>           Translated file to import');
+  console.log('  --require <list>        Comma-separated locales that must be fully translated');
   console.log('  --verbose               Verbose output');
   console.log('');
   console.log('Examples:');
@@ -178,6 +472,14 @@ function helpCommand() {
   console.log('  node pff-cli.js calibrate --bank bank_package.json --scripts scripts/');
   console.log('  node pff-cli.js test');
   console.log('  node pff-cli.js validate --bank bank_package.json');
+  console.log('  SESSION_STORE=file node pff-cli.js export --session 3f2a9c... --types verdicts,audit');
+  console.log('  SESSION_STORE=file node pff-cli.js forget --session 3f2a9c...');
+  console.log('  SESSION_STORE=file node pff-cli.js retention --apply --output reports/');
+  console.log('  node pff-cli.js bank activate --bank bank/packaged/bank_package_signed.json');
+  console.log('  node pff-cli.js bank rollback --reason "QA flags rate doubled"');
+  console.log('  node pff-cli.js i18n export --locale es --format xliff --output translations/');
+  console.log('  node pff-cli.js i18n import --locale es --file translations/es.xlf');
+  console.log('  node pff-cli.js i18n coverage --require es --output reports/');
 }
 
 /**
@@ -206,6 +508,33 @@ function parseArguments(args) {
       case '--output':
         options.outputDir = args[++i];
         break;
+      case '--session':
+        options.sessionId = args[++i];
+        break;
+      case '--types':
+        options.types = args[++i].split(',');
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--apply':
+        options.apply = true;
+        break;
+      case '--reason':
+        options.reason = args[++i];
+        break;
+      case '--locale':
+        options.locale = args[++i];
+        break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--file':
+        options.file = args[++i];
+        break;
+      case '--require':
+        options.required = args[++i].split(',');
+        break;
       case '--verbose':
         options.verbose = true;
         break;
@@ -218,6 +547,10 @@ function parseArguments(args) {
           console.error(`Unknown option: ${arg}`);
           process.exit(1);
         }
+        // The first bare argument after the command is its action (pff bank rollback)
+        if (!options.action) {
+          options.action = arg;
+        }
         break;
     }
   }
@@ -260,6 +593,24 @@ async function main() {
       case 'validate':
         await validateCommand(options);
         break;
+      case 'export':
+        await exportCommand(options);
+        break;
+      case 'describe':
+        await describeCommand(options);
+        break;
+      case 'forget':
+        await forgetCommand(options);
+        break;
+      case 'retention':
+        await retentionCommand(options);
+        break;
+      case 'bank':
+        await bankCommand(options);
+        break;
+      case 'i18n':
+        await i18nCommand(options);
+        break;
       case 'help':
         helpCommand();
         break;
@@ -291,6 +642,12 @@ module.exports = {
   calibrateCommand,
   testCommand,
   validateCommand,
+  exportCommand,
+  describeCommand,
+  forgetCommand,
+  retentionCommand,
+  bankCommand,
+  i18nCommand,
   helpCommand,
   parseArguments,
   main
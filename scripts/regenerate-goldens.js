@@ -77,7 +77,8 @@ function runSession(sessionSeed, pickedFamilies, description) {
       session_seed: sessionSeed,
       picked_families: pickedFamilies,
       bank_hash: bankHash,
-      constants_profile: constantsProfile
+      constants_profile: constantsProfile,
+      rng_algorithm: session.rng_algorithm
     },
     answers,
     expected_result: results
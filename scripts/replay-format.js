@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { DEFAULT_RNG_ALGORITHM, LEGACY_RNG_ALGORITHM } = require('../engine/rng');
+const { getReplayDir, getReplaySessionId } = require('../engine/replayAuditStore');
 
 /**
  * Deterministic Replay File - Batch 5 Implementation
@@ -13,7 +15,7 @@ const crypto = require('crypto');
  * - REPLAY_MISMATCH detection with diff
  */
 
-const REPLAY_DIR = path.join(__dirname, '..', 'replays');
+const REPLAY_DIR = getReplayDir();
 const BANK_DIR = path.join(__dirname, '..', 'bank');
 const PACKAGED_DIR = path.join(BANK_DIR, 'packaged');
 
@@ -32,11 +34,14 @@ function createReplayFile(sessionData, bankPackage) {
     bank_id: bankPackage.meta.bank_id,
     bank_hash_sha256: bankPackage.meta.bank_hash_sha256,
     constants_profile: 'DEFAULT',
+    rng_algorithm: sessionData.rng_algorithm || DEFAULT_RNG_ALGORITHM,
+    scheduling_mode: sessionData.scheduling_mode || 'static',
     picked_families: sessionData.picked_families,
     answers: sessionData.answers.map(answer => ({
       qid: answer.qid,
       key: answer.picked_key
     })),
+    qa_flags: (sessionData.qa_flags || []).map(({ code, qid, face, family }) => ({ code, qid, face, family })),
     created_at: new Date().toISOString()
   };
   
@@ -87,16 +92,26 @@ async function replaySession(replayFile, bankPackage) {
     }
     
     // Initialize engine
-    const { initSession, setPicks, submitAnswer, finalizeSession } = require('../engine/index.js');
+    const { initSession, setPicks, getNextQuestion, submitAnswer, finalizeSession } = require('../engine/index.js');
     
-    // Create session with same seed
-    const session = initSession(replay.session_seed, bankPackage);
+    // Create session with same seed and PRNG (replays without rng_algorithm predate it and used lcg32)
+    const session = initSession(replay.session_seed, bankPackage, {
+      rngAlgorithm: replay.rng_algorithm || LEGACY_RNG_ALGORITHM,
+      schedulingMode: replay.scheduling_mode || 'static'
+    });
     
     // Set picks
     setPicks(session.session_id, replay.picked_families);
     
     // Submit answers in sequence
     for (const answer of replay.answers) {
+      // Adaptive schedules depend on earlier answers, so the engine must serve the recorded qid
+      if (replay.scheduling_mode === 'adaptive') {
+        const question = getNextQuestion(session.session_id);
+        if (!question || question.qid !== answer.qid) {
+          throw new Error(`Adaptive schedule diverged at ${answer.qid}`);
+        }
+      }
       submitAnswer(session.session_id, answer.qid, answer.key);
     }
     
@@ -120,6 +135,34 @@ async function replaySession(replayFile, bankPackage) {
   }
 }
 
+/**
+ * Identify QA flags by code and subject (qid, face, family), sorted
+ */
+function qaFlagKeys(qaFlags) {
+  return (qaFlags || []).map(flag => [flag.code, flag.qid, flag.face, flag.family].filter(Boolean).join(':')).sort();
+}
+
+/**
+ * Compare QA flags (replays recorded before QA flags were part of the results skip this)
+ */
+function compareQAFlags(actual, expected) {
+  if (!expected) {
+    return null;
+  }
+  
+  const actualKeys = qaFlagKeys(actual);
+  const expectedKeys = qaFlagKeys(expected);
+  if (JSON.stringify(actualKeys) === JSON.stringify(expectedKeys)) {
+    return null;
+  }
+  
+  return {
+    type: 'qa_flags',
+    actual: actualKeys,
+    expected: expectedKeys
+  };
+}
+
 /**
  * Compare replay results with expected results
  */
@@ -177,6 +220,12 @@ function compareResults(actual, expected) {
     });
   }
   
+  // Compare QA flags
+  const qaFlagsDifference = compareQAFlags(actual.qa_flags, expected.qa_flags);
+  if (qaFlagsDifference) {
+    differences.push(qaFlagsDifference);
+  }
+  
   return differences;
 }
 
@@ -186,6 +235,7 @@ function compareResults(actual, expected) {
 function generateReplayAudit(replayFile, result, expectedResult = null) {
   const audit = {
     replay_id: crypto.createHash('sha256').update(replayFile).digest('hex').substring(0, 16),
+    session_id: getReplaySessionId(loadReplayFile(replayFile)),
     bank_id: result.bank_id || 'unknown',
     bank_hash_sha256: result.bank_hash_sha256 || 'unknown',
     payload_hash: crypto.createHash('sha256').update(JSON.stringify(result)).digest('hex'),
@@ -194,9 +244,14 @@ function generateReplayAudit(replayFile, result, expectedResult = null) {
     created_at: new Date().toISOString()
   };
   
-  // Check for mismatches if expected result provided
-  if (expectedResult && result.result) {
-    const differences = compareResults(result.result, expectedResult);
+  // Check for mismatches if expected result provided, and against the QA flags the
+  // replay file recorded for the original session
+  if (result.result) {
+    const differences = expectedResult ? compareResults(result.result, expectedResult) : [];
+    const qaFlagsDifference = compareQAFlags(result.result.qa_flags, loadReplayFile(replayFile).qa_flags);
+    if (qaFlagsDifference && !differences.some(diff => diff.type === 'qa_flags')) {
+      differences.push(qaFlagsDifference);
+    }
     if (differences.length > 0) {
       audit.result = 'MISMATCH';
       audit.differences = differences;
@@ -223,40 +278,17 @@ function saveReplayAudit(audit, filename) {
 /**
  * Create replay from current session
  */
-async function createReplayFromSession(sessionId, bankPackage) {
+async function createReplayFromSession(sessionId, bankPath) {
   console.log('📝 Creating replay from session...');
   
   try {
-    // This would integrate with the actual engine to get session data
-    // For now, we'll create a sample replay
-    
-    const sessionData = {
-      session_seed: `replay_${Date.now()}`,
-      picked_families: ['Control', 'Pace', 'Boundary'],
-      answers: [
-        { qid: 'CTRL_Q1', picked_key: 'A' },
-        { qid: 'CTRL_Q2', picked_key: 'B' },
-        { qid: 'PACE_Q1', picked_key: 'A' },
-        { qid: 'PACE_Q2', picked_key: 'B' },
-        { qid: 'PACE_Q3', picked_key: 'A' },
-        { qid: 'BOUND_Q1', picked_key: 'B' },
-        { qid: 'BOUND_Q2', picked_key: 'A' },
-        { qid: 'BOUND_Q3', picked_key: 'B' },
-        { qid: 'TRUTH_Q1', picked_key: 'A' },
-        { qid: 'TRUTH_Q2', picked_key: 'B' },
-        { qid: 'TRUTH_Q3', picked_key: 'A' },
-        { qid: 'RECOG_Q1', picked_key: 'B' },
-        { qid: 'RECOG_Q2', picked_key: 'A' },
-        { qid: 'RECOG_Q3', picked_key: 'B' },
-        { qid: 'BOND_Q1', picked_key: 'A' },
-        { qid: 'BOND_Q2', picked_key: 'B' },
-        { qid: 'STRESS_Q1', picked_key: 'A' },
-        { qid: 'STRESS_Q2', picked_key: 'B' },
-        { qid: 'STRESS_Q3', picked_key: 'A' }
-      ]
-    };
-    
-    const replay = createReplayFile(sessionData, bankPackage);
+    // Read the finalized session from the configured session store (SESSION_STORE);
+    // the engine refuses sessions without current replay consent
+    const { PFFEngine } = require('../engine');
+    const engine = new PFFEngine();
+    engine.bankLoader.loadBank(bankPath);
+
+    const replay = engine.createReplay(sessionId);
     const filename = `replay_${Date.now()}.json`;
     const filePath = saveReplayFile(replay, filename);
     
@@ -264,7 +296,7 @@ async function createReplayFromSession(sessionId, bankPackage) {
     return filePath;
     
   } catch (error) {
-    console.error('❌ Failed to create replay:', error.message);
+    console.error('❌ Failed to create replay:', error.code ? `${error.code}: ${error.message}` : error.message);
     throw error;
   }
 }
@@ -283,7 +315,7 @@ async function runReplay(options = {}) {
     
     if (options.create) {
       // Create replay from session
-      const replayPath = await createReplayFromSession(options.sessionId, bankPackage);
+      const replayPath = await createReplayFromSession(options.sessionId, bankPath);
       return replayPath;
     } else if (options.replayFile) {
       // Replay existing file
@@ -364,5 +396,6 @@ module.exports = {
   createReplayFile, 
   replaySession, 
   compareResults, 
+  compareQAFlags,
   generateReplayAudit 
 };
@@ -2,7 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { initSession, setPicks, getNextQuestion, submitAnswer, finalizeSession } = require('../engine');
+const { initSession, setPicks, getNextQuestion, submitAnswer, finalizeSession, PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { computeFaceMetrics, evaluateFaceState } = require('../engine/faceState');
 
 /**
  * Replay Runner - Runs replay tests against the engine
@@ -15,6 +17,7 @@ const { initSession, setPicks, getNextQuestion, submitAnswer, finalizeSession }
  */
 
 const REPLAYS_DIR = path.join(__dirname, '..', 'tests', 'replays');
+const BANK_PATH = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
 
 /**
  * Load a replay file
@@ -34,14 +37,21 @@ function loadReplay(replayFile) {
 class MockEngine {
   constructor() {
     this.sessions = new Map();
+    this.constantsProfiles = JSON.parse(fs.readFileSync(BANK_PATH, 'utf8')).constants.profiles;
   }
   
-  initSession(sessionId, sessionSeed, pickedFamilies, bankHash) {
+  initSession(sessionId, sessionSeed, pickedFamilies, bankHash, constantsProfile = 'DEFAULT') {
+    const constants = this.constantsProfiles[constantsProfile];
+    if (!constants) {
+      throw new Error(`Unknown constants profile: ${constantsProfile}`);
+    }
+
     const session = {
       sessionId,
       sessionSeed,
       pickedFamilies,
       bankHash,
+      constants,
       answers: new Map(),
       lineState: new Map(),
       faceLedger: new Map(),
@@ -171,24 +181,19 @@ class MockEngine {
       else lineVerdicts[family] = 'C';
     });
     
-    // Compute face states (simplified)
+    // Compute face states with the engine's face-state evaluator
     const faceStates = {};
     session.faceLedger.forEach((ledger, face) => {
-      const totalTells = Object.values(ledger.context_counts).reduce((sum, count) => sum + count, 0);
-      const signatureCount = ledger.signature_qids.size;
-      const cleanCount = ledger.context_counts.Clean;
-      
-      if (totalTells >= 6 && signatureCount >= 2 && cleanCount >= 4) {
-        faceStates[face] = 'LIT';
-      } else if (totalTells >= 4 && signatureCount >= 1 && cleanCount >= 2) {
-        faceStates[face] = 'LEAN';
-      } else if (totalTells >= 2) {
-        faceStates[face] = 'GHOST';
-      } else if (totalTells >= 1) {
-        faceStates[face] = 'COLD';
-      } else {
-        faceStates[face] = 'ABSENT';
-      }
+      const metrics = computeFaceMetrics(ledger);
+      faceStates[face] = {
+        state: evaluateFaceState(metrics, session.constants).state,
+        q_hits: metrics.Q,
+        fam_hits: metrics.FAM,
+        sig: metrics.SIG,
+        clean: metrics.CLEAN,
+        broken: metrics.BROKEN,
+        contrast: metrics.contrast_seen
+      };
     });
     
     // Compute family reps
@@ -232,6 +237,35 @@ class MockEngine {
   }
 }
 
+/**
+ * Replay an adaptive session through the real engine. The next question depends on
+ * earlier answers, so every served qid must match the recorded answer order.
+ */
+function runEngineReplay(replay) {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore() });
+  const { session_id } = engine.initSession(replay.session.session_seed, BANK_PATH, {
+    rngAlgorithm: replay.session.rng_algorithm || 'lcg32',
+    schedulingMode: replay.session.scheduling_mode
+  });
+  engine.setPicks(session_id, replay.session.picked_families);
+
+  console.log(`  📊 Session: ${session_id} (${replay.session.scheduling_mode})`);
+  console.log(`  🎯 Picked families: ${replay.session.picked_families.join(', ')}`);
+
+  replay.answers.forEach((answer, index) => {
+    const question = engine.getNextQuestion(session_id);
+    if (!question || question.qid !== answer.qid) {
+      throw new Error(`Answer ${index + 1}: engine served ${question ? question.qid : 'nothing'}, replay has ${answer.qid}`);
+    }
+    // Served questions carry no scoring fields; the line verdict comes from the bank
+    const option = engine.bankLoader.getQuestion(answer.qid).options.find(opt => opt.lineCOF === answer.lineCOF);
+    engine.submitAnswer(session_id, answer.qid, answer.key || option.id);
+    console.log(`  ✅ Answer ${index + 1}: ${answer.qid} (${answer.lineCOF})`);
+  });
+
+  return engine.finalizeSession(session_id);
+}
+
 /**
  * Run a single replay
  */
@@ -240,6 +274,18 @@ function runReplay(replayFile) {
   
   try {
     const replay = loadReplay(replayFile);
+
+    if (replay.session.scheduling_mode === 'adaptive') {
+      const result = runEngineReplay(replay);
+      const matches = ['line_verdicts', 'family_reps', 'anchor_family']
+        .every(field => JSON.stringify(result[field]) === JSON.stringify(replay.expected_result[field])) &&
+        compareFaceStates(result.face_states, replay.expected_result.face_states) &&
+        compareQAFlags(result.qa_flags, replay.expected_result.qa_flags);
+      console.log(`  🚩 QA flags: ${qaFlagKeys(result.qa_flags).join(', ') || 'none'}`);
+      console.log(matches ? `  ✅ Results match expected outcome` : `  ❌ Results do not match expected outcome`);
+      return matches;
+    }
+
     const engine = new MockEngine();
     
     // Initialize session
@@ -247,7 +293,8 @@ function runReplay(replayFile) {
       replay.session.session_id,
       replay.session.session_seed,
       replay.session.picked_families,
-      replay.session.bank_hash
+      replay.session.bank_hash,
+      replay.session.constants_profile
     );
     
     console.log(`  📊 Session: ${session.sessionId}`);
@@ -286,6 +333,30 @@ function runReplay(replayFile) {
   }
 }
 
+/**
+ * Identify QA flags by code and subject (qid, face, family), sorted
+ */
+function qaFlagKeys(qaFlags) {
+  return (qaFlags || []).map(flag => [flag.code, flag.qid, flag.face, flag.family].filter(Boolean).join(':')).sort();
+}
+
+/**
+ * Compare QA flags; replays recorded before QA flags were part of the results skip this
+ */
+function compareQAFlags(actual, expected) {
+  return !expected || JSON.stringify(qaFlagKeys(actual)) === JSON.stringify(qaFlagKeys(expected));
+}
+
+/**
+ * Compare face states; replays recorded before face states named their gate compare without it
+ */
+function compareFaceStates(actual, expected) {
+  const recorded = Object.values(expected || {}).some(faceState => 'gate' in faceState);
+  const withoutGate = faceStates => Object.fromEntries(Object.entries(faceStates || {})
+    .map(([faceId, { gate, ...faceState }]) => [faceId, faceState]));
+  return JSON.stringify(recorded ? actual : withoutGate(actual)) === JSON.stringify(expected);
+}
+
 /**
  * Compare actual vs expected results
  */
@@ -306,7 +377,10 @@ function compareResults(actual, expected) {
   // Compare anchor family
   const anchorFamilyMatch = actual.anchor_family === expected.anchor_family;
   
-  return lineVerdictsMatch && faceStatesMatch && familyRepsMatch && anchorFamilyMatch;
+  // Compare QA flags
+  const qaFlagsMatch = compareQAFlags(actual.qa_flags, expected.qa_flags);
+  
+  return lineVerdictsMatch && faceStatesMatch && familyRepsMatch && anchorFamilyMatch && qaFlagsMatch;
 }
 
 /**
@@ -2,79 +2,45 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const bankSignature = require('../engine/bankSignature');
+const multiEnvConfig = require('../engine/multiEnvConfig');
 
 /**
  * Bank Signer - Signs bank packages for verification
  * 
  * Features:
- * - Generates signing keys per environment
- * - Signs bank packages with HMAC-SHA256
+ * - Generates Ed25519 signing key pairs per environment
+ * - Signs bank packages in place with Ed25519 (bank_package.json unless a path is given)
  * - Verifies signatures before engine consumption
  */
 
 const BANK_DIR = path.join(__dirname, '..', 'bank');
 const PACKAGED_DIR = path.join(BANK_DIR, 'packaged');
-const KEYS_DIR = path.join(__dirname, '..', 'keys');
-
-// Ensure keys directory exists
-if (!fs.existsSync(KEYS_DIR)) {
-  fs.mkdirSync(KEYS_DIR, { recursive: true });
-}
-
-/**
- * Generate a new signing key
- */
-function generateSigningKey() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
-/**
- * Sign a bank package
- */
-function signBankPackage(bankPackage, signingKey) {
-  const packageString = JSON.stringify(bankPackage, null, 0);
-  const signature = crypto.createHmac('sha256', signingKey).update(packageString).digest('hex');
-  return signature;
-}
+const DEFAULT_PACKAGE_PATH = path.join(PACKAGED_DIR, 'bank_package.json');
 
 /**
- * Verify a bank package signature
+ * Sign a bank package in place with an Ed25519 private key
  */
-function verifyBankPackage(bankPackage, signature, signingKey) {
-  const expectedSignature = signBankPackage(bankPackage, signingKey);
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'hex'),
-    Buffer.from(expectedSignature, 'hex')
-  );
+function signBankPackage(bankPackage, privateKey, environment = 'development') {
+  return bankSignature.signBankPackage(bankPackage, privateKey, environment);
 }
 
 /**
- * Load or create signing key for environment
+ * Verify a bank package signature against an Ed25519 public key
  */
-function loadOrCreateSigningKey(environment = 'development') {
-  const keyPath = path.join(KEYS_DIR, `${environment}.key`);
-  
-  if (fs.existsSync(keyPath)) {
-    return fs.readFileSync(keyPath, 'utf8').trim();
-  }
-  
-  // Generate new key
-  const key = generateSigningKey();
-  fs.writeFileSync(keyPath, key);
-  console.log(`Generated new signing key for ${environment}: ${keyPath}`);
-  return key;
+function verifyBankPackage(bankPackage, publicKey) {
+  return bankSignature.verifyBankSignature(bankPackage, publicKey).valid;
 }
 
 /**
- * Sign the bank package
+ * Sign the bank package in place
+ * @param {string} bankPackagePath - Package to sign (bank_package.json by default)
  */
-function signBank() {
+function signBank(bankPackagePath = DEFAULT_PACKAGE_PATH) {
   console.log('🔐 Signing bank package...');
   
   try {
     // Load the packaged bank
-    const bankPackagePath = path.join(PACKAGED_DIR, 'bank_package.json');
     if (!fs.existsSync(bankPackagePath)) {
       throw new Error('Bank package not found. Run pack-bank.js first.');
     }
@@ -82,33 +48,27 @@ function signBank() {
     const bankPackage = JSON.parse(fs.readFileSync(bankPackagePath, 'utf8'));
     
     // Load or create signing key
-    const environment = process.env.NODE_ENV || 'development';
-    const signingKey = loadOrCreateSigningKey(environment);
+    const environment = multiEnvConfig.getCurrentEnvironment();
+    const signingKey = multiEnvConfig.loadOrCreateSigningKey(environment);
     
     // Sign the package
-    const signature = signBankPackage(bankPackage, signingKey);
-    
-    // Add signature to package
-    bankPackage.meta.signature = signature;
-    bankPackage.meta.signed_at = new Date().toISOString();
-    bankPackage.meta.signed_by = environment;
+    const signature = signBankPackage(bankPackage, signingKey, environment);
     
-    // Write signed package
-    const signedPackagePath = path.join(PACKAGED_DIR, 'bank_package_signed.json');
-    fs.writeFileSync(signedPackagePath, JSON.stringify(bankPackage, null, 2));
+    // Write it back, so the engine loads the signed package
+    fs.writeFileSync(bankPackagePath, JSON.stringify(bankPackage, null, 2));
     
-    console.log(`✅ Bank package signed successfully: ${signedPackagePath}`);
+    console.log(`✅ Bank package signed successfully: ${bankPackagePath}`);
     console.log(`📊 Signature: ${signature.substring(0, 16)}...`);
     console.log(`🔑 Environment: ${environment}`);
     
     // Also write the signature separately for verification
-    const signaturePath = path.join(PACKAGED_DIR, 'signature.txt');
+    const signaturePath = path.join(path.dirname(bankPackagePath), 'signature.txt');
     fs.writeFileSync(signaturePath, signature);
     
     return {
       signature,
       environment,
-      packagePath: signedPackagePath
+      packagePath: bankPackagePath
     };
     
   } catch (error) {
@@ -119,18 +79,18 @@ function signBank() {
 
 /**
  * Verify a signed bank package
+ * @param {string} bankPackagePath - Package to verify (bank_package.json by default)
  */
-function verifyBank() {
+function verifyBank(bankPackagePath = DEFAULT_PACKAGE_PATH) {
   console.log('🔍 Verifying bank package signature...');
   
   try {
     // Load the signed bank package
-    const signedPackagePath = path.join(PACKAGED_DIR, 'bank_package_signed.json');
-    if (!fs.existsSync(signedPackagePath)) {
-      throw new Error('Signed bank package not found. Run sign-bank.js first.');
+    if (!fs.existsSync(bankPackagePath)) {
+      throw new Error(`Bank package not found: ${bankPackagePath}`);
     }
     
-    const bankPackage = JSON.parse(fs.readFileSync(signedPackagePath, 'utf8'));
+    const bankPackage = JSON.parse(fs.readFileSync(bankPackagePath, 'utf8'));
     const signature = bankPackage.meta.signature;
     const environment = bankPackage.meta.signed_by;
     
@@ -138,25 +98,22 @@ function verifyBank() {
       throw new Error('Bank package is not signed');
     }
     
-    // Load signing key
-    const signingKey = loadOrCreateSigningKey(environment);
-    
-    // Remove signature from package for verification
-    const packageForVerification = { ...bankPackage };
-    delete packageForVerification.meta.signature;
-    delete packageForVerification.meta.signed_at;
-    delete packageForVerification.meta.signed_by;
+    // Load the environment's public key
+    const verifyKey = multiEnvConfig.getBankVerifyKey(environment);
+    if (!verifyKey) {
+      throw new Error(`No bank verify key configured for ${environment}; set BANK_VERIFY_KEY`);
+    }
     
     // Verify signature
-    const isValid = verifyBankPackage(packageForVerification, signature, signingKey);
+    const verification = bankSignature.verifyBankSignature(bankPackage, verifyKey);
     
-    if (isValid) {
+    if (verification.valid) {
       console.log('✅ Bank package signature is valid');
       console.log(`📊 Signature: ${signature.substring(0, 16)}...`);
       console.log(`🔑 Environment: ${environment}`);
       return true;
     } else {
-      console.log('❌ Bank package signature is invalid');
+      console.log(`❌ Bank package signature is invalid: ${verification.error}`);
       return false;
     }
     
@@ -169,18 +126,19 @@ function verifyBank() {
 // Command line interface
 if (require.main === module) {
   const command = process.argv[2];
+  const bankPackagePath = process.argv[3] ? path.resolve(process.argv[3]) : DEFAULT_PACKAGE_PATH;
   
   switch (command) {
     case 'sign':
-      signBank();
+      signBank(bankPackagePath);
       break;
     case 'verify':
-      const isValid = verifyBank();
+      const isValid = verifyBank(bankPackagePath);
       process.exit(isValid ? 0 : 1);
       break;
     default:
-      console.log('Usage: node sign-bank.js [sign|verify]');
-      console.log('  sign   - Sign the bank package');
+      console.log('Usage: node sign-bank.js [sign|verify] [bank_package.json]');
+      console.log('  sign   - Sign the bank package in place');
       console.log('  verify - Verify the bank package signature');
       process.exit(1);
   }
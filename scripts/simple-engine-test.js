@@ -31,7 +31,7 @@ try {
       if (nextQuestion === null) break;
       
       questionCount++;
-      console.log(`   📝 Question ${questionCount}: ${nextQuestion.qid} (${nextQuestion.familyScreen})`);
+      console.log(`   📝 Question ${questionCount}: ${nextQuestion.qid} (${nextQuestion.index}/${nextQuestion.total})`);
       
       // Submit answer (always pick option A for testing)
       const answerResult = submitAnswer(session.session_id, nextQuestion.qid, 'A');
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Test adaptive scheduling - questions are chosen from face-ledger evidence,
+ * every family is still covered and the same seed and answers replay exactly
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const featureFlags = require('../engine/featureFlags');
+const { runReplay } = require('./run-replay');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function runSession(engine, seed, answerFor, options = { schedulingMode: 'adaptive' }) {
+  const { session_id } = engine.initSession(seed, bankPath, options);
+  engine.setPicks(session_id, pickedFamilies);
+
+  const served = [];
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    served.push(question);
+    engine.submitAnswer(session_id, question.qid, answerFor(question));
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  return { session_id, served, results: engine.finalizeSession(session_id) };
+}
+
+console.log('🧪 Testing adaptive scheduling...\n');
+
+try {
+  // A seed names one session per store, so reruns of a seed get their own engine
+  const createEngine = () => new PFFEngine({ sessionStore: new MemorySessionStore() });
+  const engine = createEngine();
+  const allA = () => 'A';
+
+  // 1. Selection
+  console.log('1️⃣ Question selection...');
+  const adaptive = runSession(engine, 'adaptive-test-001', allA);
+  const qids = adaptive.served.map(question => question.qid);
+  assert(qids.length === 18 && new Set(qids).size === 18, 'Serves 18 distinct questions');
+  assert(adaptive.served.every((question, index) => question.index === index + 1 && question.total === 18),
+    'Question indexes run 1..18');
+
+  const families = new Set(qids.map(qid => engine.bankLoader.getQuestion(qid).family));
+  assert(families.size === 7, 'Every family is asked at least once');
+  assert(Object.keys(adaptive.results.line_verdicts).length === 7, 'Every family gets a line verdict');
+
+  const staticRun = runSession(createEngine(), 'adaptive-test-001', allA, { schedulingMode: 'static' });
+  assert(JSON.stringify(staticRun.served.map(question => question.qid)) !== JSON.stringify(qids),
+    'Adaptive order differs from the static schedule');
+
+  // 2. Determinism
+  console.log('\n2️⃣ Determinism...');
+  const again = runSession(createEngine(), 'adaptive-test-001', allA);
+  assert(JSON.stringify(again.served) === JSON.stringify(adaptive.served), 'Same seed and answers serve the same questions');
+  assert(JSON.stringify(again.results) === JSON.stringify(adaptive.results), 'Same seed and answers give the same results');
+
+  const mixed = runSession(createEngine(), 'adaptive-test-001', question => (question.index % 2 === 0 ? 'B' : 'A'));
+  assert(JSON.stringify(mixed.served.map(question => question.qid)) !== JSON.stringify(qids),
+    'Different answers steer the next questions');
+
+  // 3. Persistence
+  console.log('\n3️⃣ Persistence...');
+  const store = new MemorySessionStore();
+  const first = new PFFEngine({ sessionStore: store });
+  const { session_id } = first.initSession('adaptive-test-002', bankPath, { schedulingMode: 'adaptive' });
+  first.setPicks(session_id, pickedFamilies);
+  const q1 = first.getNextQuestion(session_id);
+  first.submitAnswer(session_id, q1.qid, 'A');
+  assert(store.get(session_id).scheduling_mode === 'adaptive', 'scheduling_mode is persisted with the session');
+
+  const second = new PFFEngine({ sessionStore: store });
+  second.bankLoader.loadBank(bankPath);
+  const reference = runSession(new PFFEngine({ sessionStore: new MemorySessionStore() }), 'adaptive-test-002', allA);
+  assert(second.getNextQuestion(session_id).qid === reference.served[1].qid, 'Another instance continues the adaptive order');
+
+  // 4. Mode selection
+  console.log('\n4️⃣ Mode selection...');
+  assert(engine.initSession('adaptive-test-003', bankPath).scheduling_mode === 'static', 'Static scheduling is the default');
+
+  featureFlags.setFlag('ENABLE_ADAPTIVE_SCHEDULING', true);
+  const flagged = engine.initSession('adaptive-test-004', bankPath).scheduling_mode;
+  featureFlags.setFlag('ENABLE_ADAPTIVE_SCHEDULING', false);
+  assert(flagged === 'adaptive', 'ENABLE_ADAPTIVE_SCHEDULING turns adaptive mode on');
+
+  const constants = engine.bankLoader.constants;
+  engine.bankLoader.constants = { ...constants, SCHEDULING_MODE: 'adaptive' };
+  const profiled = engine.initSession('adaptive-test-005', bankPath).scheduling_mode;
+  engine.bankLoader.constants = constants;
+  assert(profiled === 'adaptive', 'SCHEDULING_MODE in the constants profile turns adaptive mode on');
+
+  let rejected = null;
+  try {
+    engine.initSession('adaptive-test-006', bankPath, { schedulingMode: 'random' });
+  } catch (error) {
+    rejected = error;
+  }
+  assert(rejected && rejected.code === 'E_INVALID_SCHEDULING_MODE', 'Unknown mode raises E_INVALID_SCHEDULING_MODE');
+
+  // 5. Replay
+  console.log('\n5️⃣ Replay...');
+  const originalLog = console.log;
+  console.log = () => {};
+  const replayed = runReplay('adaptive-session.json');
+  console.log = originalLog;
+  assert(replayed, 'run-replay reproduces the recorded adaptive session');
+
+  console.log('\n🎉 All adaptive scheduling tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
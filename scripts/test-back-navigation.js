@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test back-navigation - served questions can be revisited through a cursor,
+ * answers revised before finalize, and everything is gated on ALLOW_BACKNAV
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const featureFlags = require('../engine/featureFlags');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function expectError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+function answerAll(engine, sessionId, answerFor) {
+  let question;
+  while ((question = engine.getNextQuestion(sessionId))) {
+    engine.submitAnswer(sessionId, question.qid, answerFor(question));
+    if (engine.sessionStore.get(sessionId).state === 'FINALIZING') break;
+  }
+}
+
+console.log('🧪 Testing back-navigation...\n');
+
+try {
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+
+  // 1. Cursor over the served questions
+  console.log('1️⃣ Revisiting questions...');
+  const { session_id } = engine.initSession('backnav-test-001', bankPath,
+    { privacy: { privacy_flags: { allow_analytics: true } } });
+  engine.setPicks(session_id, pickedFamilies);
+  const served = [];
+  for (let i = 0; i < 3; i++) {
+    const question = engine.getNextQuestion(session_id);
+    served.push(question);
+    engine.submitAnswer(session_id, question.qid, 'A');
+  }
+
+  const previous = engine.getPreviousQuestion(session_id);
+  assert(previous.qid === served[1].qid && previous.index === 2, 'getPreviousQuestion steps back one question');
+  assert(previous.answered_key === 'A', 'Revisited question carries its current answer');
+  assert(engine.getPreviousQuestion(session_id).qid === served[0].qid, 'Stepping back again reaches the first question');
+  assert(expectError(() => engine.getPreviousQuestion(session_id), 'E_NO_PREVIOUS_QUESTION'), 'Nothing before the first question');
+
+  const third = engine.getQuestionAt(session_id, 3);
+  assert(third.qid === served[2].qid && third.index === 3 && third.total === 18, 'getQuestionAt jumps to a served index');
+  assert(expectError(() => engine.getQuestionAt(session_id, 4), 'E_BAD_INDEX'), 'Unserved indexes are rejected');
+
+  // 2. Revising an answer and moving forward again
+  console.log('\n2️⃣ Revising answers...');
+  engine.getQuestionAt(session_id, 1);
+  const before = store.get(session_id).line_state;
+  const revised = engine.submitAnswer(session_id, served[0].qid, 'B');
+  assert(revised.answers_count === 3 && revised.remaining === 15, 'Revising keeps the answer count');
+  assert(JSON.stringify(store.get(session_id).line_state) !== JSON.stringify(before), 'Revised answer replaces its effects');
+  assert(engine.telemetry.getTelemetrySummary().counters.answers_changed === 1, 'recordAnswerChanged telemetry is emitted (the session consented to analytics)');
+
+  assert(engine.getNextQuestion(session_id).qid === served[1].qid, 'getNextQuestion steps forward through served questions');
+  engine.getNextQuestion(session_id);
+  const fresh = engine.getNextQuestion(session_id);
+  assert(fresh.index === 4 && !served.some(question => question.qid === fresh.qid), 'At the newest question, a new one is served');
+
+  // 3. Revising from FINALIZING
+  console.log('\n3️⃣ Revising before finalize...');
+  engine.submitAnswer(session_id, fresh.qid, 'A');
+  answerAll(engine, session_id, () => 'A');
+  assert(store.get(session_id).state === 'FINALIZING', 'Session reaches FINALIZING');
+
+  const last = engine.getPreviousQuestion(session_id);
+  engine.submitAnswer(session_id, last.qid, 'B');
+  assert(store.get(session_id).state === 'FINALIZING', 'Revising from FINALIZING keeps the session FINALIZING');
+  assert(engine.getNextQuestion(session_id).index === 18, 'Stepping forward returns to the last question');
+
+  const results = engine.finalizeSession(session_id);
+  assert(results && store.get(session_id).state === 'FINALIZED', 'Revised session finalizes');
+  assert(expectError(() => engine.getQuestionAt(session_id, 1), 'E_STATE'), 'Finalized sessions cannot be revisited');
+
+  // Revising every answer to its C option undoes the O/F lines and everything the old options credited
+  const optionFor = (qid, clean) => engine.bankLoader.getQuestion(qid).options.find(option => (option.lineCOF === 'C') === clean).id;
+  const { session_id: revisedAll } = engine.initSession('backnav-test-003', bankPath);
+  engine.setPicks(revisedAll, pickedFamilies);
+  answerAll(engine, revisedAll, question => optionFor(question.qid, false));
+  const answered = store.get(revisedAll).answers.map(answer => answer.qid);
+  answered.forEach(qid => engine.submitAnswer(revisedAll, qid, optionFor(qid, true)));
+  const revisedResults = engine.finalizeSession(revisedAll);
+
+  const cleanEngine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+  const { session_id: cleanAll } = cleanEngine.initSession('backnav-test-003', bankPath);
+  cleanEngine.setPicks(cleanAll, pickedFamilies);
+  answerAll(cleanEngine, cleanAll, question => optionFor(question.qid, true));
+  const cleanResults = cleanEngine.finalizeSession(cleanAll);
+
+  assert(Object.values(revisedResults.line_verdicts).every(verdict => verdict === 'C'),
+    'Revising every answer to C turns every line verdict to C');
+  assert(['line_verdicts', 'face_states', 'family_reps', 'qa_flags'].every(field =>
+    JSON.stringify(revisedResults[field]) === JSON.stringify(cleanResults[field])),
+  'Revised sessions score like sessions answered that way from the start');
+  assert(JSON.stringify(store.get(revisedAll).face_ledger) === JSON.stringify(cleanEngine.sessionStore.get(cleanAll).face_ledger) &&
+    JSON.stringify(store.get(revisedAll).screen_face_count) === JSON.stringify(cleanEngine.sessionStore.get(cleanAll).screen_face_count),
+  'The face ledger and screen caps are rebuilt, contrast and tell metadata included');
+
+  // 4. Persistence
+  console.log('\n4️⃣ Persistence...');
+  const shared = new MemorySessionStore();
+  const first = new PFFEngine({ sessionStore: shared, idleTimeoutMs: 0 });
+  const persisted = first.initSession('backnav-test-002', bankPath).session_id;
+  first.setPicks(persisted, pickedFamilies);
+  const q1 = first.getNextQuestion(persisted);
+  first.submitAnswer(persisted, q1.qid, 'A');
+  const q2 = first.getNextQuestion(persisted);
+  first.submitAnswer(persisted, q2.qid, 'A');
+  first.getPreviousQuestion(persisted);
+
+  const second = new PFFEngine({ sessionStore: shared, idleTimeoutMs: 0 });
+  second.bankLoader.loadBank(bankPath);
+  assert(second.getNextQuestion(persisted).qid === q2.qid, 'Another instance continues from the stored cursor');
+
+  second.getQuestionAt(persisted, 1);
+  second.pauseSession(persisted, 'test');
+  assert(second.resumeSession(persisted).next_question.qid === q1.qid, 'Resume shows the revisited question again');
+
+  // 5. Kill switch
+  console.log('\n5️⃣ ALLOW_BACKNAV...');
+  featureFlags.overrideKillSwitch('ALLOW_BACKNAV', false);
+  const blockedPrevious = expectError(() => second.getQuestionAt(persisted, 2), 'E_BACKNAV_DISABLED');
+  const blockedChange = expectError(() => second.submitAnswer(persisted, q1.qid, 'B'), 'E_BACKNAV_DISABLED');
+  featureFlags.overrideKillSwitch('ALLOW_BACKNAV', true);
+  assert(blockedPrevious, 'Revisiting raises E_BACKNAV_DISABLED');
+  assert(blockedChange, 'Changing an answer raises E_BACKNAV_DISABLED');
+
+  console.log('\n🎉 All back-navigation tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
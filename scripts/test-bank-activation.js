@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Test hot bank activation - activations and rollbacks written to the freeze state are
+ * picked up by running engines without a restart, freezes reject activations, failed
+ * activations keep the current bank, and every switch is reported to monitoring
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-bank-activation-'));
+process.env.BANK_FREEZE_DIR = tmpDir;
+
+const { PFFEngine, toHttpError } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const bankFreezePolicy = require('../engine/bankFreezePolicy');
+const monitoring = require('../engine/monitoring');
+
+const packagedDir = path.join(__dirname, '..', 'bank', 'packaged');
+const oldBankPath = path.join(packagedDir, 'bank_package.json');
+const newBankPath = path.join(packagedDir, 'bank_package_signed.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Wait until the watching engine has switched to the expected bank
+ */
+async function waitForBank(engine, bankHash) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (engine.bankLoader.bankPackage && engine.bankLoader.getBankHash() === bankHash) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+console.log('🧪 Testing hot bank activation...\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+const events = [];
+['activated', 'rolled_back', 'activation_rejected', 'activation_failed'].forEach(type => {
+  monitoring.on(`bank:${type}`, event => events.push(event));
+});
+
+async function runTests() {
+  const store = new MemorySessionStore();
+  const admin = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+  const worker = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+
+  try {
+    // 1. Startup
+    console.log('1️⃣ Startup...');
+    console.log = () => {};
+    const oldHash = admin.ensureActiveBank(oldBankPath);
+    worker.ensureActiveBank(newBankPath);
+    worker.unwatchActiveBank();
+    worker.watchActiveBank(20);
+    const { session_id: inFlight } = worker.initSession('bank-activation-test-001');
+    console.log = originalLog;
+    assert(bankFreezePolicy.loadFreezeState().active_bank.bank_hash === oldHash,
+      'The default bank is recorded as active when none was activated');
+    assert(worker.bankLoader.getBankHash() === oldHash, 'Other instances start on the recorded active bank');
+
+    // 2. Activation
+    console.log('\n2️⃣ Activation...');
+    console.log = () => {};
+    const activation = admin.activateBank(newBankPath);
+    console.log = originalLog;
+    const newHash = activation.bank_hash;
+    assert(activation.previous_bank_hash === oldHash && admin.bankLoader.getBankHash() === newHash,
+      'Activation switches the bank new sessions use');
+    console.log = () => {};
+    const switched = await waitForBank(worker, newHash);
+    console.log = originalLog;
+    assert(switched, 'Watching engines switch without a restart');
+    assert(store.get(worker.initSession('bank-activation-test-002').session_id).bank_hash === newHash,
+      'New sessions start on the activated bank');
+    assert(store.get(inFlight).bank_hash === oldHash && worker.setPicks(inFlight, ['Control']).state === 'PICKED',
+      'In-flight sessions continue on their bank');
+    assert(events.some(event => event.type === 'activated' && event.bank_hash === newHash &&
+      event.previous_bank_hash === oldHash), 'Activations are reported to monitoring');
+
+    // 3. Freeze
+    console.log('\n3️⃣ Freeze...');
+    console.log = () => {};
+    bankFreezePolicy.freezeBankSystem('Bank defect runtime errors');
+    console.log = originalLog;
+    const frozen = rejection(() => admin.activateBank(oldBankPath));
+    assert(frozen.code === 'E_BANK_FROZEN' && toHttpError(frozen).status === 409, 'Activations are rejected while frozen');
+    assert(admin.bankLoader.getBankHash() === newHash && events.some(event => event.type === 'activation_rejected'),
+      'Rejected activations keep the active bank and are reported');
+
+    // 4. Rollback
+    console.log('\n4️⃣ Rollback...');
+    console.log = () => {};
+    const rollback = admin.rollbackBank('QA flags rate doubled');
+    const rolledBack = await waitForBank(worker, oldHash);
+    console.log = originalLog;
+    assert(rollback.action === 'rollback' && rollback.to_bank_hash === oldHash && rollback.from_bank_hash === newHash,
+      'Rollback returns the incident playbook action');
+    assert(admin.bankLoader.getBankHash() === oldHash && rolledBack, 'Every instance rolls back to the previous bank');
+    assert(events.some(event => event.type === 'rolled_back' && event.bank_hash === oldHash), 'Rollbacks are reported');
+    assert(rejection(() => admin.rollbackBank()).code === 'E_BANK_NOT_FOUND', 'Rollback needs a previous bank');
+    console.log = () => {};
+    bankFreezePolicy.unfreezeBankSystem();
+    console.log = originalLog;
+
+    // 5. Failed activation
+    console.log('\n5️⃣ Failed activation...');
+    const tampered = JSON.parse(fs.readFileSync(newBankPath, 'utf8'));
+    tampered.meta.bank_hash_sha256 = 'f'.repeat(64);
+    const tamperedPath = path.join(tmpDir, 'bank_package_tampered.json');
+    fs.writeFileSync(tamperedPath, JSON.stringify(tampered));
+    console.log = () => {};
+    console.error = () => {};
+    const failed = rejection(() => admin.activateBank(tamperedPath));
+    bankFreezePolicy.setActiveBank(tampered.meta.bank_id, tamperedPath, tampered.meta.bank_hash_sha256);
+    const syncFailure = rejection(() => worker.syncActiveBank());
+    console.log = originalLog;
+    console.error = originalError;
+    assert(failed && syncFailure, 'Banks that fail verification are not activated');
+    assert(admin.bankLoader.getBankHash() === oldHash && worker.bankLoader.getBankHash() === oldHash,
+      'The current bank stays active after a failed activation');
+    assert(events.filter(event => event.type === 'activation_failed').length === 2, 'Failed activations are reported');
+
+    admin.unwatchActiveBank();
+    worker.unwatchActiveBank();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('\n🎉 All hot bank activation tests passed!');
+    process.exit(0);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    admin.unwatchActiveBank();
+    worker.unwatchActiveBank();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+runTests();
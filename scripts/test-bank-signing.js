@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Test bank signing - packages are signed with Ed25519 per environment and
+ * BankLoader refuses unsigned or mis-signed packages unless ALLOW_UNSIGNED_BANKS
+ * is set in an environment that permits it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const BankLoader = require('../engine/bankLoader');
+const SecurityManager = require('../engine/security');
+const multiEnvConfig = require('../engine/multiEnvConfig');
+const { generateKeyPair, getPublicKeyBase64, signBankPackage, verifyBankSignature } = require('../engine/bankSignature');
+
+const packagedDir = path.join(__dirname, '..', 'bank', 'packaged');
+const bankPath = path.join(packagedDir, 'bank_package.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function readBank() {
+  return JSON.parse(fs.readFileSync(bankPath, 'utf8'));
+}
+
+function writeBank(dir, name, bank) {
+  const filePath = path.join(dir, `${name}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(bank, null, 2));
+  return filePath;
+}
+
+/**
+ * Load a bank with the given environment variables set, returning the error code if it fails
+ */
+function loadCode(filePath, env = {}) {
+  const saved = {};
+  Object.keys(env).forEach(key => {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  });
+
+  try {
+    new BankLoader().loadBank(filePath);
+    return null;
+  } catch (error) {
+    return error.code || error.message;
+  } finally {
+    Object.keys(saved).forEach(key => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+  }
+}
+
+console.log('🧪 Testing bank signing...\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-signing-'));
+const originalLog = console.log;
+const originalWarn = console.warn;
+const quiet = () => {
+  console.log = () => {};
+  console.warn = () => {};
+};
+const loud = () => {
+  console.log = originalLog;
+  console.warn = originalWarn;
+};
+
+try {
+  // 1. Packaged banks verify against the development key
+  console.log('1️⃣ Packaged banks...');
+  const devKey = multiEnvConfig.getBankVerifyKey('development');
+  ['bank_package.json', 'bank_package_signed.json'].forEach(file => {
+    const bank = JSON.parse(fs.readFileSync(path.join(packagedDir, file), 'utf8'));
+    const verification = verifyBankSignature(bank, devKey);
+    if (!verification.valid || bank.meta.signature_algorithm !== 'ed25519') {
+      throw new Error(`${file} does not verify: ${verification.error}`);
+    }
+  });
+  console.log('   ✅ Packaged banks carry valid Ed25519 signatures');
+
+  quiet();
+  const loadError = loadCode(bankPath);
+  loud();
+  assert(loadError === null, 'BankLoader loads the signed package');
+  assert(new SecurityManager().validateBankSignature(readBank(), devKey).valid,
+    'SecurityManager.validateBankSignature verifies the signature');
+
+  // 2. Tampering is detected
+  console.log('\n2️⃣ Tampered packages...');
+  const tampered = readBank();
+  Object.values(tampered.questions)[0].questions[0].options[0].tells = [];
+  const tamperedPath = writeBank(tmpDir, 'tampered', tampered);
+
+  const relabeled = readBank();
+  relabeled.meta.signed_by = 'production';
+  const relabeledPath = writeBank(tmpDir, 'relabeled', relabeled);
+
+  const otherKeys = generateKeyPair();
+  const foreign = readBank();
+  signBankPackage(foreign, otherKeys.privateKey, 'development');
+  const foreignPath = writeBank(tmpDir, 'foreign', foreign);
+
+  const unsigned = readBank();
+  ['signature', 'signature_algorithm', 'signed_at', 'signed_by'].forEach(field => delete unsigned.meta[field]);
+  const unsignedPath = writeBank(tmpDir, 'unsigned', unsigned);
+
+  quiet();
+  const codes = {
+    tampered: loadCode(tamperedPath),
+    relabeled: loadCode(relabeledPath),
+    foreign: loadCode(foreignPath),
+    foreignWithKey: loadCode(foreignPath, { BANK_VERIFY_KEY: otherKeys.publicKeyBase64 }),
+    unsigned: loadCode(unsignedPath)
+  };
+  loud();
+  assert(codes.tampered === 'E_BANK_SIGNATURE_INVALID', 'Edited content raises E_BANK_SIGNATURE_INVALID');
+  assert(codes.relabeled === 'E_BANK_SIGNATURE_INVALID', 'Signature metadata is covered by the signature');
+  assert(codes.foreign === 'E_BANK_SIGNATURE_INVALID', 'Packages signed with another key are refused');
+  assert(codes.foreignWithKey === null, 'BANK_VERIFY_KEY overrides the configured public key');
+  assert(codes.unsigned === 'E_BANK_UNSIGNED', 'Unsigned packages raise E_BANK_UNSIGNED');
+
+  // 3. Dev override
+  console.log('\n3️⃣ ALLOW_UNSIGNED_BANKS...');
+  quiet();
+  const devOverride = loadCode(unsignedPath, { ALLOW_UNSIGNED_BANKS: 'true' });
+  const devTampered = loadCode(tamperedPath, { ALLOW_UNSIGNED_BANKS: 'true' });
+  const prodOverride = loadCode(unsignedPath, { ALLOW_UNSIGNED_BANKS: 'true', NODE_ENV: 'production' });
+  const prodSigned = loadCode(bankPath, { NODE_ENV: 'production' });
+  const testSigned = loadCode(bankPath, { NODE_ENV: 'test' });
+  loud();
+  assert(devOverride === null && devTampered === null, 'Development loads unsigned and mis-signed banks with the override');
+  assert(prodOverride === 'E_BANK_UNSIGNED', 'Production ignores the override');
+  assert(prodSigned === 'E_BANK_SIGNATURE_INVALID', 'Production refuses banks when no production key is configured');
+  assert(testSigned === null, 'NODE_ENV=test (jest) verifies banks against the development key');
+  const testSignedPath = writeBank(tmpDir, 'test-signed', unsigned);
+  execFileSync(process.execPath, [path.join(__dirname, 'sign-bank.js'), 'sign', testSignedPath],
+    { env: { ...process.env, NODE_ENV: 'test' }, stdio: 'ignore' });
+  assert(JSON.parse(fs.readFileSync(testSignedPath, 'utf8')).meta.signed_by === 'development',
+    'sign-bank.js signs as development under NODE_ENV=test');
+
+  // 4. Environment key pairs
+  console.log('\n4️⃣ Environment packages...');
+  const stagingKeys = generateKeyPair();
+  process.env.BANK_SIGNING_KEY = stagingKeys.privateKey;
+  process.env.BANK_VERIFY_KEY = stagingKeys.publicKeyBase64;
+  const stagingBank = multiEnvConfig.createEnvironmentBankPackage(readBank(), 'staging');
+  const stagingResult = multiEnvConfig.validateEnvironmentBankPackage(stagingBank, 'staging');
+  delete process.env.BANK_VERIFY_KEY;
+  const devResult = multiEnvConfig.validateEnvironmentBankPackage({ ...stagingBank, meta: { ...stagingBank.meta, environment: 'development' } }, 'development');
+  delete process.env.BANK_SIGNING_KEY;
+  assert(stagingBank.meta.signed_by === 'staging' && stagingResult.valid, 'Staging packages verify against the staging key');
+  assert(!devResult.valid && devResult.errors.some(error => /signature is invalid/.test(error)),
+    'Staging packages do not verify against the development key');
+
+  // 5. Clean checkout: no keys/ directory and no key in the environment
+  console.log('\n5️⃣ Clean checkout...');
+  assert(Object.values(multiEnvConfig.ENV_CONFIGS).every(config => !config.bank_verify_key),
+    'No environment config carries a verify key');
+  const keysDir = fs.mkdtempSync(path.join(tmpDir, 'keys-'));
+  const cleanEnv = { ...process.env, BANK_KEYS_DIR: keysDir };
+  ['BANK_SIGNING_KEY', 'BANK_VERIFY_KEY', 'ALLOW_UNSIGNED_BANKS', 'NODE_ENV'].forEach(key => delete cleanEnv[key]);
+  quiet();
+  const keylessLoad = loadCode(bankPath, { BANK_KEYS_DIR: keysDir });
+  loud();
+  assert(keylessLoad === 'E_BANK_SIGNATURE_INVALID', 'Without a local key development has nothing to verify against');
+  const scriptsDir = __dirname;
+  const packedDir = path.join(tmpDir, 'packed');
+  execFileSync(process.execPath, [path.join(scriptsDir, 'pack-bank.js'), '--out', packedDir], { env: cleanEnv, stdio: 'ignore' });
+  const localKeyPath = path.join(keysDir, 'development.key');
+  const localKey = fs.existsSync(localKeyPath) && getPublicKeyBase64(fs.readFileSync(localKeyPath, 'utf8'));
+  const packedPath = path.join(packedDir, 'bank_package.json');
+  const packed = JSON.parse(fs.readFileSync(packedPath, 'utf8'));
+  assert(localKey && packed.meta.signed_by === 'development' && verifyBankSignature(packed, localKey).valid,
+    'npm run pack generates a local development key and signs bank_package.json with it');
+  quiet();
+  const packedLoad = loadCode(packedPath, { BANK_KEYS_DIR: keysDir });
+  loud();
+  assert(packedLoad === null, 'The engine verifies the freshly packed bank against the local key');
+
+  execFileSync(process.execPath, [path.join(scriptsDir, 'sign-bank.js'), 'sign', unsignedPath], { env: cleanEnv, stdio: 'ignore' });
+  quiet();
+  const resignedLoad = loadCode(unsignedPath, { BANK_KEYS_DIR: keysDir });
+  loud();
+  assert(resignedLoad === null && fs.readdirSync(tmpDir).every(file => file !== 'bank_package_signed.json'),
+    'sign-bank.js signs the package it is given in place');
+  execFileSync(process.execPath, [path.join(scriptsDir, 'sign-bank.js'), 'verify', unsignedPath], { env: cleanEnv, stdio: 'ignore' });
+  console.log('   ✅ sign-bank.js verify accepts it');
+
+  console.log('\n🎉 All bank signing tests passed!');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(0);
+} catch (error) {
+  loud();
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+}
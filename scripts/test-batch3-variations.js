@@ -379,7 +379,7 @@ class Batch3TestVariations {
       if (question) {
         questions.push(question);
         // Use specific pattern for contrast testing
-        const answer = (i + question.familyScreen) % 2 === 0 ? 'A' : 'B';
+        const answer = (i + question.index) % 2 === 0 ? 'A' : 'B';
         await this.engine.submitAnswer(sessionId, question.qid, answer);
       }
     }
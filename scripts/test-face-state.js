@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test the face-state evaluator - gate order, every constants field, the gate returned with
+ * each state, and that finalize and replays decide states with it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FACE_STATE_GATES, computeFaceMetrics, evaluateFaceState, evaluateFaceLedger } = require('../engine/faceState');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { MockEngine } = require('./run-replay');
+
+const constantsPath = path.join(__dirname, '..', 'bank', 'constants', 'constants.default.json');
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const { DEFAULT, STRICT, LENIENT } = JSON.parse(fs.readFileSync(constantsPath, 'utf8')).profiles;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+/**
+ * Metrics of a face that passes every DEFAULT LIT gate, with overrides
+ */
+function metrics(overrides = {}) {
+  return { Q: 6, FAM: 4, SIG: 2, CLEAN: 4, BENT: 1, BROKEN: 1, TOTAL: 6, MAX_FAM_SHARE: 0.34, contrast_seen: true, ...overrides };
+}
+
+function gateOf(overrides, constants = DEFAULT) {
+  return evaluateFaceState(metrics(overrides), constants).gate;
+}
+
+console.log('🧪 Testing the face-state evaluator...\n');
+
+const originalLog = console.log;
+
+try {
+  // 1. Gates
+  console.log('1️⃣ Gates...');
+  assert(JSON.stringify(evaluateFaceState(metrics(), DEFAULT)) === JSON.stringify({ state: 'LIT', gate: 'LIT' }),
+    'Faces passing every LIT gate are LIT');
+  assert(gateOf({ Q: 5, SIG: 1, CLEAN: 2, BROKEN: 0 }) === 'LEAN' && gateOf({ Q: 3, FAM: 2, BROKEN: 0 }) === 'COLD' &&
+    gateOf({ Q: 0 }) === 'NO_EVIDENCE' && gateOf({ Q: 3, FAM: 1, MAX_FAM_SHARE: 0.3 }) === 'BELOW_COLD',
+  'LEAN, COLD and ABSENT are decided by their own gates');
+  assert(gateOf({ FAM: 2 }) === 'NARROW' && gateOf({ BROKEN: 4, CLEAN: 4 }) === 'BROKEN_CAP' &&
+    gateOf({ MAX_FAM_SHARE: 0.5 }) === 'CONCENTRATED', 'GHOST is decided by narrow evidence, the broken cap or concentration');
+  assert(gateOf({ Q: 1, FAM: 1, CLEAN: 0, BENT: 1, BROKEN: 0, MAX_FAM_SHARE: 1 }) === 'BROKEN_CAP' &&
+    gateOf({ Q: 1, FAM: 1, CLEAN: 1, BROKEN: 0, MAX_FAM_SHARE: 1 }) === 'CONCENTRATED',
+  'One question is evidence: it is GHOST, not ABSENT');
+  assert(gateOf({ Q: 5, FAM: 2, MAX_FAM_SHARE: 0.4 }, LENIENT) === 'LEAN',
+    'NARROW takes six questions whatever the profile\'s LIT minimum');
+  assert(gateOf({ Q: 5, SIG: 1, CLEAN: 2, BROKEN: 2 }) === 'BROKEN_CAP' && gateOf({ Q: 4, FAM: 3, MAX_FAM_SHARE: 0.5 }) === 'CONCENTRATED',
+    'GHOST wins over LEAN');
+  assert(Object.values(FACE_STATE_GATES).every(state => ['LIT', 'LEAN', 'GHOST', 'COLD', 'ABSENT'].includes(state)),
+    'Every gate decides a face state');
+
+  // 2. Constants fields
+  console.log('\n2️⃣ Constants fields...');
+  assert(gateOf({ contrast_seen: false }) === 'LEAN' && gateOf({ contrast_seen: false }, { ...DEFAULT, REQUIRE_CONTRAST: false }) === 'LIT',
+    'REQUIRE_CONTRAST holds LIT back until contrast is seen');
+  const overridden = { Q: 8, FAM: 5, CLEAN: 6, BROKEN: 2, TOTAL: 8 };
+  assert(gateOf(overridden) === 'CLEAN_OVERRIDE' && evaluateFaceState(metrics(overridden), DEFAULT).state === 'LIT',
+    'CLEAN_OVERRIDE lets clean, broad faces be LIT with ALLOW_BROKEN broken hits');
+  assert(gateOf(overridden, { ...DEFAULT, ALLOW_CLEAN_OVERRIDE: false }) === 'LEAN' &&
+    gateOf({ ...overridden, FAM: 4 }) === 'LEAN' && gateOf({ ...overridden, BROKEN: 3 }) === 'LEAN',
+  'ALLOW_CLEAN_OVERRIDE switches the override off, faces short of it stay LEAN');
+  assert(gateOf({ ...overridden, SIG: 3, Q: 7 }, STRICT) === 'LEAN', 'Profiles without CLEAN_OVERRIDE never override');
+  assert(gateOf({ BROKEN: 4, CLEAN: 4, Q: 9, TOTAL: 9 }, { ...DEFAULT, BROKEN_CAP_LIT: { BROKEN_LT_CLEAN: false }, LIT_MAX_BROKEN: 4 }) === 'BROKEN_CAP',
+    'BROKEN >= CLEAN is GHOST whatever BROKEN_CAP_LIT says');
+  assert(gateOf({}, STRICT) === 'LEAN' && gateOf({ Q: 5, FAM: 3, SIG: 1, CLEAN: 3 }, LENIENT) === 'LIT' &&
+    gateOf({ MAX_FAM_SHARE: 0.45 }, { ...DEFAULT, PER_SCREEN_CAP: 0.5 }) === 'LIT',
+  'LIT_* minimums and PER_SCREEN_CAP come from the profile');
+
+  // 3. Metrics
+  console.log('\n3️⃣ Metrics...');
+  const ledger = {
+    questions_hit: new Set(['A', 'B', 'C']),
+    families_hit: new Set([1, 2]),
+    signature_qids: new Set(['A']),
+    context_counts: { Clean: 2, Bent: 0, Broken: 1 },
+    per_family_counts: { 1: 2, 2: 1 },
+    contrast_seen: true
+  };
+  const serialized = { ...ledger, questions_hit: ['A', 'B', 'C'], families_hit: [1, 2], signature_qids: ['A'] };
+  assert(JSON.stringify(computeFaceMetrics(ledger)) === JSON.stringify(computeFaceMetrics(serialized)) &&
+    computeFaceMetrics(ledger).MAX_FAM_SHARE === 2 / 3, 'Live and serialized ledgers give the same metrics');
+  const states = evaluateFaceLedger(new Map([['FACE/Control/Sovereign', ledger]]), DEFAULT);
+  assert(states['FACE/Control/Sovereign'].gate === 'CONCENTRATED' && states['FACE/Control/Sovereign'].metrics.Q === 3,
+    'Face ledgers are evaluated face by face');
+
+  // 4. Engine and replays
+  console.log('\n4️⃣ Engine and replays...');
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+  console.log = () => {};
+  const { session_id } = engine.initSession('face-state-test-001', bankPath);
+  engine.setPicks(session_id, ['Control', 'Pace', 'Truth']);
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  const results = engine.finalizeSession(session_id);
+  console.log = originalLog;
+  const evaluated = evaluateFaceLedger(engine.sessionStore.get(session_id).face_ledger, engine.bankLoader.getConstants());
+  assert(Object.entries(results.face_states).every(([faceId, faceState]) =>
+    faceState.state === evaluated[faceId].state && faceState.gate === evaluated[faceId].gate),
+  'Finalize returns the evaluator\'s state and gate for every face');
+  assert(['_isLIT', '_isLEAN', '_isGHOST', '_applyStateGates'].every(method => !(method in engine)),
+    'The engine keeps no gates of its own');
+
+  const mock = new MockEngine();
+  mock.initSession('mock', 'seed', ['Control'], 'hash', 'STRICT');
+  mock.submitAnswer('mock', { qid: 'PACE_Q1', familyScreen: 2, lineCOF: 'C', tells: ['TELL/Pace/Navigator/x'] });
+  mock.submitAnswer('mock', { qid: 'TRUTH_Q1', familyScreen: 3, lineCOF: 'C', tells: ['TELL/Pace/Navigator/y'] });
+  mock.submitAnswer('mock', { qid: 'STRESS_Q1', familyScreen: 4, lineCOF: 'C', tells: ['TELL/Pace/Navigator/z'] });
+  assert(mock.finalizeSession('mock').face_states['FACE/Pace/Navigator'].state === 'COLD',
+    'Mock replays decide states with the evaluator');
+
+  console.log('\n🎉 All face-state tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
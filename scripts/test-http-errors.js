@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test HTTP error mapping - errors thrown by the engine map to the HTTP status the API
+ * routes answer with, inside a stable { code, message, hint } envelope
+ */
+
+const path = require('path');
+const { PFFEngine, getHttpStatus, toHttpError } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { ENGINE_HTTP_STATUS } = require('../engine/httpErrors');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function httpErrorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return toHttpError(error);
+  }
+  throw new Error('Expected the engine call to throw');
+}
+
+console.log('🧪 Testing HTTP error mapping...\n');
+
+const originalLog = console.log;
+
+try {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+  console.log = () => {};
+  const { session_id } = engine.initSession('http-errors-test-001', bankPath);
+  console.log = originalLog;
+
+  // 1. Engine errors
+  console.log('1️⃣ Engine errors...');
+  const notFound = httpErrorOf(() => engine.getNextQuestion('0000000000000000'));
+  assert(notFound.status === 404 && notFound.body.code === 'E_SESSION_NOT_FOUND', 'Unknown sessions are 404');
+
+  const state = httpErrorOf(() => engine.finalizeSession(session_id));
+  assert(state.status === 409 && state.body.code === 'E_STATE', 'State conflicts are 409');
+
+  const picks = httpErrorOf(() => engine.setPicks(session_id, ['Control', 'Nope']));
+  assert(picks.status === 422 && picks.body.code === 'E_INVALID_FAMILY', 'Rejected picks are 422');
+
+  console.log = () => {};
+  engine.setPicks(session_id, ['Control', 'Truth', 'Stress']);
+  console.log = originalLog;
+  const question = engine.getNextQuestion(session_id);
+  const option = httpErrorOf(() => engine.submitAnswer(session_id, question.qid, 'Z'));
+  assert(option.status === 422 && option.body.code === 'E_BAD_OPTION', 'Unknown options are 422');
+
+  // 2. Envelope
+  console.log('\n2️⃣ Envelope...');
+  assert(JSON.stringify(Object.keys(option.body)) === JSON.stringify(['code', 'message', 'hint']),
+    'Envelope carries exactly code, message and hint');
+  assert(option.body.message.length > 0 && option.body.hint !== undefined, 'Envelope keeps the engine message and hint');
+
+  const internal = toHttpError(new Error('database password is hunter2'));
+  assert(internal.status === 500 && internal.body.code === 'E_INTERNAL_ERROR' &&
+    internal.body.message === 'Internal server error', 'Uncoded errors are 500 without leaking their message');
+
+  // 3. Status table
+  console.log('\n3️⃣ Status table...');
+  assert(getHttpStatus('E_RATE_LIMIT_EXCEEDED') === 429, 'Rate limiting is 429');
+  assert(getHttpStatus('E_RESULTS_DISABLED') === 503 && getHttpStatus('E_BANK_SIGNATURE_INVALID') === 503,
+    'Bank and feature outages are 503');
+  assert(getHttpStatus('E_REQUIRED_FIELD_MISSING') === 400 && getHttpStatus('E_AUTHENTICATION_FAILED') === 401,
+    'Codes outside the engine table fall back to the error codes registry');
+  assert(getHttpStatus('E_NOT_A_CODE') === 500, 'Unknown codes are 500');
+  assert(Object.values(ENGINE_HTTP_STATUS).every(status => [403, 404, 409, 410, 422, 429, 503].includes(status)),
+    'Engine table only uses client-actionable statuses');
+
+  console.log('\n🎉 All HTTP error mapping tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
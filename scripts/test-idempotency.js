@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test idempotent submissions and serialized mutations - retried submits with the same
+ * idempotency key return the cached result, requests for one session run one at a time,
+ * and finalizeSession is computed exactly once even when two instances race on a store
+ */
+
+const path = require('path');
+const { PFFEngine, toHttpError } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+/**
+ * Memory store that runs `beforeNextWrite` once, just before the next compareAndSet,
+ * so another instance can win the write in between a read and a save
+ */
+class RacingStore extends MemorySessionStore {
+  compareAndSet(sessionId, expectedRevision, record) {
+    const hook = this.beforeNextWrite;
+    this.beforeNextWrite = null;
+    if (hook) {
+      hook();
+    }
+    return super.compareAndSet(sessionId, expectedRevision, record);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function startSession(engine, seed) {
+  const { session_id } = engine.initSession(seed, bankPath);
+  engine.setPicks(session_id, pickedFamilies);
+  return session_id;
+}
+
+/**
+ * Answer until the session leaves IN_PROGRESS; returns the last question answered
+ */
+function answerAll(engine, sessionId) {
+  let last = null;
+  let question = engine.getNextQuestion(sessionId);
+  while (question) {
+    engine.submitAnswer(sessionId, question.qid, 'A', undefined, 0, `answer-${question.qid}`);
+    last = question;
+    if (engine.sessionStore.get(sessionId).state !== 'IN_PROGRESS') break;
+    question = engine.getNextQuestion(sessionId);
+  }
+  return last;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+console.log('🧪 Testing idempotency and serialized mutations...\n');
+
+const originalLog = console.log;
+
+async function runTests() {
+  try {
+    console.log = () => {};
+    const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+    const sessionId = startSession(engine, 'idempotency-test-001');
+    console.log = originalLog;
+
+    // 1. Retried submits
+    console.log('1️⃣ Retried submits...');
+    const question = engine.getNextQuestion(sessionId);
+    const first = engine.submitAnswer(sessionId, question.qid, 'A', undefined, 0, 'key-1');
+    const retry = engine.submitAnswer(sessionId, question.qid, 'A', undefined, 0, 'key-1');
+    assert(JSON.stringify(retry) === JSON.stringify(first), 'A retry with the same key returns the cached result');
+    assert(engine.sessionStore.get(sessionId).answers.length === 1, 'The answer is applied once');
+
+    const reused = rejection(() => engine.submitAnswer(sessionId, question.qid, 'B', undefined, 0, 'key-1'));
+    assert(reused.code === 'E_IDEMPOTENCY_KEY_REUSED' && toHttpError(reused).status === 422,
+      'Reusing a key for a different answer is refused');
+    const invalid = rejection(() => engine.submitAnswer(sessionId, question.qid, 'A', undefined, 0, 'x'.repeat(256)));
+    assert(invalid.code === 'E_INVALID_IDEMPOTENCY_KEY', 'Oversized keys are rejected');
+
+    const reloaded = new PFFEngine({ sessionStore: engine.sessionStore, idleTimeoutMs: 0 });
+    console.log = () => {};
+    reloaded.bankLoader.loadBank(bankPath);
+    console.log = originalLog;
+    assert(JSON.stringify(reloaded.submitAnswer(sessionId, question.qid, 'A', undefined, 0, 'key-1')) === JSON.stringify(first),
+      'Keys are persisted with the session and honoured by other instances');
+
+    // 2. Concurrent requests
+    console.log('\n2️⃣ Concurrent requests...');
+    const next = engine.getNextQuestion(sessionId);
+    const submits = await Promise.all([1, 2, 3].map(() => engine.serializeMutation(sessionId, async () => {
+      await tick();
+      return engine.submitAnswer(sessionId, next.qid, 'B', undefined, 0, 'key-2');
+    })));
+    assert(submits.every(result => JSON.stringify(result) === JSON.stringify(submits[0])) && submits[0].answers_count === 2,
+      'Concurrent submits with one key all get the same result');
+    assert(engine.sessionStore.get(sessionId).answers.length === 2, 'Concurrent submits record one answer');
+
+    const order = [];
+    await Promise.all([30, 10, 0].map((delay, index) => engine.serializeMutation(sessionId, async () => {
+      order.push(`start-${index}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      order.push(`end-${index}`);
+    })));
+    assert(order.join(',') === 'start-0,end-0,start-1,end-1,start-2,end-2', 'Requests for one session run in arrival order');
+
+    const failed = await engine.serializeMutation(sessionId, () => { throw new Error('boom'); }).catch(error => error);
+    const afterFailure = await engine.serializeMutation(sessionId, () => 'next');
+    assert(failed.message === 'boom' && afterFailure === 'next', 'A failed request does not block the queue');
+    await tick();
+    assert(engine.concurrency.getConcurrencyStats().queued_sessions === 0, 'Drained queues are released');
+
+    // 3. Racing instances
+    console.log('\n3️⃣ Racing instances...');
+    const store = new RacingStore();
+    console.log = () => {};
+    const instanceA = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+    const instanceB = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+    instanceB.bankLoader.loadBank(bankPath);
+    const racedId = startSession(instanceA, 'idempotency-test-002');
+    console.log = originalLog;
+
+    const racedQuestion = instanceA.getNextQuestion(racedId);
+    let winner = null;
+    store.beforeNextWrite = () => {
+      winner = instanceB.submitAnswer(racedId, racedQuestion.qid, 'A', undefined, 0, 'race-1');
+    };
+    const loser = instanceA.submitAnswer(racedId, racedQuestion.qid, 'A', undefined, 0, 'race-1');
+    assert(JSON.stringify(loser) === JSON.stringify(winner) && store.get(racedId).answers.length === 1,
+      'A retry that loses the write returns the winner\'s result');
+
+    const unkeyed = instanceA.getNextQuestion(racedId);
+    store.beforeNextWrite = () => instanceB.submitAnswer(racedId, unkeyed.qid, 'A');
+    assert(rejection(() => instanceA.submitAnswer(racedId, unkeyed.qid, 'A')).code === 'E_CONCURRENCY_CONFLICT',
+      'Unkeyed submits that lose the write still conflict');
+
+    const lastQuestion = answerAll(instanceA, racedId);
+    const lastRetry = instanceA.submitAnswer(racedId, lastQuestion.qid, 'A', undefined, 0, `answer-${lastQuestion.qid}`);
+    assert(store.get(racedId).state === 'FINALIZING' && lastRetry.remaining === 0,
+      'Retrying the last answer after the session moved on returns the cached result');
+
+    let finalizedByB = null;
+    store.beforeNextWrite = () => {
+      finalizedByB = instanceB.finalizeSession(racedId);
+    };
+    const finalizedByA = instanceA.finalizeSession(racedId);
+    const stored = store.get(racedId);
+    assert(stored.state === 'FINALIZED', 'The session is finalized');
+    assert(JSON.stringify(finalizedByA) === JSON.stringify(finalizedByB) &&
+      JSON.stringify(finalizedByA) === JSON.stringify(stored.results),
+      'Racing finalizes both return the one stored result');
+    assert(JSON.stringify(instanceA.finalizeSession(racedId)) === JSON.stringify(finalizedByB),
+      'Finalizing again returns the same result');
+
+    console.log('\n🎉 All idempotency and serialized mutation tests passed!');
+    process.exit(0);
+  } catch (error) {
+    console.log = originalLog;
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test localized question text - questions carry their stem and option text from the
+ * locale bundles packed next to the bank, resolved through the session's locale, its base
+ * language, declared fallbacks and the default locale; the bank lint fails on missing keys
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PFFEngine, toHttpError } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { LocaleBundles } = require('../engine/localeBundles');
+const { validateI18n, loadI18nSources } = require('./lint-bank');
+
+const bankDir = path.join(__dirname, '..', 'bank');
+const bankPath = path.join(bankDir, 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Copy the packaged bank and its bundles to a temporary directory with extra locales:
+ * es (stems only), pt-BR (falls back to es) and en-GB (one override)
+ */
+function createLocalizedBank(tmpDir, english) {
+  const i18nDir = path.join(tmpDir, 'i18n');
+  fs.mkdirSync(i18nDir);
+  fs.copyFileSync(bankPath, path.join(tmpDir, 'bank_package.json'));
+
+  const index = JSON.parse(fs.readFileSync(path.join(bankDir, 'packaged', 'i18n', 'index.json'), 'utf8'));
+  index.locales = ['en', 'en-GB', 'es', 'pt-BR'];
+  fs.writeFileSync(path.join(i18nDir, 'index.json'), JSON.stringify(index));
+  fs.writeFileSync(path.join(i18nDir, 'en.json'), JSON.stringify(english));
+
+  const bundle = (locale, fallback, strings) => fs.writeFileSync(path.join(i18nDir, `${locale}.json`),
+    JSON.stringify({ schema: 'i18n.bundle.v1', locale, fallback, bank_hash: index.bank_hash, strings }));
+  bundle('es', [], {
+    'stem.control.q1': 'El grupo no se pone de acuerdo en cómo empezar un proyecto. ¿Qué haces?'
+  });
+  bundle('pt-BR', ['es'], {});
+  bundle('en-GB', [], { 'opt.control.q1.a': 'Call one plan, set the rule, and tell everyone to get moving.' });
+
+  return path.join(tmpDir, 'bank_package.json');
+}
+
+console.log('🧪 Testing localized question text...\n');
+
+const originalLog = console.log;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-localization-'));
+
+try {
+  const english = JSON.parse(fs.readFileSync(path.join(bankDir, 'packaged', 'i18n', 'en.json'), 'utf8'));
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+
+  // 1. Default locale
+  console.log('1️⃣ Default locale...');
+  console.log = () => {};
+  const { session_id } = engine.initSession('localization-test-001', bankPath);
+  engine.setPicks(session_id, pickedFamilies);
+  const question = engine.getNextQuestion(session_id);
+  console.log = originalLog;
+  const bankQuestion = engine.bankLoader.getQuestion(question.qid);
+  assert(question.locale === 'en' && question.stem === english.strings[question.stem_key] && Boolean(question.stem),
+    'Questions carry their stem in the default locale');
+  assert(question.options.every((option, index) => option.text === bankQuestion.options[index].text),
+    'Default option text is the bank\'s option text');
+
+  const french = engine.getLocalizedQuestion(session_id, 'fr-CA');
+  assert(french.qid === question.qid && french.locale === 'en' && french.stem === question.stem,
+    'Locales without a bundle fall back to the default locale');
+  assert(rejection(() => engine.getLocalizedQuestion(session_id, 'not a locale')).code === 'E_INVALID_LOCALE' &&
+    toHttpError(rejection(() => engine.getLocalizedQuestion(session_id, '../en'))).status === 422,
+  'Malformed locales are rejected with 422');
+
+  // 2. Fallback locales
+  console.log('\n2️⃣ Fallback locales...');
+  const localizedEngine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+  console.log = () => {};
+  const localizedBank = createLocalizedBank(tmpDir, english);
+  const { session_id: spanish } = localizedEngine.initSession('localization-test-002', localizedBank, { locale: 'es-MX' });
+  localizedEngine.setPicks(spanish, ['Control']);
+  const first = localizedEngine.getNextQuestion(spanish);
+  console.log = originalLog;
+  assert(first.qid === 'CONTROL_Q1' && first.locale === 'es' && first.stem.startsWith('El grupo'),
+    'A regional locale falls back to its base language');
+  assert(first.options[0].text === english.strings['opt.control.q1.a'], 'Text missing in a locale comes from the default locale');
+  assert(localizedEngine.getLocalizedQuestion(spanish, 'pt-BR').stem === first.stem, 'Declared fallbacks are followed');
+  assert(localizedEngine.getLocalizedQuestion(spanish, 'en-GB').options[0].text.endsWith('get moving.') &&
+    localizedEngine.getLocalizedQuestion(spanish).locale === 'es', 'Switching locales does not change the session\'s locale');
+
+  const reloaded = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+  console.log = () => {};
+  reloaded.loadBank(localizedBank);
+  const restored = reloaded.getLocalizedQuestion(spanish);
+  console.log = originalLog;
+  assert(restored.stem === first.stem, 'The session\'s locale is stored with the session');
+  assert(rejection(() => engine.initSession('localization-test-003', bankPath, { locale: 'es_MX' })).code === 'E_INVALID_LOCALE',
+    'Sessions refuse malformed locales');
+
+  const bundles = new LocaleBundles();
+  assert(!bundles.load(tmpDir) && bundles.keys.getQuestionStemKey('CONTROL_Q1') === 'stem.control_q1' &&
+    bundles.getFallbackChain('es').length === 0, 'Banks packed without bundles keep the default keys');
+
+  // 3. Lint
+  console.log('\n3️⃣ Lint...');
+  const i18n = loadI18nSources(bankDir);
+  const questions = engine.bankLoader.bankPackage.questions;
+  const faces = engine.bankLoader.bankPackage.registries.faces.faces;
+  const families = engine.bankLoader.getFamilies();
+  assert(validateI18n(i18n, questions, faces, families).length === 0, 'The bank has keys and default text for everything');
+
+  const broken = {
+    ...i18n,
+    stems: i18n.stems.filter(stem => stem.qid !== 'TRUTH_Q2'),
+    faces: [...i18n.faces, { face_id: 'FACE/Truth/Oracle', text_key: 'face.truth.oracle' }],
+    locales: { en: { ...i18n.locales.en, strings: { ...i18n.locales.en.strings, 'family.pace': '' } } }
+  };
+  const errors = validateI18n(broken, questions, faces, families);
+  assert(errors.some(error => error.includes('TRUTH_Q2 has no stem key')) &&
+    errors.some(error => error.includes('family.pace has no en text')) &&
+    errors.some(error => error.includes('unknown face FACE/Truth/Oracle')), 'Missing keys, missing text and stale keys fail the lint');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n🎉 All localized question text tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test multi-bank engine - every session is bound to the bank it started on, in-flight
+ * sessions finish on their bank after another one is activated, and banks without
+ * unfinished sessions are unloaded
+ */
+
+const path = require('path');
+const { PFFEngine, toHttpError } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { PRIVACY_FLAGS } = require('../engine/privacyConsent');
+const bankStorage = require('../engine/bankStorage');
+
+const packagedDir = path.join(__dirname, '..', 'bank', 'packaged');
+const oldBankPath = path.join(packagedDir, 'bank_package.json');
+const newBankPath = path.join(packagedDir, 'bank_package_signed.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Answer every question; returns the bank hash stored with the session
+ */
+function answerAll(engine, sessionId) {
+  let question;
+  while ((question = engine.getNextQuestion(sessionId))) {
+    engine.submitAnswer(sessionId, question.qid, 'A');
+    if (engine.sessionStore.get(sessionId).state === 'FINALIZING') break;
+  }
+  return engine.sessionStore.get(sessionId).bank_hash;
+}
+
+console.log('🧪 Testing multi-bank engine...\n');
+
+const originalLog = console.log;
+
+try {
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+
+  // 1. Binding
+  console.log('1️⃣ Session binding...');
+  console.log = () => {};
+  const { session_id: inFlight } = engine.initSession('multi-bank-test-001', oldBankPath, {
+    privacy: { privacy_flags: { [PRIVACY_FLAGS.ALLOW_EXPORT]: true } }
+  });
+  engine.setPicks(inFlight, pickedFamilies);
+  const oldHash = engine.bankLoader.getBankHash();
+  const newHash = engine.loadBank(newBankPath);
+  const { session_id: fresh } = engine.initSession('multi-bank-test-002');
+  const { session_id: pinned } = engine.initSession('multi-bank-test-003', oldBankPath);
+  console.log = originalLog;
+
+  assert(oldHash !== newHash && engine.bankLoader.getBankHash() === newHash, 'Loading a bank activates it');
+  assert(store.get(fresh).bank_hash === newHash, 'New sessions start on the active bank');
+  assert(store.get(pinned).bank_hash === oldHash, 'A bank path binds the session to that bank');
+  assert(engine.banks.size === 2, 'Banks are loaded once per path and kept by hash');
+
+  const banks = engine.listBanks();
+  assert(banks.find(bank => bank.bank_hash === oldHash).sessions === 2 &&
+    banks.find(bank => bank.bank_hash === newHash).active, 'listBanks reports the active bank and bound sessions');
+
+  // 2. In-flight sessions
+  console.log('\n2️⃣ In-flight sessions...');
+  const scans = { list: 0 };
+  const list = store.list.bind(store);
+  store.list = () => {
+    scans.list += 1;
+    return list();
+  };
+  console.log = () => {};
+  const inFlightHash = answerAll(engine, inFlight);
+  const results = engine.finalizeSession(inFlight);
+  console.log = originalLog;
+  assert(inFlightHash === oldHash && results.state === 'FINALIZED', 'In-flight sessions finish on their own bank');
+  assert(engine.banks.has(oldHash), 'A bank stays loaded while a session still needs it');
+
+  console.log = () => {};
+  engine.abortSession(pinned);
+  console.log = originalLog;
+  assert(!engine.banks.has(oldHash) && !bankStorage.getLoadedHashes().includes(oldHash),
+    'The retired bank is unloaded when its last unfinished session ends');
+  const boundCounts = engine.listBanks().map(bank => [bank.bank_hash, bank.sessions]);
+  console.log = () => {};
+  engine.forgetSession(fresh);
+  console.log = originalLog;
+  assert(scans.list === 0 && JSON.stringify(boundCounts) === JSON.stringify([[newHash, 1]]) &&
+    engine.listBanks()[0].sessions === 0, 'Bound sessions are counted as they are saved and erased, without scanning the store');
+  store.list = list;
+  assert(engine.banks.has(newHash) && engine.unloadUnusedBanks().length === 0, 'The active bank is never unloaded');
+
+  console.log = () => {};
+  const exported = engine.exportSession(inFlight, ['verdicts']);
+  console.log = originalLog;
+  assert(exported.exports.verdicts && engine.banks.has(oldHash),
+    'Finalized sessions reload their bank from its path when an export needs it');
+
+  // 3. Other instances
+  console.log('\n3️⃣ Other instances...');
+  const other = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+  console.log = () => {};
+  other.loadBank(newBankPath);
+  const { session_id: stranded } = engine.initSession('multi-bank-test-004', oldBankPath);
+  console.log = originalLog;
+  const missing = rejection(() => other.setPicks(stranded, pickedFamilies));
+  assert(missing.code === 'E_BANK_NOT_FOUND' && toHttpError(missing).status === 503,
+    'Sessions on a bank this instance never loaded are refused');
+
+  console.log = () => {};
+  other.loadBank(oldBankPath, { activate: false });
+  other.setPicks(stranded, pickedFamilies);
+  console.log = originalLog;
+  assert(other.bankLoader.getBankHash() === newHash && store.get(stranded).state === 'PICKED',
+    'Loading the bank without activating it lets the session continue');
+
+  console.log('\n🎉 All multi-bank engine tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Test pause/resume - validated transitions, idle auto-pause (and the quiz client resuming it) and
+ * analytics/telemetry hooks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+const quizDir = path.join(__dirname, '..', 'pff-quiz');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function expectError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+function rejection(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Load the quiz's API client with fetch answered by an engine in this process
+ * (the routes call the same engine functions)
+ */
+function loadQuizClient(engine, calls = []) {
+  const ts = require(require.resolve('typescript', { paths: [quizDir] }));
+  const source = fs.readFileSync(path.join(quizDir, 'src', 'lib', 'api-client.ts'), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+  });
+
+  const routes = {
+    '/api/engine/session/answer': body => engine.submitAnswer(body.session_id, body.qid, body.picked_key, body.ts, body.latency_ms),
+    '/api/engine/session/resume': body => engine.resumeSession(body.session_id),
+    '/api/engine/session/next': (body, query) => engine.getNextQuestion(query.get('session_id')),
+    '/api/engine/session/question': (body, query) => engine.getQuestionAt(query.get('session_id'), Number(query.get('index'))),
+    '/api/engine/session/localized': (body, query) => engine.getLocalizedQuestion(query.get('session_id'), query.get('locale')),
+    '/api/engine/session/finalize': body => engine.finalizeSession(body.session_id)
+  };
+  global.fetch = async (url, init) => {
+    const [endpoint, search] = url.split('?');
+    const route = routes[endpoint];
+    calls.push(endpoint);
+    let status = 200;
+    let payload;
+    try {
+      payload = route(JSON.parse(init.body || '{}'), new URLSearchParams(search));
+    } catch (error) {
+      status = 409;
+      payload = { code: error.code, message: error.message, hint: error.hint };
+    }
+    return { ok: status === 200, status, headers: new Map(), json: async () => payload };
+  };
+
+  const clientModule = { exports: {} };
+  new Function('exports', 'require', 'module', outputText)(clientModule.exports, require, clientModule);
+  return clientModule.exports.apiClient;
+}
+
+/**
+ * A quiz left open past the idle timeout resumes and submits instead of failing with E_STATE
+ */
+async function testQuizClientResume() {
+  console.log('\n5️⃣ Quiz client...');
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 60000 });
+  const apiClient = loadQuizClient(engine);
+  const originalLog = console.log;
+
+  const { session_id } = engine.initSession('pause-resume-test-003', bankPath,
+    { privacy: { privacy_flags: { allow_analytics: true } } });
+  engine.setPicks(session_id, pickedFamilies);
+  const question = engine.getNextQuestion(session_id);
+
+  const record = store.get(session_id);
+  record.last_activity_at = new Date(Date.now() - 120000).toISOString();
+  record.revision += 1;
+  store.put(session_id, record);
+
+  console.log = () => {};
+  const submitted = await apiClient.submitAnswer(session_id, question.qid, 'A');
+  console.log = originalLog;
+  assert(submitted.success && submitted.data.answers_count === 1 && store.get(session_id).state === 'IN_PROGRESS',
+    'An answer to an idle-paused session resumes it and is submitted');
+  assert(engine.telemetry.counters.sessions_paused === 1 && engine.telemetry.counters.sessions_resumed === 1,
+    'The idle pause and the resume are both recorded');
+
+  // Every call reading the session resumes it, not only answers
+  const idle = () => {
+    const idleRecord = store.get(session_id);
+    idleRecord.last_activity_at = new Date(Date.now() - 120000).toISOString();
+    idleRecord.revision += 1;
+    store.put(session_id, idleRecord);
+  };
+  console.log = () => {};
+  idle();
+  const next = await apiClient.getNextQuestion(session_id);
+  idle();
+  const revisited = await apiClient.getQuestionAt(session_id, 1);
+  idle();
+  const localized = await apiClient.getLocalizedQuestion(session_id, 'en');
+  console.log = originalLog;
+  assert(next.success && revisited.success && revisited.data.qid === question.qid &&
+    engine.telemetry.counters.sessions_resumed === 3, 'Reading questions from an idle-paused session resumes it');
+  assert(localized.success && localized.data.qid === question.qid, 'The question on screen is still shown in another locale');
+
+  console.log = () => {};
+  const unfinished = await apiClient.finalizeSession(session_id);
+  console.log = originalLog;
+  assert(!unfinished.success && unfinished.error.code === 'E_STATE' && store.get(session_id).state === 'IN_PROGRESS' &&
+    engine.telemetry.counters.sessions_resumed === 4, 'Finalizing a paused session resumes it before the engine answers');
+
+  const calls = [];
+  const { session_id: picked } = engine.initSession('pause-resume-test-004', bankPath);
+  engine.setPicks(picked, pickedFamilies);
+  console.log = () => {};
+  const rejected = await loadQuizClient(engine, calls).submitAnswer(picked, question.qid, 'A');
+  console.log = originalLog;
+  assert(!rejected.success && rejected.error.code === 'E_STATE' && store.get(picked).state === 'PICKED' &&
+    !calls.includes('/api/engine/session/resume'), 'E_STATE from a session that is not paused is returned without resuming');
+}
+
+function fail(error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
+
+console.log('🧪 Testing pause/resume...\n');
+
+try {
+  // 1. Manual pause keeps the served question
+  console.log('1️⃣ Pause and resume...');
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+  const { session_id } = engine.initSession('pause-resume-test-001', bankPath, {
+    privacy: { privacy_flags: { allow_analytics: true } }
+  });
+  assert(expectError(() => engine.pauseSession(session_id), 'E_STATE_TRANSITION_INVALID'), 'INIT session cannot be paused');
+
+  engine.setPicks(session_id, pickedFamilies);
+  const first = engine.getNextQuestion(session_id);
+  engine.submitAnswer(session_id, first.qid, 'A');
+  const served = engine.getNextQuestion(session_id);
+
+  const paused = engine.pauseSession(session_id, 'user_left');
+  assert(paused.state === 'PAUSED' && paused.reason === 'user_left', 'Session is PAUSED with its reason');
+  assert(expectError(() => engine.submitAnswer(session_id, served.qid, 'A'), 'E_STATE'), 'Answers are rejected while paused');
+  assert(expectError(() => engine.getNextQuestion(session_id), 'E_STATE') &&
+    /PAUSED/.test(rejection(() => engine.getNextQuestion(session_id)).hint), 'Requests refused while paused say so in the hint');
+  assert(engine.pauseSession(session_id, 'again').reason === 'user_left', 'Pausing twice keeps the original pause');
+
+  const resumed = engine.resumeSession(session_id);
+  assert(resumed.state === 'IN_PROGRESS', 'Resume returns to IN_PROGRESS');
+  assert(resumed.next_question.qid === served.qid && resumed.next_question.index === served.index,
+    'Question served before the pause is served again');
+
+  // 2. Terminal states
+  console.log('\n2️⃣ Transitions...');
+  engine.abortSession(session_id, 'test');
+  assert(expectError(() => engine.pauseSession(session_id), 'E_STATE_TRANSITION_INVALID'), 'ABORTED session cannot be paused');
+  assert(expectError(() => engine.abortSession(session_id), 'E_STATE_TRANSITION_INVALID'), 'ABORTED session cannot be aborted again');
+
+  // 3. Idle timeout
+  console.log('\n3️⃣ Idle auto-pause...');
+  const store = new MemorySessionStore();
+  const idleEngine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 60000 });
+  const idle = idleEngine.initSession('pause-resume-test-002', bankPath);
+  idleEngine.setPicks(idle.session_id, pickedFamilies);
+
+  const record = store.get(idle.session_id);
+  record.last_activity_at = new Date(Date.now() - 120000).toISOString();
+  record.revision += 1;
+  store.put(idle.session_id, record);
+
+  assert(expectError(() => idleEngine.getNextQuestion(idle.session_id), 'E_STATE'), 'Idle session is auto-paused on access');
+  assert(store.get(idle.session_id).pause_reason === 'idle_timeout', 'Auto-pause reason is persisted');
+
+  const idleResumed = idleEngine.resumeSession(idle.session_id);
+  assert(idleResumed.state === 'IN_PROGRESS' && idleResumed.next_question.index === 1,
+    'Session paused before the first question resumes at question 1');
+
+  // 4. Hooks
+  console.log('\n4️⃣ Analytics and telemetry...');
+  const events = engine.analytics.get(session_id).events.map(event => event.type);
+  assert(JSON.stringify(events) === JSON.stringify(['SESSION_PAUSED', 'SESSION_RESUMED', 'SESSION_ABORTED']),
+    'Analytics records pause, resume and abort');
+  assert(engine.telemetry.counters.sessions_paused === 1 && engine.telemetry.counters.sessions_resumed === 1,
+    'Telemetry counts pauses and resumes');
+
+  testQuizClientResume().then(() => {
+    console.log('\n🎉 All pause/resume tests passed!');
+    process.exit(0);
+  }, fail);
+} catch (error) {
+  fail(error);
+}
@@ -4,36 +4,64 @@
  * Test picks=0 policy (21 questions total)
  */
 
-const { initSession, setPicks, getNextQuestion, submitAnswer, finalizeSession } = require('../engine');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const featureFlags = require('../engine/featureFlags');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
 
 console.log('🧪 Testing picks=0 policy...');
 
 try {
-  // Initialize session
-  const session = initSession('picks-zero-test', './bank/packaged/bank_package_signed.json');
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore() });
+
+  // Zero picks is rejected under the default at_least_one policy
+  const strict = engine.initSession('picks-zero-strict', bankPath);
+  if (strict.picks_policy !== 'at_least_one') {
+    throw new Error(`Expected at_least_one by default, got ${strict.picks_policy}`);
+  }
+  let rejected = null;
+  try {
+    engine.setPicks(strict.session_id, []);
+  } catch (error) {
+    rejected = error;
+  }
+  if (!rejected || rejected.code !== 'E_PICK_COUNT') {
+    throw new Error('Zero picks should raise E_PICK_COUNT under at_least_one');
+  }
+  console.log('✅ Zero picks rejected under at_least_one');
+
+  // Initialize session under all_21_on_zero
+  featureFlags.setFlag('PICKS_POLICY', 'all_21_on_zero');
+  const session = engine.initSession('picks-zero-test', bankPath);
+  featureFlags.setFlag('PICKS_POLICY', null);
+  if (session.picks_policy !== 'all_21_on_zero') {
+    throw new Error(`Expected all_21_on_zero from PICKS_POLICY, got ${session.picks_policy}`);
+  }
   console.log('✅ Session initialized');
 
   // Set picks=0 (no families picked)
-  const updatedSession = setPicks(session.sessionId, []);
+  const updatedSession = engine.setPicks(session.session_id, []);
   console.log('✅ Picks set to 0 families');
 
   // Verify schedule has 21 questions
   const schedule = updatedSession.schedule;
-  console.log(`📊 Schedule length: ${schedule.length} questions`);
-  
-  if (schedule.length !== 21) {
-    throw new Error(`Expected 21 questions, got ${schedule.length}`);
+  const scheduleLength = schedule.family_order.reduce((sum, family) => sum + schedule.per_family[family].count, 0);
+  console.log(`📊 Schedule length: ${scheduleLength} questions`);
+
+  if (scheduleLength !== 21) {
+    throw new Error(`Expected 21 questions, got ${scheduleLength}`);
   }
 
   // Verify all 7 families are represented with 3 questions each
   const familyCounts = {};
-  schedule.forEach(q => {
-    const family = q.familyScreen;
-    familyCounts[family] = (familyCounts[family] || 0) + 1;
+  schedule.family_order.forEach(family => {
+    familyCounts[family] = schedule.per_family[family].count;
   });
 
   console.log('📊 Questions per family screen:', familyCounts);
-  
+
   // Each family should have exactly 3 questions
   const expectedFamilies = [1, 2, 3, 4, 5, 6, 7];
   for (const family of expectedFamilies) {
@@ -44,10 +72,12 @@ try {
 
   // Verify question order is C→O→F for each family
   for (const family of expectedFamilies) {
-    const familyQuestions = schedule.filter(q => q.familyScreen === family);
     const expectedOrder = ['C', 'O', 'F'];
-    const actualOrder = familyQuestions.map(q => q.order_in_family);
-    
+    const actualOrder = schedule.per_family[family].qids.map(qid => {
+      const question = engine.bankLoader.getQuestion(qid);
+      return engine.bankLoader.getQuestionsForFamily(question.family).find(q => q.qid === qid).order_in_family;
+    });
+
     if (JSON.stringify(actualOrder) !== JSON.stringify(expectedOrder)) {
       throw new Error(`Family ${family} order should be C→O→F, got ${actualOrder.join('→')}`);
     }
@@ -57,24 +87,33 @@ try {
 
   // Test a complete session with picks=0
   console.log('🔄 Running complete picks=0 session...');
-  
+
   let questionCount = 0;
-  let currentQuestion = getNextQuestion(updatedSession.sessionId);
-  
+  let currentQuestion = engine.getNextQuestion(session.session_id);
+
   while (currentQuestion) {
     questionCount++;
-    console.log(`Question ${questionCount}: ${currentQuestion.qid} (${currentQuestion.familyScreen})`);
-    
+    if (currentQuestion.index !== questionCount || currentQuestion.total !== 21) {
+      throw new Error(`Question ${questionCount} reported ${currentQuestion.index}/${currentQuestion.total}`);
+    }
+
     // Submit answer (always pick option A for consistency)
-    submitAnswer(updatedSession.sessionId, currentQuestion.qid, 'A');
-    
-    currentQuestion = getNextQuestion(updatedSession.sessionId);
+    const answer = engine.submitAnswer(session.session_id, currentQuestion.qid, 'A');
+    if (answer.remaining !== 21 - questionCount) {
+      throw new Error(`Expected ${21 - questionCount} remaining after question ${questionCount}, got ${answer.remaining}`);
+    }
+    if (answer.remaining === 0) break;
+
+    currentQuestion = engine.getNextQuestion(session.session_id);
   }
 
   console.log(`✅ Completed ${questionCount} questions`);
+  if (questionCount !== 21) {
+    throw new Error(`Expected 21 answered questions, got ${questionCount}`);
+  }
 
   // Finalize session
-  const results = finalizeSession(updatedSession.sessionId);
+  const results = engine.finalizeSession(session.session_id);
   console.log('✅ Session finalized');
 
   // Verify results structure
@@ -91,6 +130,7 @@ try {
   console.log('✅ All 7 families represented');
   console.log('✅ C→O→F order maintained');
   console.log('✅ Session completes successfully');
+  process.exit(0);
 
 } catch (error) {
   console.error('❌ Picks=0 policy test FAILED:', error.message);
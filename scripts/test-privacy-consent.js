@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test privacy consent - consent captured at initSession, persisted with the session
+ * and enforced at export, analytics, replay and aggregation, with a consent version
+ * bump flow and a privacy audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const featureFlags = require('../engine/featureFlags');
+const monitoring = require('../engine/monitoring');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const PrivacyAuditLog = require('../engine/privacyAuditLog');
+const { PRIVACY_FLAGS } = require('../engine/privacyConsent');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+const allFlags = {
+  [PRIVACY_FLAGS.ALLOW_EXPORT]: true,
+  [PRIVACY_FLAGS.ALLOW_ANALYTICS]: true,
+  [PRIVACY_FLAGS.ALLOW_REPLAY]: true,
+  [PRIVACY_FLAGS.ALLOW_AGGREGATION]: true
+};
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function expectError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+function runSession(engine, seed, privacy) {
+  const { session_id } = engine.initSession(seed, bankPath, { privacy });
+  engine.setPicks(session_id, pickedFamilies);
+  engine.submitAnswer(session_id, engine.getNextQuestion(session_id).qid, 'A');
+  engine.pauseSession(session_id);
+  engine.submitAnswer(session_id, engine.resumeSession(session_id).next_question.qid, 'A');
+
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  engine.finalizeSession(session_id);
+  return session_id;
+}
+
+/**
+ * Revise, pause, resume and abort a session; returns the per-session telemetry counters and
+ * monitoring session starts it added
+ */
+function trackedEvents(engine, seed, privacy) {
+  const counters = { ...engine.telemetry.counters };
+  const started = [];
+  const onStart = event => started.push(event);
+  monitoring.on('session:started', onStart);
+
+  const { session_id } = engine.initSession(seed, bankPath, { privacy });
+  engine.setPicks(session_id, pickedFamilies);
+  const question = engine.getNextQuestion(session_id);
+  engine.submitAnswer(session_id, question.qid, 'A');
+  engine.submitAnswer(session_id, question.qid, 'B');
+  engine.pauseSession(session_id);
+  engine.resumeSession(session_id);
+  engine.abortSession(session_id);
+  monitoring.off('session:started', onStart);
+
+  const added = ['answers_changed', 'sessions_paused', 'sessions_resumed', 'sessions_aborted']
+    .reduce((total, counter) => total + engine.telemetry.counters[counter] - counters[counter], 0);
+  return { added, started };
+}
+
+console.log('🧪 Testing privacy consent...\n');
+
+const originalLog = console.log;
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-privacy-'));
+
+function cleanup() {
+  featureFlags.setFlag('CONSENT_VERSION', 1);
+  fs.rmSync(logDir, { recursive: true, force: true });
+}
+
+try {
+  const store = new MemorySessionStore();
+  const auditLog = new PrivacyAuditLog({ filePath: path.join(logDir, 'privacy-audit.jsonl') });
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0, privacyAuditLog: auditLog });
+
+  // 1. Capture
+  console.log('1️⃣ Consent capture...');
+  console.log = () => {};
+  const init = engine.initSession('consent-test-000', bankPath);
+  console.log = originalLog;
+  const defaults = engine.getConsent(init.session_id);
+  assert(init.consent_version === 1 && defaults.consent_version === 1 && !defaults.reconsent_required,
+    'Sessions default to the current consent version');
+  assert(Object.values(defaults.privacy_flags).every(flag => flag === false), 'Every privacy flag defaults to off');
+  assert(expectError(() => engine.initSession('consent-test-bad', bankPath, { privacy: { consent_version: 9 } }), 'E_INVALID_CONSENT'),
+    'Unknown consent versions raise E_INVALID_CONSENT');
+  assert(expectError(() => engine.initSession('consent-test-bad', bankPath, {
+    privacy: { privacy_flags: { allow_export: 'yes' } }
+  }), 'E_INVALID_CONSENT'), 'Non-boolean flags raise E_INVALID_CONSENT');
+  assert(expectError(() => engine.initSession('consent-test-bad', bankPath, {
+    privacy: { privacy_flags: { allow_selling: true } }
+  }), 'E_INVALID_CONSENT'), 'Unknown flags raise E_INVALID_CONSENT');
+
+  // 2. Enforcement
+  console.log('\n2️⃣ Enforcement...');
+  console.log = () => {};
+  const none = runSession(engine, 'consent-test-001');
+  const full = runSession(engine, 'consent-test-002', { privacy_flags: allFlags });
+  const fullTwo = runSession(engine, 'consent-test-003', { privacy_flags: allFlags });
+  console.log = originalLog;
+
+  assert(!engine.analytics.has(none) && engine.analytics.get(full).events.length > 0,
+    'Analytics events (pause/resume) are only recorded with analytics consent');
+  console.log = () => {};
+  const untracked = trackedEvents(engine, 'consent-test-004');
+  const tracked = trackedEvents(engine, 'consent-test-005', { privacy_flags: allFlags });
+  console.log = originalLog;
+  assert(untracked.added === 0 && untracked.started.length === 0,
+    'Telemetry and monitoring record no per-session events (or the seed) without analytics consent');
+  assert(tracked.added === 4 && tracked.started.length === 1 && tracked.started[0].sessionData.sessionSeed === 'consent-test-005',
+    'Consenting sessions are counted in telemetry and monitoring');
+  assert(expectError(() => engine.exportSession(none), 'E_PRIVACY_RESTRICTED'), 'Export requires export consent');
+  assert(expectError(() => engine.createReplay(none), 'E_PRIVACY_RESTRICTED'), 'Replay requires replay consent');
+  assert(expectError(() => engine.aggregateSessions([full, none]), 'E_PRIVACY_RESTRICTED'),
+    'Aggregation requires aggregation consent from every session');
+
+  const replay = engine.createReplay(full);
+  assert(replay.schema === 'replay.v1' && replay.answers.length === 18 &&
+    replay.bank_hash_sha256 === engine.bankLoader.getBankHash(), 'Replay carries the session answers and bank binding');
+  const aggregation = engine.aggregateSessions([full, fullTwo]);
+  assert(aggregation.version === 'aggregate.v1' && aggregation.sessions.length === 2, 'Consenting sessions aggregate');
+  assert(expectError(() => engine.aggregateSessions([full]), 'E_INVALID_AGGREGATION'),
+    'Aggregation needs at least two sessions');
+
+  // 3. Consent version bump
+  console.log('\n3️⃣ Consent version bump...');
+  featureFlags.setFlag('CONSENT_VERSION', 2);
+  const stale = engine.getConsent(full);
+  assert(stale.reconsent_required && stale.current_consent_version === 2, 'Older consent requires re-consent');
+  assert(expectError(() => engine.exportSession(full), 'E_PRIVACY_RESTRICTED'), 'Exports are refused until re-consent');
+  assert(expectError(() => engine.initSession('consent-test-old', bankPath, { privacy: { consent_version: 1 } }), 'E_CONSENT_OUTDATED'),
+    'New sessions cannot consent to an outdated version');
+  assert(expectError(() => engine.updateConsent(full, { consent_version: 1, privacy_flags: allFlags }), 'E_CONSENT_OUTDATED'),
+    'Re-consent to an outdated version raises E_CONSENT_OUTDATED');
+
+  const updated = engine.updateConsent(full, { privacy_flags: { [PRIVACY_FLAGS.ALLOW_EXPORT]: true } });
+  assert(updated.consent_version === 2 && !updated.reconsent_required, 'updateConsent records the current version');
+  assert(updated.export_allowed && !updated.analytics_allowed, 'updateConsent replaces the previous flags');
+  assert(engine.exportSession(full, ['verdicts']).consent_version === 2, 'Exports resume after re-consent');
+  assert(expectError(() => engine.createReplay(full), 'E_PRIVACY_RESTRICTED'), 'Withdrawn replay consent is enforced');
+
+  // 4. Audit log and persistence
+  console.log('\n4️⃣ Audit log and persistence...');
+  const actions = engine.getPrivacyAuditLog(full).map(entry => entry.action);
+  ['CONSENT_CAPTURED', 'REPLAY_CREATED', 'AGGREGATED', 'EXPORT_DENIED', 'CONSENT_UPDATED', 'EXPORT', 'REPLAY_DENIED']
+    .forEach(action => assert(actions.includes(action), `Audit log records ${action}`));
+  const update = engine.getPrivacyAuditLog(full).find(entry => entry.action === 'CONSENT_UPDATED');
+  assert(update.details.previous_consent_version === 1 && update.consent_version === 2,
+    'Consent updates record the previous consent version');
+
+  const reopened = new PrivacyAuditLog({ filePath: auditLog.filePath });
+  assert(reopened.list(full).length === actions.length, 'Audit log is persisted as JSON lines');
+
+  console.log = () => {};
+  const second = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0, privacyAuditLog: reopened });
+  second.bankLoader.loadBank(bankPath);
+  console.log = originalLog;
+  const persisted = second.getConsent(full);
+  assert(persisted.consent_version === 2 && persisted.export_allowed && !persisted.replay_allowed,
+    'Consent is read from the stored session');
+
+  cleanup();
+  console.log('\n🎉 All privacy consent tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  cleanup();
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
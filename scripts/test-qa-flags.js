@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test QA flags in finalize results - sibling collisions and the finalize sanity checks are
+ * returned as qa_flags with the registry's severity and category, counted in telemetry and
+ * the SLOs, and compared by replays
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-qa-flags-'));
+process.env.REPLAY_DIR = tmpDir;
+
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const ErrorCodesRegistry = require('../engine/errorCodes');
+const { compareResults, generateReplayAudit } = require('./replay-format');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+const allFlags = { allow_export: true, allow_analytics: true, allow_replay: true, allow_aggregation: true };
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+/**
+ * Answer every question with one option key and stop before finalizing
+ */
+function answerAll(engine, seed, key) {
+  const { session_id } = engine.initSession(seed, bankPath, { privacy: { privacy_flags: allFlags } });
+  engine.setPicks(session_id, pickedFamilies);
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, key);
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  return session_id;
+}
+
+console.log('🧪 Testing QA flags in finalize results...\n');
+
+const originalLog = console.log;
+
+try {
+  const registry = new ErrorCodesRegistry();
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+
+  // 1. Finalize results
+  console.log('1️⃣ Finalize results...');
+  console.log = () => {};
+  const flagged = answerAll(engine, 'qa-flags-test-001', 'A');
+  const results = engine.finalizeSession(flagged);
+  const clean = answerAll(engine, 'qa-flags-test-003', 'B');
+  const cleanResults = engine.finalizeSession(clean);
+  console.log = originalLog;
+
+  assert(results.qa_flags.length === 2 && results.qa_flags.every(flag => flag.code === 'QA_FLAG_NO_FACE_EVIDENCE') &&
+    results.qa_flags.map(flag => flag.family).join() === 'Control,Truth',
+  'Families at C with every sibling GHOST are flagged');
+  assert(results.qa_flags.every(flag => flag.severity === 'warning' && flag.category === 'scoring' &&
+    registry.resolveCode(flag.code).severity === flag.severity), 'Flags carry the registry\'s severity and category');
+  assert(Array.isArray(cleanResults.qa_flags) && cleanResults.qa_flags.length === 0, 'Sessions without findings return an empty list');
+  assert(JSON.stringify(engine.getResults(flagged).qa_flags) === JSON.stringify(results.qa_flags) &&
+    engine.finalizeSession(flagged).qa_flags.length === 2, 'Flags are stored with the results snapshot');
+
+  const checks = engine._applyQAFlags(engine._getSession(clean),
+    { Control: 'C' }, { 'FACE/Control/Sovereign': { state: 'LIT', contrastSeen: false } }, []);
+  assert(checks.some(flag => flag.code === 'QA_FLAG_NO_CONTRAST' && flag.face === 'FACE/Control/Sovereign'),
+    'LIT faces without contrast are flagged');
+  assert(['QA_FLAG_FACE_LIT_ON_BROKEN', 'QA_FLAG_NO_CONTRAST', 'W_SIBLING_COLLISION']
+    .every(code => registry.resolveCode(code)), 'Every flag code is registered');
+
+  // 2. Sibling collisions
+  console.log('\n2️⃣ Sibling collisions...');
+  console.log = () => {};
+  const { session_id: collided } = engine.initSession('qa-flags-test-002', bankPath);
+  engine.setPicks(collided, pickedFamilies);
+  const first = engine.getNextQuestion(collided);
+  const hasSiblingCollision = engine.bankLoader.hasSiblingCollision;
+  engine.bankLoader.hasSiblingCollision = () => true;
+  engine.submitAnswer(collided, first.qid, 'A');
+  engine.bankLoader.hasSiblingCollision = hasSiblingCollision;
+  let question;
+  while ((question = engine.getNextQuestion(collided))) {
+    engine.submitAnswer(collided, question.qid, 'B');
+    if (engine.sessionStore.get(collided).state === 'FINALIZING') break;
+  }
+  console.log = originalLog;
+  assert(engine._getSession(collided).qaFlags.length === 1, 'Collisions are held with the session while answering');
+
+  engine.submitAnswer(collided, first.qid, 'B');
+  assert(engine._getSession(collided).qaFlags.length === 0, 'Revising the answer drops its collision');
+  engine.bankLoader.hasSiblingCollision = () => true;
+  engine.submitAnswer(collided, first.qid, 'A');
+  engine.bankLoader.hasSiblingCollision = hasSiblingCollision;
+  console.log = () => {};
+  const collidedResults = engine.finalizeSession(collided);
+  console.log = originalLog;
+  const collision = collidedResults.qa_flags.find(flag => flag.code === 'W_SIBLING_COLLISION');
+  assert(collision && collision.qid === first.qid && collision.severity === 'warning' && collision.category === 'scoring',
+    'Collisions are returned by finalize');
+
+  // 3. Telemetry and SLOs
+  console.log('\n3️⃣ Telemetry and SLOs...');
+  const raised = [...results.qa_flags, ...collidedResults.qa_flags];
+  const telemetry = engine.telemetry.getTelemetrySummary().qa_flags;
+  assert(telemetry.QA_FLAG_NO_FACE_EVIDENCE === raised.filter(flag => flag.code === 'QA_FLAG_NO_FACE_EVIDENCE').length &&
+    telemetry.W_SIBLING_COLLISION === 1, 'Each flag is counted once in telemetry, repeated finalizes are not');
+  assert(engine.slos.metrics.get('qa_flags').length === raised.length &&
+    engine.slos.metrics.get('finalization_success').length === 3, 'Flags and finalized sessions feed the SLOs');
+  assert(engine.slos.calculateQAFlagsRate(0, Date.now()) > 0.02 && engine.slos.getActiveAlerts()
+    .some(alert => alert.slo_name === 'qa_flags_spike'), 'A spike in QA flags raises the qa_flags_spike alert');
+
+  // 4. Replays
+  console.log('\n4️⃣ Replays...');
+  const replay = engine.createReplay(flagged);
+  assert(replay.qa_flags.length === 2 && replay.qa_flags.every(flag => flag.code && !flag.severity && !flag.detail),
+    'Replay files record the session\'s flags by code and subject');
+
+  const replayFile = path.join(tmpDir, 'replay.json');
+  fs.writeFileSync(replayFile, JSON.stringify(replay));
+  assert(generateReplayAudit(replayFile, { result: results }).result === 'MATCH',
+    'Replays raising the same flags match');
+  const mismatch = generateReplayAudit(replayFile, { result: cleanResults });
+  assert(mismatch.result === 'MISMATCH' && mismatch.differences.some(diff => diff.type === 'qa_flags' && diff.expected.length === 2),
+    'Replays raising different flags are a mismatch');
+  assert(compareResults(results, { ...results, qa_flags: undefined }).length === 0,
+    'Expected results recorded before QA flags skip the comparison');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n🎉 All QA flag tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
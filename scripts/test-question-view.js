@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test the public question view - questions returned by the engine (next, revisited,
+ * resumed) carry no scoring fields, only the qid, i18n keys and text, option keys and the
+ * position; the scoring view is returned only with dev shortcuts enabled
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { findScoringFields } = require('../engine/questionView');
+const featureFlags = require('../engine/featureFlags');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+const PUBLIC_FIELDS = ['qid', 'locale', 'stem_key', 'stem', 'options', 'index', 'total'];
+const PUBLIC_OPTION_FIELDS = ['key', 'text_key', 'text'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function sameFields(object, fields) {
+  return JSON.stringify(Object.keys(object).sort()) === JSON.stringify([...fields].sort());
+}
+
+console.log('🧪 Testing the public question view...\n');
+
+const originalLog = console.log;
+
+try {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), idleTimeoutMs: 0 });
+  console.log = () => {};
+  const { session_id } = engine.initSession('question-view-test-001', bankPath);
+  engine.setPicks(session_id, pickedFamilies);
+  console.log = originalLog;
+
+  // 1. Served questions
+  console.log('1️⃣ Served questions...');
+  const served = [];
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    served.push(question);
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+
+  assert(served.length > 0 && served.every(item => findScoringFields(item).length === 0),
+    'getNextQuestion returns no line verdicts, tells or family screens');
+  assert(served.every(item => sameFields(item, PUBLIC_FIELDS) &&
+    item.options.every(option => sameFields(option, PUBLIC_OPTION_FIELDS))),
+    'Questions only carry the qid, i18n keys, text, option keys, index and total');
+
+  const bankQuestion = engine.bankLoader.getQuestion(served[0].qid);
+  assert(JSON.stringify(served[0].options.map(option => option.key)) ===
+    JSON.stringify(bankQuestion.options.map(option => option.id)), 'Option keys follow the bank');
+  assert(served[0].options[0].text === bankQuestion.options[0].text &&
+    served[0].stem_key === `stem.${served[0].qid.toLowerCase().replace('_', '.')}` &&
+    served[0].options[0].text_key === `opt.${served[0].qid.toLowerCase().replace('_', '.')}.a`,
+  'Options carry their text and i18n keys');
+  assert(served[served.length - 1].index === served.length && served[0].total === served.length,
+    'Questions carry their position');
+
+  // 2. Revisited and resumed questions
+  console.log('\n2️⃣ Revisited and resumed questions...');
+  const previous = engine.getPreviousQuestion(session_id);
+  const revisited = engine.getQuestionAt(session_id, 1);
+  assert([previous, revisited].every(item => findScoringFields(item).length === 0 && item.answered_key === 'A'),
+    'Revisited questions carry only the respondent\'s answer besides the public fields');
+
+  console.log = () => {};
+  const { session_id: pausedId } = engine.initSession('question-view-test-002', bankPath);
+  engine.setPicks(pausedId, pickedFamilies);
+  console.log = originalLog;
+  engine.getNextQuestion(pausedId);
+  engine.pauseSession(pausedId);
+  const resumed = engine.resumeSession(pausedId);
+  assert(resumed.next_question && findScoringFields(resumed).length === 0, 'Resumed sessions return the public view');
+
+  // 3. Scoring view
+  console.log('\n3️⃣ Scoring view...');
+  featureFlags.setFlag('ENABLE_DEV_SHORTCUTS', true);
+  const scoring = engine.getQuestionAt(session_id, 1);
+  featureFlags.setFlag('ENABLE_DEV_SHORTCUTS', false);
+  assert(scoring.options.every(option => option.lineCOF && Array.isArray(option.tells)) && scoring.familyScreen,
+    'Dev shortcuts return the scoring view');
+  assert(findScoringFields(engine.getQuestionAt(session_id, 1)).length === 0,
+    'The public view is back once dev shortcuts are off');
+  assert(findScoringFields({ options: [{ key: 'A', tells: [{ face_id: 'FACE/Control/Rebel' }] }] }).length === 2,
+    'Scoring fields are found at any depth');
+
+  console.log('\n🎉 All public question view tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
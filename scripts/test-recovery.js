@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test crash recovery - checkpoints carry PRNG state and recovered sessions
+ * continue exactly where the original left off
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { restoreRNG } = require('../engine/rng');
+const RecoveryManager = require('../engine/recovery');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function answerQuestions(engine, sessionId, limit = Infinity) {
+  let answered = 0;
+  let question;
+  while (answered < limit && (question = engine.getNextQuestion(sessionId))) {
+    engine.submitAnswer(sessionId, question.qid, question.index % 2 === 0 ? 'B' : 'A', '2025-01-01T00:00:00.000Z', 1000);
+    answered++;
+    if (engine.sessionStore.get(sessionId).state === 'FINALIZING') break;
+  }
+}
+
+function newEngine(options = {}) {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), ...options });
+  engine.bankLoader.loadBank(bankPath);
+  return engine;
+}
+
+console.log('🧪 Testing crash recovery...\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-recovery-'));
+
+try {
+  const recovery = new RecoveryManager({ recoveryDir: tmpDir });
+
+  ['xoroshiro128plus', 'lcg32'].forEach((rngAlgorithm, index) => {
+    console.log(`${index + 1}️⃣ ${rngAlgorithm} checkpoint...`);
+    const original = newEngine({ rngAlgorithm });
+    const { session_id } = original.initSession(`recovery-test-${rngAlgorithm}`, bankPath);
+    original.setPicks(session_id, ['Boundary']);
+    answerQuestions(original, session_id, 5);
+
+    const session = original._getSession(session_id);
+    assert(session.prng.getState().counter > 0, 'PRNG state tracks draws');
+    const checkpoint = recovery.createCheckpoint(session_id, session);
+    assert(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).prng_state !== null, 'Checkpoint includes PRNG state');
+
+    const recovered = newEngine();
+    const result = recovery.recoverFromCrash(session_id, recovered);
+    assert(result.success, 'Session recovers into a fresh engine');
+
+    const originalNext = restoreRNG(rngAlgorithm, session.prng.getState()).next();
+    const recoveredNext = restoreRNG(rngAlgorithm, recovered._getSession(session_id).prng.getState()).next();
+    assert(originalNext === recoveredNext, 'Recovered PRNG continues the same sequence');
+
+    answerQuestions(original, session_id);
+    answerQuestions(recovered, session_id);
+    assert(JSON.stringify(recovered.finalizeSession(session_id)) === JSON.stringify(original.finalizeSession(session_id)),
+      'Recovered session finalizes to the same results');
+  });
+
+  // 3. Corrupted generator state fails loudly
+  console.log('\n3️⃣ Determinism check...');
+  const engine = newEngine();
+  const { session_id } = engine.initSession('recovery-test-corrupt', bankPath);
+  engine.setPicks(session_id, ['Control', 'Pace']);
+  const checkpoint = recovery.createCheckpoint(session_id, engine._getSession(session_id));
+  const data = JSON.parse(fs.readFileSync(checkpoint, 'utf8'));
+  data.prng_state.counter += 1;
+  fs.writeFileSync(checkpoint, JSON.stringify(data));
+
+  let mismatch = null;
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    recovery.recoverFromCrash(session_id, newEngine());
+  } catch (error) {
+    mismatch = error;
+  } finally {
+    console.error = originalConsoleError;
+  }
+  assert(mismatch && mismatch.code === 'E_RNG_STATE_MISMATCH', 'Diverging PRNG raises E_RNG_STATE_MISMATCH');
+
+  console.log('\n🎉 All recovery tests passed!');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test results retrieval - finalized snapshots are returned unchanged,
+ * and finalizeSession is idempotent
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+console.log('🧪 Testing results retrieval...\n');
+
+try {
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store });
+  const { session_id } = engine.initSession('results-test-001', bankPath);
+  engine.setPicks(session_id, ['Control', 'Pace']);
+
+  assert(errorCode(() => engine.getResults(session_id)) === 'E_STATE', 'Results are unavailable before finalization');
+  assert(errorCode(() => engine.getResults('0000000000000000')) === 'E_SESSION_NOT_FOUND', 'Unknown session is reported');
+
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (store.get(session_id).state === 'FINALIZING') break;
+  }
+  const finalized = engine.finalizeSession(session_id);
+
+  const results = engine.getResults(session_id);
+  ['line_verdicts', 'face_states', 'family_reps', 'anchor_family'].forEach(field => {
+    assert(JSON.stringify(results[field]) === JSON.stringify(finalized[field]), `Stored ${field} matches finalizeSession output`);
+  });
+  assert(results.bank_hash === store.get(session_id).bank_hash, 'Results carry the session bank hash');
+
+  const reloaded = new PFFEngine({ sessionStore: store });
+  reloaded.bankLoader.loadBank(bankPath);
+  assert(JSON.stringify(reloaded.finalizeSession(session_id)) === JSON.stringify(finalized),
+    'Finalizing again returns the stored snapshot');
+  assert(JSON.stringify(reloaded.getResults(session_id)) === JSON.stringify(results), 'A fresh engine returns the same results');
+
+  console.log('\n🎉 All results tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
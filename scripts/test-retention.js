@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Test retention purges - expired data is found in the session store, recovery files,
+ * replay files, replay audits and analytics event files; dry runs only count it,
+ * applied runs delete it, and every run yields a signed purge report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-retention-'));
+process.env.REPLAY_DIR = path.join(tmpDir, 'replays');
+fs.mkdirSync(path.join(process.env.REPLAY_DIR, 'audits'), { recursive: true });
+
+const RetentionManager = require('../engine/retention');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { generateKeyPair, verifyDocumentSignature } = require('../engine/bankSignature');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function writeJson(filePath, data, modifiedDaysAgo) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  if (modifiedDaysAgo !== undefined) {
+    const mtime = daysAgo(modifiedDaysAgo);
+    fs.utimesSync(filePath, mtime, mtime);
+  }
+  return filePath;
+}
+
+function sessionRecord(sessionId, state, days) {
+  const at = daysAgo(days).toISOString();
+  return {
+    session_id: sessionId,
+    state,
+    started_at: at,
+    last_activity_at: at,
+    finalized_at: state === 'FINALIZED' ? at : undefined,
+    answers: [{ qid: 'CTRL_Q1', key: 'A' }],
+    revision: 1
+  };
+}
+
+console.log('🧪 Testing retention purges...\n');
+
+const originalLog = console.log;
+const originalError = console.error;
+
+async function runTests() {
+  try {
+    const { privateKey, publicKey } = generateKeyPair();
+    const store = new MemorySessionStore();
+    const recoveryDir = path.join(tmpDir, 'recovery');
+    const analyticsDir = path.join(tmpDir, 'analytics');
+    const replayDir = process.env.REPLAY_DIR;
+
+    store.put('ancient', sessionRecord('ancient', 'FINALIZED', 400));
+    store.put('finished', sessionRecord('finished', 'FINALIZED', 45));
+    store.put('recent', sessionRecord('recent', 'FINALIZED', 2));
+    store.put('abandoned', sessionRecord('abandoned', 'IN_PROGRESS', 10));
+    store.put('active', sessionRecord('active', 'IN_PROGRESS', 0));
+    store.put('undated', { ...sessionRecord('undated', 'FINALIZED', 400), finalized_at: undefined });
+
+    const oldRecovery = writeJson(path.join(recoveryDir, 'session_abandoned_1.json'), { session_id: 'abandoned' }, 10);
+    const newRecovery = writeJson(path.join(recoveryDir, 'session_active_1.json'), { session_id: 'active' });
+    const oldReplay = writeJson(path.join(replayDir, 'replay_old.json'), { created_at: daysAgo(60).toISOString() });
+    const newReplay = writeJson(path.join(replayDir, 'replay_new.json'), { created_at: daysAgo(1).toISOString() });
+    const undatedReplay = writeJson(path.join(replayDir, 'replay_undated.json'), { created_at: 'unknown' });
+    const oldAudit = writeJson(path.join(replayDir, 'audits', 'audit_old.json'), { created_at: daysAgo(120).toISOString() });
+    const newAudit = writeJson(path.join(replayDir, 'audits', 'audit_new.json'), { created_at: daysAgo(60).toISOString() });
+    const oldEvents = writeJson(path.join(analyticsDir, 'events_old.json'), { schema: 'analytics_events.v1' }, 100);
+    const newEvents = writeJson(path.join(analyticsDir, 'events_new.json'), { schema: 'analytics_events.v1' }, 5);
+
+    const retention = new RetentionManager({ sessionStore: store, recoveryDir, analyticsDir });
+
+    // 1. Collection from the stores
+    console.log('1️⃣ Collecting data by type...');
+    const dataByType = await retention.getDataByType();
+    assert(dataByType.final_snapshots.length === 4 && dataByType.answers.length === 4,
+      'Finalized sessions yield final snapshots and answers');
+    assert(dataByType.session_data.length === 4, 'Unfinished sessions and recovery files are session data');
+    assert(dataByType.replay_files.length === 3 && dataByType.replay_audits.length === 2,
+      'Replay files and replay audits are collected');
+    assert(dataByType.analytics_events.length === 2, 'Analytics event files are collected');
+
+    // 2. Dry run
+    console.log('\n2️⃣ Dry run...');
+    console.log = () => {};
+    const dryRun = await retention.runPurge({ signingKey: privateKey });
+    console.log = originalLog;
+    const counts = dryRun.data_types;
+    assert(dryRun.schema === 'retention_purge_report.v1' && dryRun.mode === 'dry-run', 'Dry runs are reported as such');
+    assert(counts.final_snapshots.eligible === 1 && counts.answers.eligible === 2 && counts.session_data.eligible === 2 &&
+      counts.replay_files.eligible === 1 && counts.replay_audits.eligible === 1 && counts.analytics_events.eligible === 1,
+      'Eligible counts follow each retention window');
+    assert(dryRun.totals.purged === 0 && store.list().length === 6 &&
+      [oldRecovery, oldReplay, oldAudit, oldEvents].every(file => fs.existsSync(file)), 'Dry runs delete nothing');
+    assert(verifyDocumentSignature(dryRun, publicKey).valid, 'Dry run report is signed');
+    assert(counts.final_snapshots.undated === 1 && counts.final_snapshots.undated_ids[0] === 'undated' &&
+      counts.answers.undated === 1 && counts.replay_files.undated_ids[0] === 'replay_undated.json' &&
+      dryRun.totals.undated === 3 && counts.session_data.undated === 0 && !('undated_ids' in counts.session_data),
+    'Records without a valid timestamp are flagged as undated');
+
+    // 3. Apply
+    console.log('\n3️⃣ Apply...');
+    const logged = [];
+    console.log = (...args) => logged.push(args);
+    const applied = await retention.runPurge({ apply: true, signingKey: privateKey });
+    console.log = originalLog;
+    assert(applied.mode === 'apply' && applied.totals.purged === 7, 'Applied runs report what was purged');
+    assert(logged.length === 0, 'Purge counts go to the report, not the console');
+    assert(store.get('undated').answers.length === 1 && fs.existsSync(undatedReplay) && applied.totals.undated === 3,
+      'Undated records are kept and still flagged');
+    assert(!store.get('ancient') && !store.get('abandoned'), 'Expired session records are deleted');
+    const finished = store.get('finished');
+    assert(finished.answers.length === 0 && finished.answers_purged_at && finished.revision === 2,
+      'Expired answers are stripped while the final snapshot is kept');
+    assert(store.get('recent').answers.length === 1 && store.get('active'), 'Fresh sessions are kept');
+    assert([oldRecovery, oldReplay, oldAudit, oldEvents].every(file => !fs.existsSync(file)), 'Expired files are deleted');
+    assert([newRecovery, newReplay, newAudit, newEvents].every(file => fs.existsSync(file)), 'Fresh files are kept');
+    assert(verifyDocumentSignature(applied, publicKey).valid, 'Applied report is signed');
+
+    const tampered = JSON.parse(JSON.stringify(applied));
+    tampered.totals.purged = 0;
+    assert(!verifyDocumentSignature(tampered, publicKey).valid, 'Tampered reports fail verification');
+    assert(retention.retentionLog.filter(entry => entry.action === 'purge_report').length === 2,
+      'Each run is recorded in the retention log');
+
+    // 4. Policy overrides and scheduling
+    console.log('\n4️⃣ Overrides and scheduling...');
+    process.env.RETENTION_REPLAY_FILES_DAYS = '14';
+    const overridden = new RetentionManager({ sessionStore: store, recoveryDir, analyticsDir });
+    assert(overridden.policies.replay_files.retention_days === 14, 'RETENTION_<TYPE>_DAYS overrides a policy');
+    const invalid = ['0', '-5', 'thirty', '7.5', ''].filter(value => {
+      process.env.RETENTION_REPLAY_FILES_DAYS = value;
+      try {
+        new RetentionManager({ sessionStore: store, recoveryDir, analyticsDir });
+        return false;
+      } catch (error) {
+        return /RETENTION_REPLAY_FILES_DAYS/.test(error.message);
+      }
+    });
+    delete process.env.RETENTION_REPLAY_FILES_DAYS;
+    assert(invalid.length === 5, 'Overrides that are not a positive whole number of days are rejected');
+
+    const engine = new PFFEngine({ sessionStore: store, recoveryDir, idleTimeoutMs: 0 });
+    const scheduled = engine.scheduleRetentionPurge(60 * 60 * 1000);
+    assert(scheduled.sessionStore === store && scheduled.recoveryDir === recoveryDir && scheduled.purgeTimer,
+      'Engine schedules purges over its own stores');
+    scheduled.stopAutomaticPurging();
+    assert(scheduled.purgeTimer === null, 'Scheduled purges can be stopped');
+
+    const runs = [];
+    const failing = new RetentionManager({ sessionStore: store, recoveryDir, analyticsDir });
+    failing.runPurge = async () => {
+      if (runs.length > 0) {
+        throw new Error('store unavailable');
+      }
+      return { totals: { purged: 3 } };
+    };
+    const scheduledLog = [];
+    console.log = console.error = (...args) => scheduledLog.push(args);
+    await new Promise(resolve => {
+      failing.scheduleAutomaticPurging(5, report => runs.push(report));
+      const poll = setInterval(() => {
+        if (failing.retentionLog.length >= 2) {
+          clearInterval(poll);
+          resolve();
+        }
+      }, 5);
+    });
+    failing.stopAutomaticPurging();
+    console.log = originalLog;
+    console.error = originalError;
+    const [succeeded, failed] = failing.retentionLog.filter(entry => entry.action === 'scheduled_purge');
+    assert(succeeded.success && succeeded.totals.purged === 3 && runs.length === 1,
+      'Scheduled runs are recorded in the retention log');
+    assert(!failed.success && failed.error === 'store unavailable', 'Failed scheduled runs are recorded with their error');
+    assert(scheduledLog.length === 0, 'Scheduled purges log nothing to the console');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('\n🎉 All retention tests passed!');
+    process.exit(0);
+  } catch (error) {
+    console.log = originalLog;
+    console.error = originalError;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Test versioned PRNG algorithms - lcg32 schedules stay bit-exact for older
+ * goldens, new sessions use xoroshiro128plus
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { createRNG, restoreRNG } = require('../engine/rng');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+// Schedules produced by the original engine LCG
+const LCG_SCHEDULES = [
+  {
+    seed: 'rng-golden-001',
+    picks: ['Control', 'Truth', 'Stress'],
+    qids: ['STRESS_Q1', 'STRESS_Q2', 'TRUTH_Q1', 'TRUTH_Q2', 'CONTROL_Q1', 'CONTROL_Q2', 'BOUNDARY_Q1', 'BOUNDARY_Q2', 'BOUNDARY_Q3',
+      'RECOGNITION_Q1', 'RECOGNITION_Q2', 'RECOGNITION_Q3', 'BONDING_Q1', 'BONDING_Q2', 'BONDING_Q3', 'PACE_Q1', 'PACE_Q2', 'PACE_Q3']
+  },
+  {
+    seed: 'rng-golden-002',
+    picks: ['Pace'],
+    qids: ['PACE_Q1', 'PACE_Q2', 'TRUTH_Q1', 'TRUTH_Q3', 'BOUNDARY_Q1', 'BOUNDARY_Q3', 'RECOGNITION_Q1', 'RECOGNITION_Q2', 'RECOGNITION_Q3',
+      'CONTROL_Q1', 'CONTROL_Q2', 'CONTROL_Q3', 'STRESS_Q1', 'STRESS_Q2', 'STRESS_Q3', 'BONDING_Q1', 'BONDING_Q2', 'BONDING_Q3']
+  },
+  {
+    seed: 'rng-golden-003',
+    picks: ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'],
+    qids: ['STRESS_Q1', 'STRESS_Q2', 'PACE_Q1', 'PACE_Q2', 'BOUNDARY_Q1', 'BOUNDARY_Q2', 'BONDING_Q1', 'BONDING_Q2', 'RECOGNITION_Q1', 'RECOGNITION_Q2',
+      'TRUTH_Q1', 'TRUTH_Q2', 'CONTROL_Q1', 'CONTROL_Q2', 'STRESS_Q3', 'PACE_Q3', 'BOUNDARY_Q3', 'BONDING_Q3']
+  }
+];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function scheduleFor(engine, seed, picks, options) {
+  const { session_id } = engine.initSession(seed, bankPath, options);
+  return engine.setPicks(session_id, picks).schedule;
+}
+
+console.log('🧪 Testing PRNG algorithms...\n');
+
+try {
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store });
+
+  // 1. lcg32 replays bit-exactly
+  console.log('1️⃣ lcg32 compatibility...');
+  LCG_SCHEDULES.forEach(({ seed, picks, qids }) => {
+    const { session_id } = engine.initSession(seed, bankPath, { rngAlgorithm: 'lcg32' });
+    engine.setPicks(session_id, picks);
+    const actual = engine._getSession(session_id).schedule.map(item => item.qid);
+    assert(JSON.stringify(actual) === JSON.stringify(qids), `${seed} (${picks.length} picks) matches the LCG schedule`);
+  });
+
+  const legacyRecord = store.get(engine.initSession('rng-legacy-001', bankPath, { rngAlgorithm: 'lcg32' }).session_id);
+  delete legacyRecord.rng_algorithm;
+  legacyRecord.revision += 1;
+  store.put(legacyRecord.session_id, legacyRecord);
+  assert(engine._getSession(legacyRecord.session_id).prng.algorithm === 'lcg32', 'Records without rng_algorithm load as lcg32');
+
+  // 2. New sessions default to xoroshiro128plus
+  console.log('\n2️⃣ xoroshiro128plus...');
+  const init = engine.initSession('rng-new-001', bankPath);
+  assert(init.rng_algorithm === 'xoroshiro128plus', 'New sessions use xoroshiro128plus');
+  assert(store.get(init.session_id).rng_algorithm === 'xoroshiro128plus', 'rng_algorithm is persisted with the session');
+
+  const picks = ['Control', 'Truth', 'Stress'];
+  const first = scheduleFor(engine, 'rng-new-002', picks);
+  const second = scheduleFor(new PFFEngine({ sessionStore: new MemorySessionStore() }), 'rng-new-002', picks);
+  assert(JSON.stringify(first) === JSON.stringify(second), 'Same seed gives the same schedule');
+
+  const rng = createRNG('xoroshiro128plus', 'a'.repeat(64));
+  const draws = Array.from({ length: 1000 }, () => rng.next());
+  assert(draws.every(value => value >= 0 && value < 1), 'Draws are in [0, 1)');
+  assert(new Set(draws).size === draws.length, 'No repeated draws in 1000 samples');
+
+  const restored = restoreRNG('xoroshiro128plus', JSON.parse(JSON.stringify(rng.getState())));
+  assert(restored.next() === rng.next() && restored.next() === rng.next(), 'Restored state continues the same sequence');
+
+  // 3. Unknown algorithms are rejected
+  console.log('\n3️⃣ Validation...');
+  let rejected = null;
+  try {
+    engine.initSession('rng-bad-001', bankPath, { rngAlgorithm: 'mt19937' });
+  } catch (error) {
+    rejected = error;
+  }
+  assert(rejected && rejected.code === 'E_INVALID_RNG_ALGORITHM', 'Unknown algorithm raises E_INVALID_RNG_ALGORITHM');
+
+  console.log('\n🎉 All PRNG algorithm tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test schedule policy - every pick count reaches the declared session length,
+ * fallback.js plans through the same interpreter and lint rejects policies
+ * that miss the length
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { createRNG } = require('../engine/rng');
+const { DEFAULT_SCHEDULE_POLICY, getScheduleLength } = require('../engine/schedulePolicy');
+const FallbackManager = require('../engine/fallback');
+const { validateSchedulePolicy } = require('./lint-bank');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const families = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition', 'Bonding', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function runSession(engine, seed, picks) {
+  const { session_id } = engine.initSession(seed, bankPath);
+  engine.setPicks(session_id, picks);
+
+  const served = [];
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    served.push(question);
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  return { served, results: engine.finalizeSession(session_id) };
+}
+
+const familyQuestions = Object.fromEntries(families.map(family => [
+  family.toLowerCase(),
+  { family, questions: [1, 2, 3].map(order => ({ qid: `${family.toUpperCase()}_Q${order}` })) }
+]));
+
+function expectPolicyError(policy, pattern) {
+  return validateSchedulePolicy(policy, families, familyQuestions).some(error => pattern.test(error));
+}
+
+console.log('🧪 Testing schedule policy...\n');
+
+try {
+  // 1. Every pick count reaches the session length
+  console.log('1️⃣ Engine schedules...');
+  const sourcePolicy = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'bank', 'bank.meta.json'), 'utf8')).schedule_policy;
+  assert(JSON.stringify(sourcePolicy) === JSON.stringify(DEFAULT_SCHEDULE_POLICY),
+    'Engine default matches bank.meta.json');
+
+  ['xoroshiro128plus', 'lcg32'].forEach(rngAlgorithm => {
+    const engine = new PFFEngine({ sessionStore: new MemorySessionStore(), rngAlgorithm });
+    for (let count = 1; count <= families.length; count++) {
+      const { served, results } = runSession(engine, `policy-test-${rngAlgorithm}-${count}`, families.slice(0, count));
+      const qids = served.map(question => question.qid);
+      if (qids.length !== 18 || new Set(qids).size !== 18 || !results) {
+        throw new Error(`${rngAlgorithm} with ${count} picks served ${qids.length} questions`);
+      }
+    }
+    console.log(`   ✅ ${rngAlgorithm}: picks 1-7 each serve 18 distinct questions and finalize`);
+  });
+
+  // 2. Fallback plans through the same policy
+  console.log('\n2️⃣ Fallback handlers...');
+  const bankPackage = JSON.parse(fs.readFileSync(bankPath, 'utf8'));
+  const fallback = new FallbackManager();
+
+  const dropped = fallback.handleOnlyOnePicked(['Control'], families.slice(1), bankPackage, createRNG('xoroshiro128plus', 'fallback-001'));
+  assert(dropped.length === 2 && dropped.every(probe => probe.order_in_family === 'O' && probe.family !== 'Control'),
+    'One pick drops two O probes from not-picked families');
+
+  const extras = fallback.handleAllSevenPicked(families, bankPackage, createRNG('xoroshiro128plus', 'fallback-002'));
+  assert(extras.length === 4 && new Set(extras.map(probe => probe.family)).size === 4,
+    'Seven picks add four probes from distinct families');
+  assert(extras.every(probe => probe.qid.endsWith('_Q3')), 'Extra probes are the next unasked question');
+
+  const shortBank = JSON.parse(JSON.stringify(bankPackage));
+  Object.values(shortBank.questions).forEach(familyData => familyData.questions.splice(2));
+  let impossible = null;
+  try {
+    fallback.handleAllSevenPicked(families, shortBank, createRNG('xoroshiro128plus', 'fallback-003'));
+  } catch (error) {
+    impossible = error;
+  }
+  assert(impossible && fallback.errors.some(error => error.code === 'E_SCHEDULER_IMPOSSIBLE'),
+    'Banks that cannot supply the session length raise E_SCHEDULER_IMPOSSIBLE');
+
+  // 3. Lint validation
+  console.log('\n3️⃣ Policy validation...');
+  assert(validateSchedulePolicy(DEFAULT_SCHEDULE_POLICY, families, familyQuestions).length === 0,
+    'Default policy is valid');
+  assert(getScheduleLength(DEFAULT_SCHEDULE_POLICY, 4, families.length) === 18, 'Four picks yield 18 questions');
+
+  const withoutRule = JSON.parse(JSON.stringify(DEFAULT_SCHEDULE_POLICY));
+  delete withoutRule.pick_counts[5];
+  assert(expectPolicyError(withoutRule, /5 picks yields 16 questions/), 'Missing pick-count rule is rejected');
+
+  const tooManyExtras = JSON.parse(JSON.stringify(DEFAULT_SCHEDULE_POLICY));
+  tooManyExtras.pick_counts[1] = { extra_probes: { count: 2 } };
+  assert(expectPolicyError(tooManyExtras, /adds 2 probes to 1 picked families/), 'More extra probes than picks is rejected');
+
+  const badOrder = JSON.parse(JSON.stringify(DEFAULT_SCHEDULE_POLICY));
+  badOrder.pick_counts[2].drop_probes.order_in_family = 'C';
+  assert(expectPolicyError(badOrder, /invalid probe order: C/), 'Dropping C questions is rejected');
+
+  const zeroWithoutRule = JSON.parse(JSON.stringify(DEFAULT_SCHEDULE_POLICY));
+  zeroWithoutRule.picks_policy = 'all_21_on_zero';
+  delete zeroWithoutRule.pick_counts[0];
+  assert(expectPolicyError(zeroWithoutRule, /0 picks yields 21 questions, declared session length is 18/),
+    'all_21_on_zero needs a session length for zero picks');
+
+  assert(expectPolicyError({ ...DEFAULT_SCHEDULE_POLICY, picks_policy: 'any' }, /picks_policy must be one of/),
+    'Unknown picks policy is rejected');
+
+  assert(expectPolicyError({ session_length: 18 }, /picked_family_questions/), 'Incomplete policy is rejected');
+
+  console.log('\n🎉 All schedule policy tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
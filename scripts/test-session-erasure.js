@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test session erasure - describeSessionData finds a session in every store and
+ * forgetSession removes it from all of them, leaving a tombstone in the privacy audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-erasure-'));
+process.env.REPLAY_DIR = path.join(tmpDir, 'replays');
+fs.mkdirSync(process.env.REPLAY_DIR);
+
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const PrivacyAuditLog = require('../engine/privacyAuditLog');
+const RecoveryManager = require('../engine/recovery');
+const replayAuditStore = require('../engine/replayAuditStore');
+const { PRIVACY_FLAGS } = require('../engine/privacyConsent');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function expectError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+function runSession(engine, seed) {
+  const { session_id } = engine.initSession(seed, bankPath, {
+    privacy: { privacy_flags: { [PRIVACY_FLAGS.ALLOW_ANALYTICS]: true, [PRIVACY_FLAGS.ALLOW_REPLAY]: true } }
+  });
+  engine.setPicks(session_id, pickedFamilies);
+  engine.submitAnswer(session_id, engine.getNextQuestion(session_id).qid, 'A');
+  engine.pauseSession(session_id);
+  engine.submitAnswer(session_id, engine.resumeSession(session_id).next_question.qid, 'A');
+
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  engine.finalizeSession(session_id);
+  return session_id;
+}
+
+console.log('🧪 Testing session erasure...\n');
+
+const originalLog = console.log;
+
+try {
+  const recoveryDir = path.join(tmpDir, 'recovery');
+  const recovery = new RecoveryManager({ recoveryDir });
+  const engine = new PFFEngine({
+    sessionStore: new MemorySessionStore(),
+    idleTimeoutMs: 0,
+    privacyAuditLog: new PrivacyAuditLog({ filePath: path.join(tmpDir, 'privacy-audit.jsonl') }),
+    recoveryDir
+  });
+
+  console.log = () => {};
+  const forgotten = runSession(engine, 'erasure-test-001');
+  const kept = runSession(engine, 'erasure-test-002');
+  console.log = originalLog;
+
+  // Put the sessions in every file-backed store
+  [forgotten, kept].forEach(sessionId => {
+    const session = engine._getSession(sessionId);
+    recovery.saveSessionState(sessionId, session, 'finalize');
+    const replay = engine.createReplay(sessionId);
+    const replayFile = path.join(replayAuditStore.getReplayDir(), `replay_${sessionId}.json`);
+    fs.writeFileSync(replayFile, JSON.stringify(replay, null, 2));
+    replayAuditStore.saveReplayAudit(replayAuditStore.createReplayAudit(
+      `replay-${sessionId}`, replay.bank_id, replay.bank_hash_sha256, 'payload', 'snapshot', 'MATCH', sessionId
+    ));
+  });
+  const legacyReplay = engine.createReplay(forgotten);
+  delete legacyReplay.session_id;
+  fs.writeFileSync(path.join(replayAuditStore.getReplayDir(), 'replay_legacy.json'), JSON.stringify(legacyReplay));
+
+  // 1. Describe
+  console.log('1️⃣ Describe session data...');
+  const description = engine.describeSessionData(forgotten);
+  const { stores } = description;
+  assert(stores.session && stores.session.session_id === forgotten, 'Session store record is described');
+  assert(stores.recovery_files.length === 1 && stores.recovery_files[0].data.session_id === forgotten,
+    'Recovery files are described');
+  assert(stores.replays.length === 2, 'Replay files are described, including ones without a session_id');
+  assert(stores.replay_audits.length === 1 && stores.replay_audits[0].data.session_id === forgotten,
+    'Replay audits are described');
+  assert(stores.analytics_events.length === 2, 'Analytics events are described');
+  assert(stores.privacy_audit_log.some(entry => entry.action === 'CONSENT_CAPTURED'), 'Privacy audit log is described');
+  assert(expectError(() => engine.describeSessionData('0000000000000000'), 'E_SESSION_NOT_FOUND'),
+    'Unknown sessions raise E_SESSION_NOT_FOUND');
+
+  // 2. Forget
+  console.log('\n2️⃣ Forget session...');
+  const result = engine.forgetSession(forgotten);
+  assert(JSON.stringify(result.removed) === JSON.stringify({
+    session: 1, recovery_files: 1, replays: 2, replay_audits: 1, analytics_events: 2, telemetry: 0
+  }), 'forgetSession reports what was removed from each store');
+  assert(!engine.sessionStore.get(forgotten) && expectError(() => engine.getResults(forgotten), 'E_SESSION_NOT_FOUND'),
+    'Session is gone from the store');
+  assert(recovery.listSessionFiles(forgotten).length === 0, 'Recovery files are deleted');
+  const replayData = replayAuditStore.findSessionReplayData(forgotten);
+  assert(replayData.replays.length === 0 && replayData.audits.length === 0, 'Replay files and audits are deleted');
+  assert(!engine.analytics.has(forgotten), 'Analytics events are deleted');
+
+  const tombstone = engine.getPrivacyAuditLog(forgotten).pop();
+  assert(tombstone.action === 'SESSION_FORGOTTEN' && tombstone.details.removed.session === 1,
+    'Privacy audit log records a tombstone');
+  const after = engine.describeSessionData(forgotten).stores;
+  assert(!after.session && after.recovery_files.length === 0 && after.privacy_audit_log.length > 0,
+    'Only the privacy audit log remains');
+  assert(expectError(() => engine.forgetSession(forgotten), 'E_SESSION_NOT_FOUND'),
+    'Forgetting twice raises E_SESSION_NOT_FOUND');
+
+  // 3. Other sessions are untouched
+  console.log('\n3️⃣ Other sessions...');
+  const other = engine.describeSessionData(kept).stores;
+  assert(other.session && other.recovery_files.length === 1 && other.replays.length === 1 &&
+    other.replay_audits.length === 1 && other.analytics_events.length === 2, 'Other sessions keep their data');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n🎉 All session erasure tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
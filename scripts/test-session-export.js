@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test session export - exportSession builds the ExportGenerator documents from
+ * the real session once it is finalized, gated by the session's privacy consent
+ */
+
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { PRIVACY_FLAGS } = require('../engine/privacyConsent');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+function expectError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+function runSession(engine, seed, privacyFlags) {
+  const { session_id } = engine.initSession(seed, bankPath, {
+    privacy: privacyFlags ? { privacy_flags: privacyFlags } : undefined
+  });
+  engine.setPicks(session_id, pickedFamilies);
+
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    engine.submitAnswer(session_id, question.qid, 'A');
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  return session_id;
+}
+
+console.log('🧪 Testing session export...\n');
+
+const originalLog = console.log;
+
+try {
+  const store = new MemorySessionStore();
+  const engine = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+
+  // 1. Gating
+  console.log('1️⃣ Consent and state...');
+  console.log = () => {};
+  const withoutConsent = runSession(engine, 'export-test-001');
+  const consented = runSession(engine, 'export-test-002', { [PRIVACY_FLAGS.ALLOW_EXPORT]: true });
+  console.log = originalLog;
+
+  assert(expectError(() => engine.exportSession(consented), 'E_STATE'), 'Sessions cannot be exported before finalize');
+
+  console.log = () => {};
+  engine.finalizeSession(withoutConsent);
+  const results = engine.finalizeSession(consented);
+  console.log = originalLog;
+
+  assert(expectError(() => engine.exportSession(withoutConsent), 'E_PRIVACY_RESTRICTED'),
+    'Sessions without export consent raise E_PRIVACY_RESTRICTED');
+  assert(expectError(() => engine.exportSession(consented, ['verdicts', 'raw']), 'E_BAD_EXPORT_TYPE'),
+    'Unknown export types raise E_BAD_EXPORT_TYPE');
+
+  // 2. Documents
+  console.log('\n2️⃣ Export documents...');
+  const bundle = engine.exportSession(consented);
+  const { verdicts, face_presence: facePresence, proof_tells: proofTells, audit } = bundle.exports;
+
+  assert(JSON.stringify(verdicts.line_verdicts) === JSON.stringify(results.line_verdicts) &&
+    verdicts.bank_id === engine.bankLoader.getBankId(), 'Verdict export matches the results snapshot');
+  assert(facePresence.faces.length === Object.keys(results.face_states).length &&
+    facePresence.faces.filter(face => face.familyRep).length === results.family_reps.length,
+    'Face presence export lists every face and marks family reps');
+  assert(proofTells.proof.length > 0 && proofTells.proof.every(entry => entry.face_id && entry.tell_ids.length > 0),
+    'Proof tells export groups answered tells by face');
+  assert(audit.answers.length === 18 && audit.bank_hash === engine.bankLoader.getBankHash() &&
+    audit.session_state.state === 'FINALIZED', 'Audit export carries answers and bank binding');
+  assert(bundle.omitted.length === 1 && bundle.omitted[0] === 'analytics' && !bundle.exports.analytics,
+    'Analytics export is omitted without analytics consent');
+
+  const selected = engine.exportSession(consented, ['verdicts']);
+  assert(JSON.stringify(Object.keys(selected.exports)) === JSON.stringify(['verdicts']), 'Only requested types are exported');
+
+  // 3. Analytics consent and persistence
+  console.log('\n3️⃣ Analytics consent and persistence...');
+  console.log = () => {};
+  const analyticsConsented = runSession(engine, 'export-test-003', {
+    [PRIVACY_FLAGS.ALLOW_EXPORT]: true,
+    [PRIVACY_FLAGS.ALLOW_ANALYTICS]: true
+  });
+  engine.finalizeSession(analyticsConsented);
+  const second = new PFFEngine({ sessionStore: store, idleTimeoutMs: 0 });
+  second.bankLoader.loadBank(bankPath);
+  console.log = originalLog;
+
+  const analytics = second.exportSession(analyticsConsented, ['analytics']).exports.analytics;
+  assert(analytics && analytics.events.length === 18 * 2 + 2, 'Analytics export has start, per-answer and finalize events');
+  assert(analytics.events[analytics.events.length - 1].type === 'FINALIZED', 'Analytics export ends with FINALIZED');
+  assert(second.exportSession(consented, ['verdicts']).consent_version === 1, 'Consent is read from the stored session');
+
+  console.log('\n🎉 All session export tests passed!');
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Test session store adapters - a session must continue identically
+ * after being reloaded from the store by a fresh engine instance
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-session-store-'));
+process.env.REPLAY_DIR = path.join(tmpDir, 'replays');
+
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore, FileSessionStore, SQLiteSessionStore } = require('../engine/sessionStore');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+const pickedFamilies = ['Control', 'Truth', 'Stress'];
+
+/**
+ * Answer questions until the schedule is exhausted or `limit` answers were given
+ */
+function answerQuestions(engine, sessionId, limit = Infinity) {
+  let answered = 0;
+  while (answered < limit) {
+    const question = engine.getNextQuestion(sessionId);
+    if (!question) break;
+    engine.submitAnswer(sessionId, question.qid, question.index % 3 === 0 ? 'B' : 'A', '2025-01-01T00:00:00.000Z', 1000);
+    answered++;
+    if (engine.sessionStore.get(sessionId).state === 'FINALIZING') break;
+  }
+  return answered;
+}
+
+/**
+ * Run a full session without interruption
+ */
+function runBaseline(seed) {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore() });
+  const { session_id } = engine.initSession(seed, bankPath);
+  engine.setPicks(session_id, pickedFamilies);
+  answerQuestions(engine, session_id);
+  return engine.finalizeSession(session_id);
+}
+
+/**
+ * Run the same session, switching to a brand-new engine and adapter instance halfway
+ */
+function runWithReload(seed, makeStore) {
+  const first = new PFFEngine({ sessionStore: makeStore() });
+  const { session_id } = first.initSession(seed, bankPath);
+  first.setPicks(session_id, pickedFamilies);
+  answerQuestions(first, session_id, 7);
+
+  const second = new PFFEngine({ sessionStore: makeStore() });
+  second.bankLoader.loadBank(bankPath);
+  answerQuestions(second, session_id);
+  return { results: second.finalizeSession(session_id), store: second.sessionStore, sessionId: session_id };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+console.log('🧪 Testing session store adapters...\n');
+
+try {
+  const seed = 'session-store-test-001';
+  const baseline = runBaseline(seed);
+
+  // 1. File adapter
+  console.log('1️⃣ File store reload...');
+  const fileDir = path.join(tmpDir, 'files');
+  const fileRun = runWithReload(seed, () => new FileSessionStore({ directory: fileDir }));
+  assert(JSON.stringify(fileRun.results) === JSON.stringify(baseline), 'File store session matches uninterrupted run');
+  assert(fileRun.store.get(fileRun.sessionId).results !== null, 'File store keeps the final snapshot');
+  assert(JSON.stringify(fileRun.store.list()) === JSON.stringify([fileRun.sessionId]), 'File store lists stored sessions');
+
+  // 2. Stale writers are rejected
+  console.log('\n2️⃣ Compare-and-set...');
+  const store = new MemorySessionStore();
+  const engineA = new PFFEngine({ sessionStore: store });
+  const engineB = new PFFEngine({ sessionStore: store });
+  const { session_id } = engineA.initSession('session-store-cas-001', bankPath);
+  engineB.bankLoader.loadBank(bankPath);
+  const staleSession = engineA._getSession(session_id);
+  engineB.setPicks(session_id, pickedFamilies);
+  let conflict = null;
+  try {
+    staleSession.state = 'PICKED';
+    engineA._saveSession(staleSession);
+  } catch (error) {
+    conflict = error;
+  }
+  assert(conflict && conflict.code === 'E_CONCURRENCY_CONFLICT', 'Stale revision raises E_CONCURRENCY_CONFLICT');
+  assert(engineA.getNextQuestion(session_id) !== null, 'Engine reloads the newer revision after a conflict');
+
+  let duplicate = null;
+  try {
+    engineB.initSession('session-store-cas-001', bankPath);
+  } catch (error) {
+    duplicate = error;
+  }
+  assert(duplicate && duplicate.code === 'E_STATE' && store.get(session_id).state === 'IN_PROGRESS',
+    'Re-initializing a seed leaves its existing session alone (E_STATE)');
+  engineA.abortSession(session_id);
+  assert(engineB.initSession('session-store-cas-001', bankPath).state === 'INIT' && store.get(session_id).state === 'INIT',
+    'An aborted session can be started again from its seed');
+
+  // 3. SQLite adapter (Node 22.5+ or better-sqlite3)
+  console.log('\n3️⃣ SQLite store reload...');
+  let sqliteAvailable = true;
+  try {
+    SQLiteSessionStore.openDatabase(':memory:');
+  } catch (error) {
+    sqliteAvailable = false;
+    console.log(`   ⏭️  Skipped: ${error.message}`);
+  }
+  if (sqliteAvailable) {
+    const dbPath = path.join(tmpDir, 'sessions.db');
+    const sqliteRun = runWithReload(seed, () => new SQLiteSessionStore({ filename: dbPath }));
+    assert(JSON.stringify(sqliteRun.results) === JSON.stringify(baseline), 'SQLite store session matches uninterrupted run');
+    assert(JSON.stringify(sqliteRun.store.list()) === JSON.stringify([sqliteRun.sessionId]), 'SQLite store lists stored sessions');
+    assert(sqliteRun.store.delete(sqliteRun.sessionId) && sqliteRun.store.get(sqliteRun.sessionId) === null, 'SQLite store deletes sessions');
+
+    // A session whose results carry a QA flag, read back by an engine that did not finalize it
+    const flaggedPath = path.join(tmpDir, 'flagged.db');
+    const writer = new PFFEngine({ sessionStore: new SQLiteSessionStore({ filename: flaggedPath }), idleTimeoutMs: 0 });
+    const originalLog = console.log;
+    console.log = () => {};
+    const flagged = writer.initSession('qa-flags-test-001', bankPath, { privacy: { privacy_flags: { allow_replay: true } } });
+    writer.setPicks(flagged.session_id, ['Control', 'Pace', 'Truth']);
+    let question;
+    while ((question = writer.getNextQuestion(flagged.session_id))) {
+      writer.submitAnswer(flagged.session_id, question.qid, 'A');
+      if (writer.sessionStore.get(flagged.session_id).state === 'FINALIZING') break;
+    }
+    const finalized = writer.finalizeSession(flagged.session_id);
+    const originalReplay = writer.createReplay(flagged.session_id);
+    const reader = new PFFEngine({ sessionStore: new SQLiteSessionStore({ filename: flaggedPath }), idleTimeoutMs: 0 });
+    reader.bankLoader.loadBank(bankPath);
+    const reloaded = reader.getResults(flagged.session_id);
+    const replay = reader.createReplay(flagged.session_id);
+    console.log = originalLog;
+    assert(finalized.qa_flags.length > 0 && JSON.stringify(reloaded.qa_flags) === JSON.stringify(finalized.qa_flags),
+      'SQLite store keeps the QA flags of the final snapshot');
+    assert(replay.qa_flags.length > 0 && JSON.stringify(replay.qa_flags) === JSON.stringify(originalReplay.qa_flags),
+      'Replays of reloaded sessions carry the QA flags');
+  }
+
+  console.log('\n🎉 All session store tests passed!');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+}
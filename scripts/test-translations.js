@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test the translation workflow - PO/XLIFF export of every i18n key, import with key and
+ * placeholder validation, the coverage report (missing, untranslated, stale) and the
+ * TRANSLATION_COVERAGE acceptance gate
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const translations = require('./translations');
+const { runAcceptanceGates, ACCEPTANCE_GATES } = require('../engine/acceptanceGates');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+/**
+ * Fill every empty PO target with a marked copy of its source
+ */
+function translatePo(content) {
+  return content.replace(/msgid "(.+)"\nmsgstr ""/g, (match, source) => `msgid "${source}"\nmsgstr "ES ${source}"`);
+}
+
+console.log('🧪 Testing the translation workflow...\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-translations-'));
+
+try {
+  fs.cpSync(path.join(__dirname, '..', 'bank', 'i18n'), path.join(tmpDir, 'i18n'), { recursive: true });
+  const options = { bankDir: tmpDir, bankPath };
+  const bankPackage = JSON.parse(fs.readFileSync(bankPath, 'utf8'));
+  const sources = translations.loadSources(options);
+
+  // 1. Export
+  console.log('1️⃣ Export...');
+  const po = translations.exportLocale('es', options);
+  const poUnits = translations.parsePo(po);
+  assert(sources.units.length === 84 && poUnits.length === sources.units.length &&
+    poUnits.every((unit, index) => unit.key === sources.units[index].key && unit.source === sources.units[index].text && unit.target === ''),
+  'PO files have one unit per i18n key with the en text as source');
+  assert(po.includes('#. Option A of CONTROL_Q1') && po.includes(`(${bankPackage.meta.bank_hash_sha256}) en -> es`),
+    'PO files name the bank and give translators each unit\'s context');
+
+  const xliff = translations.exportLocale('es', { ...options, format: 'xliff' });
+  const xliffUnits = translations.parseXliff(xliff);
+  assert(xliffUnits.length === sources.units.length && xliff.includes('target-language="es"') &&
+    xliffUnits.every((unit, index) => unit.source === sources.units[index].text),
+  'XLIFF files carry the same units');
+  assert(translations.parseXliff('<trans-unit id="k"><source>A &amp; &lt;b&gt;</source><target>C &quot;d&quot;</target></trans-unit>')[0].target === 'C "d"' &&
+    translations.parsePo('msgctxt "k"\nmsgid ""\n"Say \\"hi\\""\nmsgstr "Di \\"hola\\""\n')[0].source === 'Say "hi"',
+  'Escapes and multi-line strings are read back');
+  assert([() => translations.exportLocale('en', options), () => translations.exportLocale('es_MX', options),
+    () => translations.exportLocale('es', { ...options, format: 'csv' })].every(fn => {
+    try { fn(); } catch (error) { return true; }
+    return false;
+  }), 'The source locale, malformed locales and unknown formats are refused');
+
+  // 2. Import
+  console.log('\n2️⃣ Import...');
+  const localePath = path.join(tmpDir, 'i18n', 'locales', 'es.json');
+  const unknown = translations.importLocale('es', `${po}\nmsgctxt "stem.control.q9"\nmsgid "x"\nmsgstr "y"\n`, options);
+  const placeholder = translations.importLocale('es',
+    po.replace('msgid "The group can\'t agree on how to start a project. What do you do?"\nmsgstr ""',
+      'msgid "The group can\'t agree on how to start a project. What do you do?"\nmsgstr "{name}, ¿qué haces?"'), options);
+  assert(unknown.errors.some(error => error.includes('Unknown key stem.control.q9')) &&
+    placeholder.errors.some(error => error.includes('stem.control.q1 has placeholders {name}')) &&
+    !fs.existsSync(localePath), 'Unknown keys and changed placeholders fail the import and nothing is written');
+  assert(translations.findPlaceholders('Hi {name}, %s {{count}} %1$d').length === 4, 'Placeholders in every style are found');
+
+  const translated = translatePo(po)
+    .replace(/msgid "(.+)"\nmsgstr "ES .+"\n\n#\. Question CONTROL_Q3/, 'msgid "$1"\nmsgstr ""\n\n#. Question CONTROL_Q3')
+    .replace(/#\. Family Pace\n[^\n]+\n[^\n]+\n[^\n]+\n/, '');
+  const imported = translations.importLocale('es', translated, options);
+  const localeFile = JSON.parse(fs.readFileSync(localePath, 'utf8'));
+  assert(imported.errors.length === 0 && imported.imported === 82 && imported.untranslated === 1 &&
+    localeFile.strings['stem.control.q1'].startsWith('ES The group') && localeFile.strings['stem.control.q2'] === '',
+  'Translations are written to the locale file, empty targets as untranslated');
+  assert(localeFile.bank_hash === bankPackage.meta.bank_hash_sha256 &&
+    localeFile.source_hashes['stem.control.q1'] === translations.sourceHash(sources.units[0].text),
+  'The locale file records the bank hash and the source each string was translated from');
+
+  // 3. Coverage
+  console.log('\n3️⃣ Coverage...');
+  const english = path.join(tmpDir, 'i18n', 'locales', 'en.json');
+  const source = JSON.parse(fs.readFileSync(english, 'utf8'));
+  source.strings['stem.truth.q1'] = 'A reworded question. What do you do?';
+  fs.writeFileSync(english, JSON.stringify(source));
+
+  const coverage = translations.buildCoverageReport({ ...options, required: ['es', 'fr'] });
+  const es = coverage.locales.es;
+  assert(coverage.total_strings === 84 && es.missing.join() === 'family.pace' &&
+    es.untranslated.join() === 'stem.control.q2' && es.stale.join() === 'stem.truth.q1' && es.translated === 81 && !es.complete,
+  'Coverage lists missing, untranslated and stale keys');
+  assert(coverage.locales.fr.missing.length === 84 && coverage.locales.fr.coverage === 0, 'Required locales without a file are reported missing');
+
+  delete localeFile.source_hashes;
+  localeFile.bank_hash = 'a'.repeat(64);
+  fs.writeFileSync(localePath, JSON.stringify(localeFile));
+  assert(translations.buildCoverageReport(options).locales.es.stale.length === 82,
+    'Translations without source hashes are stale once the bank hash changes');
+
+  // 4. Acceptance gate
+  console.log('\n4️⃣ Acceptance gate...');
+  const check = ACCEPTANCE_GATES.TRANSLATION_COVERAGE.check;
+  const complete = { ...coverage, required_locales: ['es'], locales: { es: { ...es, missing: [], untranslated: [], stale: [] } } };
+  assert(check(bankPackage, null).passed && check(bankPackage, complete).passed, 'Complete required locales pass, the report is optional');
+  assert(!check(bankPackage, coverage).passed && check(bankPackage, coverage).details.includes('fr: 84 missing') &&
+    !check(bankPackage, { ...complete, bank_hash: 'b'.repeat(64) }).passed, 'Incomplete required locales and other banks\' reports block');
+  assert(runAcceptanceGates(bankPackage, { translation_coverage: coverage }).blocking_failures
+    .some(failure => failure.gate === 'TRANSLATION_COVERAGE'), 'runAcceptanceGates reads the report as translation_coverage');
+
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n🎉 All translation workflow tests passed!');
+  process.exit(0);
+} catch (error) {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
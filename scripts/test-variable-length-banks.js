@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test variable-length banks - families, per-family question counts, option
+ * counts and session length come from the bank package and its schedule policy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PFFEngine } = require('../engine');
+const { MemorySessionStore } = require('../engine/sessionStore');
+const { computeHash, canonicalize } = require('./pack-bank');
+const { generateKeyPair, signBankPackage } = require('../engine/bankSignature');
+
+const bankPath = path.join(__dirname, '..', 'bank', 'packaged', 'bank_package.json');
+
+// Derived banks are signed with a throwaway key the loader is pointed at
+const testKeys = generateKeyPair();
+process.env.BANK_VERIFY_KEY = testKeys.publicKeyBase64;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`   ✅ ${message}`);
+}
+
+/**
+ * Derive a bank package from the packaged bank and write it with a fresh hash and signature
+ */
+function writeBank(dir, name, transform) {
+  const bank = JSON.parse(fs.readFileSync(bankPath, 'utf8'));
+  ['bank_hash_sha256', 'packed_at', 'signature', 'signature_algorithm', 'signed_at', 'signed_by'].forEach(field => delete bank.meta[field]);
+  transform(bank);
+  bank.meta.bank_id = name;
+  bank.meta.bank_hash_sha256 = computeHash(bank);
+  signBankPackage(bank, testKeys.privateKey, 'development');
+
+  const filePath = path.join(dir, `${name}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(canonicalize(bank), null, 2));
+  return filePath;
+}
+
+/**
+ * Keep only the given families and the faces and tells that belong to them
+ */
+function keepFamilies(bank, families) {
+  bank.registries.families.families = bank.registries.families.families.filter(family => families.includes(family.name));
+  bank.registries.faces.faces = bank.registries.faces.faces.filter(face => families.includes(face.family));
+  const faces = new Set(bank.registries.faces.faces.map(face => face.id));
+  bank.registries.tells.tells = bank.registries.tells.tells.filter(tell => faces.has(tell.face_id));
+  const tells = new Set(bank.registries.tells.tells.map(tell => tell.id));
+
+  Object.keys(bank.questions).forEach(file => {
+    if (!families.includes(bank.questions[file].family)) {
+      delete bank.questions[file];
+      return;
+    }
+    bank.questions[file].questions.forEach(question => {
+      question.options.forEach(option => {
+        option.tells = (option.tells || []).filter(tellId => tells.has(tellId));
+      });
+    });
+  });
+}
+
+function runSession(filePath, seed, picks) {
+  const engine = new PFFEngine({ sessionStore: new MemorySessionStore() });
+  engine.bankLoader.loadBank(filePath);
+  const { session_id } = engine.initSession(seed, filePath);
+  engine.setPicks(session_id, picks);
+
+  const served = [];
+  let question;
+  while ((question = engine.getNextQuestion(session_id))) {
+    served.push(question);
+    engine.submitAnswer(session_id, question.qid, question.options[question.options.length - 1].key);
+    if (engine.sessionStore.get(session_id).state === 'FINALIZING') break;
+  }
+  return { engine, served, results: engine.finalizeSession(session_id) };
+}
+
+console.log('🧪 Testing variable-length banks...\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pff-banks-'));
+const originalLog = console.log;
+
+try {
+  // 1. Shorter screener bank: 5 families, 12 questions
+  console.log('1️⃣ Screener bank...');
+  const screenerFamilies = ['Control', 'Pace', 'Boundary', 'Truth', 'Recognition'];
+  const screenerPath = writeBank(tmpDir, 'pff.screener', bank => {
+    keepFamilies(bank, screenerFamilies);
+    bank.meta.schedule_policy = { session_length: 12, picked_family_questions: 2, unpicked_family_questions: 3 };
+  });
+
+  console.log = () => {};
+  const screener = runSession(screenerPath, 'variable-screener-001', ['Control', 'Pace', 'Boundary']);
+  console.log = originalLog;
+
+  assert(screener.served.length === 12, 'Session length comes from the schedule policy');
+  assert(screener.served.every((question, index) => question.index === index + 1 && question.total === 12),
+    'Question index and total follow the bank');
+  assert(JSON.stringify(Object.keys(screener.results.line_verdicts)) === JSON.stringify(screenerFamilies),
+    'Line verdicts cover the bank families only');
+  assert(screener.results.family_reps.length === 5, 'Family reps cover the bank families only');
+
+  let pickError = null;
+  try {
+    const { session_id } = screener.engine.initSession('variable-screener-002', screenerPath);
+    screener.engine.setPicks(session_id, ['Stress']);
+  } catch (error) {
+    pickError = error;
+  }
+  assert(pickError && pickError.code === 'E_INVALID_FAMILY', 'Families outside the bank are rejected');
+
+  // 2. Longer deep-dive bank: 4 questions per family, 3 options on the added questions
+  console.log('\n2️⃣ Deep-dive bank...');
+  const deepDivePath = writeBank(tmpDir, 'pff.deepdive', bank => {
+    Object.values(bank.questions).forEach(familyData => {
+      const probe = JSON.parse(JSON.stringify(familyData.questions[1]));
+      probe.qid = probe.qid.replace('_Q2', '_Q4');
+      probe.options.push({ ...probe.options[1], id: 'C', tells: [] });
+      familyData.questions.push(probe);
+    });
+    bank.meta.schedule_policy = {
+      session_length: 24,
+      picked_family_questions: 3,
+      unpicked_family_questions: 4,
+      pick_counts: { 3: { drop_probes: { count: 1, order_in_family: 'O' } } }
+    };
+  });
+
+  console.log = () => {};
+  const deepDive = runSession(deepDivePath, 'variable-deepdive-001', ['Control', 'Truth', 'Stress']);
+  console.log = originalLog;
+
+  assert(deepDive.served.length === 24 && deepDive.served[0].total === 24, 'Deep-dive sessions run to 24 questions');
+  assert(deepDive.served.some(question => question.options.length === 3), 'Three-option questions are served');
+  assert(deepDive.served.filter(question => question.qid.endsWith('_Q4')).length > 0, 'Questions beyond Q3 are scheduled');
+
+  console.log('\n🎉 All variable-length bank tests passed!');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(0);
+} catch (error) {
+  console.log = originalLog;
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadI18nSources } = require('./lint-bank');
+const { DEFAULT_LOCALE, isValidLocale } = require('../engine/localeBundles');
+
+/**
+ * Translations - Translator workflow for the bank/i18n locales
+ *
+ * - Export: PO or XLIFF 1.2 file for a locale, one unit per i18n key with the default
+ *   locale text as source (option text comes from the questions) and the current translation
+ * - Import: validates keys and placeholders, then writes bank/i18n/locales/<locale>.json with
+ *   the hash of the source each string was translated from
+ * - Coverage: per locale, keys missing, untranslated (imported empty) and stale (source
+ *   changed since translation, or translated for another bank hash when no hash was kept)
+ */
+
+const BANK_DIR = path.join(__dirname, '..', 'bank');
+const PLACEHOLDER_PATTERN = /\{\{?\s*[A-Za-z0-9_.]+\s*\}?\}|%(?:\d+\$)?[sd]/g;
+const FORMATS = ['po', 'xliff'];
+
+/**
+ * Hash of a source string, kept with each translation to detect stale ones
+ */
+function sourceHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Placeholders in a string ({name}, {{name}}, %s, %1$d), sorted
+ */
+function findPlaceholders(text) {
+  return (text.match(PLACEHOLDER_PATTERN) || []).sort();
+}
+
+/**
+ * Load the packaged bank the sources belong to
+ */
+function loadBankPackage(bankDir, bankPath) {
+  const packagePath = bankPath || path.join(bankDir, 'packaged', 'bank_package.json');
+  return JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+}
+
+/**
+ * Source units in the default locale: every stem, option, face and family key with its
+ * text and a note for translators
+ * @returns {{bankId: string, bankHash: string, units: Array<{key: string, text: string, note: string}>}} Sources
+ */
+function loadSources({ bankDir = BANK_DIR, bankPath = null } = {}) {
+  const bankPackage = loadBankPackage(bankDir, bankPath);
+  const i18n = loadI18nSources(bankDir);
+  const strings = (i18n.locales[DEFAULT_LOCALE] || {}).strings || {};
+
+  const optionText = new Map();
+  Object.values(bankPackage.questions).forEach(familyQuestions => {
+    familyQuestions.questions.forEach(question => {
+      question.options.forEach(option => optionText.set(`${question.qid}:${option.id}`, option.text));
+    });
+  });
+
+  const units = [
+    ...i18n.stems.map(stem => ({ key: stem.text_key, text: strings[stem.text_key], note: `Question ${stem.qid}` })),
+    ...i18n.options.map(option => ({
+      key: option.text_key,
+      text: strings[option.text_key] || optionText.get(`${option.qid}:${option.key}`),
+      note: `Option ${option.key} of ${option.qid}`
+    })),
+    ...i18n.faces.map(face => ({ key: face.text_key, text: strings[face.text_key], note: `Face ${face.face_id}` })),
+    ...i18n.families.map(family => ({ key: family.text_key, text: strings[family.text_key], note: `Family ${family.family_id}` }))
+  ].filter(unit => unit.text);
+
+  return {
+    bankId: bankPackage.meta.bank_id,
+    bankHash: bankPackage.meta.bank_hash_sha256,
+    units
+  };
+}
+
+/**
+ * Load a locale source file (an empty one for a new locale)
+ */
+function loadLocale(locale, bankDir = BANK_DIR) {
+  const localePath = path.join(bankDir, 'i18n', 'locales', `${locale}.json`);
+  if (!fs.existsSync(localePath)) {
+    return { schema: 'i18n.locale.v1', locale, fallback: [], strings: {} };
+  }
+  return JSON.parse(fs.readFileSync(localePath, 'utf8'));
+}
+
+function checkLocale(locale) {
+  if (!isValidLocale(locale)) {
+    throw new Error(`Invalid locale: ${locale}`);
+  }
+  if (locale === DEFAULT_LOCALE) {
+    throw new Error(`${DEFAULT_LOCALE} is the source locale; edit bank/i18n/locales/${DEFAULT_LOCALE}.json and the questions`);
+  }
+}
+
+function escapePo(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
+function unescapePo(text) {
+  return text.replace(/\\(["\\nt])/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char));
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+}
+
+/**
+ * Format units as a PO file (msgctxt is the i18n key)
+ */
+function formatPo(locale, sources, strings) {
+  const header = [
+    `# ${sources.bankId} (${sources.bankHash}) ${DEFAULT_LOCALE} -> ${locale}`,
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    `"Language: ${locale}\\n"`
+  ].join('\n');
+
+  const entries = sources.units.map(unit => [
+    `#. ${unit.note}`,
+    `msgctxt "${escapePo(unit.key)}"`,
+    `msgid "${escapePo(unit.text)}"`,
+    `msgstr "${escapePo(strings[unit.key] || '')}"`
+  ].join('\n'));
+
+  return `${[header, ...entries].join('\n\n')}\n`;
+}
+
+/**
+ * Parse a PO file into { key, source, target } units (entries without msgctxt are skipped)
+ */
+function parsePo(content) {
+  const units = [];
+  let entry = {};
+  let field = null;
+
+  const flush = () => {
+    if (entry.msgctxt !== undefined) {
+      units.push({ key: entry.msgctxt, source: entry.msgid || '', target: entry.msgstr || '' });
+    }
+    entry = {};
+    field = null;
+  };
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const keyword = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"$/);
+    if (keyword) {
+      if (keyword[1] === 'msgctxt' || (keyword[1] === 'msgid' && entry.msgstr !== undefined)) {
+        flush();
+      }
+      field = keyword[1];
+      entry[field] = unescapePo(keyword[2]);
+    } else if (line.startsWith('"') && field) {
+      entry[field] += unescapePo(line.slice(1, -1));
+    } else if (line === '') {
+      field = null;
+    }
+  });
+  flush();
+
+  return units;
+}
+
+/**
+ * Format units as an XLIFF 1.2 file (trans-unit id is the i18n key)
+ */
+function formatXliff(locale, sources, strings) {
+  const units = sources.units.map(unit => {
+    const target = strings[unit.key] || '';
+    return [
+      `      <trans-unit id="${escapeXml(unit.key)}">`,
+      `        <source>${escapeXml(unit.text)}</source>`,
+      `        <target state="${target ? 'translated' : 'needs-translation'}">${escapeXml(target)}</target>`,
+      `        <note>${escapeXml(unit.note)}</note>`,
+      '      </trans-unit>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file original="${escapeXml(sources.bankId)}" product-version="${sources.bankHash}" source-language="${DEFAULT_LOCALE}" target-language="${locale}" datatype="plaintext">`,
+    '    <body>',
+    ...units,
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse an XLIFF 1.2 file into { key, source, target } units
+ */
+function parseXliff(content) {
+  const units = [];
+  const unitPattern = /<trans-unit\s+[^>]*id="([^"]*)"[^>]*>([\s\S]*?)<\/trans-unit>/g;
+  let match;
+
+  while ((match = unitPattern.exec(content))) {
+    const source = match[2].match(/<source[^>]*>([\s\S]*?)<\/source>/);
+    const target = match[2].match(/<target[^>]*>([\s\S]*?)<\/target>/);
+    units.push({
+      key: unescapeXml(match[1]),
+      source: source ? unescapeXml(source[1]) : '',
+      target: target ? unescapeXml(target[1]) : ''
+    });
+  }
+
+  return units;
+}
+
+/**
+ * Export a locale for translators
+ * @param {string} locale - Locale to translate into
+ * @param {Object} [options] - { format: 'po' | 'xliff', bankDir, bankPath }
+ * @returns {string} PO or XLIFF content
+ */
+function exportLocale(locale, options = {}) {
+  checkLocale(locale);
+  const format = options.format || 'po';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format: ${format} (use ${FORMATS.join(' or ')})`);
+  }
+
+  const sources = loadSources(options);
+  const { strings } = loadLocale(locale, options.bankDir);
+  return format === 'po' ? formatPo(locale, sources, strings) : formatXliff(locale, sources, strings);
+}
+
+/**
+ * Import a translated PO or XLIFF file into bank/i18n/locales/<locale>.json. Nothing is
+ * written when a unit has an unknown key or placeholders that differ from its source.
+ * @param {string} locale - Locale the file translates into
+ * @param {string} content - PO or XLIFF content
+ * @param {Object} [options] - { format: 'po' | 'xliff', bankDir, bankPath }
+ * @returns {{locale: string, imported: number, untranslated: number, errors: string[], path: (string|null)}} Import result
+ */
+function importLocale(locale, content, options = {}) {
+  checkLocale(locale);
+  const format = options.format || (content.trimStart().startsWith('<') ? 'xliff' : 'po');
+  const bankDir = options.bankDir || BANK_DIR;
+  const sources = loadSources(options);
+  const sourceText = new Map(sources.units.map(unit => [unit.key, unit.text]));
+  const units = format === 'xliff' ? parseXliff(content) : parsePo(content);
+  const errors = [];
+
+  units.forEach(unit => {
+    if (!sourceText.has(unit.key)) {
+      errors.push(`Unknown key ${unit.key}`);
+      return;
+    }
+    const expected = findPlaceholders(sourceText.get(unit.key));
+    const found = findPlaceholders(unit.target);
+    if (unit.target && JSON.stringify(expected) !== JSON.stringify(found)) {
+      errors.push(`${unit.key} has placeholders ${found.join(', ') || 'none'}, source has ${expected.join(', ') || 'none'}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { locale, imported: 0, untranslated: 0, errors, path: null };
+  }
+
+  const existing = loadLocale(locale, bankDir);
+  const strings = { ...existing.strings };
+  const hashes = { ...(existing.source_hashes || {}) };
+  units.forEach(unit => {
+    strings[unit.key] = unit.target;
+    hashes[unit.key] = sourceHash(unit.source || sourceText.get(unit.key));
+  });
+
+  const localePath = path.join(bankDir, 'i18n', 'locales', `${locale}.json`);
+  fs.writeFileSync(localePath, `${JSON.stringify({
+    schema: 'i18n.locale.v1',
+    locale,
+    fallback: existing.fallback || [],
+    bank_hash: sources.bankHash,
+    strings,
+    source_hashes: hashes
+  }, null, 2)}\n`);
+
+  return {
+    locale,
+    imported: units.filter(unit => unit.target).length,
+    untranslated: units.filter(unit => !unit.target).length,
+    errors,
+    path: localePath
+  };
+}
+
+/**
+ * Translation coverage for the packaged bank, the report the TRANSLATION_COVERAGE
+ * acceptance gate checks
+ * @param {Object} [options] - { locales: locales to report (all translated locales by default),
+ *                              required: locales that must be complete, bankDir, bankPath }
+ * @returns {Object} translation_coverage.v1 report
+ */
+function buildCoverageReport(options = {}) {
+  const bankDir = options.bankDir || BANK_DIR;
+  const sources = loadSources(options);
+  const required = options.required || [];
+  const locales = options.locales || fs.readdirSync(path.join(bankDir, 'i18n', 'locales'))
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(locale => locale !== DEFAULT_LOCALE);
+
+  const report = {};
+  [...new Set([...locales, ...required])].sort().forEach(locale => {
+    const localeFile = loadLocale(locale, bankDir);
+    const hashes = localeFile.source_hashes || {};
+    const missing = [];
+    const untranslated = [];
+    const stale = [];
+
+    sources.units.forEach(unit => {
+      if (localeFile.strings[unit.key] === undefined) {
+        missing.push(unit.key);
+      } else if (!localeFile.strings[unit.key]) {
+        untranslated.push(unit.key);
+      } else if (hashes[unit.key] ? hashes[unit.key] !== sourceHash(unit.text) : localeFile.bank_hash !== sources.bankHash) {
+        stale.push(unit.key);
+      }
+    });
+
+    const translated = sources.units.length - missing.length - untranslated.length - stale.length;
+    report[locale] = {
+      bank_hash: localeFile.bank_hash || null,
+      translated,
+      missing,
+      untranslated,
+      stale,
+      coverage: sources.units.length > 0 ? Number((translated / sources.units.length).toFixed(4)) : 1,
+      complete: translated === sources.units.length
+    };
+  });
+
+  return {
+    schema: 'translation_coverage.v1',
+    bank_id: sources.bankId,
+    bank_hash: sources.bankHash,
+    default_locale: DEFAULT_LOCALE,
+    total_strings: sources.units.length,
+    required_locales: required,
+    locales: report,
+    generated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  FORMATS,
+  sourceHash,
+  findPlaceholders,
+  loadSources,
+  exportLocale,
+  importLocale,
+  buildCoverageReport,
+  parsePo,
+  parseXliff
+};
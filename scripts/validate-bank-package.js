@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { verifyBankSignature } = require('../engine/bankSignature');
+const { getBankVerifyKey } = require('../engine/multiEnvConfig');
 
 class BankPackageValidator {
   constructor() {
@@ -100,10 +102,16 @@ class BankPackageValidator {
       return;
     }
 
-    // Validate signature format
-    const signature = packageData.meta.signature;
-    if (!/^[a-f0-9]{64}$/.test(signature)) {
-      this.errors.push('Invalid signature format');
+    // Verify the Ed25519 signature against the signing environment's public key
+    const environment = packageData.meta.signed_by || 'development';
+    const verifyKey = getBankVerifyKey(environment);
+    if (!verifyKey) {
+      this.warnings.push(`No bank verify key for ${environment}, signature not verified`);
+    } else {
+      const verification = verifyBankSignature(packageData, verifyKey);
+      if (!verification.valid) {
+        this.errors.push(`Invalid signature: ${verification.error}`);
+      }
     }
 
     // Validate signed_at timestamp